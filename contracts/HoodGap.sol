@@ -44,6 +44,11 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
     uint256 public constant DISCOUNT_4_WEEKS = 400; // 4% off
     uint256 public constant DISCOUNT_8_WEEKS = 1000; // 10% off
 
+    // --- Staking ---
+    // Premium yield lands in the share price the moment a policy is bought;
+    // deposits stay in a week so they can't be timed around a big purchase
+    uint256 public constant STAKE_COOLDOWN = 7 days;
+
     // --- Secondary market ---
     uint256 public constant TRANSFER_FEE_BPS = 500; // 5% of premium on transfer
 
@@ -84,7 +89,7 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
 
     struct WithdrawalRequest {
         address staker;
-        uint256 amount;
+        uint256 shares; // escrowed from stakerShares until processed or cancelled
         uint256 requestTime;
         bool processed;
     }
@@ -105,11 +110,20 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
     AggregatorV3Interface public immutable priceOracle;
 
     // --- Pool ---
+    // totalStaked is the stakers' USDC: deposits plus the 18% premium yield,
+    // less withdrawals and payouts. Stakers own it pro rata through shares.
     uint256 public totalStaked;
+    uint256 public totalShares;
     uint256 public totalCoverage;
     uint256 public reserveBalance;
     uint256 public blackSwanReserve;
-    mapping(address => uint256) public stakerBalances;
+    mapping(address => uint256) internal _stakerShares;
+    // A payout that empties the pool writes off every share: balances and
+    // queued requests from before the last write-off redeem nothing
+    uint256 public shareEpoch;
+    mapping(address => uint256) internal _stakerEpoch;
+    uint256 public firstLiveRequest;
+    mapping(address => uint256) public lastStakeTime;
 
     // --- Policies ---
     uint256 public nextPolicyId;
@@ -125,6 +139,9 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
     mapping(uint256 => bool) public settlementApproved;
     mapping(uint256 => uint256) public settlementApprovedTime;
 
+    // --- Market calendar (guardian-published holidays, early closes, daylight saving) ---
+    mapping(uint256 => uint256) public marketCalendar;
+
     // --- Withdrawal queue ---
     WithdrawalRequest[] public withdrawalQueue;
     mapping(address => uint256[]) public userWithdrawalRequests;
@@ -145,11 +162,17 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
     // ═══════════════════════════════════════════════════════════════
 
     event ContractInitialized(address indexed usdc, address indexed oracle, address indexed guardian);
-    event Staked(address indexed staker, uint256 amount, uint256 timestamp);
-    event WithdrawalProcessed(address indexed staker, uint256 amount, uint256 requestId, uint256 timestamp);
-    event WithdrawalQueued(
+    event Staked(address indexed staker, uint256 amount, uint256 shares, uint256 timestamp);
+    event WithdrawalProcessed(
         address indexed staker,
         uint256 amount,
+        uint256 shares,
+        uint256 requestId,
+        uint256 timestamp
+    );
+    event WithdrawalQueued(
+        address indexed staker,
+        uint256 shares,
         uint256 requestId,
         uint256 position,
         uint256 estimatedWait,
@@ -157,6 +180,7 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
     );
     event WithdrawalCancelled(address indexed staker, uint256 requestId, uint256 timestamp);
     event QueueProcessed(uint256 processed, uint256 remainingLiquidity, uint256 newQueueHead);
+    event SharesWrittenOff(uint256 indexed epoch, uint256 shares);
 
     event PolicyPurchased(
         address indexed buyer,
@@ -173,10 +197,12 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
 
     event SettlementApproved(uint256 indexed week, uint256 splitRatio, string reason, uint256 timestamp);
     event FailsafeTriggered(uint256 indexed week, string reason);
+    event MarketCalendarPublished(uint256 indexed week, uint256 schedule);
     event ReserveUsed(uint256 shortfall, uint256 totalCoverage, uint256 policyId);
 
     event SubscriptionCreated(address indexed owner, uint256 indexed subId, uint256 numWeeks, uint256 totalPremium);
     event GapPolicyMinted(uint256 indexed subId, uint256 indexed policyId, uint256 gapWeek, uint256 gapDay);
+    event GapSkipped(uint256 indexed subId, uint256 gapWeek, uint256 gapDay);
     event PolicyTransferred(uint256 indexed policyId, address indexed from, address indexed to, uint256 fee);
 
     event VolatilityChangeQueued(uint256 newVolatility, uint256 executeAfter, string reason);
@@ -227,19 +253,31 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
         return HoodGapMath.getFriday(weekNumber);
     }
 
-    function getMarketClose(uint256 weekNumber, uint256 dayIndex) public pure returns (uint256) {
-        return HoodGapMath.getMarketClose(weekNumber, dayIndex);
+    /// @notice Market close of a day: 4:00pm ET, 1:00pm ET on published early closes
+    function getMarketClose(uint256 weekNumber, uint256 dayIndex) public view returns (uint256) {
+        return HoodGapMath.getMarketClose(weekNumber, dayIndex, marketCalendar[weekNumber]);
     }
 
-    function getNextMarketOpen(uint256 weekNumber, uint256 dayIndex) public pure returns (uint256) {
-        return HoodGapMath.getNextMarketOpen(weekNumber, dayIndex);
+    /// @notice Open that ends the gap after (weekNumber, dayIndex)'s close, skipping published holidays
+    function getNextMarketOpen(uint256 weekNumber, uint256 dayIndex) public view returns (uint256) {
+        (uint256 openWeek, uint256 openDay) = _nextTradingDay(weekNumber, dayIndex);
+        return HoodGapMath.getMarketOpen(openWeek, openDay, marketCalendar[openWeek]);
     }
 
-    /// @notice Get the current settlement week (the NEXT trading week)
+    /// @notice Week whose settlement approval (split ratio) applies to a gap: the week of its next open
+    function getApprovalWeek(uint256 weekNumber, uint256 dayIndex) public view returns (uint256 openWeek) {
+        (openWeek, ) = _nextTradingDay(weekNumber, dayIndex);
+    }
+
+    /// @notice When canSettle(week) stops waiting for the guardian and defaults to 1.0x
+    function getFailsafeDeadline(uint256 week) public pure returns (uint256) {
+        return HoodGapMath.getMonday(week) + FAILSAFE_DELAY;
+    }
+
+    /// @notice Get the current settlement week: the week trading is in, from its Monday open
+    ///         (13:30 UTC in EDT weeks, an hour before the nominal week boundary)
     function getCurrentSettlementWeek() public view returns (uint256) {
-        uint256 currentWeek = HoodGapMath.getWeekNumber(block.timestamp);
-        uint256 mondayThisWeek = HoodGapMath.getMonday(currentWeek);
-        return block.timestamp >= mondayThisWeek ? currentWeek : currentWeek;
+        return _currentWeek();
     }
 
     // ═══════════════════════════════════════════════════════════════
@@ -308,8 +346,7 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
             return (true, ratio, "Guardian approved");
         }
 
-        uint256 mondayOpen = HoodGapMath.getMonday(week);
-        if (block.timestamp >= mondayOpen + FAILSAFE_DELAY) {
+        if (block.timestamp >= getFailsafeDeadline(week)) {
             return (true, 10000, "Failsafe: 48h timeout, defaulting 1.0x");
         }
 
@@ -347,13 +384,35 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
         for (uint256 i = queueHead; i < withdrawalQueue.length; i++) {
             if (!withdrawalQueue[i].processed) {
                 pending++;
-                dollarAhead += withdrawalQueue[i].amount;
+                dollarAhead += convertToAssets(_requestShares(i));
             }
         }
 
         freeLiquidity = totalStaked > totalCoverage ? totalStaked - totalCoverage : 0;
     }
 
+    /// @notice Shares `assets` USDC buys at the current share price (rounded down).
+    ///         One virtual share and one virtual unit keep the first deposit 1:1
+    ///         and make donations useless for skewing the price.
+    function convertToShares(uint256 assets) public view returns (uint256) {
+        return (assets * (totalShares + 1)) / (totalStaked + 1);
+    }
+
+    /// @notice USDC value of `shares` at the current share price (rounded down)
+    function convertToAssets(uint256 shares) public view returns (uint256) {
+        return (shares * (totalStaked + 1)) / (totalShares + 1);
+    }
+
+    /// @notice Shares a staker holds, excluding shares queued for withdrawal
+    function stakerShares(address staker) public view returns (uint256) {
+        return _stakerEpoch[staker] == shareEpoch ? _stakerShares[staker] : 0;
+    }
+
+    /// @notice USDC value of a staker's shares, excluding shares queued for withdrawal
+    function stakerBalances(address staker) external view returns (uint256) {
+        return convertToAssets(stakerShares(staker));
+    }
+
     /// @notice Current pool utilization in basis points
     function getCurrentUtilization() external view returns (uint256) {
         if (totalStaked == 0) return 0;
@@ -390,31 +449,48 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
     // ═══════════════════════════════════════════════════════════════
 
     function stake(uint256 amount) external nonReentrant whenNotPaused {
-        require(amount > 0, "Amount must be > 0");
+        // Shares left over a pool a payout emptied are worth nothing; minting
+        // against them would hand them part of this deposit
+        if (totalStaked == 0 && totalShares > 0) {
+            emit SharesWrittenOff(shareEpoch++, totalShares);
+            totalShares = 0;
+            firstLiveRequest = withdrawalQueue.length;
+        }
+
+        uint256 shares = convertToShares(amount);
+        require(shares > 0, "Amount must be > 0");
         require(USDC.transferFrom(msg.sender, address(this), amount), "USDC transfer failed");
 
-        stakerBalances[msg.sender] += amount;
+        _setStakerShares(msg.sender, stakerShares(msg.sender) + shares);
+        lastStakeTime[msg.sender] = block.timestamp;
+        totalShares += shares;
         totalStaked += amount;
 
-        emit Staked(msg.sender, amount, block.timestamp);
+        emit Staked(msg.sender, amount, shares, block.timestamp);
         _tryProcessQueue();
     }
 
-    function requestWithdrawal(uint256 amount) external nonReentrant {
-        require(amount > 0, "Amount must be > 0");
-        require(stakerBalances[msg.sender] >= amount, "Insufficient staker balance");
+    /// @notice Redeem `shares` for USDC now, or queue them when coverage has the
+    ///         liquidity locked. Queued shares keep earning (and absorbing
+    ///         payouts) and are priced when the request is processed.
+    ///         Locked for STAKE_COOLDOWN after the staker's last deposit.
+    function requestWithdrawal(uint256 shares) external nonReentrant {
+        require(shares > 0, "Amount must be > 0");
+        require(block.timestamp >= lastStakeTime[msg.sender] + STAKE_COOLDOWN, "Stake cooldown active");
+        uint256 held = stakerShares(msg.sender);
+        require(held >= shares, "Insufficient staker balance");
+        _setStakerShares(msg.sender, held - shares);
 
         uint256 freeLiquidity = totalStaked > totalCoverage ? totalStaked - totalCoverage : 0;
 
-        if (amount <= freeLiquidity) {
-            _processWithdrawal(msg.sender, amount);
-            emit WithdrawalProcessed(msg.sender, amount, 0, block.timestamp);
+        if (convertToAssets(shares) <= freeLiquidity) {
+            _processWithdrawal(msg.sender, shares, 0);
             return;
         }
 
         uint256 requestId = withdrawalQueue.length;
         withdrawalQueue.push(
-            WithdrawalRequest({staker: msg.sender, amount: amount, requestTime: block.timestamp, processed: false})
+            WithdrawalRequest({staker: msg.sender, shares: shares, requestTime: block.timestamp, processed: false})
         );
         userWithdrawalRequests[msg.sender].push(requestId);
 
@@ -423,7 +499,7 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
             if (!withdrawalQueue[i].processed) position++;
         }
 
-        emit WithdrawalQueued(msg.sender, amount, requestId, position, position * 3.5 days, block.timestamp);
+        emit WithdrawalQueued(msg.sender, shares, requestId, position, position * 3.5 days, block.timestamp);
     }
 
     function cancelWithdrawalRequest(uint256 requestId) external nonReentrant {
@@ -433,33 +509,16 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
         require(!request.processed, "Already processed");
 
         request.processed = true;
+        _setStakerShares(msg.sender, stakerShares(msg.sender) + _requestShares(requestId));
         _advanceQueueHead();
         emit WithdrawalCancelled(msg.sender, requestId, block.timestamp);
     }
 
     function processWithdrawalQueue(uint256 maxToProcess) external {
         require(maxToProcess > 0 && maxToProcess <= 50, "Process 1-50 per call");
+        if (totalStaked <= totalCoverage) return;
 
-        uint256 freeLiquidity = totalStaked > totalCoverage ? totalStaked - totalCoverage : 0;
-        if (freeLiquidity == 0) return;
-
-        uint256 processed = 0;
-        for (uint256 i = queueHead; i < withdrawalQueue.length && processed < maxToProcess && freeLiquidity > 0; i++) {
-            WithdrawalRequest storage request = withdrawalQueue[i];
-            if (request.processed) {
-                if (i == queueHead) queueHead++;
-                continue;
-            }
-            if (request.amount > freeLiquidity) break;
-
-            _processWithdrawal(request.staker, request.amount);
-            request.processed = true;
-            freeLiquidity -= request.amount;
-            processed++;
-            queueHead = i + 1;
-            emit WithdrawalProcessed(request.staker, request.amount, i, block.timestamp);
-        }
-
+        (uint256 processed, uint256 freeLiquidity) = _processQueue(maxToProcess);
         emit QueueProcessed(processed, freeLiquidity, queueHead);
     }
 
@@ -481,6 +540,7 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
         require(coverage > 0 && coverage <= MAX_POLICY_COVERAGE, "Invalid coverage");
         require(threshold == THRESHOLD_5 || threshold == THRESHOLD_10, "Invalid threshold");
         require(gapDay <= 4, "gapDay must be 0-4");
+        require(HoodGapMath.isTradingDay(marketCalendar[gapWeek], gapDay), "Market closed that day");
         require(totalCoverage + coverage <= totalStaked, "Insufficient pool liquidity");
 
         // Single gap = 1/5 of weekly premium
@@ -491,9 +551,7 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
         require(USDC.transferFrom(msg.sender, address(this), premium), "USDC transfer failed");
         _allocatePremium(premium);
 
-        (, int256 answer, , uint256 updatedAt, ) = priceOracle.latestRoundData();
-        require(answer > 0, "Invalid oracle price");
-        require(block.timestamp - updatedAt < 24 hours, "Oracle price too stale");
+        uint256 closePrice = _freshPrice();
 
         uint256 policyId = nextPolicyId++;
 
@@ -503,7 +561,7 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
             threshold: threshold,
             premium: premium,
             purchaseTime: block.timestamp,
-            closePrice: uint256(answer),
+            closePrice: closePrice,
             gapWeek: gapWeek,
             gapDay: gapDay,
             settled: false,
@@ -513,25 +571,25 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
         totalCoverage += coverage;
         _mint(msg.sender, policyId);
 
-        emit PolicyPurchased(msg.sender, policyId, coverage, threshold, premium, uint256(answer), gapWeek, gapDay);
+        emit PolicyPurchased(msg.sender, policyId, coverage, threshold, premium, closePrice, gapWeek, gapDay);
         return policyId;
     }
 
-    /// @notice Legacy buyPolicy (2-arg) — buys a single gap for current week, day 4 (Fri→Mon)
+    /// @notice Legacy buyPolicy (2-arg) — buys the current week's weekend gap:
+    ///         day 4 (Fri→Mon), or the last trading day before a Friday holiday
     function buyPolicy(uint256 coverage, uint256 threshold) external nonReentrant whenNotPaused returns (uint256) {
         require(coverage > 0 && coverage <= MAX_POLICY_COVERAGE, "Invalid coverage");
         require(threshold == THRESHOLD_5 || threshold == THRESHOLD_10, "Invalid threshold");
 
-        uint256 currentWeek = HoodGapMath.getWeekNumber(block.timestamp);
+        uint256 currentWeek = _currentWeek();
+        uint256 gapDay = HoodGapMath.lastTradingDay(marketCalendar[currentWeek]);
         require(totalCoverage + coverage <= totalStaked, "Insufficient pool liquidity");
         uint256 weeklyPremium = calculatePremium(coverage, threshold);
 
         require(USDC.transferFrom(msg.sender, address(this), weeklyPremium), "USDC transfer failed");
         _allocatePremium(weeklyPremium);
 
-        (, int256 answer, , uint256 updatedAt, ) = priceOracle.latestRoundData();
-        require(answer > 0, "Invalid oracle price");
-        require(block.timestamp - updatedAt < 24 hours, "Oracle price too stale");
+        uint256 closePrice = _freshPrice();
 
         uint256 policyId = nextPolicyId++;
 
@@ -541,9 +599,9 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
             threshold: threshold,
             premium: weeklyPremium,
             purchaseTime: block.timestamp,
-            closePrice: uint256(answer),
+            closePrice: closePrice,
             gapWeek: currentWeek,
-            gapDay: 4, // default to Friday→Monday
+            gapDay: gapDay,
             settled: false,
             paidOut: false
         });
@@ -551,7 +609,7 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
         totalCoverage += coverage;
         _mint(msg.sender, policyId);
 
-        emit PolicyPurchased(msg.sender, policyId, coverage, threshold, weeklyPremium, uint256(answer), currentWeek, 4);
+        emit PolicyPurchased(msg.sender, policyId, coverage, threshold, weeklyPremium, closePrice, currentWeek, gapDay);
         return policyId;
     }
 
@@ -586,7 +644,7 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
         _allocatePremium(totalPremium);
 
         uint256 subId = nextSubscriptionId++;
-        uint256 startWeek = HoodGapMath.getWeekNumber(block.timestamp);
+        uint256 startWeek = _currentWeek();
 
         subscriptions[subId] = Subscription({
             owner: msg.sender,
@@ -620,7 +678,7 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
         while (sub.gapsMinted < totalGaps && minted < 10) {
             uint256 gapWeek = sub.startWeek + (sub.gapsMinted / GAPS_PER_WEEK);
             uint256 gapDay = sub.gapsMinted % GAPS_PER_WEEK;
-            uint256 closeTime = HoodGapMath.getMarketClose(gapWeek, gapDay);
+            uint256 closeTime = getMarketClose(gapWeek, gapDay);
 
             if (block.timestamp < closeTime) break; // too early
 
@@ -640,12 +698,18 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
         uint256 gapDay = sub.gapsMinted % GAPS_PER_WEEK;
 
         // Can mint once the market close for this gap has passed
-        uint256 closeTime = HoodGapMath.getMarketClose(gapWeek, gapDay);
+        uint256 schedule = marketCalendar[gapWeek];
+        uint256 closeTime = HoodGapMath.getMarketClose(gapWeek, gapDay, schedule);
         require(block.timestamp >= closeTime, "Market not closed yet for this gap");
 
-        (, int256 answer, , uint256 updatedAt, ) = priceOracle.latestRoundData();
-        require(answer > 0, "Invalid oracle price");
-        require(block.timestamp - updatedAt < 24 hours, "Oracle price too stale");
+        // Exchange holiday: no close, no gap — the previous gap already runs to the next open
+        if (!HoodGapMath.isTradingDay(schedule, gapDay)) {
+            sub.gapsMinted++;
+            emit GapSkipped(subId, gapWeek, gapDay);
+            return;
+        }
+
+        uint256 closePrice = _freshPrice();
 
         uint256 policyId = nextPolicyId++;
         uint256 perGapPremium = sub.premiumPerWeek / GAPS_PER_WEEK;
@@ -656,7 +720,7 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
             threshold: sub.threshold,
             premium: perGapPremium,
             purchaseTime: block.timestamp,
-            closePrice: uint256(answer),
+            closePrice: closePrice,
             gapWeek: gapWeek,
             gapDay: gapDay,
             settled: false,
@@ -677,7 +741,7 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
             sub.coverage,
             sub.threshold,
             perGapPremium,
-            uint256(answer),
+            closePrice,
             gapWeek,
             gapDay
         );
@@ -697,13 +761,12 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
         Policy storage policy = policies[policyId];
         require(!policy.settled, "Policy already settled");
 
-        // The gap opens at the next market open after the close
-        uint256 nextOpen = HoodGapMath.getNextMarketOpen(policy.gapWeek, policy.gapDay);
+        // The gap ends at the next market open after the close (holidays skipped);
+        // settlement approval is based on that open's week
+        (uint256 approvalWeek, uint256 openDay) = _nextTradingDay(policy.gapWeek, policy.gapDay);
+        uint256 nextOpen = HoodGapMath.getMarketOpen(approvalWeek, openDay, marketCalendar[approvalWeek]);
         require(block.timestamp >= nextOpen, "Too early to settle");
 
-        // For Friday→Monday gaps, settlement approval is based on the NEXT week
-        uint256 approvalWeek = policy.gapDay == 4 ? policy.gapWeek + 1 : policy.gapWeek;
-
         (bool allowed, uint256 splitRatio, string memory reason) = canSettle(approvalWeek);
         require(allowed, reason);
 
@@ -768,6 +831,27 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
         emit SettlementApproved(week, splitRatio, reason, block.timestamp);
     }
 
+    // ═══════════════════════════════════════════════════════════════
+    //  GUARDIAN: MARKET CALENDAR
+    // ═══════════════════════════════════════════════════════════════
+
+    /// @notice Publish exchange holidays, early closes and EDT weeks, one packed schedule per week
+    /// @dev See HoodGapMath for the layout. Weeks that have opened are frozen so gaps
+    ///      already sold keep their close and open.
+    function publishMarketCalendar(uint256[] calldata weekNumbers, uint256[] calldata schedules) external onlyOwner {
+        require(weekNumbers.length == schedules.length, "Length mismatch");
+        for (uint256 i = 0; i < weekNumbers.length; i++) {
+            // Earliest the week can open: Monday 9:30am EDT
+            require(
+                block.timestamp < HoodGapMath.getMarketOpen(weekNumbers[i], 0, HoodGapMath.DAYLIGHT_SAVING),
+                "Week already started"
+            );
+            require(HoodGapMath.isValidSchedule(schedules[i]), "Invalid market schedule");
+            marketCalendar[weekNumbers[i]] = schedules[i];
+            emit MarketCalendarPublished(weekNumbers[i], schedules[i]);
+        }
+    }
+
     // ═══════════════════════════════════════════════════════════════
     //  GUARDIAN: VOLATILITY (24H TIMELOCK)
     // ═══════════════════════════════════════════════════════════════
@@ -868,17 +952,47 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
     //  INTERNAL
     // ═══════════════════════════════════════════════════════════════
 
-    /// @dev Split premium: 77% claim reserve, 18% staker yield (stays in pool),
-    ///      3% protocol fee (to treasury), 2% black swan buffer
+    /// @dev Week trading is in now. An EDT week opens at 13:30 UTC Monday, before the
+    ///      14:30 UTC boundary getWeekNumber uses, so that hour already belongs to it.
+    function _currentWeek() internal view returns (uint256 week) {
+        week = HoodGapMath.getWeekNumber(block.timestamp);
+        if (block.timestamp >= HoodGapMath.getMarketOpen(week + 1, 0, marketCalendar[week + 1])) week++;
+    }
+
+    /// @dev Oracle price a policy is written against: positive and under a day old
+    function _freshPrice() internal view returns (uint256) {
+        (, int256 answer, , uint256 updatedAt, ) = priceOracle.latestRoundData();
+        require(answer > 0, "Invalid oracle price");
+        require(block.timestamp - updatedAt < 24 hours, "Oracle price too stale");
+        return uint256(answer);
+    }
+
+    /// @dev First trading day after (weekNumber, dayIndex). Every published week
+    ///      has a session, so this looks at most one week ahead.
+    function _nextTradingDay(uint256 weekNumber, uint256 dayIndex) internal view returns (uint256, uint256) {
+        require(dayIndex <= 4, "dayIndex must be 0-4");
+        do {
+            if (dayIndex == 4) {
+                weekNumber++;
+                dayIndex = 0;
+            } else {
+                dayIndex++;
+            }
+        } while (!HoodGapMath.isTradingDay(marketCalendar[weekNumber], dayIndex));
+        return (weekNumber, dayIndex);
+    }
+
+    /// @dev Split premium: 77% claim reserve, 18% staker yield (raises the share
+    ///      price), 3% protocol fee (to treasury), 2% black swan buffer
     function _allocatePremium(uint256 premium) internal {
         uint256 protocolFee = (premium * PROTOCOL_FEE_BPS) / 10000;
         uint256 claimReserve = (premium * CLAIM_RESERVE_BPS) / 10000;
         uint256 blackSwan = (premium * BLACK_SWAN_BPS) / 10000;
-        // Staker yield (18%) stays in the contract as part of totalStaked implicitly
-        // It's the remainder: premium - protocolFee - claimReserve - blackSwan
 
         reserveBalance += claimReserve;
         blackSwanReserve += blackSwan;
+        // Staker yield is the remainder, so rounding dust goes to stakers
+        totalStaked += premium - protocolFee - claimReserve - blackSwan;
 
         if (protocolFee > 0) {
             require(USDC.transfer(treasury, protocolFee), "Protocol fee transfer failed");
@@ -886,32 +1000,31 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
     }
 
     function _tryProcessQueue() internal {
-        uint256 freeLiquidity = totalStaked > totalCoverage ? totalStaked - totalCoverage : 0;
-        if (freeLiquidity == 0 || queueHead >= withdrawalQueue.length) return;
-
-        uint256 processed = 0;
-        for (
-            uint256 i = queueHead;
-            i < withdrawalQueue.length && processed < MAX_QUEUE_PROCESS && freeLiquidity > 0;
-            i++
-        ) {
+        (uint256 processed, uint256 freeLiquidity) = _processQueue(MAX_QUEUE_PROCESS);
+        if (processed > 0) {
+            emit QueueProcessed(processed, freeLiquidity, queueHead);
+        }
+    }
+
+    /// @dev Pay queued requests in order while free liquidity covers the next one
+    function _processQueue(uint256 maxToProcess) internal returns (uint256 processed, uint256 freeLiquidity) {
+        freeLiquidity = totalStaked > totalCoverage ? totalStaked - totalCoverage : 0;
+        for (uint256 i = queueHead; i < withdrawalQueue.length && processed < maxToProcess && freeLiquidity > 0; i++) {
             WithdrawalRequest storage request = withdrawalQueue[i];
             if (request.processed) {
                 if (i == queueHead) queueHead++;
                 continue;
             }
-            if (request.amount > freeLiquidity) break;
+            uint256 shares = _requestShares(i);
+            uint256 amount = convertToAssets(shares);
+            if (amount > freeLiquidity) break;
 
-            _processWithdrawal(request.staker, request.amount);
+            _processWithdrawal(request.staker, shares, i);
             request.processed = true;
-            freeLiquidity -= request.amount;
+            freeLiquidity -= amount;
             processed++;
             queueHead = i + 1;
         }
-
-        if (processed > 0) {
-            emit QueueProcessed(processed, freeLiquidity, queueHead);
-        }
     }
 
     function _advanceQueueHead() internal {
@@ -920,9 +1033,23 @@ contract HoodGap is ERC721, Ownable, ReentrancyGuard {
         }
     }
 
-    function _processWithdrawal(address staker, uint256 amount) internal {
-        stakerBalances[staker] -= amount;
+    function _setStakerShares(address staker, uint256 shares) internal {
+        _stakerShares[staker] = shares;
+        _stakerEpoch[staker] = shareEpoch;
+    }
+
+    /// @dev Shares a queued request redeems: none once they have been written off
+    function _requestShares(uint256 requestId) internal view returns (uint256) {
+        return requestId < firstLiveRequest ? 0 : withdrawalQueue[requestId].shares;
+    }
+
+    /// @dev Burn shares already taken out of stakerShares and pay their USDC value.
+    ///      Immediate withdrawals report requestId 0; queued ones their queue index.
+    function _processWithdrawal(address staker, uint256 shares, uint256 requestId) internal {
+        uint256 amount = convertToAssets(shares);
+        totalShares -= shares;
         totalStaked -= amount;
         require(USDC.transfer(staker, amount), "Withdrawal transfer failed");
+        emit WithdrawalProcessed(staker, amount, shares, requestId, block.timestamp);
     }
 }
@@ -4,8 +4,11 @@ pragma solidity 0.8.20;
 /// @title HoodGapMath
 /// @notice Pure math library for HoodGap all-gap insurance protocol
 library HoodGapMath {
-    /// @dev Jan 6, 2021 14:30 UTC (Monday 9:30am EST) — reference week start
-    uint256 internal constant REFERENCE_WEEK = 1609940200;
+    /// @dev Jan 4, 2021 14:30 UTC (Monday 9:30am EST) — reference week start.
+    ///      Anchored to a Monday so day indices 0-4 are Mon-Fri. Earlier
+    ///      deployments used 1609940200 (Wed 6 Jan 2021), so their week ids
+    ///      are not compatible with this library.
+    uint256 internal constant REFERENCE_WEEK = 1609770600;
 
     uint256 internal constant WEEK_SECONDS = 604800;
     uint256 internal constant DAY_SECONDS = 86400;
@@ -13,52 +16,83 @@ library HoodGapMath {
     /// @dev Market close = 21:00 UTC (4:00pm EST)
     uint256 internal constant MARKET_CLOSE_OFFSET = 75600; // 21 hours from midnight UTC
 
+    /// @dev Early close = 18:00 UTC (1:00pm EST), e.g. the day after Thanksgiving
+    uint256 internal constant EARLY_CLOSE_OFFSET = 64800; // 18 hours from midnight UTC
+
     /// @dev Market open = 14:30 UTC (9:30am EST)
     uint256 internal constant MARKET_OPEN_OFFSET = 52200; // 14.5 hours from midnight UTC
 
+    /// @dev Packed week schedule (HoodGap.marketCalendar): bit d = day d closed,
+    ///      bit 5 + d = day d closes early. 0 = five full EST sessions.
+    uint256 internal constant CLOSED_DAYS = 0x1F;
+    uint256 internal constant EARLY_CLOSE_SHIFT = 5;
+
+    /// @dev Bit 10: the week runs on EDT (UTC-4), so every open and close is an
+    ///      hour earlier in UTC. New York switches on a Sunday, so whole weeks flip.
+    uint256 internal constant DAYLIGHT_SAVING = 1 << 10;
+    uint256 internal constant DAYLIGHT_SAVING_OFFSET = 3600;
+
     /// @notice Convert Unix timestamp to canonical week number
-    /// @dev Week 0 = Jan 6, 2021. Increments every 604800 seconds.
+    /// @dev Week 0 = Jan 4, 2021. Increments every 604800 seconds.
     function getWeekNumber(uint256 timestamp) internal pure returns (uint256) {
         require(timestamp >= REFERENCE_WEEK, "Before reference date");
         return (timestamp - REFERENCE_WEEK) / WEEK_SECONDS;
     }
 
     /// @notice Get Monday 9:30am EST (14:30 UTC) for a given week
+    /// @dev Nominal: week boundaries stay on 14:30 UTC through daylight saving
     function getMonday(uint256 weekNumber) internal pure returns (uint256) {
         return REFERENCE_WEEK + (weekNumber * WEEK_SECONDS);
     }
 
     /// @notice Get Friday 4:00pm EST (21:00 UTC) for a given week
+    /// @dev Nominal: ignores published holidays and early closes
     function getFriday(uint256 weekNumber) internal pure returns (uint256) {
         // Friday is 4 days after Monday start, plus market close offset
         return
             REFERENCE_WEEK + (weekNumber * WEEK_SECONDS) + (4 * DAY_SECONDS) + MARKET_CLOSE_OFFSET - MARKET_OPEN_OFFSET;
     }
 
+    /// @notice Whether the exchange trades on `dayIndex` of a week with this schedule
+    function isTradingDay(uint256 schedule, uint256 dayIndex) internal pure returns (bool) {
+        return (schedule >> dayIndex) & 1 == 0;
+    }
+
+    /// @notice Last trading day of a week with this schedule
+    function lastTradingDay(uint256 schedule) internal pure returns (uint256 dayIndex) {
+        dayIndex = 4;
+        while (!isTradingDay(schedule, dayIndex)) dayIndex--;
+    }
+
+    /// @notice A schedule the guardian may publish: known bits only, at least
+    ///         one session, and no day both closed and closing early
+    function isValidSchedule(uint256 schedule) internal pure returns (bool) {
+        return
+            schedule < DAYLIGHT_SAVING << 1 &&
+            schedule & CLOSED_DAYS != CLOSED_DAYS &&
+            schedule & (schedule >> EARLY_CLOSE_SHIFT) & CLOSED_DAYS == 0;
+    }
+
     /// @notice Get the market close timestamp for a specific day within a week
     /// @param weekNumber The canonical week number
     /// @param dayIndex 0=Monday, 1=Tuesday, 2=Wednesday, 3=Thursday, 4=Friday
-    /// @return closeTime Unix timestamp for 4:00pm EST (21:00 UTC) on that day
-    function getMarketClose(uint256 weekNumber, uint256 dayIndex) internal pure returns (uint256) {
+    /// @param schedule The week's packed schedule (early closes end at 1:00pm ET)
+    /// @return closeTime Unix timestamp for 4:00pm ET on that day — 21:00 UTC, 20:00 UTC under EDT
+    function getMarketClose(uint256 weekNumber, uint256 dayIndex, uint256 schedule) internal pure returns (uint256) {
         require(dayIndex <= 4, "dayIndex must be 0-4");
         uint256 mondayMidnight = REFERENCE_WEEK + (weekNumber * WEEK_SECONDS) - MARKET_OPEN_OFFSET;
-        return mondayMidnight + (dayIndex * DAY_SECONDS) + MARKET_CLOSE_OFFSET;
+        uint256 offset = (schedule >> (EARLY_CLOSE_SHIFT + dayIndex)) & 1 == 1 ? EARLY_CLOSE_OFFSET : MARKET_CLOSE_OFFSET;
+        return mondayMidnight + (dayIndex * DAY_SECONDS) + offset - daylightSaving(schedule);
     }
 
-    /// @notice Get the next market open after a given close
-    /// @param weekNumber The canonical week number
-    /// @param dayIndex 0=Monday close -> Tuesday open, ... 4=Friday close -> next Monday open
-    /// @return openTime Unix timestamp for the next market open (9:30am EST / 14:30 UTC)
-    function getNextMarketOpen(uint256 weekNumber, uint256 dayIndex) internal pure returns (uint256) {
-        require(dayIndex <= 4, "dayIndex must be 0-4");
-        if (dayIndex < 4) {
-            // Mon-Thu: next day open = close day + 1 at 9:30am EST
-            uint256 mondayMidnight = REFERENCE_WEEK + (weekNumber * WEEK_SECONDS) - MARKET_OPEN_OFFSET;
-            return mondayMidnight + ((dayIndex + 1) * DAY_SECONDS) + MARKET_OPEN_OFFSET;
-        } else {
-            // Friday: next Monday open
-            return getMonday(weekNumber + 1);
-        }
+    /// @notice Get the market open (9:30am ET — 14:30 UTC, 13:30 UTC under EDT) of a specific day within a week
+    function getMarketOpen(uint256 weekNumber, uint256 dayIndex, uint256 schedule) internal pure returns (uint256) {
+        return getMonday(weekNumber) + (dayIndex * DAY_SECONDS) - daylightSaving(schedule);
+    }
+
+    /// @notice Seconds a week's sessions run ahead of EST in UTC terms
+    function daylightSaving(uint256 schedule) internal pure returns (uint256) {
+        return schedule & DAYLIGHT_SAVING == 0 ? 0 : DAYLIGHT_SAVING_OFFSET;
     }
 
     /// @notice Calculate percentage gap between two prices in basis points
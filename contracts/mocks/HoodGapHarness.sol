@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import "../HoodGap.sol";
+import "../HoodGapMath.sol";
+
+/**
+ * @title HoodGapHarness
+ * @dev HoodGap with a pool-state setter, for tests only. Lets property tests
+ *      price arbitrary (totalStaked, totalCoverage, volatility) states through
+ *      the real calculatePremium / getUtilizationMultiplier code paths.
+ */
+contract HoodGapHarness is HoodGap {
+    /// @dev One week of the calendar as the public views report it
+    struct CalendarWeek {
+        uint256 monday;
+        uint256 friday;
+        uint256 failsafeDeadline;
+        uint256 weekOfMonday;
+        uint256 weekOfLastSecond;
+        uint256[5] closes;
+        uint256[5] opens;
+        uint256[5] approvalWeeks;
+    }
+
+    constructor(address _usdc, address _oracle) HoodGap(_usdc, _oracle) {}
+
+    function setPoolState(uint256 _totalStaked, uint256 _totalCoverage, uint256 _volatility) external {
+        totalStaked = _totalStaked;
+        totalCoverage = _totalCoverage;
+        currentVolatility = _volatility;
+    }
+
+    function calculatePayout(uint256 coverage, uint256 gap, uint256 threshold) external pure returns (uint256) {
+        return HoodGapMath.calculatePayout(coverage, gap, threshold);
+    }
+
+    /// @dev `count` weeks of calendar views in one eth_call, for the JS calendar sweep
+    function calendarWeeks(uint256 fromWeek, uint256 count) external view returns (CalendarWeek[] memory calendar) {
+        calendar = new CalendarWeek[](count);
+        for (uint256 i = 0; i < count; i++) {
+            uint256 week = fromWeek + i;
+            CalendarWeek memory w = calendar[i];
+            w.monday = getMonday(week);
+            w.friday = getFriday(week);
+            w.failsafeDeadline = getFailsafeDeadline(week);
+            w.weekOfMonday = getWeekNumber(w.monday);
+            w.weekOfLastSecond = getWeekNumber(getMonday(week + 1) - 1);
+            for (uint256 day = 0; day < 5; day++) {
+                w.closes[day] = getMarketClose(week, day);
+                w.opens[day] = getNextMarketOpen(week, day);
+                w.approvalWeeks[day] = getApprovalWeek(week, day);
+            }
+        }
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+/**
+ * @title Multicall3
+ * @dev The read side of the canonical Multicall3 (0xcA11bde05977b3631167028862bE2a173976CA11)
+ *      for hardhat and localhost, where it is not predeployed. aggregate3 has
+ *      the same ABI, so the SDK's multicall runner works against either.
+ */
+contract Multicall3 {
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    /// @notice Call each target in order; reverts only when a call that does not allow failure fails
+    function aggregate3(Call3[] calldata calls) public payable returns (Result[] memory returnData) {
+        returnData = new Result[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            Call3 calldata call = calls[i];
+            (bool success, bytes memory ret) = call.target.call(call.callData);
+            require(success || call.allowFailure, "Multicall3: call failed");
+            returnData[i] = Result(success, ret);
+        }
+    }
+}
@@ -0,0 +1,254 @@
+"use client";
+
+import { useEffect, useState, type ReactNode } from "react";
+import { useParams } from "next/navigation";
+import Link from "next/link";
+import { ZeroAddress } from "ethers";
+import { policyPhase, pricing, type PolicyPhase } from "@hoodgap/sdk";
+import { usePolicyDetail } from "@/hooks/usePolicy";
+import LoadingSpinner from "@/components/shared/LoadingSpinner";
+import { CHAIN_CONFIG, CHAIN_ID } from "@/lib/constants";
+import {
+  formatBPS,
+  formatDateTime,
+  formatDuration,
+  formatMarketTime,
+  formatPrice,
+  formatUSD,
+  shortenAddress,
+} from "@/lib/formatting";
+
+const PHASE_LABELS: Record<PolicyPhase, string> = {
+  open: "Awaiting market close",
+  gap: "Gap in progress",
+  "awaiting-approval": "Awaiting settlement approval",
+  "awaiting-oracle": "Awaiting oracle price",
+  settleable: "Ready to settle",
+  settled: "Settled",
+};
+
+const DAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"];
+
+const explorer = (CHAIN_CONFIG as Record<number, { explorer: string }>)[CHAIN_ID]?.explorer ?? "";
+
+function TxLink({ hash }: { hash: string }) {
+  if (!explorer) return <span className="font-mono">{shortenAddress(hash, 6)}</span>;
+  return (
+    <a href={`${explorer}/tx/${hash}`} target="_blank" rel="noreferrer" className="font-mono underline hover:text-fg">
+      {shortenAddress(hash, 6)}
+    </a>
+  );
+}
+
+function AddressLink({ address }: { address: string }) {
+  if (!explorer) return <span className="font-mono">{shortenAddress(address)}</span>;
+  return (
+    <a href={`${explorer}/address/${address}`} target="_blank" rel="noreferrer" className="font-mono underline hover:text-fg">
+      {shortenAddress(address)}
+    </a>
+  );
+}
+
+function Field({ label, children, hint }: { label: string; children: ReactNode; hint?: ReactNode }) {
+  return (
+    <div>
+      <div className="text-xs text-muted">{label}</div>
+      <div className="text-sm font-mono mt-0.5">{children}</div>
+      {hint && <div className="text-xs text-muted">{hint}</div>}
+    </div>
+  );
+}
+
+/** Seconds since the epoch, ticking every second for the countdowns. */
+function useNow(): number {
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(interval);
+  }, []);
+  return now;
+}
+
+export default function PolicyPage() {
+  const params = useParams();
+  const policyId = Number(params.id);
+  const { detail, notFound, error, loading, retry } = usePolicyDetail(policyId);
+  const now = useNow();
+  const [copied, setCopied] = useState(false);
+
+  if (loading) return <div className="py-16"><LoadingSpinner text="Loading policy..." /></div>;
+
+  if (notFound) {
+    return (
+      <div className="text-center py-20 space-y-4">
+        <h2 className="text-xl font-bold">Policy not found</h2>
+        <p className="text-sm text-muted">No policy #{params.id as string} has been minted.</p>
+        <Link href="/portfolio" className="text-sm underline hover:text-fg text-muted">
+          Back to portfolio
+        </Link>
+      </div>
+    );
+  }
+
+  if (!detail) {
+    return (
+      <div className="text-center py-20 space-y-4">
+        <h2 className="text-xl font-bold">Failed to load policy #{params.id as string}</h2>
+        <p className="text-sm text-muted">{error ?? "The RPC did not respond."}</p>
+        <button onClick={retry} className="text-sm underline hover:text-fg text-muted">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  const { policy, window: gapWindow, approval, oracle, trigger, settlement, subscription } = detail;
+  const phase = policyPhase(detail, now);
+  const close = new Date(gapWindow.close * 1000);
+  const open = new Date(gapWindow.open * 1000);
+  const liveGap = oracle && oracle.price > 0n ? pricing.calculateGap(oracle.price, trigger.adjustedClose) : null;
+  const wouldPay = liveGap !== null && liveGap >= policy.threshold;
+
+  const copyLink = async () => {
+    await navigator.clipboard.writeText(location.href);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-start justify-between">
+        <div>
+          <h1 className="text-xl font-bold">Policy #{detail.id}</h1>
+          <p className="text-sm text-muted mt-1">
+            {PHASE_LABELS[phase]}
+            {subscription && detail.subscriptionId !== null && ` · Subscription #${detail.subscriptionId}`}
+          </p>
+        </div>
+        <button onClick={copyLink} className="text-xs text-muted hover:text-fg underline">
+          {copied ? "Copied" : "Copy Link"}
+        </button>
+      </div>
+
+      {/* Terms */}
+      <div className="border rounded-lg p-4 grid grid-cols-2 sm:grid-cols-3 gap-4">
+        <Field label="Coverage">{formatUSD(policy.coverage)}</Field>
+        <Field label="Threshold">-{formatBPS(policy.threshold)}</Field>
+        <Field label="Premium">{formatUSD(policy.premium)}</Field>
+        <Field label="Holder"><AddressLink address={detail.holder} /></Field>
+        <Field label="Original Buyer"><AddressLink address={policy.holder} /></Field>
+        <Field
+          label="Source"
+          hint={subscription ? `${subscription.totalWeeks} weeks · ${formatUSD(subscription.premiumPerWeek)}/week` : undefined}
+        >
+          {detail.subscriptionId !== null ? `Subscription #${detail.subscriptionId}` : "One-off purchase"}
+        </Field>
+      </div>
+
+      {/* Gap window */}
+      <div className="border rounded-lg p-4 space-y-3">
+        <div className="font-semibold text-sm">Gap Window</div>
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+          <Field label={`${DAYS[Number(policy.gapDay)]} close`} hint={`${formatMarketTime(close)} New York`}>
+            {formatDateTime(close)}
+          </Field>
+          <Field label="Next open" hint={`${formatMarketTime(open)} New York`}>
+            {formatDateTime(open)}
+          </Field>
+          <Field label="Recorded Close">{formatPrice(policy.closePrice)}</Field>
+        </div>
+      </div>
+
+      {settlement ? (
+        /* Settlement */
+        <div className="border rounded-lg p-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <div className="font-semibold text-sm">Settlement</div>
+            <span className={`text-xs font-semibold ${settlement.paidOut ? "text-positive" : "text-muted"}`}>
+              {settlement.paidOut ? "Paid" : "No Gap"}
+            </span>
+          </div>
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+            <Field label="Open Price">{formatPrice(settlement.openPrice)}</Field>
+            <Field label="Adjusted Close">{formatPrice(settlement.adjustedClose)}</Field>
+            <Field label="Gap">{formatBPS(settlement.gap)}</Field>
+            <Field label="Payout">{formatUSD(settlement.payout)}</Field>
+            <Field label="Settled" hint={<TxLink hash={settlement.txHash} />}>
+              {formatDateTime(new Date(settlement.timestamp * 1000))}
+            </Field>
+            {settlement.payoutTxHash && (
+              <Field label="Payout Tx"><TxLink hash={settlement.payoutTxHash} /></Field>
+            )}
+          </div>
+        </div>
+      ) : (
+        <>
+          {/* Live price vs trigger */}
+          <div className="border rounded-lg p-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <div className="font-semibold text-sm">Price Check</div>
+              {liveGap !== null && (
+                <span className={`text-xs font-semibold ${wouldPay ? "text-positive" : "text-muted"}`}>
+                  {wouldPay ? "Would pay at this price" : "Within threshold"}
+                </span>
+              )}
+            </div>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+              <Field
+                label="Oracle Price"
+                hint={oracle ? `updated ${formatDateTime(new Date(oracle.updatedAt * 1000))}` : undefined}
+              >
+                {oracle ? formatPrice(oracle.price) : "—"}
+              </Field>
+              <Field label="Gap vs Close">{liveGap !== null ? formatBPS(liveGap) : "—"}</Field>
+              <Field label="Pays If Open" hint={`vs adjusted close ${formatPrice(trigger.adjustedClose)}`}>
+                ≤ {formatPrice(trigger.below)} or ≥ {formatPrice(trigger.above)}
+              </Field>
+            </div>
+          </div>
+
+          {/* Approval and countdowns */}
+          <div className="border rounded-lg p-4 space-y-3">
+            <div className="font-semibold text-sm">Settlement Approval · Week {gapWindow.approvalWeek}</div>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+              <Field
+                label="Status"
+                hint={approval.allowed ? `split ratio ${(Number(approval.splitRatio) / 10000).toFixed(2)}x` : undefined}
+              >
+                {approval.reason}
+              </Field>
+              <Field label="Settlement Opens" hint={formatDateTime(open)}>
+                {formatDuration(gapWindow.open - now)}
+              </Field>
+              <Field label="Failsafe (1.0x)" hint={formatDateTime(new Date(gapWindow.failsafeAt * 1000))}>
+                {approval.approved ? "not needed" : formatDuration(gapWindow.failsafeAt - now)}
+              </Field>
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Ownership history */}
+      <div className="space-y-2">
+        <h2 className="text-sm font-bold">History</h2>
+        <div className="border rounded-lg divide-y">
+          {detail.transfers.map((t) => (
+            <div key={`${t.txHash}-${t.to}`} className="flex items-center justify-between p-3 text-sm">
+              <div>
+                <div className="font-medium">
+                  {t.from === ZeroAddress ? "Minted to " : <><AddressLink address={t.from} /> → </>}
+                  <AddressLink address={t.to} />
+                </div>
+                <div className="text-xs text-muted">
+                  {formatDateTime(new Date(t.timestamp * 1000))} · <TxLink hash={t.txHash} />
+                </div>
+              </div>
+              {t.fee > 0n && <div className="text-xs text-muted font-mono">fee {formatUSD(t.fee)}</div>}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+"use client";
+
+import Link from "next/link";
+import { historyCsv, type TimelineEntry } from "@hoodgap/sdk";
+import PnlChart from "@/components/staking/PnlChart";
+import LoadingSpinner from "@/components/shared/LoadingSpinner";
+import { useStakerHistory } from "@/hooks/useStaker";
+import { useWeb3 } from "@/contexts/Web3Context";
+import { formatDate, formatUSD, shortenAddress } from "@/lib/formatting";
+
+const KIND_LABELS: Record<TimelineEntry["kind"], string> = {
+  deposit: "Deposit",
+  withdrawal: "Withdrawal",
+  premium: "Premium yield",
+  payout: "Payout absorbed",
+};
+
+function formatApy(apy: number | null): string {
+  return apy === null ? "—" : `${(apy * 100).toFixed(2)}%`;
+}
+
+function signed(amount: bigint): string {
+  return `${amount >= 0n ? "+" : ""}${formatUSD(amount)}`;
+}
+
+export default function StakeHistoryPage() {
+  const { status, connect } = useWeb3();
+  const { history, apy, loading } = useStakerHistory();
+
+  if (status !== "connected") {
+    return (
+      <div className="text-center py-16 space-y-3">
+        <p className="text-muted">Connect wallet to view your staking history.</p>
+        <button onClick={connect} className="btn-primary max-w-xs mx-auto">
+          Connect Wallet
+        </button>
+      </div>
+    );
+  }
+
+  if (loading) return <div className="py-16"><LoadingSpinner text="Loading history..." /></div>;
+  if (!history) return null;
+
+  const { totals, timeline } = history;
+  const now = Math.floor(Date.now() / 1000);
+
+  const downloadCsv = () => {
+    const url = URL.createObjectURL(new Blob([historyCsv(history)], { type: "text/csv" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `hoodgap-staking-${history.staker.slice(0, 8)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const items = [
+    { label: "Deposited", value: formatUSD(totals.deposited) },
+    { label: "Withdrawn", value: formatUSD(totals.withdrawn) },
+    { label: "Position Value", value: formatUSD(totals.value) },
+    { label: "Premiums Earned", value: formatUSD(totals.premiums) },
+    { label: "Payouts Absorbed", value: formatUSD(totals.payouts) },
+    { label: "Net P&L", value: signed(totals.pnl) },
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-xl font-bold">Staking History</h1>
+          <p className="text-sm text-muted mt-1">
+            Your deposits, withdrawals and share of premiums and payouts, from on-chain events.
+          </p>
+        </div>
+        <Link href="/stake" className="text-xs text-muted hover:text-fg underline">
+          Back to Stake
+        </Link>
+      </div>
+
+      {timeline.length === 0 ? (
+        <p className="text-center text-muted py-16">No staking activity yet.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+            {items.map((item) => (
+              <div key={item.label} className="border rounded-lg p-3">
+                <div className="text-xs text-muted">{item.label}</div>
+                <div className="font-bold font-mono mt-0.5">{item.value}</div>
+              </div>
+            ))}
+          </div>
+
+          <PnlChart timeline={timeline} now={now} />
+
+          {/* Realized APY: money-weighted for you, share price growth for the pool */}
+          <div className="border rounded-lg p-4">
+            <div className="grid grid-cols-3 text-xs text-muted uppercase tracking-wider pb-2 border-b">
+              <span>Realized APY</span>
+              <span className="text-right">You</span>
+              <span className="text-right">Pool Average</span>
+            </div>
+            {apy.map((row) => (
+              <div key={row.weeks} className="grid grid-cols-3 py-2 text-sm font-mono border-b last:border-b-0">
+                <span className="font-sans">{row.weeks} weeks</span>
+                <span className={`text-right ${row.staker !== null && row.staker < 0 ? "text-negative" : ""}`}>
+                  {formatApy(row.staker)}
+                </span>
+                <span className="text-right text-muted">{formatApy(row.pool)}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <h2 className="text-sm font-bold">Activity</h2>
+              <button onClick={downloadCsv} className="text-xs text-muted hover:text-fg underline">
+                Export CSV
+              </button>
+            </div>
+            <div className="border rounded-lg divide-y">
+              {timeline.map((entry, i) => ({ entry, i })).reverse().map(({ entry, i }) => (
+                <div key={i} className="flex items-center justify-between p-3 text-sm">
+                  <div>
+                    <div className="font-medium">{KIND_LABELS[entry.kind]}</div>
+                    <div className="text-xs text-muted">
+                      {formatDate(new Date(entry.timestamp * 1000))} · {shortenAddress(entry.txHash, 6)}
+                    </div>
+                  </div>
+                  <div className="text-right font-mono">
+                    <div className={entry.kind === "payout" ? "text-negative" : entry.kind === "premium" ? "text-positive" : ""}>
+                      {entry.kind === "payout" || entry.kind === "withdrawal" ? "−" : "+"}
+                      {formatUSD(entry.amount)}
+                    </div>
+                    <div className="text-xs text-muted">{formatUSD(entry.value)}</div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
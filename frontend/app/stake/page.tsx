@@ -1,6 +1,7 @@
 "use client";
 
 import { useState } from "react";
+import Link from "next/link";
 import StakeForm from "@/components/staking/StakeForm";
 import WithdrawForm from "@/components/staking/WithdrawForm";
 import StakerStats from "@/components/staking/StakerStats";
@@ -26,8 +27,13 @@ export default function StakePage() {
 
       <div className="border-b pb-4">
         <div className="text-xs text-muted uppercase tracking-wider">Your Stake</div>
-        <div className="text-2xl font-bold font-mono mt-1">
-          {formatDollars(fromUSDC(stakedBalance))}
+        <div className="flex items-end justify-between">
+          <div className="text-2xl font-bold font-mono mt-1">
+            {formatDollars(fromUSDC(stakedBalance))}
+          </div>
+          <Link href="/stake/history" className="text-xs text-muted hover:text-fg underline">
+            P&amp;L History
+          </Link>
         </div>
       </div>
 
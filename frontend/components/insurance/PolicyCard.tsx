@@ -1,6 +1,8 @@
 "use client";
 
 import { useState } from "react";
+import Link from "next/link";
+import { calendar } from "@hoodgap/sdk";
 import { formatDollars, formatDate } from "@/lib/formatting";
 import type { PolicyDisplay } from "@/types/policy";
 import TransferModal from "./TransferModal";
@@ -14,11 +16,7 @@ const STATUS_LABELS = {
 
 /** Convert canonical gapWeek (weeks since Jan 6 2021) to ISO week-of-year */
 function toCalendarWeek(canonicalWeek: number): string {
-  // Reference: Jan 6, 2021 14:30 UTC = week 0
-  const REFERENCE_EPOCH = 1609940200;
-  const WEEK_SECONDS = 604800;
-  const timestamp = REFERENCE_EPOCH + canonicalWeek * WEEK_SECONDS;
-  const date = new Date(timestamp * 1000);
+  const date = new Date(calendar.getMonday(canonicalWeek) * 1000);
 
   // ISO week number calculation
   const jan1 = new Date(date.getFullYear(), 0, 1);
@@ -36,7 +34,9 @@ export default function PolicyCard({ policy }: { policy: PolicyDisplay }) {
         <div className="flex items-start justify-between">
           <div>
             <div className="font-semibold flex items-center gap-2">
-              Policy #{policy.id}
+              <Link href={`/policy/${policy.id}`} className="hover:underline">
+                Policy #{policy.id}
+              </Link>
               {policy.subscriptionPosition && (
                 <span className="text-[10px] font-bold px-1.5 py-0.5 rounded bg-surface-alt text-muted border">
                   {policy.subscriptionPosition}
@@ -11,6 +11,7 @@ import { validateCoverage, validatePosition } from "@/lib/validation";
 import { THRESHOLD_OPTIONS, PLAN_OPTIONS, GAPS_PER_WEEK } from "@/lib/constants";
 import { showToast, updateToast } from "@/components/shared/TransactionToast";
 import { parseTransactionError } from "@/lib/errors";
+import { findEvent } from "@hoodgap/sdk";
 import LoadingSpinner from "@/components/shared/LoadingSpinner";
 import PlanSelector from "@/components/insurance/PlanSelector";
 import InfoTooltip from "@/components/shared/InfoTooltip";
@@ -96,13 +97,10 @@ export default function RiskWizard({ onSuccess }: RiskWizardProps) {
       updateToast(toastId, { message: "Confirming...", txHash: tx.hash });
 
       const receipt = await tx.wait();
-      const iface = hoodgap.interface;
-      const parsed = receipt.logs
-        .map((l: any) => { try { return iface.parseLog(l); } catch { return null; } })
-        .find((e: any) => e && (e.name === "PolicyPurchased" || e.name === "SubscriptionCreated"));
 
       if (planWeeks === 1) {
-        const policyId = parsed ? Number(parsed.args?.policyId) : -1;
+        const purchased = findEvent(hoodgap, receipt, "PolicyPurchased");
+        const policyId = purchased ? Number(purchased.policyId) : -1;
         updateToast(toastId, {
           type: "success",
           title: "Policy purchased",
@@ -111,7 +109,8 @@ export default function RiskWizard({ onSuccess }: RiskWizardProps) {
         });
         onSuccess?.(policyId);
       } else {
-        const subId = parsed ? Number(parsed.args?.subId) : -1;
+        const created = findEvent(hoodgap, receipt, "SubscriptionCreated");
+        const subId = created ? Number(created.subId) : -1;
         updateToast(toastId, {
           type: "success",
           title: `${selectedPlan.label} plan purchased`,
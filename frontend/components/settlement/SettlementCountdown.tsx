@@ -15,18 +15,26 @@ export default function SettlementCountdown() {
         <div>
           <div className="text-xs text-muted">{timeline.closeLabel}</div>
           <div className="text-sm font-mono mt-0.5">{formatDateTime(timeline.targetClose)}</div>
+          <div className="text-xs text-muted">{timeline.closeMarketTime} New York</div>
         </div>
         <div>
           <div className="text-xs text-muted">{timeline.openLabel}</div>
           <div className="text-sm font-mono mt-0.5">{formatDateTime(timeline.targetOpen)}</div>
+          <div className="text-xs text-muted">{timeline.openMarketTime} New York</div>
         </div>
       </div>
+      {timeline.holidayLabel && (
+        <div className="text-xs text-yellow-500">{timeline.holidayLabel}</div>
+      )}
       <div className="text-xs text-muted border-t pt-2">
         {timeline.displayLabel}
         {!timeline.isGapActive && timeline.hoursUntilClose > 0 &&
           ` · ${timeline.daysUntilClose > 1 ? `${timeline.daysUntilClose}d` : `${timeline.hoursUntilClose}h`} until coverage`}
         {timeline.isGapActive && ` · Market is currently closed. Coverage is active.`}
       </div>
+      <div className="text-xs text-muted">
+        Split approval: week {timeline.approvalWeek} · 1.0x failsafe {formatDateTime(timeline.failsafeAt)}
+      </div>
     </div>
   );
 }
@@ -0,0 +1,79 @@
+"use client";
+
+import type { TimelineEntry } from "@hoodgap/sdk";
+import { formatDate, formatUSD, fromUSDC } from "@/lib/formatting";
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PAD = 8;
+
+interface Series {
+  label: string;
+  color: string;
+  dashed?: boolean;
+  value: (e: TimelineEntry) => number;
+}
+
+const SERIES: Series[] = [
+  { label: "Net Deposits", color: "#878a8c", dashed: true, value: (e) => fromUSDC(e.deposited - e.withdrawn) },
+  { label: "Position Value", color: "#000000", value: (e) => fromUSDC(e.value) },
+];
+
+/** Step chart of net deposits against position value; the gap between them is P&L. */
+export default function PnlChart({ timeline, now }: { timeline: TimelineEntry[]; now: number }) {
+  if (timeline.length === 0) return null;
+
+  const start = timeline[0].timestamp;
+  const end = Math.max(now, timeline[timeline.length - 1].timestamp + 1);
+  const values = timeline.flatMap((e) => SERIES.map((s) => s.value(e)));
+  const max = Math.max(...values, 1);
+
+  const x = (t: number) => PAD + ((t - start) / (end - start)) * (WIDTH - 2 * PAD);
+  const y = (v: number) => HEIGHT - PAD - (v / max) * (HEIGHT - 2 * PAD);
+
+  // Each value holds until the next event, then steps
+  const path = (series: Series) =>
+    timeline
+      .map((e, i) => {
+        const v = y(series.value(e));
+        const next = i + 1 < timeline.length ? timeline[i + 1].timestamp : end;
+        return `${i === 0 ? "M" : "L"}${x(e.timestamp)},${v} L${x(next)},${v}`;
+      })
+      .join(" ");
+
+  return (
+    <div className="border rounded-lg p-4 space-y-2">
+      <div className="flex items-center justify-between text-xs text-muted">
+        <div className="flex gap-4">
+          {SERIES.map((s) => (
+            <span key={s.label} className="flex items-center gap-1">
+              <svg width="16" height="4">
+                <line x1="0" y1="2" x2="16" y2="2" stroke={s.color} strokeWidth="2" strokeDasharray={s.dashed ? "3 2" : undefined} />
+              </svg>
+              {s.label}
+            </span>
+          ))}
+        </div>
+        <span className="font-mono">{formatUSD(max, 0)}</span>
+      </div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none" className="w-full h-48">
+        <line x1={PAD} y1={HEIGHT - PAD} x2={WIDTH - PAD} y2={HEIGHT - PAD} stroke="#d3d6da" />
+        {SERIES.map((s) => (
+          <path
+            key={s.label}
+            d={path(s)}
+            fill="none"
+            stroke={s.color}
+            strokeWidth="2"
+            strokeDasharray={s.dashed ? "6 4" : undefined}
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs text-muted">
+        <span>{formatDate(new Date(start * 1000))}</span>
+        <span>{formatDate(new Date(end * 1000))}</span>
+      </div>
+    </div>
+  );
+}
@@ -70,6 +70,7 @@ export default function StakeForm() {
           <span>Balance: {formatDollars(balanceUsd)}</span>
           {amount && !validation.valid && <span className="text-negative">{validation.error}</span>}
         </div>
+        <p className="text-xs text-muted">Each stake locks your whole balance for 7 days before it can be withdrawn.</p>
       </div>
 
       <button
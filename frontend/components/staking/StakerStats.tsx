@@ -1,11 +1,12 @@
 "use client";
 
-import { usePoolStats } from "@/hooks/useStaker";
-import { formatDollars } from "@/lib/formatting";
+import { usePoolStats, useStakerPosition } from "@/hooks/useStaker";
+import { formatDollars, formatUSD } from "@/lib/formatting";
 import LoadingSpinner from "@/components/shared/LoadingSpinner";
 
 export default function StakerStats() {
   const { stats, loading } = usePoolStats();
+  const { position } = useStakerPosition();
 
   if (loading) return <LoadingSpinner text="Loading..." />;
   if (!stats) return null;
@@ -17,7 +18,14 @@ export default function StakerStats() {
     { label: "Utilization", value: `${stats.utilization.toFixed(2)}%` },
     { label: "Reserve", value: formatDollars(stats.reserveBalance) },
     { label: "Policies", value: stats.policyCount.toString() },
+    { label: "Share Price", value: formatUSD(stats.sharePrice, 6) },
   ];
+  if (position && position.deposited > 0) {
+    items.push(
+      { label: "Your Position", value: formatUSD(position.value) },
+      { label: "Accrued Yield", value: `${position.accruedYield >= 0 ? "+" : ""}${formatUSD(position.accruedYield)}` },
+    );
+  }
 
   return (
     <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
@@ -5,16 +5,18 @@ import { useContract } from "@/hooks/useContract";
 import { useWeb3 } from "@/contexts/Web3Context";
 import { useUser } from "@/contexts/UserContext";
 import { useQueueStatus, usePoolStats } from "@/hooks/useStaker";
-import { formatDollars, formatDate, toUSDC, fromUSDC } from "@/lib/formatting";
+import { formatDollars, formatDate, formatDateTime, toUSDC, fromUSDC } from "@/lib/formatting";
+import { STAKE_COOLDOWN } from "@/lib/constants";
 import { validateWithdrawAmount } from "@/lib/validation";
 import { showToast, updateToast } from "@/components/shared/TransactionToast";
 import { parseTransactionError } from "@/lib/errors";
+import { findEvent } from "@hoodgap/sdk";
 import LoadingSpinner from "@/components/shared/LoadingSpinner";
 
 export default function WithdrawForm() {
   const { status } = useWeb3();
   const { hoodgap, isReady } = useContract();
-  const { stakedBalance, refresh } = useUser();
+  const { stakedBalance, stakedShares, lastStakeTime, refresh } = useUser();
   const { stats } = usePoolStats();
 
   const [amount, setAmount] = useState("");
@@ -24,25 +26,30 @@ export default function WithdrawForm() {
   const amountNum = Number(amount) || 0;
   const stakedUsd = fromUSDC(stakedBalance);
   const validation = validateWithdrawAmount(amountNum, stakedUsd);
+  const unlocksAt = lastStakeTime + STAKE_COOLDOWN;
+  const coolingDown = lastStakeTime > 0 && Date.now() / 1000 < unlocksAt;
 
   async function handleWithdraw() {
-    if (!isReady || !hoodgap || !validation.valid) return;
+    if (!isReady || !hoodgap || !validation.valid || coolingDown) return;
 
     setSubmitting(true);
     const toastId = showToast({ type: "pending", title: "Withdrawing", message: "Confirm in wallet..." });
 
     try {
-      const tx = await hoodgap.requestWithdrawal(toUSDC(amountNum));
+      // The contract redeems shares; MAX (or rounding past it) redeems them all
+      const shares = amountNum >= stakedUsd ? stakedShares : await hoodgap.convertToShares(toUSDC(amountNum));
+      const tx = await hoodgap.requestWithdrawal(shares < stakedShares ? shares : stakedShares);
       updateToast(toastId, { message: "Confirming...", txHash: tx.hash });
       const receipt = await tx.wait();
 
-      const processedEvent = receipt.logs.find((log: any) => log.fragment?.name === "WithdrawalProcessed");
-      const queuedEvent = receipt.logs.find((log: any) => log.fragment?.name === "WithdrawalQueued");
+      const processedEvent = findEvent(hoodgap, receipt, "WithdrawalProcessed");
+      const queuedEvent = findEvent(hoodgap, receipt, "WithdrawalQueued");
 
       if (processedEvent) {
-        updateToast(toastId, { type: "success", title: "Withdrawn", message: `${formatDollars(amountNum)} sent` });
+        const sent = fromUSDC(processedEvent.amount);
+        updateToast(toastId, { type: "success", title: "Withdrawn", message: `${formatDollars(sent)} sent` });
       } else if (queuedEvent) {
-        const reqId = Number(queuedEvent.args?.requestId);
+        const reqId = Number(queuedEvent.requestId);
         setQueuedRequestId(reqId);
         updateToast(toastId, { type: "success", title: "Queued", message: `Request #${reqId}` });
       }
@@ -91,6 +98,11 @@ export default function WithdrawForm() {
         {amount && !validation.valid && (
           <p className="text-xs text-negative">{validation.error}</p>
         )}
+        {coolingDown && (
+          <p className="text-xs text-muted">
+            Withdrawals open {formatDateTime(new Date(unlocksAt * 1000))}, 7 days after your last stake.
+          </p>
+        )}
         {stats && amountNum > 0 && amountNum > stats.freeLiquidity && (
           <p className="text-xs text-muted">
             Only {formatDollars(stats.freeLiquidity)} available — this will be queued.
@@ -100,7 +112,7 @@ export default function WithdrawForm() {
 
       <button
         onClick={handleWithdraw}
-        disabled={!isReady || submitting || !validation.valid || amountNum <= 0}
+        disabled={!isReady || submitting || !validation.valid || amountNum <= 0 || coolingDown}
         className="btn-primary"
       >
         {status !== "connected" ? "Connect Wallet" : submitting ? "Processing..." : "Withdraw"}
@@ -6,31 +6,28 @@ import {
   useMemo,
   type ReactNode,
 } from "react";
-import { JsonRpcProvider, Contract } from "ethers";
-import type { Signer } from "ethers";
+import { JsonRpcProvider } from "ethers";
+import { connectHoodGap, connectUsdc, createMulticallRunner, type MulticallRunner } from "@hoodgap/sdk";
 import { useWeb3 } from "./Web3Context";
-import {
-  HOODGAP_ADDRESS,
-  USDC_ADDRESS,
-  HoodGapABI,
-  ERC20ABI,
-  RPC_URL,
-} from "@/lib/constants";
+import { HOODGAP_ADDRESS, USDC_ADDRESS, MULTICALL_ADDRESS, RPC_URL } from "@/lib/constants";
+import type { HoodGapContract, USDCContract } from "@/types/contracts";
 
 interface ContractState {
-  hoodgap: Contract | null;
-  usdc: Contract | null;
-  hoodgapReadOnly: Contract;
-  usdcReadOnly: Contract;
+  hoodgap: HoodGapContract | null;
+  usdc: USDCContract | null;
+  hoodgapReadOnly: HoodGapContract;
+  usdcReadOnly: USDCContract;
 }
 
-// Lazy singleton — created once on first access, not at module load
-let _readProvider: JsonRpcProvider | null = null;
-function getReadProvider() {
-  if (!_readProvider) {
-    _readProvider = new JsonRpcProvider(RPC_URL);
+// Lazy singleton — created once on first access, not at module load.
+// Every read-only contract shares it, so concurrent reads from all hooks go
+// out as one Multicall3 call per tick and share one per-block cache.
+let _readRunner: MulticallRunner | null = null;
+function getReadRunner() {
+  if (!_readRunner) {
+    _readRunner = createMulticallRunner(new JsonRpcProvider(RPC_URL), { multicall: MULTICALL_ADDRESS });
   }
-  return _readProvider;
+  return _readRunner;
 }
 
 // SSR-safe stub: used when providers haven't mounted yet
@@ -51,14 +48,14 @@ export function ContractProvider({ children }: { children: ReactNode }) {
   const { signer, status } = useWeb3();
 
   const contracts = useMemo<ContractState>(() => {
-    const readProvider = getReadProvider();
-    const hoodgapReadOnly = new Contract(HOODGAP_ADDRESS, HoodGapABI, readProvider);
-    const usdcReadOnly = new Contract(USDC_ADDRESS, ERC20ABI, readProvider);
+    const readRunner = getReadRunner();
+    const hoodgapReadOnly = connectHoodGap(HOODGAP_ADDRESS, readRunner);
+    const usdcReadOnly = connectUsdc(USDC_ADDRESS, readRunner);
 
     if (status === "connected" && signer) {
       return {
-        hoodgap: new Contract(HOODGAP_ADDRESS, HoodGapABI, signer),
-        usdc: new Contract(USDC_ADDRESS, ERC20ABI, signer),
+        hoodgap: connectHoodGap(HOODGAP_ADDRESS, signer),
+        usdc: connectUsdc(USDC_ADDRESS, signer),
         hoodgapReadOnly,
         usdcReadOnly,
       };
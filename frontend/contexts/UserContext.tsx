@@ -15,7 +15,11 @@ import { POLL_INTERVAL_MS } from "@/lib/constants";
 interface UserData {
   ethBalance: bigint;
   usdcBalance: bigint;
+  /** Value of the staker's shares at the current share price */
   stakedBalance: bigint;
+  stakedShares: bigint;
+  /** Unix seconds of the staker's last deposit (0 if none) */
+  lastStakeTime: number;
   loading: boolean;
   refresh: () => Promise<void>;
 }
@@ -24,6 +28,8 @@ const UserContext = createContext<UserData>({
   ethBalance: 0n,
   usdcBalance: 0n,
   stakedBalance: 0n,
+  stakedShares: 0n,
+  lastStakeTime: 0,
   loading: true,
   refresh: async () => {},
 });
@@ -39,6 +45,8 @@ export function UserProvider({ children }: { children: ReactNode }) {
   const [ethBalance, setEthBalance] = useState(0n);
   const [usdcBalance, setUsdcBalance] = useState(0n);
   const [stakedBalance, setStakedBalance] = useState(0n);
+  const [stakedShares, setStakedShares] = useState(0n);
+  const [lastStakeTime, setLastStakeTime] = useState(0);
   const [loading, setLoading] = useState(true);
 
   const fetchUserData = useCallback(async () => {
@@ -46,6 +54,8 @@ export function UserProvider({ children }: { children: ReactNode }) {
       setEthBalance(0n);
       setUsdcBalance(0n);
       setStakedBalance(0n);
+      setStakedShares(0n);
+      setLastStakeTime(0);
       setLoading(false);
       return;
     }
@@ -67,17 +77,23 @@ export function UserProvider({ children }: { children: ReactNode }) {
         promises.push(Promise.resolve(0n));
       }
 
-      // Staked balance
+      // Staked shares, their value and the last deposit (for the withdrawal cooldown)
       if (hoodgapReadOnly) {
-        promises.push(hoodgapReadOnly.stakerBalances(address));
+        promises.push(
+          hoodgapReadOnly.stakerBalances(address),
+          hoodgapReadOnly.stakerShares(address),
+          hoodgapReadOnly.lastStakeTime(address),
+        );
       } else {
-        promises.push(Promise.resolve(0n));
+        promises.push(Promise.resolve(0n), Promise.resolve(0n), Promise.resolve(0n));
       }
 
-      const [eth, usdc, staked] = await Promise.all(promises);
+      const [eth, usdc, staked, shares, stakedAt] = await Promise.all(promises);
       setEthBalance(eth);
       setUsdcBalance(usdc);
       setStakedBalance(staked);
+      setStakedShares(shares);
+      setLastStakeTime(Number(stakedAt));
     } catch (err) {
       console.error("Failed to fetch user data:", err);
     } finally {
@@ -93,7 +109,7 @@ export function UserProvider({ children }: { children: ReactNode }) {
 
   return (
     <UserContext.Provider
-      value={{ ethBalance, usdcBalance, stakedBalance, loading, refresh: fetchUserData }}
+      value={{ ethBalance, usdcBalance, stakedBalance, stakedShares, lastStakeTime, loading, refresh: fetchUserData }}
     >
       {children}
     </UserContext.Provider>
@@ -1,11 +1,42 @@
 "use client";
 
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { createPortfolio, createPolicyDetail, type PolicyDetail, type PortfolioPolicy } from "@hoodgap/sdk";
 import { useContract } from "./useContract";
 import { useWeb3 } from "@/contexts/Web3Context";
 import { fromUSDC } from "@/lib/formatting";
+import { DEPLOY_BLOCK, LOG_BLOCK_RANGE, POLL_INTERVAL_MS } from "@/lib/constants";
 import type { PolicyDisplay } from "@/types/policy";
 
+function toDisplay({ id, policy: p, subscriptionId, subscription: sub }: PortfolioPolicy): PolicyDisplay {
+  let policyStatus: PolicyDisplay["status"] = "active";
+  if (p.settled && p.paidOut) policyStatus = "settled-paid";
+  else if (p.settled) policyStatus = "settled-nopay";
+
+  let subscriptionPosition: string | undefined;
+  if (sub) {
+    const label = Number(sub.totalWeeks) === 4 ? "Monthly" : "Season";
+    // Which week within the subscription
+    const weekNum = Number(p.gapWeek) - Number(sub.startWeek) + 1;
+    subscriptionPosition = `${label} ${weekNum}/${sub.totalWeeks}`;
+  }
+
+  return {
+    id,
+    holder: p.holder,
+    coverageUsd: fromUSDC(p.coverage),
+    thresholdPercent: Number(p.threshold) / 100,
+    premiumUsd: fromUSDC(p.premium),
+    purchaseDate: new Date(Number(p.purchaseTime) * 1000),
+    settlementWeek: Number(p.gapWeek),
+    settled: p.settled,
+    paidOut: p.paidOut,
+    status: policyStatus,
+    subscriptionId: subscriptionId ?? undefined,
+    subscriptionPosition,
+  };
+}
+
 export function usePolicy() {
   const { hoodgapReadOnly } = useContract();
   const { address, status } = useWeb3();
@@ -13,76 +44,118 @@ export function usePolicy() {
   const [policies, setPolicies] = useState<PolicyDisplay[]>([]);
   const [loading, setLoading] = useState(true);
 
+  // One portfolio per account: later syncs only scan new blocks
+  const portfolio = useMemo(() => {
+    if (!address || status !== "connected" || !hoodgapReadOnly) return null;
+    return createPortfolio(hoodgapReadOnly, address, { fromBlock: DEPLOY_BLOCK, blockRange: LOG_BLOCK_RANGE });
+  }, [address, status, hoodgapReadOnly]);
+
   const fetchPolicies = useCallback(async () => {
-    if (!address || status !== "connected" || !hoodgapReadOnly) {
+    if (!portfolio) {
       setPolicies([]);
       setLoading(false);
       return;
     }
 
     try {
-      const nextId = Number(await hoodgapReadOnly.nextPolicyId());
-      const userPolicies: PolicyDisplay[] = [];
-
-      for (let i = 0; i < nextId; i++) {
-        try {
-          const owner = await hoodgapReadOnly.ownerOf(i);
-          if (owner.toLowerCase() !== address.toLowerCase()) continue;
-        } catch {
-          continue; // NFT doesn't exist or was burned
-        }
-
-        const p = await hoodgapReadOnly.policies(i);
-          let policyStatus: PolicyDisplay["status"] = "active";
-          if (p.settled && p.paidOut) policyStatus = "settled-paid";
-          else if (p.settled) policyStatus = "settled-nopay";
-
-          // Subscription info
-          let subscriptionId: number | undefined;
-          let subscriptionPosition: string | undefined;
-          try {
-            const subId = Number(await hoodgapReadOnly.policySubscriptionId(i));
-            if (subId > 0 || (await hoodgapReadOnly.getSubscription(0)).totalWeeks > 0) {
-              const sub = await hoodgapReadOnly.getSubscription(subId);
-              if (sub.totalWeeks > 0) {
-                subscriptionId = subId;
-                const label = Number(sub.totalWeeks) === 4 ? "Monthly" : "Season";
-                // Figure out which week within the subscription
-                const weekNum = Number(p.gapWeek) - Number(sub.startWeek) + 1;
-                subscriptionPosition = `${label} ${weekNum}/${sub.totalWeeks}`;
-              }
-            }
-          } catch {
-            // Not part of a subscription
-          }
-
-          userPolicies.push({
-            id: i,
-            holder: p.holder,
-            coverageUsd: fromUSDC(p.coverage),
-            thresholdPercent: Number(p.threshold) / 100,
-            premiumUsd: fromUSDC(p.premium),
-            purchaseDate: new Date(Number(p.purchaseTime) * 1000),
-            settlementWeek: Number(p.gapWeek),
-            settled: p.settled,
-            paidOut: p.paidOut,
-            status: policyStatus,
-            subscriptionId,
-            subscriptionPosition,
-          });
-      }
-
-      setPolicies(userPolicies);
+      const snapshot = await portfolio.sync();
+      setPolicies(snapshot.policies.map(toDisplay));
     } catch (err) {
       console.error("Failed to fetch policies:", err);
     } finally {
       setLoading(false);
     }
-  }, [address, status, hoodgapReadOnly]);
+  }, [portfolio]);
 
+  // Regular polling
   useEffect(() => {
     fetchPolicies();
-  }, [fetchPolicies]);
+    if (!portfolio) return;
+    const interval = setInterval(fetchPolicies, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [portfolio, fetchPolicies]);
+
+  // Real-time: transfers and settlements trigger an incremental sync
+  useEffect(() => {
+    if (!portfolio) return;
+
+    const events = ["Transfer", "PolicySettled"];
+    const handler = () => {
+      // Small delay to let the chain state settle
+      setTimeout(fetchPolicies, 1000);
+    };
+
+    events.forEach((event) => {
+      try {
+        hoodgapReadOnly.on(event, handler);
+      } catch {
+        // Event may not exist in ABI — skip silently
+      }
+    });
+
+    return () => {
+      events.forEach((event) => {
+        try {
+          hoodgapReadOnly.off(event, handler);
+        } catch {}
+      });
+    };
+  }, [portfolio, hoodgapReadOnly, fetchPolicies]);
 
   return { policies, loading, refresh: fetchPolicies };
 }
+
+/** One policy by ID for /policy/[id]; reads only, so it works without a wallet. */
+export function usePolicyDetail(policyId: number) {
+  const { hoodgapReadOnly } = useContract();
+
+  const [detail, setDetail] = useState<PolicyDetail | null>(null);
+  const [notFound, setNotFound] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  const validId = Number.isSafeInteger(policyId) && policyId >= 0;
+
+  // One loader per policy: later polls only scan new blocks for its logs
+  const loader = useMemo(() => {
+    if (!hoodgapReadOnly || !validId) return null;
+    return createPolicyDetail(hoodgapReadOnly, policyId, { fromBlock: DEPLOY_BLOCK, blockRange: LOG_BLOCK_RANGE });
+  }, [hoodgapReadOnly, policyId, validId]);
+
+  const fetchDetail = useCallback(async () => {
+    if (!validId) {
+      setNotFound(true);
+      setLoading(false);
+      return;
+    }
+    if (!loader) return;
+
+    try {
+      const loaded = await loader.sync();
+      setDetail(loaded);
+      setNotFound(loaded === null);
+      setError(null);
+    } catch (err) {
+      console.error(`Failed to load policy ${policyId}:`, err);
+      setError(err instanceof Error ? err.message : String(err));
+    } finally {
+      setLoading(false);
+    }
+  }, [loader, policyId, validId]);
+
+  const retry = useCallback(() => {
+    setLoading(true);
+    fetchDetail();
+  }, [fetchDetail]);
+
+  // Settled policies never change; poll the rest for approval, oracle and settlement
+  const settled = detail?.policy.settled ?? false;
+  useEffect(() => {
+    fetchDetail();
+    if (settled) return;
+    const interval = setInterval(fetchDetail, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchDetail, settled]);
+
+  return { detail, notFound, error, loading, refresh: fetchDetail, retry };
+}
@@ -4,15 +4,14 @@ import { useState, useEffect, useRef, useCallback } from "react";
 import { useContract } from "./useContract";
 import { useWeb3 } from "@/contexts/Web3Context";
 import { toUSDC, fromUSDC } from "@/lib/formatting";
-import {
-  PREMIUM_DEBOUNCE_MS, ORACLE_ADDRESS,
-  TIER_5_RATE, TIER_10_RATE, THRESHOLD_5, THRESHOLD_10,
-} from "@/lib/constants";
+import { PREMIUM_DEBOUNCE_MS, ORACLE_ADDRESS, ORACLE_MAX_AGE, THRESHOLD_5 } from "@/lib/constants";
+import { pricing } from "@hoodgap/sdk";
 import { Contract } from "ethers";
 
 const MOCK_ORACLE_ABI = [
   "function update(int256 _price, uint256 _updatedAt) external",
   "function price() view returns (int256)",
+  "function updatedAt() view returns (uint256)",
 ];
 
 export interface PremiumQuote {
@@ -23,12 +22,17 @@ export interface PremiumQuote {
   isEstimate: boolean; // true if using client-side fallback
 }
 
-/** Client-side premium estimate using tier-based rates */
-function estimatePremiumLocally(coverageUsd: number, threshold: number): number {
-  const rate = threshold === THRESHOLD_10 ? TIER_10_RATE : TIER_5_RATE;
-  const basePremium = (coverageUsd * rate) / 10000;
-  const minPremium = coverageUsd / 1000; // 0.1% floor
-  return Math.max(basePremium, minPremium);
+/** Client-side estimate: the contract's formula for an empty pool at average volatility */
+function estimatePremiumLocally(coverageWei: bigint, threshold: number): bigint | null {
+  try {
+    return pricing.calculatePremium(coverageWei, threshold, {
+      totalStaked: 0n,
+      totalCoverage: 0n,
+      volatility: pricing.AVG_VOLATILITY,
+    });
+  } catch {
+    return null; // coverage or threshold the contract would reject
+  }
 }
 
 export function usePremium(coverageUsd: number, threshold: number = THRESHOLD_5): PremiumQuote {
@@ -74,12 +78,11 @@ export function usePremium(coverageUsd: number, threshold: number = THRESHOLD_5)
         if (thisRequest !== requestIdRef.current) return;
 
         // Show fallback estimate but mark it clearly
-        const estimate = estimatePremiumLocally(coverageUsd, threshold);
-        const estimateWei = toUSDC(estimate);
+        const estimateWei = estimatePremiumLocally(toUSDC(coverageUsd), threshold);
 
         setQuote({
           loading: false,
-          amount: estimate,
+          amount: estimateWei === null ? null : fromUSDC(estimateWei),
           amountWei: estimateWei,
           error: null,
           isEstimate: true,
@@ -95,7 +98,9 @@ export function usePremium(coverageUsd: number, threshold: number = THRESHOLD_5)
 
 /**
  * Refresh the mock oracle timestamp (call once before buying, not on every keystroke).
- * Returns true if successful.
+ * Only re-stamps when the price is too stale for the contract to accept, so a
+ * running oracle relay (scripts/oracle-relay.js) keeps control of the price path.
+ * Returns true if the oracle is usable.
  */
 export async function refreshOracle(signer: any): Promise<boolean> {
   if (!signer || ORACLE_ADDRESS === "0x0000000000000000000000000000000000000000") {
@@ -103,9 +108,13 @@ export async function refreshOracle(signer: any): Promise<boolean> {
   }
   try {
     const oracle = new Contract(ORACLE_ADDRESS, MOCK_ORACLE_ABI, signer);
-    const currentPrice = await oracle.price();
     const block = await signer.provider?.getBlock("latest");
     const now = block?.timestamp ?? Math.floor(Date.now() / 1000);
+    const updatedAt = Number(await oracle.updatedAt());
+    // Leave headroom for the purchase tx landing a few blocks later
+    if (now - updatedAt < ORACLE_MAX_AGE - 3600) return true;
+
+    const currentPrice = await oracle.price();
     const tx = await oracle.update(currentPrice, now);
     await tx.wait();
     return true;
@@ -1,117 +1,126 @@
 "use client";
 
 import { useState, useEffect } from "react";
+import { calendar, nyse, type Calendar, type Gap } from "@hoodgap/sdk";
+import { useContract } from "./useContract";
+import { formatMarketTime } from "@/lib/formatting";
+import type { HoodGapContract } from "@/types/contracts";
+
+const DAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"];
 
 export interface SettlementTimeline {
   settlementWeek: number;
+  approvalWeek: number;
   targetClose: Date;
   targetOpen: Date;
+  failsafeAt: Date;
   daysUntilClose: number;
   hoursUntilClose: number;
   isGapActive: boolean;
   displayLabel: string;
   closeLabel: string;
   openLabel: string;
+  /** Close / open in New York time (EST or EDT), e.g. "4:00 PM EDT" */
+  closeMarketTime: string;
+  openMarketTime: string;
+  /** Exchange holidays the gap runs over, or its early close; null on a normal gap */
+  holidayLabel: string | null;
   loading: boolean;
 }
 
-// Mirrors HoodGapMath.sol logic strictly
-const REFERENCE_WEEK_TS = 1609770600;
-const WEEK_SECONDS = 604800;
-const DAY_SECONDS = 86400;
-const MARKET_CLOSE_OFFSET = 75600; // 21:00 UTC
-const MARKET_OPEN_OFFSET = 52200;  // 14:30 UTC
-
-function getWeekNumber(timestamp: number): number {
-  return Math.floor((timestamp - REFERENCE_WEEK_TS) / WEEK_SECONDS);
+/** "Today" / "Tomorrow" in the viewer's timezone, else null. */
+function relativeDay(date: Date): string | null {
+  const day = (offset: number) => new Date(Date.now() + offset * 86_400_000).toDateString();
+  if (date.toDateString() === day(0)) return "Today";
+  if (date.toDateString() === day(1)) return "Tomorrow";
+  return null;
 }
 
-function getMonday(weekNumber: number): number {
-  return REFERENCE_WEEK_TS + (weekNumber * WEEK_SECONDS);
-}
+/**
+ * The closures between a gap's close and the next open, or the close day's
+ * early close, as published on chain. Names come from the bundled NYSE table;
+ * a closure the guardian added that it doesn't list is still shown.
+ */
+function holidayLabel(market: Calendar, week: number, day: number, next: Gap): string | null {
+  const nameOf = (w: number, d: number, kind: "closed" | "early") =>
+    nyse.weekHolidays(w)[kind].find((h) => h.day === d)?.name;
+
+  // Every slot nextTradingDay stepped over is a published closed day
+  const skipped = new Set<string>();
+  for (let at = { week, day }; ; ) {
+    at = at.day === 4 ? { week: at.week + 1, day: 0 } : { week: at.week, day: at.day + 1 };
+    if (at.week === next.week && at.day === next.day) break;
+    skipped.add(nameOf(at.week, at.day, "closed") ?? `Market closed ${DAYS[at.day]}`);
+  }
+  if (skipped.size > 0) {
+    return `${[...skipped].join(", ")} — market closed, gap runs to ${DAYS[next.day]} open`;
+  }
 
-function getMarketClose(weekNumber: number, dayIndex: number): number {
-  const mondayMidnight = getMonday(weekNumber) - MARKET_OPEN_OFFSET;
-  return mondayMidnight + dayIndex * DAY_SECONDS + MARKET_CLOSE_OFFSET;
+  const early = calendar.unpackSchedule(market.scheduleOf(week)).early.includes(day);
+  return early ? `${nameOf(week, day, "early") ?? "Early close"} — early close at 1:00pm ET` : null;
 }
 
-function getNextMarketOpen(weekNumber: number, dayIndex: number): number {
-  if (dayIndex < 4) {
-    const mondayMidnight = getMonday(weekNumber) - MARKET_OPEN_OFFSET;
-    return mondayMidnight + (dayIndex + 1) * DAY_SECONDS + MARKET_OPEN_OFFSET;
-  } else {
-    return getMonday(weekNumber + 1);
+/**
+ * What the deployment has published around `now` — the schedule HoodGap settles
+ * against. Without a contract, or if the read fails, the plain EST grid the
+ * contract uses for unpublished weeks.
+ */
+async function deployedCalendar(hoodgap: HoodGapContract | null, now: number) {
+  if (!hoodgap) return calendar;
+  const week = calendar.getWeekNumber(now);
+  try {
+    return await calendar.loadCalendar(hoodgap, week - 1, week + 2);
+  } catch (err) {
+    console.error("Failed to load the market calendar:", err);
+    return calendar;
   }
 }
 
 export function useSettlementTimeline(): SettlementTimeline {
+  const { hoodgapReadOnly } = useContract();
   const [timeline, setTimeline] = useState<SettlementTimeline>({
     settlementWeek: 0,
+    approvalWeek: 0,
     targetClose: new Date(0),
     targetOpen: new Date(0),
+    failsafeAt: new Date(0),
     daysUntilClose: 0,
     hoursUntilClose: 0,
     isGapActive: false,
     displayLabel: "",
     closeLabel: "Close",
     openLabel: "Open",
+    closeMarketTime: "",
+    openMarketTime: "",
+    holidayLabel: null,
     loading: true,
   });
 
   useEffect(() => {
-    function calculate() {
+    let cancelled = false;
+
+    async function calculate() {
       const now = Math.floor(Date.now() / 1000);
-      const weekNumber = getWeekNumber(now);
-
-      let targetCloseTs = 0;
-      let targetOpenTs = 0;
-      let dayName = "";
-      let nextDayName = "";
-
-      const days = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"];
-      const nextDays = ["Tuesday", "Wednesday", "Thursday", "Friday", "Monday"];
-
-      for (let i = 0; i <= 4; i++) {
-        const gapOpen = getNextMarketOpen(weekNumber, i);
-        if (now < gapOpen) {
-          targetCloseTs = getMarketClose(weekNumber, i);
-          targetOpenTs = gapOpen;
-          dayName = days[i];
-          nextDayName = nextDays[i];
-          break;
-        }
-      }
-
-      const targetClose = new Date(targetCloseTs * 1000);
-      const targetOpen = new Date(targetOpenTs * 1000);
+      const market = await deployedCalendar(hoodgapReadOnly, now);
+      if (cancelled) return;
+      const gap = market.upcomingGap(now);
+
+      const next = market.nextTradingDay(gap.week, gap.day);
+      const dayName = DAYS[gap.day];
+      const nextDayName = DAYS[next.day];
+
+      const targetClose = new Date(gap.close * 1000);
+      const targetOpen = new Date(gap.open * 1000);
 
       const msUntilClose = targetClose.getTime() - Date.now();
-      const isGapActive = msUntilClose <= 0;
+      const isGapActive = gap.active;
       
       const daysUntilClose = Math.max(0, Math.ceil(msUntilClose / (1000 * 60 * 60 * 24)));
       const hoursUntilClose = Math.max(0, Math.ceil(msUntilClose / (1000 * 60 * 60)));
 
-      // If gap is tomorrow, say "Tomorrow" instead of "Tuesday"
-      const currentDayOpts: Intl.DateTimeFormatOptions = { weekday: 'long' };
-      const currentDayName = new Date().toLocaleDateString("en-US", currentDayOpts);
-      
-      let closeLabel = `${dayName} Close`;
-      let openLabel = `${nextDayName} Open`;
-      
-      if (dayName === currentDayName) {
-         closeLabel = `Today Close`;
-         openLabel = `Tomorrow Open`; 
-         if (dayName === "Friday") {
-            openLabel = `Monday Open`;
-         }
-      } else {
-         const tomorrow = new Date(Date.now() + 86400000).toLocaleDateString("en-US", currentDayOpts);
-         if (dayName === tomorrow) {
-            closeLabel = `Tomorrow Close`;
-            if (dayName === "Friday") openLabel = `Monday Open`;
-            else openLabel = `${nextDayName} Open`;
-         }
-      }
+      // If the close or open is today or tomorrow, say so instead of the weekday
+      const closeLabel = `${relativeDay(targetClose) ?? dayName} Close`;
+      const openLabel = `${relativeDay(targetOpen) ?? nextDayName} Open`;
 
       const dateOpts: Intl.DateTimeFormatOptions = { month: "short", day: "numeric" };
       const closeStr = targetClose.toLocaleDateString("en-US", dateOpts);
@@ -122,23 +131,31 @@ export function useSettlementTimeline(): SettlementTimeline {
         : `Upcoming Gap (${closeStr} – ${openStr})`;
 
       setTimeline({
-        settlementWeek: weekNumber,
+        settlementWeek: gap.week,
+        approvalWeek: gap.approvalWeek,
         targetClose,
         targetOpen,
+        failsafeAt: new Date(gap.failsafeAt * 1000),
         daysUntilClose,
         hoursUntilClose,
         isGapActive,
         displayLabel,
         closeLabel,
         openLabel,
+        closeMarketTime: formatMarketTime(targetClose),
+        openMarketTime: formatMarketTime(targetOpen),
+        holidayLabel: holidayLabel(market, gap.week, gap.day, next),
         loading: false,
       });
     }
 
     calculate();
     const interval = setInterval(calculate, 60_000);
-    return () => clearInterval(interval);
-  }, []);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [hoodgapReadOnly]);
 
   return timeline;
 }
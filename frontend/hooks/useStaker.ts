@@ -1,11 +1,21 @@
 "use client";
 
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useMemo } from "react";
 import { useContract } from "./useContract";
+import {
+  pricing,
+  createStakerHistory,
+  realizedApy,
+  APY_WINDOWS,
+  type HoodGapContract,
+  type RealizedApy,
+  type StakerHistoryLoader,
+  type StakerHistorySnapshot,
+} from "@hoodgap/sdk";
 import { useWeb3 } from "@/contexts/Web3Context";
 import { fromUSDC } from "@/lib/formatting";
 import { estimateQueueWait, calculateQueueProgress } from "@/lib/calculations";
-import { POLL_INTERVAL_MS } from "@/lib/constants";
+import { DEPLOY_BLOCK, LOG_BLOCK_RANGE, POLL_INTERVAL_MS } from "@/lib/constants";
 import type { PoolStats } from "@/types/contracts";
 
 export interface PoolStatsDisplay {
@@ -15,6 +25,8 @@ export interface PoolStatsDisplay {
   utilization: number;
   policyCount: number;
   freeLiquidity: number;
+  /** USDC per share: starts at 1, premiums raise it and payouts lower it */
+  sharePrice: number;
 }
 
 export function usePoolStats(): {
@@ -28,7 +40,10 @@ export function usePoolStats(): {
   const fetchStats = useCallback(async () => {
     if (!hoodgapReadOnly) return;
     try {
-      const raw = await hoodgapReadOnly.getPoolStats();
+      const [raw, totalShares] = await Promise.all([
+        hoodgapReadOnly.getPoolStats(),
+        hoodgapReadOnly.totalShares(),
+      ]);
       const totalStaked = fromUSDC(raw[0]);
       const totalCoverage = fromUSDC(raw[1]);
       const utilization = Number(raw[2]) / 100; // raw is basis points
@@ -40,6 +55,7 @@ export function usePoolStats(): {
         utilization,
         policyCount: Number(raw[5]),
         freeLiquidity: Math.max(0, totalStaked - totalCoverage),
+        sharePrice: pricing.sharePrice({ totalStaked: raw[0], totalShares }),
       });
     } catch (err) {
       console.error("Failed to fetch pool stats:", err);
@@ -65,7 +81,7 @@ export function usePoolStats(): {
   useEffect(() => {
     if (!hoodgapReadOnly) return;
 
-    const events = ["Staked", "PolicyPurchased", "WithdrawalQueued", "SettlementApproved"];
+    const events = ["Staked", "PolicyPurchased", "PolicySettled", "WithdrawalQueued", "SettlementApproved"];
     const handler = () => {
       // Small delay to let the chain state settle
       setTimeout(fetchStats, 1000);
@@ -91,6 +107,127 @@ export function usePoolStats(): {
   return { stats, loading };
 }
 
+// One history loader per contract and account, shared by useStakerPosition and
+// useStakerHistory: syncs only scan new blocks and are cached within a block
+const historyLoaders = new WeakMap<HoodGapContract, Map<string, StakerHistoryLoader>>();
+
+function useHistoryLoader(): StakerHistoryLoader | null {
+  const { hoodgapReadOnly } = useContract();
+  const { address } = useWeb3();
+
+  return useMemo(() => {
+    if (!hoodgapReadOnly || !address) return null;
+    let byAccount = historyLoaders.get(hoodgapReadOnly);
+    if (!byAccount) historyLoaders.set(hoodgapReadOnly, (byAccount = new Map()));
+    const key = address.toLowerCase();
+    let loader = byAccount.get(key);
+    if (!loader) {
+      loader = createStakerHistory(hoodgapReadOnly, address, { fromBlock: DEPLOY_BLOCK, blockRange: LOG_BLOCK_RANGE });
+      byAccount.set(key, loader);
+    }
+    return loader;
+  }, [hoodgapReadOnly, address]);
+}
+
+export interface StakerPositionDisplay {
+  /** Shares in the wallet's balance, excluding ones escrowed in queued requests */
+  shares: bigint;
+  queuedShares: bigint;
+  /** Value of all the staker's shares, queued ones included, at the current price */
+  value: number;
+  deposited: number;
+  withdrawn: number;
+  /** Premium yield earned less payouts absorbed: value + withdrawn − deposited */
+  accruedYield: number;
+}
+
+export function useStakerPosition(): {
+  position: StakerPositionDisplay | null;
+  loading: boolean;
+} {
+  const { hoodgapReadOnly } = useContract();
+  const { address } = useWeb3();
+  const loader = useHistoryLoader();
+  const [position, setPosition] = useState<StakerPositionDisplay | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchPosition = useCallback(async () => {
+    if (!hoodgapReadOnly || !address || !loader) {
+      setPosition(null);
+      setLoading(false);
+      return;
+    }
+    try {
+      // Deposits and withdrawals come from the cached history, not a full log scan
+      const [shares, requests, totalStaked, totalShares, history] = await Promise.all([
+        hoodgapReadOnly.stakerShares(address),
+        hoodgapReadOnly.getUserWithdrawals(address),
+        hoodgapReadOnly.totalStaked(),
+        hoodgapReadOnly.totalShares(),
+        loader.sync(),
+      ]);
+
+      const queuedShares = requests.reduce((sum, r) => (r.processed ? sum : sum + r.shares), 0n);
+      const value = fromUSDC(pricing.convertToAssets(shares + queuedShares, { totalStaked, totalShares }));
+      const deposited = fromUSDC(history.totals.deposited);
+      const withdrawn = fromUSDC(history.totals.withdrawn);
+      setPosition({ shares, queuedShares, value, deposited, withdrawn, accruedYield: value + withdrawn - deposited });
+    } catch (err) {
+      console.error("Failed to fetch staker position:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [hoodgapReadOnly, address, loader]);
+
+  useEffect(() => {
+    fetchPosition();
+    const interval = setInterval(fetchPosition, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchPosition]);
+
+  return { position, loading };
+}
+
+export function useStakerHistory(): {
+  history: StakerHistorySnapshot | null;
+  /** Realized APY over each of APY_WINDOWS, staker vs pool */
+  apy: RealizedApy[];
+  loading: boolean;
+} {
+  const loader = useHistoryLoader();
+  const [history, setHistory] = useState<StakerHistorySnapshot | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchHistory = useCallback(async () => {
+    if (!loader) {
+      setHistory(null);
+      setLoading(false);
+      return;
+    }
+    try {
+      setHistory(await loader.sync());
+    } catch (err) {
+      console.error("Failed to fetch staker history:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [loader]);
+
+  useEffect(() => {
+    fetchHistory();
+    const interval = setInterval(fetchHistory, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchHistory]);
+
+  const apy = useMemo(() => {
+    if (!history) return [];
+    const now = Math.floor(Date.now() / 1000);
+    return APY_WINDOWS.map((weeks) => realizedApy(history, weeks, now));
+  }, [history]);
+
+  return { history, apy, loading };
+}
+
 export interface QueueStatusDisplay {
   requestId: number;
   amount: number;
@@ -123,7 +260,16 @@ export function useQueueStatus(requestId: number): {
 
     async function fetchStatus() {
       try {
-        const request = await hoodgapReadOnly.withdrawalQueue(requestId);
+        // Independent reads go out together so the multicall runner batches them
+        const [request, head, poolStats, totalShares] = await Promise.all([
+          hoodgapReadOnly.withdrawalQueue(requestId),
+          hoodgapReadOnly.queueHead(),
+          hoodgapReadOnly.getPoolStats(),
+          hoodgapReadOnly.totalShares(),
+        ]);
+        // Queued shares are priced when processed; show them at today's price
+        const pool = { totalStaked: poolStats[0], totalShares };
+        const valueOf = (shares: bigint) => fromUSDC(pricing.convertToAssets(shares, pool));
         if (cancelled) return;
 
         if (request.processed) {
@@ -134,25 +280,28 @@ export function useQueueStatus(requestId: number): {
           return;
         }
 
-        const queueHead = Number(await hoodgapReadOnly.queueHead());
+        const queueHead = Number(head);
+        const ahead = await Promise.all(
+          Array.from({ length: Math.max(0, requestId - queueHead) }, (_, i) =>
+            hoodgapReadOnly.withdrawalQueue(queueHead + i)
+          )
+        );
 
         let position = 0;
         let dollarAhead = 0;
 
-        for (let i = queueHead; i < requestId; i++) {
-          const req = await hoodgapReadOnly.withdrawalQueue(i);
+        for (const req of ahead) {
           if (!req.processed) {
             position++;
-            dollarAhead += fromUSDC(req.amount);
+            dollarAhead += valueOf(req.shares);
           }
         }
 
-        const poolStats = await hoodgapReadOnly.getPoolStats();
         const totalStaked = fromUSDC(poolStats[0]);
         const totalCoverage = fromUSDC(poolStats[1]);
         const freeLiquidity = Math.max(0, totalStaked - totalCoverage);
 
-        const amount = fromUSDC(request.amount);
+        const amount = valueOf(request.shares);
         const shortfall = Math.max(0, dollarAhead + amount - freeLiquidity);
         const { days, settlements } = estimateQueueWait(shortfall);
         const progressPercent = calculateQueueProgress(dollarAhead, amount, freeLiquidity);
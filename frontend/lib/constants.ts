@@ -1,6 +1,10 @@
-import HoodGapArtifact from "@/abi/HoodGap.json";
-const HoodGapABI = HoodGapArtifact.abi;
-import ERC20ABI from "@/abi/ERC20.json";
+import {
+  HOODGAP_ABI as HoodGapABI,
+  ERC20_ABI as ERC20ABI,
+  MULTICALL3_ADDRESS,
+  USDC_DECIMALS,
+  calendar,
+} from "@hoodgap/sdk";
 
 export const HOODGAP_ADDRESS =
   process.env.NEXT_PUBLIC_HOODGAP_ADDRESS ?? "0x0000000000000000000000000000000000000000";
@@ -8,9 +12,15 @@ export const USDC_ADDRESS =
   process.env.NEXT_PUBLIC_USDC_ADDRESS ?? "0x0000000000000000000000000000000000000000";
 export const ORACLE_ADDRESS =
   process.env.NEXT_PUBLIC_ORACLE_ADDRESS ?? "0x0000000000000000000000000000000000000000";
+// Local deployments have their own; other chains use the canonical Multicall3
+export const MULTICALL_ADDRESS = process.env.NEXT_PUBLIC_MULTICALL_ADDRESS || MULTICALL3_ADDRESS;
 
 export const RPC_URL = process.env.NEXT_PUBLIC_RPC_URL ?? "https://rpc.testnet.chain.robinhood.com";
 export const CHAIN_ID = Number(process.env.NEXT_PUBLIC_CHAIN_ID ?? "46630");
+// First block worth scanning for HoodGap logs (portfolio loader)
+export const DEPLOY_BLOCK = Number(process.env.NEXT_PUBLIC_DEPLOY_BLOCK ?? "0");
+// Blocks per eth_getLogs call to start with; set it to the RPC's range limit
+export const LOG_BLOCK_RANGE = Number(process.env.NEXT_PUBLIC_LOG_BLOCK_RANGE ?? "2000");
 
 export const CHAIN_CONFIG = {
   31337: { name: "Hardhat Local", explorer: "" },
@@ -33,13 +43,14 @@ export const ROBINHOOD_TESTNET_PARAMS = {
   blockExplorerUrls: ["https://explorer.testnet.chain.robinhood.com"],
 };
 
-export { HoodGapABI, ERC20ABI };
+export { HoodGapABI, ERC20ABI, USDC_DECIMALS };
 
 // ─── Contract Constants ──────────────────────────────────────────
 export const MAX_POLICY_COVERAGE = 50_000;
-export const USDC_DECIMALS = 6;
-export const FAILSAFE_DELAY = 48 * 3600;
+export const FAILSAFE_DELAY = calendar.FAILSAFE_DELAY;
+export const ORACLE_MAX_AGE = 24 * 3600; // buyPolicy / mintGapPolicy staleness check
 export const MAX_QUEUE_PROCESS = 20;
+export const STAKE_COOLDOWN = 7 * 24 * 3600; // withdrawals open this long after the last stake
 
 // ─── Threshold Tiers ─────────────────────────────────────────────
 export const THRESHOLD_5 = 500;  // -5% gap
@@ -68,6 +79,6 @@ export const PLAN_OPTIONS = [
 ] as const;
 
 // ─── Timing ──────────────────────────────────────────────────────
-export const WEEK_SECONDS = 604_800;
+export const WEEK_SECONDS = calendar.WEEK_SECONDS;
 export const POLL_INTERVAL_MS = 15_000;
 export const PREMIUM_DEBOUNCE_MS = 500;
@@ -1,6 +1,9 @@
-import { formatUnits, parseUnits } from "ethers";
+import { formatUnits } from "ethers";
+import { nyse } from "@hoodgap/sdk";
 import { USDC_DECIMALS } from "./constants";
 
+export { toUSDC, fromUSDC } from "@hoodgap/sdk";
+
 export function formatUSD(amount: bigint | number, decimals = 2): string {
   const value =
     typeof amount === "bigint"
@@ -18,6 +21,11 @@ export function formatDollars(value: number): string {
   return `$${value.toLocaleString("en-US", { maximumFractionDigits: 0 })}`;
 }
 
+/** Oracle price (Chainlink, 8 decimals) in dollars */
+export function formatPrice(price: bigint): string {
+  return formatUSD(Number(formatUnits(price, 8)));
+}
+
 export function formatBPS(bps: bigint | number): string {
   const value = typeof bps === "bigint" ? Number(bps) : bps;
   return `${(value / 100).toFixed(2)}%`;
@@ -45,6 +53,16 @@ export function formatDateTime(date: Date): string {
   });
 }
 
+/** Exchange-local time, e.g. "9:30 AM EDT" — the session times as NYSE states them. */
+export function formatMarketTime(date: Date): string {
+  return date.toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone: nyse.TIME_ZONE,
+    timeZoneName: "short",
+  });
+}
+
 export function formatDuration(seconds: number): string {
   if (seconds <= 0) return "now";
   const days = Math.floor(seconds / 86400);
@@ -56,17 +74,6 @@ export function formatDuration(seconds: number): string {
   return `${minutes}m`;
 }
 
-export function toUSDC(amount: number): bigint {
-  // Truncate to 6 decimal places to avoid JS floating-point artifacts
-  // e.g. 10000.300000000001 → "10000.300000"
-  const truncated = amount.toFixed(USDC_DECIMALS);
-  return parseUnits(truncated, USDC_DECIMALS);
-}
-
-export function fromUSDC(amount: bigint): number {
-  return Number(formatUnits(amount, USDC_DECIMALS));
-}
-
 export function toBPS(percent: number): number {
   return percent * 100;
 }
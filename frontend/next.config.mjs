@@ -1,7 +1,14 @@
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
 
+  // @hoodgap/sdk is linked from ../packages/sdk and shipped as untranspiled CommonJS
+  transpilePackages: ["@hoodgap/sdk"],
+
   // Skip ESLint during build — ESLint 9 flat config is incompatible with Next.js 14's built-in runner
   eslint: {
     ignoreDuringBuilds: true,
@@ -14,6 +21,8 @@ const nextConfig = {
 
   webpack: (config) => {
     config.resolve.fallback = { fs: false, net: false, tls: false };
+    // The linked SDK would otherwise resolve ethers from the repo root — one copy only
+    config.resolve.alias = { ...config.resolve.alias, ethers$: require.resolve("ethers") };
     return config;
   },
 };
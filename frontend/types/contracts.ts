@@ -1,5 +1,3 @@
-import type { Contract } from "ethers";
-
 export interface PoolStats {
   totalStaked: bigint;
   totalCoverage: bigint;
@@ -10,7 +8,7 @@ export interface PoolStats {
 
 export interface WithdrawalRequest {
   staker: string;
-  amount: bigint;
+  shares: bigint;
   requestTime: bigint;
   processed: boolean;
 }
@@ -33,5 +31,5 @@ export interface BuyPolicyStatus {
   reason: string;
 }
 
-export type HoodGapContract = Contract;
-export type USDCContract = Contract;
+// Typed ethers wrappers from the shared SDK (connectHoodGap / connectUsdc)
+export type { HoodGapContract, UsdcContract as USDCContract } from "@hoodgap/sdk";
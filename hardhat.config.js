@@ -21,6 +21,9 @@ module.exports = {
   networks: {
     hardhat: {
       chainId: 31337,
+      // HoodGapHarness (tests only) adds views on top of HoodGap and passes the
+      // 24KB limit; FullLifecycle.test.js holds HoodGap itself to EIP-170
+      allowUnlimitedContractSize: true,
       forking: {
         url: process.env.ROBINHOOD_TESTNET_RPC || "",
         enabled: process.env.ENABLE_FORKING === "true",
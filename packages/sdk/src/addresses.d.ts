@@ -0,0 +1,23 @@
+export interface HoodGapAddresses {
+  hoodgap: string | null;
+  usdc: string | null;
+  oracle: string | null;
+  /** Multicall3; null on chains with the canonical deployment */
+  multicall: string | null;
+  rpcUrl: string | null;
+  chainId: number | null;
+  /** first block of the deployment — where log scans start */
+  deployBlock: number | null;
+}
+
+export declare const ENV_KEYS: Record<keyof HoodGapAddresses, string>;
+export declare const DEFAULT_ENV_FILE: string;
+
+export declare function parseEnv(text: string): Record<string, string>;
+export declare function addressesFromEnv(env: Record<string, string | undefined>): HoodGapAddresses;
+export declare function formatEnv(
+  addresses: { [K in keyof HoodGapAddresses]: string | number | null },
+  header?: string[],
+): string;
+/** Node only: reads frontend/.env.local unless `file` is given. */
+export declare function loadAddresses(file?: string): HoodGapAddresses;
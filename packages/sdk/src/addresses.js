@@ -0,0 +1,76 @@
+/**
+ * addresses.js — Contract addresses from frontend/.env.local
+ *
+ * scripts/frontend-env.js writes the active deployment into
+ * frontend/.env.local as NEXT_PUBLIC_* variables; the Next.js app reads them
+ * from process.env and Node code can load the same file with loadAddresses().
+ * formatEnv() and addressesFromEnv() are the writer and reader, so the
+ * variable names live in one place.
+ *
+ * Usage:
+ *   const { loadAddresses } = require("@hoodgap/sdk");
+ *   const { hoodgap, usdc, rpcUrl, chainId, deployBlock } = loadAddresses();   // frontend/.env.local
+ */
+
+const ENV_KEYS = {
+  hoodgap: "NEXT_PUBLIC_HOODGAP_ADDRESS",
+  usdc: "NEXT_PUBLIC_USDC_ADDRESS",
+  oracle: "NEXT_PUBLIC_ORACLE_ADDRESS",
+  multicall: "NEXT_PUBLIC_MULTICALL_ADDRESS",
+  rpcUrl: "NEXT_PUBLIC_RPC_URL",
+  chainId: "NEXT_PUBLIC_CHAIN_ID",
+  deployBlock: "NEXT_PUBLIC_DEPLOY_BLOCK",
+};
+
+// packages/sdk/src → repo root; only meaningful under Node
+const DEFAULT_ENV_FILE = `${__dirname}/../../../frontend/.env.local`;
+
+/** KEY=value lines → object (comments and blank lines skipped, quotes stripped). */
+function parseEnv(text) {
+  const env = {};
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/.exec(line);
+    if (!match) continue;
+    env[match[1]] = match[2].replace(/^(["'])(.*)\1$/, "$2");
+  }
+  return env;
+}
+
+/**
+ * Addresses out of a NEXT_PUBLIC_* env object; missing entries are null.
+ * @returns {{ hoodgap: string|null, usdc: string|null, oracle: string|null, multicall: string|null, rpcUrl: string|null, chainId: number|null, deployBlock: number|null }}
+ */
+function addressesFromEnv(env) {
+  const value = (key) => env[ENV_KEYS[key]] || null;
+  const number = (key) => (value(key) === null ? null : Number(value(key)));
+  return {
+    hoodgap: value("hoodgap"),
+    usdc: value("usdc"),
+    oracle: value("oracle"),
+    multicall: value("multicall"),
+    rpcUrl: value("rpcUrl"),
+    chainId: number("chainId"),
+    deployBlock: number("deployBlock"),
+  };
+}
+
+/** The .env.local body for a set of addresses, after optional `# comment` header lines; missing values are left empty. */
+function formatEnv({ hoodgap, usdc, oracle, multicall, rpcUrl, chainId, deployBlock }, header = []) {
+  const values = { hoodgap, usdc, oracle, multicall, rpcUrl, chainId, deployBlock };
+  return [
+    ...header.map((line) => `# ${line}`),
+    ...Object.entries(ENV_KEYS).map(([key, name]) => `${name}=${values[key] ?? ""}`),
+    "",
+  ].join("\n");
+}
+
+/** Read frontend/.env.local (or `file`). Node only. */
+function loadAddresses(file = DEFAULT_ENV_FILE) {
+  const fs = require("fs");
+  if (!fs.existsSync(file)) {
+    throw new Error(`${file} not found — run scripts/frontend-env.js to generate it`);
+  }
+  return addressesFromEnv(parseEnv(fs.readFileSync(file, "utf8")));
+}
+
+module.exports = { ENV_KEYS, DEFAULT_ENV_FILE, parseEnv, addressesFromEnv, formatEnv, loadAddresses };
@@ -0,0 +1,83 @@
+/** A gap: the close of trading day `day` (0=Mon … 4=Fri) in `week` until the next market open. */
+export interface Gap {
+  week: number;
+  day: number;
+}
+
+export interface UpcomingGap extends Gap {
+  close: number;
+  open: number;
+  approvalWeek: number;
+  failsafeAt: number;
+  /** the close has passed and the gap is open */
+  active: boolean;
+}
+
+export interface ScheduleDays {
+  closed?: number[];
+  early?: number[];
+  /** the week runs on EDT: opens and closes an hour earlier in UTC */
+  dst?: boolean;
+}
+
+/** week → packed schedule (HoodGap.marketCalendar layout); missing weeks are full weeks. */
+export type ScheduleSource = Map<number, number> | Record<number, number> | ((week: number) => number);
+
+export interface Calendar {
+  readonly REFERENCE_WEEK: number;
+  readonly WEEK_SECONDS: number;
+  readonly DAY_SECONDS: number;
+  readonly FAILSAFE_DELAY: number;
+  getWeekNumber(timestamp: number): number;
+  getMonday(week: number): number;
+  getFriday(week: number): number;
+  failsafeAt(week: number): number;
+  scheduleOf(week: number): number;
+  /** 3600 in EDT weeks, else 0 */
+  daylightSaving(week: number): number;
+  isTradingDay(week: number, day: number): boolean;
+  tradingDays(week: number): number[];
+  getMarketClose(week: number, day: number): number;
+  getMarketOpen(week: number, day: number): number;
+  /** the week trading is in: an EDT week starts at its 13:30 UTC Monday open */
+  tradingWeek(timestamp: number): number;
+  nextTradingDay(week: number, day: number): Gap;
+  getNextMarketOpen(week: number, day: number): number;
+  approvalWeek(week: number, day: number): number;
+  gapsApprovedBy(week: number): Gap[];
+  gapContaining(timestamp: number): Gap | null;
+  upcomingGap(timestamp: number): UpcomingGap;
+}
+
+export declare const REFERENCE_WEEK: number;
+export declare const WEEK_SECONDS: number;
+export declare const DAY_SECONDS: number;
+export declare const FAILSAFE_DELAY: number;
+
+export declare function getWeekNumber(timestamp: number): number;
+export declare function getMonday(week: number): number;
+export declare function getFriday(week: number): number;
+export declare function failsafeAt(week: number): number;
+export declare function scheduleOf(week: number): number;
+export declare function daylightSaving(week: number): number;
+export declare function isTradingDay(week: number, day: number): boolean;
+export declare function tradingDays(week: number): number[];
+export declare function getMarketClose(week: number, day: number): number;
+export declare function getMarketOpen(week: number, day: number): number;
+export declare function tradingWeek(timestamp: number): number;
+export declare function nextTradingDay(week: number, day: number): Gap;
+export declare function getNextMarketOpen(week: number, day: number): number;
+export declare function approvalWeek(week: number, day: number): number;
+export declare function gapsApprovedBy(week: number): Gap[];
+export declare function gapContaining(timestamp: number): Gap | null;
+export declare function upcomingGap(timestamp: number): UpcomingGap;
+
+export declare function packSchedule(days?: ScheduleDays): number;
+export declare function unpackSchedule(schedule: number): Required<ScheduleDays>;
+export declare function isValidSchedule(schedule: number): boolean;
+export declare function createCalendar(schedules?: ScheduleSource): Calendar;
+export declare function loadCalendar(
+  hoodgap: { marketCalendar(week: number): Promise<bigint> },
+  fromWeek: number,
+  toWeek: number,
+): Promise<Calendar>;
@@ -0,0 +1,271 @@
+/**
+ * calendar.js — HoodGapMath's market calendar in plain JavaScript
+ *
+ * Mirrors the week/day views in contracts/HoodGap.sol so scripts and the
+ * frontend can plan against the calendar without an RPC round-trip. This is
+ * the only JS copy of the calendar; test/unit/Calendar.test.js sweeps it
+ * against the contract's views (getMarketClose, getApprovalWeek,
+ * getFailsafeDeadline, …) over thousands of weeks, with and without a
+ * published holiday calendar. Timestamps are unix seconds as Numbers;
+ * (week, day) pairs follow the contract: day 0–4 = Monday–Friday, and a gap
+ * runs from a trading day's close to the next trading day's open.
+ *
+ * Holidays, early closes and daylight saving come from a week → packed
+ * schedule lookup, the same layout as HoodGap.marketCalendar (bit d = day d
+ * closed, bit 5 + d = day d closes at 1:00pm ET, bit 10 = the week runs on
+ * EDT and every open and close is an hour earlier in UTC). Week numbers keep
+ * the nominal Monday 14:30 UTC boundary all year; tradingWeek(timestamp) is
+ * the week trading is in, which under EDT starts at the 13:30 UTC open:
+ *
+ *   calendar                      no holidays — a deployment that has published nothing
+ *   createCalendar(schedules)     Map / object / function of week → schedule
+ *   await loadCalendar(hoodgap, fromWeek, toWeek)   what a deployment has published
+ *   nyse.calendar (./nyse)        the bundled NYSE holiday data
+ *
+ * Usage:
+ *   const { calendar } = require("@hoodgap/sdk");
+ *   const { week, day } = calendar.gapContaining(Date.parse("2022-08-25") / 1000);
+ *   const deadline = calendar.failsafeAt(calendar.approvalWeek(week, day));
+ */
+
+const REFERENCE_WEEK = 1609770600;
+const WEEK_SECONDS = 604800;
+const DAY_SECONDS = 86400;
+const MARKET_CLOSE_OFFSET = 75600;
+const EARLY_CLOSE_OFFSET = 64800;
+const MARKET_OPEN_OFFSET = 52200;
+const FAILSAFE_DELAY = 48 * 3600;
+
+const CLOSED_DAYS = 0x1f;
+const EARLY_CLOSE_SHIFT = 5;
+const DAYLIGHT_SAVING = 1 << 10;
+const DAYLIGHT_SAVING_OFFSET = 3600;
+
+function getWeekNumber(timestamp) {
+  if (timestamp < REFERENCE_WEEK) throw new Error(`${new Date(timestamp * 1000).toISOString()} is before the HoodGap reference week`);
+  return Math.floor((timestamp - REFERENCE_WEEK) / WEEK_SECONDS);
+}
+
+function getMonday(week) {
+  return REFERENCE_WEEK + week * WEEK_SECONDS;
+}
+
+/** Friday's nominal 4:00pm close, ignoring holidays — HoodGap.getFriday(week). */
+function getFriday(week) {
+  return getMonday(week) - MARKET_OPEN_OFFSET + 4 * DAY_SECONDS + MARKET_CLOSE_OFFSET;
+}
+
+/** When canSettle() stops waiting for the guardian and defaults to 1.0x — HoodGap.getFailsafeDeadline. */
+function failsafeAt(week) {
+  return getMonday(week) + FAILSAFE_DELAY;
+}
+
+function requireDay(day) {
+  if (!Number.isInteger(day) || day < 0 || day > 4) throw new Error("dayIndex must be 0-4");
+}
+
+// ── Schedules ─────────────────────────────────────────────────────────
+
+/** { closed: [days], early: [days], dst } → the packed uint HoodGap.publishMarketCalendar takes. */
+function packSchedule({ closed = [], early = [], dst = false } = {}) {
+  let schedule = dst ? DAYLIGHT_SAVING : 0;
+  for (const day of closed) {
+    requireDay(day);
+    schedule |= 1 << day;
+  }
+  for (const day of early) {
+    requireDay(day);
+    schedule |= 1 << (EARLY_CLOSE_SHIFT + day);
+  }
+  if (!isValidSchedule(schedule)) throw new Error(`Invalid market schedule: closed [${closed}], early [${early}]`);
+  return schedule;
+}
+
+function unpackSchedule(schedule) {
+  const days = (shift) => [0, 1, 2, 3, 4].filter((day) => (schedule >> (shift + day)) & 1);
+  return { closed: days(0), early: days(EARLY_CLOSE_SHIFT), dst: (schedule & DAYLIGHT_SAVING) !== 0 };
+}
+
+/** HoodGapMath.isValidSchedule: known bits, at least one session, no closed day closing early. */
+function isValidSchedule(schedule) {
+  return (
+    Number.isInteger(schedule) &&
+    schedule >= 0 &&
+    schedule < DAYLIGHT_SAVING << 1 &&
+    (schedule & CLOSED_DAYS) !== CLOSED_DAYS &&
+    (schedule & (schedule >> EARLY_CLOSE_SHIFT) & CLOSED_DAYS) === 0
+  );
+}
+
+function scheduleLookup(schedules) {
+  if (typeof schedules === "function") return schedules;
+  if (schedules instanceof Map) return (week) => schedules.get(week) ?? 0;
+  return (week) => schedules[week] ?? 0;
+}
+
+// ── Calendar ──────────────────────────────────────────────────────────
+
+/**
+ * A calendar over the given week → packed schedule lookup (Map, plain object
+ * or function; missing weeks are five full sessions). It has the whole
+ * calendar API, so it can stand in for the module's default one.
+ */
+function createCalendar(schedules = {}) {
+  const scheduleOf = scheduleLookup(schedules);
+
+  function isTradingDay(week, day) {
+    requireDay(day);
+    return ((scheduleOf(week) >> day) & 1) === 0;
+  }
+
+  /** Trading days of a week, in order. */
+  function tradingDays(week) {
+    return [0, 1, 2, 3, 4].filter((day) => isTradingDay(week, day));
+  }
+
+  /** Seconds the week's sessions run ahead of EST in UTC terms — HoodGapMath.daylightSaving. */
+  function daylightSaving(week) {
+    return scheduleOf(week) & DAYLIGHT_SAVING ? DAYLIGHT_SAVING_OFFSET : 0;
+  }
+
+  function getMarketClose(week, day) {
+    requireDay(day);
+    const early = (scheduleOf(week) >> (EARLY_CLOSE_SHIFT + day)) & 1;
+    const close = getMonday(week) - MARKET_OPEN_OFFSET + day * DAY_SECONDS + (early ? EARLY_CLOSE_OFFSET : MARKET_CLOSE_OFFSET);
+    return close - daylightSaving(week);
+  }
+
+  function getMarketOpen(week, day) {
+    requireDay(day);
+    return getMonday(week) + day * DAY_SECONDS - daylightSaving(week);
+  }
+
+  /**
+   * Week trading is in at `timestamp` — HoodGap.getCurrentSettlementWeek.
+   * getWeekNumber, except that an EDT week already starts at its 13:30 UTC
+   * Monday open.
+   */
+  function tradingWeek(timestamp) {
+    const week = getWeekNumber(timestamp);
+    return timestamp >= getMarketOpen(week + 1, 0) ? week + 1 : week;
+  }
+
+  /** First trading day after (week, day) — HoodGap._nextTradingDay. */
+  function nextTradingDay(week, day) {
+    requireDay(day);
+    do {
+      if (day === 4) {
+        week += 1;
+        day = 0;
+      } else {
+        day += 1;
+      }
+    } while (!isTradingDay(week, day));
+    return { week, day };
+  }
+
+  function getNextMarketOpen(week, day) {
+    const next = nextTradingDay(week, day);
+    return getMarketOpen(next.week, next.day);
+  }
+
+  /** Week whose approval settles gap (week, day): the week of its next open — HoodGap.getApprovalWeek. */
+  function approvalWeek(week, day) {
+    return nextTradingDay(week, day).week;
+  }
+
+  /** The gaps that share one approval week (and therefore one split ratio). */
+  function gapsApprovedBy(week) {
+    return [week - 1, week]
+      .filter((w) => w >= 0)
+      .flatMap((w) => tradingDays(w).map((day) => ({ week: w, day })))
+      .filter((gap) => approvalWeek(gap.week, gap.day) === week);
+  }
+
+  /**
+   * The gap whose window (close, next open] contains `timestamp`, or null when
+   * it falls inside a trading session. Holidays are inside the gap before them.
+   */
+  function gapContaining(timestamp) {
+    const week = getWeekNumber(timestamp);
+    for (const w of [week - 1, week]) {
+      if (w < 0) continue;
+      for (const day of tradingDays(w)) {
+        if (getMarketClose(w, day) < timestamp && timestamp <= getNextMarketOpen(w, day)) return { week: w, day };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The gap a countdown should show at `timestamp`: the first gap, from the
+   * last one of the previous week on, whose next open is still ahead.
+   * `active` once its close has passed. Next week's gaps are candidates too:
+   * under EDT Monday opens an hour before the nominal week boundary.
+   * @returns {{ week: number, day: number, close: number, open: number, approvalWeek: number, failsafeAt: number, active: boolean }}
+   */
+  function upcomingGap(timestamp) {
+    const week = getWeekNumber(timestamp);
+    const candidates = [week, week + 1].flatMap((w) => tradingDays(w).map((day) => ({ week: w, day })));
+    if (week > 0) candidates.unshift({ week: week - 1, day: tradingDays(week - 1).pop() });
+
+    for (const { week: w, day } of candidates) {
+      const next = nextTradingDay(w, day);
+      const open = getMarketOpen(next.week, next.day);
+      if (timestamp >= open) continue;
+      const close = getMarketClose(w, day);
+      return { week: w, day, close, open, approvalWeek: next.week, failsafeAt: failsafeAt(next.week), active: timestamp >= close };
+    }
+    throw new Error("unreachable: next week's last gap opens after it");
+  }
+
+  return {
+    REFERENCE_WEEK,
+    WEEK_SECONDS,
+    DAY_SECONDS,
+    FAILSAFE_DELAY,
+    getWeekNumber,
+    getMonday,
+    getFriday,
+    failsafeAt,
+    scheduleOf,
+    daylightSaving,
+    isTradingDay,
+    tradingDays,
+    getMarketClose,
+    getMarketOpen,
+    tradingWeek,
+    nextTradingDay,
+    getNextMarketOpen,
+    approvalWeek,
+    gapsApprovedBy,
+    gapContaining,
+    upcomingGap,
+  };
+}
+
+/**
+ * The calendar a deployment has published for weeks fromWeek…toWeek
+ * (inclusive). Asking about a week outside that range throws rather than
+ * guessing; a gap's next open can be one week past its close.
+ */
+async function loadCalendar(hoodgap, fromWeek, toWeek) {
+  const weeks = [];
+  for (let week = Math.max(0, fromWeek); week <= toWeek; week++) weeks.push(week);
+  const schedules = await Promise.all(weeks.map((week) => hoodgap.marketCalendar(week)));
+  const loaded = new Map(weeks.map((week, i) => [week, Number(schedules[i])]));
+
+  return createCalendar((week) => {
+    if (!loaded.has(week)) throw new Error(`Market schedule for week ${week} not loaded (have ${fromWeek}–${toWeek})`);
+    return loaded.get(week);
+  });
+}
+
+module.exports = {
+  ...createCalendar(),
+  packSchedule,
+  unpackSchedule,
+  isValidSchedule,
+  createCalendar,
+  loadCalendar,
+};
@@ -0,0 +1,183 @@
+import type {
+  AddressLike,
+  BaseContractMethod,
+  BigNumberish,
+  Contract,
+  ContractRunner,
+  ContractTransactionResponse,
+  InterfaceAbi,
+} from "ethers";
+
+type View<A extends unknown[], R> = BaseContractMethod<A, R, R>;
+type Send<A extends unknown[], R = void> = BaseContractMethod<A, R, ContractTransactionResponse>;
+
+/** Contract structs come back as ethers Results: readable by index and by name. */
+type Struct<T extends unknown[], N> = T & N;
+
+export interface Policy {
+  holder: string;
+  coverage: bigint;
+  threshold: bigint;
+  premium: bigint;
+  purchaseTime: bigint;
+  closePrice: bigint;
+  gapWeek: bigint;
+  gapDay: bigint;
+  settled: boolean;
+  paidOut: boolean;
+}
+export type PolicyResult = Struct<
+  [string, bigint, bigint, bigint, bigint, bigint, bigint, bigint, boolean, boolean],
+  Policy
+>;
+
+export interface Subscription {
+  owner: string;
+  coverage: bigint;
+  threshold: bigint;
+  premiumPerWeek: bigint;
+  startWeek: bigint;
+  totalWeeks: bigint;
+  gapsMinted: bigint;
+}
+export type SubscriptionResult = Struct<[string, bigint, bigint, bigint, bigint, bigint, bigint], Subscription>;
+
+export interface WithdrawalRequest {
+  staker: string;
+  /** Escrowed shares, priced when the request is processed */
+  shares: bigint;
+  requestTime: bigint;
+  processed: boolean;
+}
+export type WithdrawalRequestResult = Struct<[string, bigint, bigint, boolean], WithdrawalRequest>;
+
+export type PoolStatsResult = Struct<
+  [bigint, bigint, bigint, bigint, bigint, bigint],
+  {
+    _totalStaked: bigint;
+    _totalCoverage: bigint;
+    _utilization: bigint;
+    _reserveBalance: bigint;
+    _blackSwanReserve: bigint;
+    _activePolicies: bigint;
+  }
+>;
+
+export type QueueStatsResult = Struct<
+  [bigint, bigint, bigint, bigint, bigint],
+  { head: bigint; pending: bigint; dollarAhead: bigint; freeLiquidity: bigint }
+>;
+
+export type CanSettleResult = Struct<[boolean, bigint, string], { allowed: boolean; splitRatio: bigint; reason: string }>;
+export type CanBuyPolicyResult = Struct<
+  [boolean, string, bigint],
+  { canBuy: boolean; reason: string; estimatedPremium: bigint }
+>;
+
+/** HoodGap's protocol surface; anything else (ERC-721 plumbing, events) stays untyped. */
+export interface HoodGapContract extends Contract {
+  // pool & staking
+  totalStaked: View<[], bigint>;
+  totalCoverage: View<[], bigint>;
+  reserveBalance: View<[], bigint>;
+  blackSwanReserve: View<[], bigint>;
+  currentVolatility: View<[], bigint>;
+  totalShares: View<[], bigint>;
+  stakerShares: View<[staker: AddressLike], bigint>;
+  /** Bumped each time shares left over an emptied pool are written off */
+  shareEpoch: View<[], bigint>;
+  /** Requests queued before the last write-off redeem nothing */
+  firstLiveRequest: View<[], bigint>;
+  /** The staker's last deposit; requestWithdrawal opens STAKE_COOLDOWN later */
+  lastStakeTime: View<[staker: AddressLike], bigint>;
+  /** The staker's shares at the current share price */
+  stakerBalances: View<[staker: AddressLike], bigint>;
+  convertToShares: View<[assets: BigNumberish], bigint>;
+  convertToAssets: View<[shares: BigNumberish], bigint>;
+  getPoolStats: View<[], PoolStatsResult>;
+  getCurrentUtilization: View<[], bigint>;
+  stake: Send<[amount: BigNumberish]>;
+  requestWithdrawal: Send<[shares: BigNumberish]>;
+  cancelWithdrawalRequest: Send<[requestId: BigNumberish]>;
+  processWithdrawalQueue: Send<[maxToProcess: BigNumberish]>;
+
+  // withdrawal queue
+  queueHead: View<[], bigint>;
+  withdrawalQueue: View<[requestId: BigNumberish], WithdrawalRequestResult>;
+  userWithdrawalRequests: View<[user: AddressLike, index: BigNumberish], bigint>;
+  getUserWithdrawals: View<[user: AddressLike], WithdrawalRequestResult[]>;
+  getQueueStats: View<[], QueueStatsResult>;
+
+  // pricing
+  "calculatePremium(uint256,uint256)": View<[coverage: BigNumberish, threshold: BigNumberish], bigint>;
+  "calculatePremium(uint256)": View<[coverage: BigNumberish], bigint>;
+  getUtilizationMultiplier: View<[newCoverage: BigNumberish], bigint>;
+  getVolatilityMultiplier: View<[], bigint>;
+  getTierRate: View<[threshold: BigNumberish], bigint>;
+  calculateGap: View<[priceA: BigNumberish, priceB: BigNumberish], bigint>;
+  canBuyPolicy: View<[user: AddressLike, coverage: BigNumberish, threshold: BigNumberish], CanBuyPolicyResult>;
+
+  // policies & subscriptions
+  nextPolicyId: View<[], bigint>;
+  nextSubscriptionId: View<[], bigint>;
+  policies: View<[policyId: BigNumberish], PolicyResult>;
+  getPolicies: View<[policyIds: BigNumberish[]], PolicyResult[]>;
+  policySubscriptionId: View<[policyId: BigNumberish], bigint>;
+  subscriptions: View<[subId: BigNumberish], SubscriptionResult>;
+  getSubscription: View<[subId: BigNumberish], SubscriptionResult>;
+  ownerOf: View<[policyId: BigNumberish], string>;
+  "buyPolicy(uint256,uint256)": Send<[coverage: BigNumberish, threshold: BigNumberish], bigint>;
+  "buyPolicy(uint256,uint256,uint256,uint256)": Send<
+    [coverage: BigNumberish, threshold: BigNumberish, gapWeek: BigNumberish, gapDay: BigNumberish],
+    bigint
+  >;
+  buySubscription: Send<[coverage: BigNumberish, threshold: BigNumberish, numWeeks: BigNumberish], bigint>;
+  mintGapPolicy: Send<[subId: BigNumberish]>;
+  mintAllAvailableGaps: Send<[subId: BigNumberish]>;
+  transferFrom: Send<[from: AddressLike, to: AddressLike, policyId: BigNumberish]>;
+
+  // calendar & settlement
+  /** Chainlink-style feed read at purchase and settlement */
+  priceOracle: View<[], string>;
+  getWeekNumber: View<[timestamp: BigNumberish], bigint>;
+  getMonday: View<[week: BigNumberish], bigint>;
+  getMarketClose: View<[week: BigNumberish, day: BigNumberish], bigint>;
+  getNextMarketOpen: View<[week: BigNumberish, day: BigNumberish], bigint>;
+  getApprovalWeek: View<[week: BigNumberish, day: BigNumberish], bigint>;
+  getFailsafeDeadline: View<[week: BigNumberish], bigint>;
+  /** Packed week schedule: bit d = day d closed, bit 5 + d = day d closes at 1:00pm ET, bit 10 = EDT week */
+  marketCalendar: View<[week: BigNumberish], bigint>;
+  getCurrentSettlementWeek: View<[], bigint>;
+  canSettle: View<[week: BigNumberish], CanSettleResult>;
+  settlementApproved: View<[week: BigNumberish], boolean>;
+  settlementApprovedTime: View<[week: BigNumberish], bigint>;
+  splitRatios: View<[week: BigNumberish], bigint>;
+  settlePolicy: Send<[policyId: BigNumberish]>;
+
+  // guardian
+  owner: View<[], string>;
+  paused: View<[], boolean>;
+  treasury: View<[], string>;
+  approveSettlement: Send<[week: BigNumberish, splitRatio: BigNumberish, reason: string]>;
+  publishMarketCalendar: Send<[weekNumbers: BigNumberish[], schedules: BigNumberish[]]>;
+  queueVolatilityChange: Send<[newVolatility: BigNumberish, reason: string]>;
+  executeVolatilityChange: Send<[]>;
+  cancelVolatilityChange: Send<[]>;
+  pause: Send<[]>;
+  unpause: Send<[]>;
+  setTreasury: Send<[newTreasury: AddressLike]>;
+}
+
+export interface UsdcContract extends Contract {
+  balanceOf: View<[account: AddressLike], bigint>;
+  allowance: View<[owner: AddressLike, spender: AddressLike], bigint>;
+  decimals: View<[], bigint>;
+  approve: Send<[spender: AddressLike, amount: BigNumberish], boolean>;
+  transfer: Send<[to: AddressLike, amount: BigNumberish], boolean>;
+}
+
+export declare const HOODGAP_ABI: InterfaceAbi;
+export declare const ERC20_ABI: InterfaceAbi;
+
+export declare function connectHoodGap(address: string, runner?: ContractRunner | null): HoodGapContract;
+export declare function connectUsdc(address: string, runner?: ContractRunner | null): UsdcContract;
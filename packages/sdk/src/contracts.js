@@ -0,0 +1,30 @@
+/**
+ * contracts.js — HoodGap / USDC ABIs and typed ethers v6 wrappers
+ *
+ * abi/HoodGap.json is the compiled HoodGap ABI (refresh with
+ * `npm run sdk:abi` after changing the contract; SDK.test.js fails when it
+ * drifts). connectHoodGap() returns a plain ethers Contract whose methods are
+ * typed in contracts.d.ts.
+ *
+ * Usage:
+ *   const { connectHoodGap, connectUsdc } = require("@hoodgap/sdk");
+ *   const hoodgap = connectHoodGap(addresses.hoodgap, provider);
+ *   const weekly = await hoodgap["calculatePremium(uint256,uint256)"](coverage, 500n);
+ */
+
+const { Contract } = require("ethers");
+
+const HOODGAP_ABI = require("../abi/HoodGap.json");
+const ERC20_ABI = require("../abi/ERC20.json");
+
+/** HoodGap at `address`, connected to a provider (reads) or signer (writes). */
+function connectHoodGap(address, runner) {
+  return new Contract(address, HOODGAP_ABI, runner);
+}
+
+/** The USDC token (any ERC-20) at `address`. */
+function connectUsdc(address, runner) {
+  return new Contract(address, ERC20_ABI, runner);
+}
+
+module.exports = { HOODGAP_ABI, ERC20_ABI, connectHoodGap, connectUsdc };
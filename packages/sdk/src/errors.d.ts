@@ -0,0 +1,4 @@
+export declare const REVERT_MESSAGES: Record<string, string>;
+
+export declare function revertReason(err: unknown): string;
+export declare function friendlyError(err: unknown): string;
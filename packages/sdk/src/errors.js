@@ -0,0 +1,70 @@
+/**
+ * errors.js — Revert reasons and user-facing error messages
+ *
+ * revertReason() digs the require() string out of whatever ethers, a wallet
+ * or the hardhat node threw. friendlyError() maps it to the sentence the
+ * frontend shows; REVERT_MESSAGES is keyed by the exact strings in
+ * HoodGap.sol / HoodGapMath.sol.
+ *
+ * Usage:
+ *   const { revertReason, friendlyError } = require("@hoodgap/sdk");
+ *   catch (err) { console.error(revertReason(err)); toast(friendlyError(err)); }
+ */
+
+const REVERT_MESSAGES = {
+  "Amount must be > 0": "Enter an amount greater than zero",
+  "Insufficient staker balance": "You don't have enough staked to withdraw this amount",
+  "Stake cooldown active": "Deposits can be withdrawn 7 days after your last stake",
+  "Insufficient pool liquidity": "Not enough liquidity in the pool — reduce coverage or wait for more stakers",
+  "Pool liquidity exhausted": "Not enough liquidity in the pool — reduce coverage or wait for more stakers",
+  "USDC transfer failed": "USDC transfer failed — check your balance and approval",
+  "Invalid coverage": "Coverage must be between $1 and $50,000",
+  "Invalid coverage amount": "Coverage must be between $1 and $50,000",
+  "Contract is paused": "The protocol is currently paused for maintenance",
+  "Oracle price too stale": "Price feed is outdated — try again shortly",
+  "Oracle not updated since market open": "Waiting for the price feed to report the market open",
+  "Too early to settle": "This gap has not reached the next market open yet",
+  "Awaiting guardian approval or 48h failsafe": "Settlement is waiting for guardian approval or the 48h failsafe",
+  "Policy already settled": "This policy has already been settled",
+  "Market not closed yet for this gap": "The market has not closed for this gap yet",
+  "Market closed that day": "The exchange is closed that day — pick another trading day",
+  "Not your request": "That withdrawal request belongs to another staker",
+  "Already processed": "That withdrawal request has already been processed",
+  "Transfer fee payment failed": "Transferring a policy needs USDC approval for the 5% transfer fee",
+};
+
+/** Best-effort revert reason from an ethers v6 error. */
+function revertReason(err) {
+  const revert = err?.revert;
+  if (revert?.name === "Error") return revert.args[0];
+  if (revert?.name) return `${revert.name}(${revert.args.join(", ")})`;
+  const message = err?.reason ?? err?.shortMessage ?? err?.message ?? String(err);
+  // Hardhat node wraps require() messages in its own VM exception text
+  const reasonString = /reverted with reason string '(.*)'/.exec(message);
+  return reasonString ? reasonString[1] : message;
+}
+
+/** Wallet / RPC / contract error → short message for the UI. */
+function friendlyError(err) {
+  const reason = revertReason(err) || "Transaction failed";
+  const raw = `${reason} ${err?.message ?? ""}`;
+
+  if (err?.code === "ACTION_REJECTED" || raw.includes("user rejected") || raw.includes("ACTION_REJECTED")) {
+    return "Transaction cancelled by user";
+  }
+  if (REVERT_MESSAGES[reason]) return REVERT_MESSAGES[reason];
+  if (raw.includes("insufficient funds") || raw.includes("INSUFFICIENT_FUNDS")) return "Not enough ETH for gas fees";
+  if (raw.includes("NUMERIC_FAULT") || raw.includes("too many decimals")) return "Invalid amount — try a round dollar value";
+
+  // Reasons wrapped in longer provider messages
+  for (const [key, friendly] of Object.entries(REVERT_MESSAGES)) {
+    if (raw.includes(key)) return friendly;
+  }
+  if (raw.includes("cannot estimate gas") || raw.includes("UNPREDICTABLE_GAS_LIMIT")) {
+    return "Transaction would fail — check your balance and inputs";
+  }
+
+  return reason.length > 120 ? reason.slice(0, 117) + "..." : reason;
+}
+
+module.exports = { REVERT_MESSAGES, revertReason, friendlyError };
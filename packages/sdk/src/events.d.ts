@@ -0,0 +1,13 @@
+import type { Interface, Log, Result } from "ethers";
+
+export interface DecodedEvent {
+  name: string;
+  args: Result;
+  log: Log;
+}
+
+type EventSource = { interface: Interface; target?: unknown; address?: unknown };
+type Logs = { logs: readonly Log[] } | readonly Log[] | null | undefined;
+
+export declare function decodeEvents(contract: EventSource, receiptOrLogs: Logs, name?: string): DecodedEvent[];
+export declare function findEvent(contract: EventSource, receiptOrLogs: Logs, name: string): Result | null;
@@ -0,0 +1,53 @@
+/**
+ * events.js — Decode HoodGap events from receipts and log lists
+ *
+ * Only logs emitted by the contract itself are decoded. USDC's
+ * Transfer(address,address,uint256) has the same topic as the policy NFT's
+ * ERC-721 Transfer, so parsing every log in a purchase receipt with the
+ * HoodGap interface either throws or returns a bogus "Transfer".
+ *
+ * Usage:
+ *   const { decodeEvents, findEvent } = require("@hoodgap/sdk");
+ *   const receipt = await (await hoodgap.buyPolicy(coverage, 500n)).wait();
+ *   const { policyId } = findEvent(hoodgap, receipt, "PolicyPurchased");
+ */
+
+/** Address a contract was attached at (ethers v6 `target`, or `address`). */
+function contractAddress(contract) {
+  const target = contract.target ?? contract.address;
+  return typeof target === "string" ? target.toLowerCase() : null;
+}
+
+/**
+ * Decode a contract's events out of a receipt or log array.
+ * @param {{ interface, target }} contract ethers Contract (or { interface, target })
+ * @param {{ logs: object[] } | object[]} receiptOrLogs
+ * @param {string} [name] only events with this name
+ * @returns {{ name: string, args: object, log: object }[]}
+ */
+function decodeEvents(contract, receiptOrLogs, name) {
+  const logs = Array.isArray(receiptOrLogs) ? receiptOrLogs : (receiptOrLogs?.logs ?? []);
+  const address = contractAddress(contract);
+  const events = [];
+
+  for (const log of logs) {
+    if (address && log.address?.toLowerCase() !== address) continue;
+    let parsed = null;
+    try {
+      parsed = contract.interface.parseLog(log);
+    } catch {
+      // not one of this contract's events
+    }
+    if (!parsed || (name && parsed.name !== name)) continue;
+    events.push({ name: parsed.name, args: parsed.args, log });
+  }
+  return events;
+}
+
+/** Args of the first `name` event in a receipt, or null. */
+function findEvent(contract, receiptOrLogs, name) {
+  const [event] = decodeEvents(contract, receiptOrLogs, name);
+  return event ? event.args : null;
+}
+
+module.exports = { decodeEvents, findEvent };
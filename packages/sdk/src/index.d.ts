@@ -0,0 +1,15 @@
+export * as calendar from "./calendar";
+export * as nyse from "./nyse";
+export * as pricing from "./pricing";
+export * from "./units";
+export * from "./errors";
+export * from "./events";
+export * from "./contracts";
+export * from "./multicall";
+export * from "./addresses";
+export * from "./portfolio";
+export * from "./staker-history";
+export * from "./policy-detail";
+export type { Calendar, Gap, UpcomingGap } from "./calendar";
+export type { MarketHoliday, WeekHolidays } from "./nyse";
+export type { PoolState, SharePool, PremiumAllocation, TriggerPrices } from "./pricing";
@@ -0,0 +1,37 @@
+/**
+ * @hoodgap/sdk — shared HoodGap helpers for scripts, tests and the frontend
+ *
+ *   calendar   HoodGapMath week/day calendar (namespace)
+ *   nyse       NYSE holidays / early closes as week schedules (namespace)
+ *   pricing    exact BigInt premium / gap / payout mirror (namespace)
+ *   units      toUSDC, fromUSDC, formatUSDC
+ *   errors     revertReason, friendlyError
+ *   events     decodeEvents, findEvent
+ *   contracts  HOODGAP_ABI, ERC20_ABI, connectHoodGap, connectUsdc
+ *   multicall  createMulticallRunner — batched, block-cached reads
+ *   addresses  loadAddresses, addressesFromEnv, formatEnv
+ *   portfolio  createPortfolio — a holder's policies from Transfer logs
+ *   staker-history  createStakerHistory, realizedApy — a staker's P&L from pool events
+ *   policy-detail   createPolicyDetail, loadPolicyDetail, policyPhase — one policy's window, approval and history
+ *
+ * Each module is also importable on its own, e.g. require("@hoodgap/sdk/calendar").
+ */
+
+const calendar = require("./calendar");
+const nyse = require("./nyse");
+const pricing = require("./pricing");
+
+module.exports = {
+  calendar,
+  nyse,
+  pricing,
+  ...require("./units"),
+  ...require("./errors"),
+  ...require("./events"),
+  ...require("./contracts"),
+  ...require("./multicall"),
+  ...require("./addresses"),
+  ...require("./portfolio"),
+  ...require("./staker-history"),
+  ...require("./policy-detail"),
+};
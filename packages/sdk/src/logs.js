@@ -0,0 +1,60 @@
+/**
+ * logs.js — getLogs over long block ranges (used by portfolio, staker-history and policy-detail)
+ *
+ * Public RPCs cap the block range or the number of results per eth_getLogs
+ * call. getLogsInRange() walks from…to in chunks of `blockRange` blocks,
+ * halves the chunk whenever the RPC rejects one and doubles it back toward
+ * `blockRange` after GROW_AFTER chunks in a row succeed, so a sparse stretch
+ * after a busy one is not read in tiny chunks. A chunk that still fails at
+ * `minBlockRange` blocks rethrows the RPC's error: past that point it is not
+ * a range limit.
+ */
+
+const DEFAULT_BLOCK_RANGE = 2000;
+const DEFAULT_MIN_BLOCK_RANGE = 10;
+const GROW_AFTER = 4;
+
+/**
+ * Every log matching `filter` ({ address, topics }) in blocks from…to, in order.
+ * @param {object} provider ethers Provider
+ * @param {{ address: string, topics: Array }} filter
+ * @param {number} from
+ * @param {number} to
+ * @param {{ blockRange?: number, minBlockRange?: number }} [options]
+ *   blockRange: blocks per getLogs call to start with; minBlockRange: the
+ *   smallest chunk halving may reach
+ */
+async function getLogsInRange(provider, filter, from, to, options = {}) {
+  const { blockRange = DEFAULT_BLOCK_RANGE, minBlockRange = Math.min(DEFAULT_MIN_BLOCK_RANGE, blockRange) } = options;
+  if (!(blockRange >= 1 && minBlockRange >= 1 && minBlockRange <= blockRange)) {
+    throw new Error(`Invalid getLogs block range ${minBlockRange}–${blockRange}`);
+  }
+
+  const logs = [];
+  let range = blockRange;
+  let streak = 0;
+  while (from <= to) {
+    const end = Math.min(from + range - 1, to);
+    try {
+      logs.push(...(await provider.getLogs({ ...filter, fromBlock: from, toBlock: end })));
+    } catch (err) {
+      // Providers cap range size or result count; shrink and retry down to the floor
+      if (range <= minBlockRange) throw err;
+      range = Math.max(minBlockRange, Math.floor(range / 2));
+      streak = 0;
+      continue;
+    }
+    from = end + 1;
+    if (++streak >= GROW_AFTER && range < blockRange) {
+      range = Math.min(blockRange, range * 2);
+      streak = 0;
+    }
+  }
+  return logs;
+}
+
+function byLogPosition(a, b) {
+  return a.blockNumber - b.blockNumber || a.index - b.index;
+}
+
+module.exports = { DEFAULT_BLOCK_RANGE, DEFAULT_MIN_BLOCK_RANGE, getLogsInRange, byLogPosition };
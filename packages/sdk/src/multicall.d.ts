@@ -0,0 +1,33 @@
+import type { ContractRunner, Provider, TransactionRequest } from "ethers";
+
+export interface MulticallOptions {
+  /** Multicall3 address (default: the canonical MULTICALL3_ADDRESS) */
+  multicall?: string;
+  /** ms to collect reads before sending (default 0 — one tick) */
+  wait?: number;
+  /** reads per aggregate3 call (default 100) */
+  maxCalls?: number;
+}
+
+export interface MulticallStats {
+  /** reads requested through the runner */
+  reads: number;
+  /** aggregate3 calls sent */
+  batches: number;
+  /** eth_calls made, aggregate or direct */
+  calls: number;
+}
+
+export interface MulticallRunner extends ContractRunner {
+  readonly provider: Provider;
+  readonly multicall: string;
+  call(tx: TransactionRequest): Promise<string>;
+  readonly stats: MulticallStats;
+  /** Forget cached results, e.g. right after sending a transaction. */
+  clear(): void;
+}
+
+export declare const MULTICALL3_ADDRESS: string;
+export declare const MULTICALL3_ABI: string[];
+
+export declare function createMulticallRunner(provider: Provider, options?: MulticallOptions): MulticallRunner;
@@ -0,0 +1,180 @@
+/**
+ * multicall.js — Batch contract reads through Multicall3
+ *
+ * createMulticallRunner() wraps a provider in an ethers ContractRunner for
+ * read-only contracts. Reads issued in the same tick are merged into one
+ * Multicall3.aggregate3 eth_call pinned to the current block, identical
+ * reads are sent once, and results are cached by block: every contract
+ * connected to the same runner shares the cache until the chain moves on.
+ * Each read still resolves or reverts on its own — a failing call rejects
+ * with the same CALL_EXCEPTION a direct eth_call would, so revert reasons
+ * decode as usual. If the aggregate call itself fails (no Multicall3 at the
+ * address, a gas cap) the batch falls back to one eth_call per read.
+ *
+ * Multicall3 is predeployed at MULTICALL3_ADDRESS on most chains; deploy.js
+ * deploys contracts/mocks/Multicall3.sol on hardhat and localhost.
+ *
+ * Usage:
+ *   const { createMulticallRunner, connectHoodGap } = require("@hoodgap/sdk");
+ *   const runner = createMulticallRunner(provider, { multicall: addresses.multicall });
+ *   const hoodgap = connectHoodGap(addresses.hoodgap, runner);
+ *   const [staked, stats] = await Promise.all([hoodgap.totalStaked(), hoodgap.getPoolStats()]); // one eth_call
+ */
+
+const { Interface, makeError } = require("ethers");
+
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+];
+const DEFAULT_MAX_CALLS = 100;
+
+const multicallInterface = new Interface(MULTICALL3_ABI);
+
+/** Only plain reads batch; anything with a sender, value or gas goes straight to the provider. */
+function isBatchable(tx) {
+  return tx.to && !tx.from && !tx.value && !tx.gasLimit && !tx.enableCcipRead;
+}
+
+function callException(tx, data) {
+  return makeError("execution reverted", "CALL_EXCEPTION", {
+    action: "call",
+    data,
+    reason: null,
+    transaction: { to: tx.to, data: tx.data },
+    invocation: null,
+    revert: null,
+  });
+}
+
+/**
+ * A ContractRunner that batches `call`s to `provider` through Multicall3.
+ * @param {object} provider ethers Provider
+ * @param {{ multicall?: string, wait?: number, maxCalls?: number }} [options]
+ *   multicall: Multicall3 address; wait: ms to collect reads before sending
+ *   (default 0 — one tick); maxCalls: reads per aggregate3 call
+ */
+function createMulticallRunner(provider, options = {}) {
+  const { multicall = MULTICALL3_ADDRESS, wait = 0, maxCalls = DEFAULT_MAX_CALLS } = options;
+
+  let queue = new Map(); // blockTag → Map(key → { tx, waiters })
+  let timer = null;
+  let head = -1;
+  const cache = new Map(); // `${block}:${key}` → Promise<string>
+  const stats = { reads: 0, batches: 0, calls: 0 };
+
+  // ── Cache ─────────────────────────────────────────────────────────────
+
+  /** Drop results from blocks before the new head. */
+  function advance(block) {
+    if (block <= head) return;
+    head = block;
+    for (const [entry, result] of cache) {
+      if (result.block < head) cache.delete(entry);
+    }
+  }
+
+  function remember(block, key, promise) {
+    promise.block = block;
+    cache.set(`${block}:${key}`, promise);
+    // A failed read is retried next time rather than cached
+    promise.catch(() => cache.delete(`${block}:${key}`));
+    return promise;
+  }
+
+  // ── Sending ───────────────────────────────────────────────────────────
+
+  async function aggregate(reads, blockTag) {
+    stats.batches++;
+    stats.calls++;
+    const data = multicallInterface.encodeFunctionData("aggregate3", [
+      reads.map(({ tx }) => ({ target: tx.to, allowFailure: true, callData: tx.data })),
+    ]);
+    const result = await provider.call({ to: multicall, data, blockTag });
+    const [results] = multicallInterface.decodeFunctionResult("aggregate3", result);
+    return results.map(({ success, returnData }, i) =>
+      success ? Promise.resolve(returnData) : Promise.reject(callException(reads[i].tx, returnData)),
+    );
+  }
+
+  /** One eth_call per read — the fallback when aggregate3 is unavailable. */
+  function individually(reads, blockTag) {
+    stats.calls += reads.length;
+    return reads.map(({ tx }) => provider.call({ to: tx.to, data: tx.data, blockTag }));
+  }
+
+  async function send(blockTag, reads) {
+    let block = blockTag;
+    if (block === "latest") {
+      block = await provider.getBlockNumber();
+      advance(block);
+    }
+
+    const pending = [];
+    for (const read of reads) {
+      const cached = cache.get(`${block}:${read.key}`);
+      if (cached) read.waiters.forEach(({ resolve, reject }) => cached.then(resolve, reject));
+      else pending.push(read);
+    }
+
+    for (let i = 0; i < pending.length; i += maxCalls) {
+      const chunk = pending.slice(i, i + maxCalls);
+      let results;
+      try {
+        results = chunk.length === 1 ? individually(chunk, block) : await aggregate(chunk, block);
+      } catch {
+        results = individually(chunk, block);
+      }
+      chunk.forEach((read, j) => {
+        const result = remember(block, read.key, results[j]);
+        read.waiters.forEach(({ resolve, reject }) => result.then(resolve, reject));
+      });
+    }
+  }
+
+  function flush() {
+    const batches = queue;
+    queue = new Map();
+    timer = null;
+    for (const [blockTag, reads] of batches) {
+      send(blockTag, [...reads.values()]).catch((err) => {
+        for (const read of reads.values()) read.waiters.forEach(({ reject }) => reject(err));
+      });
+    }
+  }
+
+  // ── Runner ────────────────────────────────────────────────────────────
+
+  /** ContractRunner.call: queued for the next batch. */
+  function call(tx) {
+    stats.reads++;
+    const blockTag = tx.blockTag ?? "latest";
+    if (!isBatchable(tx) || (blockTag !== "latest" && typeof blockTag !== "number")) {
+      stats.calls++;
+      return provider.call(tx);
+    }
+
+    const key = `${tx.to.toLowerCase()}:${tx.data}`;
+    return new Promise((resolve, reject) => {
+      if (!queue.has(blockTag)) queue.set(blockTag, new Map());
+      const reads = queue.get(blockTag);
+      if (!reads.has(key)) reads.set(key, { key, tx, waiters: [] });
+      reads.get(key).waiters.push({ resolve, reject });
+      if (!timer) timer = setTimeout(flush, wait);
+    });
+  }
+
+  return {
+    provider,
+    multicall,
+    call,
+    /** Counters: reads requested, aggregate3 batches sent, eth_calls made. */
+    stats,
+    /** Forget cached results, e.g. right after sending a transaction. */
+    clear() {
+      cache.clear();
+    },
+  };
+}
+
+module.exports = { MULTICALL3_ADDRESS, MULTICALL3_ABI, createMulticallRunner };
@@ -0,0 +1,32 @@
+import type { Calendar, Gap } from "./calendar";
+
+export interface MarketHoliday {
+  day: number;
+  /** YYYY-MM-DD */
+  date: string;
+  name: string;
+}
+
+export interface WeekHolidays {
+  closed: MarketHoliday[];
+  early: MarketHoliday[];
+}
+
+export interface WeekSchedule extends WeekHolidays {
+  week: number;
+  schedule: number;
+  /** the week runs on EDT */
+  dst: boolean;
+}
+
+export declare const EXCHANGE: string;
+/** "America/New_York" */
+export declare const TIME_ZONE: string;
+export declare const FIRST_YEAR: number;
+export declare const LAST_YEAR: number;
+export declare function sessionOf(date: string): Gap;
+export declare function isDaylightSaving(week: number): boolean;
+export declare function scheduleOf(week: number): number;
+export declare function weekHolidays(week: number): WeekHolidays;
+export declare function weekSchedules(year: number): WeekSchedule[];
+export declare const calendar: Calendar;
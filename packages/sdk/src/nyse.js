@@ -0,0 +1,97 @@
+/**
+ * nyse.js — NYSE holidays, early closes and daylight saving as HoodGap week schedules
+ *
+ * data/nyse.json lists the exchange's full-day closures and 1:00pm early
+ * closes by date; whether a week runs on EDT comes from the America/New_York
+ * zone of the runtime's time-zone database (Intl). This module maps them onto
+ * HoodGap (week, day) pairs and packs them the way
+ * HoodGap.publishMarketCalendar expects. deploy.js publishes the deployment
+ * year and the next; the guardian publishes later years with
+ * `guardian-operations.js publish-calendar`. `nyse.calendar` is what a
+ * deployment will have once a year is published — the frontend reads the
+ * published weeks instead. Weeks outside data.years have no holidays but keep daylight saving.
+ *
+ * Usage:
+ *   const { nyse } = require("@hoodgap/sdk");
+ *   nyse.calendar.upcomingGap(Date.now() / 1000);   // stretches across holidays
+ *   nyse.weekSchedules(2027);                        // [{ week, schedule, closed, early, dst }]
+ */
+
+const data = require("../data/nyse.json");
+const { createCalendar, getWeekNumber, getMonday, packSchedule, REFERENCE_WEEK, DAY_SECONDS } = require("./calendar");
+
+const [FIRST_YEAR, LAST_YEAR] = data.years;
+const TIME_ZONE = "America/New_York";
+const ZONE_OFFSET = new Intl.DateTimeFormat("en-US", { timeZone: TIME_ZONE, timeZoneName: "shortOffset" });
+
+/** "2026-11-26" → { week, day } of that session. */
+function sessionOf(date) {
+  const open = Date.parse(`${date}T14:30:00Z`) / 1000;
+  if (Number.isNaN(open)) throw new Error(`Invalid date "${date}"`);
+  const week = getWeekNumber(open);
+  const day = (open - getMonday(week)) / DAY_SECONDS;
+  if (day > 4) throw new Error(`${date} is a weekend`);
+  return { week, day };
+}
+
+/** week → { closed: [{ day, date, name }], early: [...] } for every week with an entry. */
+const WEEKS = new Map();
+for (const [kind, entries] of [["closed", data.holidays], ["early", data.earlyCloses]]) {
+  for (const [date, name] of Object.entries(entries)) {
+    const { week, day } = sessionOf(date);
+    if (!WEEKS.has(week)) WEEKS.set(week, { closed: [], early: [] });
+    WEEKS.get(week)[kind].push({ day, date, name });
+  }
+}
+
+/** New York is on EDT during the week — it switches on Sundays, so Monday's nominal open decides. */
+function isDaylightSaving(week) {
+  const zone = ZONE_OFFSET.formatToParts(new Date(getMonday(week) * 1000)).find((part) => part.type === "timeZoneName");
+  return zone.value === "GMT-4";
+}
+
+function scheduleOf(week) {
+  const { closed, early } = weekHolidays(week);
+  return packSchedule({ closed: closed.map((h) => h.day), early: early.map((h) => h.day), dst: isDaylightSaving(week) });
+}
+
+/** Holidays and early closes in a week, for labels. */
+function weekHolidays(week) {
+  return WEEKS.get(week) ?? { closed: [], early: [] };
+}
+
+/**
+ * What to publish for `year`: EDT weeks starting that year and weeks with a
+ * holiday or early close dated in it.
+ */
+function weekSchedules(year) {
+  if (year < FIRST_YEAR || year > LAST_YEAR) {
+    throw new Error(`No NYSE calendar for ${year} (data/nyse.json covers ${FIRST_YEAR}–${LAST_YEAR})`);
+  }
+  const inYear = (date) => date.startsWith(`${year}-`);
+  const weeks = [];
+  const first = Math.max(0, getWeekNumber(Math.max(REFERENCE_WEEK, Date.UTC(year, 0, 1) / 1000)) - 1);
+  const last = getWeekNumber(Date.UTC(year + 1, 0, 1) / 1000);
+  for (let week = first; week <= last; week++) {
+    const { closed, early } = weekHolidays(week);
+    const dst = isDaylightSaving(week);
+    const monday = new Date(getMonday(week) * 1000).toISOString();
+    if ((dst && inYear(monday)) || [...closed, ...early].some((h) => inYear(h.date))) {
+      weeks.push({ week, schedule: scheduleOf(week), closed, early, dst });
+    }
+  }
+  return weeks;
+}
+
+module.exports = {
+  EXCHANGE: data.exchange,
+  TIME_ZONE,
+  FIRST_YEAR,
+  LAST_YEAR,
+  sessionOf,
+  isDaylightSaving,
+  scheduleOf,
+  weekHolidays,
+  weekSchedules,
+  calendar: createCalendar(scheduleOf),
+};
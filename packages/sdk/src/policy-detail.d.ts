@@ -0,0 +1,83 @@
+import type { InterfaceAbi } from "ethers";
+import type { HoodGapContract, PolicyResult, SubscriptionResult } from "./contracts";
+import type { TriggerPrices } from "./pricing";
+
+export type PolicyPhase = "open" | "gap" | "awaiting-approval" | "awaiting-oracle" | "settleable" | "settled";
+
+export interface LoggedAt {
+  blockNumber: number;
+  /** block timestamp, seconds */
+  timestamp: number;
+  txHash: string;
+}
+
+export interface PolicyTransfer extends LoggedAt {
+  /** the zero address for the mint */
+  from: string;
+  to: string;
+  /** transfer fee paid to the reserve; 0 for the mint */
+  fee: bigint;
+}
+
+export interface PolicySettlement extends LoggedAt {
+  openPrice: bigint;
+  adjustedClose: bigint;
+  /** basis points */
+  gap: bigint;
+  paidOut: boolean;
+  payout: bigint;
+  payoutTxHash: string | null;
+}
+
+export interface PolicyDetail {
+  id: number;
+  policy: PolicyResult;
+  /** current owner of the NFT; policy.holder is the original buyer */
+  holder: string;
+  /** the PolicyPurchased that created it — a subscription's gap mint emits one too */
+  purchase: (LoggedAt & { buyer: string }) | null;
+  /** mint first, then every transfer */
+  transfers: PolicyTransfer[];
+  subscriptionId: number | null;
+  subscription: SubscriptionResult | null;
+  /** seconds */
+  window: { close: number; open: number; approvalWeek: number; failsafeAt: number };
+  approval: { allowed: boolean; approved: boolean; splitRatio: bigint; reason: string };
+  /** latest oracle round; null when the feed can't be read */
+  oracle: { price: bigint; updatedAt: number } | null;
+  /** at the approved split ratio, or 1.0x until settlement is allowed */
+  trigger: TriggerPrices;
+  settlement: PolicySettlement | null;
+}
+
+export interface PolicyDetailOptions {
+  /** first block to scan — the deployment block (default 0) */
+  fromBlock?: number;
+  /** blocks per getLogs call to start with, halved when the RPC rejects a range (default 2000) */
+  blockRange?: number;
+  /** smallest chunk halving may reach; a chunk failing at it rethrows the RPC error (default 10) */
+  minBlockRange?: number;
+}
+
+export interface PolicyDetailLoader {
+  readonly policyId: number;
+  readonly blockNumber: number;
+  /** Read the policy and scan new blocks for its logs; null when it was never minted. Cached within a block. */
+  sync(): Promise<PolicyDetail | null>;
+  /** Forget the scanned logs, e.g. after a reorg; the next sync rescans from `fromBlock`. */
+  reset(): void;
+}
+
+export declare const ORACLE_ABI: InterfaceAbi;
+
+export declare function policyPhase(detail: PolicyDetail, now: number): PolicyPhase;
+export declare function createPolicyDetail(
+  hoodgap: HoodGapContract,
+  policyId: number | bigint,
+  options?: PolicyDetailOptions,
+): PolicyDetailLoader;
+export declare function loadPolicyDetail(
+  hoodgap: HoodGapContract,
+  policyId: number | bigint,
+  options?: PolicyDetailOptions,
+): Promise<PolicyDetail | null>;
@@ -0,0 +1,217 @@
+/**
+ * policy-detail.js — Everything about one policy, for a page anyone can open
+ *
+ * loadPolicyDetail() needs only a read-only contract: the policy struct and
+ * its current owner, the gap window and the approval week's canSettle(), the
+ * oracle's latest round and the prices a gap would pay at, plus the policy's
+ * own logs — Transfers (with their PolicyTransferred fee), the purchase or
+ * GapPolicyMinted that created it, and PolicySettled / PolicyPaidOut. The
+ * policy ID is an indexed topic on all of them, so three getLogs queries
+ * cover the lot without scanning anyone else's events. An ID at or past
+ * nextPolicyId returns null before any of them run.
+ *
+ * createPolicyDetail() keeps those logs between calls the way a portfolio
+ * does: sync() only scans new blocks, for a page that polls one policy.
+ *
+ * policyPhase() turns a loaded detail into where the policy stands at a given
+ * time, so a page can tick its countdowns without reloading.
+ *
+ * Usage:
+ *   const { loadPolicyDetail, policyPhase } = require("@hoodgap/sdk");
+ *   const detail = await loadPolicyDetail(hoodgap, 42, { fromBlock: deployBlock });
+ *   const loader = createPolicyDetail(hoodgap, 42, { fromBlock: deployBlock });
+ *   await loader.sync();  // again on every poll
+ *   policyPhase(detail, Date.now() / 1000);  // "gap" | "awaiting-approval" | …
+ */
+
+const { Contract, toBeHex, zeroPadValue } = require("ethers");
+const { triggerPrices } = require("./pricing");
+const { DEFAULT_BLOCK_RANGE, getLogsInRange, byLogPosition } = require("./logs");
+
+const ORACLE_ABI = [
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+/**
+ * Where a policy stands at `now` (seconds):
+ *   open               before its market close — coverage has not started
+ *   gap                market closed, the gap is running
+ *   awaiting-approval  opened, but no guardian approval and the failsafe has not passed
+ *   awaiting-oracle    settleable once the oracle reports a price from after the open
+ *   settleable         settlePolicy() would go through
+ *   settled
+ */
+function policyPhase(detail, now) {
+  const { policy, window, approval, oracle } = detail;
+  if (policy.settled) return "settled";
+  if (now < window.close) return "open";
+  if (now < window.open) return "gap";
+  if (!approval.allowed && now < window.failsafeAt) return "awaiting-approval";
+  if (!oracle || oracle.updatedAt < window.open) return "awaiting-oracle";
+  return "settleable";
+}
+
+/**
+ * One policy on a connected HoodGap contract, kept up to date: sync() only
+ * scans blocks since the last sync for the policy's logs, and checks the ID
+ * exists before scanning anything.
+ * @param {object} hoodgap ethers Contract whose runner has a provider
+ * @param {number | bigint} policyId
+ * @param {{ fromBlock?: number, blockRange?: number, minBlockRange?: number }} [options]
+ */
+function createPolicyDetail(hoodgap, policyId, options = {}) {
+  const { fromBlock = 0, blockRange = DEFAULT_BLOCK_RANGE, minBlockRange } = options;
+  const provider = hoodgap.runner?.provider ?? hoodgap.runner;
+  if (!provider?.getLogs) throw new Error("createPolicyDetail needs a contract connected to a provider");
+
+  const id = BigInt(policyId);
+  const idTopic = zeroPadValue(toBeHex(id), 32);
+  const topic = (name) => hoodgap.interface.getEvent(name).topicHash;
+  const address = hoodgap.target;
+  const queries = [
+    [topic("Transfer"), null, null, idTopic],
+    [[topic("PolicyPurchased"), topic("GapPolicyMinted")], null, idTopic],
+    [[topic("PolicyTransferred"), topic("PolicySettled"), topic("PolicyPaidOut")], idTopic],
+  ];
+
+  let state;
+  let pending = null;
+
+  function reset() {
+    state = { syncedTo: fromBlock - 1, events: [], timestamps: new Map(), detail: null };
+  }
+  reset();
+
+  async function scan(from, to) {
+    const found = await Promise.all(
+      queries.map((topics) => getLogsInRange(provider, { address, topics }, from, to, { blockRange, minBlockRange })),
+    );
+    const events = found.flat().sort(byLogPosition).map((log) => ({ log, ...hoodgap.interface.parseLog(log) }));
+
+    const missing = [...new Set(events.map(({ log }) => log.blockNumber))].filter((n) => !state.timestamps.has(n));
+    const blocks = await Promise.all(missing.map((n) => provider.getBlock(n)));
+    blocks.forEach((block, i) => state.timestamps.set(missing[i], block.timestamp));
+
+    state.events.push(...events);
+  }
+
+  async function run() {
+    const [head, nextPolicyId, policy] = await Promise.all([
+      provider.getBlockNumber(),
+      hoodgap.nextPolicyId(),
+      hoodgap.policies(id),
+    ]);
+    if (id >= nextPolicyId) return null;
+    if (state.detail && head <= state.syncedTo) return state.detail;
+
+    const [oracleAddress] = await Promise.all([
+      hoodgap.priceOracle(),
+      head > state.syncedTo ? scan(state.syncedTo + 1, head) : null,
+    ]);
+    state.syncedTo = Math.max(state.syncedTo, head);
+    state.detail = await describe(policy, oracleAddress);
+    return state.detail;
+  }
+
+  async function describe(policy, oracleAddress) {
+    const { events, timestamps } = state;
+    const at = ({ blockNumber, transactionHash }) => ({
+      blockNumber,
+      timestamp: timestamps.get(blockNumber),
+      txHash: transactionHash,
+    });
+    const named = (name) => events.filter((e) => e.name === name);
+
+    const fees = new Map(named("PolicyTransferred").map(({ log, args }) => [log.transactionHash, args.fee]));
+    const transfers = named("Transfer").map(({ log, args }) => ({
+      from: args.from,
+      to: args.to,
+      fee: fees.get(log.transactionHash) ?? 0n,
+      ...at(log),
+    }));
+    const purchase = named("PolicyPurchased")[0];
+    const minted = named("GapPolicyMinted")[0];
+    const settled = named("PolicySettled")[0];
+    const paidOut = named("PolicyPaidOut")[0];
+
+    const oracle = new Contract(oracleAddress, ORACLE_ABI, hoodgap.runner);
+    const [holder, close, open, approvalWeek, round, subscription] = await Promise.all([
+      hoodgap.ownerOf(id),
+      hoodgap.getMarketClose(policy.gapWeek, policy.gapDay),
+      hoodgap.getNextMarketOpen(policy.gapWeek, policy.gapDay),
+      hoodgap.getApprovalWeek(policy.gapWeek, policy.gapDay),
+      oracle.latestRoundData().catch(() => null),
+      minted ? hoodgap.getSubscription(minted.args.subId) : null,
+    ]);
+    const [failsafeAt, canSettle, approved] = await Promise.all([
+      hoodgap.getFailsafeDeadline(approvalWeek),
+      hoodgap.canSettle(approvalWeek),
+      hoodgap.settlementApproved(approvalWeek),
+    ]);
+
+    // Until a split is approved (or the failsafe passes) settlement would use 1.0x
+    const splitRatio = canSettle.allowed ? canSettle.splitRatio : 10000n;
+
+    return {
+      id: Number(id),
+      policy,
+      holder,
+      purchase: purchase ? { buyer: purchase.args.buyer, ...at(purchase.log) } : null,
+      transfers,
+      subscriptionId: minted ? Number(minted.args.subId) : null,
+      subscription,
+      window: {
+        close: Number(close),
+        open: Number(open),
+        approvalWeek: Number(approvalWeek),
+        failsafeAt: Number(failsafeAt),
+      },
+      approval: {
+        allowed: canSettle.allowed,
+        approved,
+        splitRatio: canSettle.splitRatio,
+        reason: canSettle.reason,
+      },
+      oracle: round ? { price: round.answer, updatedAt: Number(round.updatedAt) } : null,
+      trigger: triggerPrices(policy.closePrice, policy.threshold, splitRatio),
+      settlement: settled
+        ? {
+            openPrice: settled.args.openPrice,
+            adjustedClose: settled.args.adjustedClose,
+            gap: settled.args.gap,
+            paidOut: settled.args.paidOut,
+            payout: paidOut ? paidOut.args.amount : 0n,
+            payoutTxHash: paidOut ? paidOut.log.transactionHash : null,
+            ...at(settled.log),
+          }
+        : null,
+    };
+  }
+
+  /** The policy as of the latest block, or null when it was never minted; cached within a block. */
+  function sync() {
+    if (!pending) pending = run().finally(() => (pending = null));
+    return pending;
+  }
+
+  return {
+    policyId: Number(id),
+    sync,
+    reset,
+    get blockNumber() {
+      return state.syncedTo;
+    },
+  };
+}
+
+/**
+ * One policy with its history, or null when `policyId` was never minted.
+ * @param {object} hoodgap ethers Contract whose runner has a provider
+ * @param {number | bigint} policyId
+ * @param {{ fromBlock?: number, blockRange?: number, minBlockRange?: number }} [options]
+ */
+function loadPolicyDetail(hoodgap, policyId, options = {}) {
+  return createPolicyDetail(hoodgap, policyId, options).sync();
+}
+
+module.exports = { ORACLE_ABI, policyPhase, createPolicyDetail, loadPolicyDetail };
@@ -0,0 +1,43 @@
+import type { HoodGapContract, PolicyResult, SubscriptionResult } from "./contracts";
+
+export interface PortfolioOptions {
+  /** first block to scan — the deployment block (default 0) */
+  fromBlock?: number;
+  /** blocks per getLogs call to start with, halved when the RPC rejects a range (default 2000) */
+  blockRange?: number;
+  /** smallest chunk halving may reach; a chunk failing at it rethrows the RPC error (default 10) */
+  minBlockRange?: number;
+  /** policy IDs per getPolicies call and per mint lookup (default 100) */
+  batchSize?: number;
+}
+
+export interface PortfolioPolicy {
+  id: number;
+  policy: PolicyResult;
+  /** null for a one-off policy */
+  subscriptionId: number | null;
+  subscription: SubscriptionResult | null;
+}
+
+export interface PortfolioSnapshot {
+  /** last block the snapshot covers */
+  blockNumber: number;
+  holder: string;
+  /** policies the holder owns, by ID */
+  policies: PortfolioPolicy[];
+}
+
+export interface Portfolio {
+  readonly holder: string;
+  readonly blockNumber: number;
+  /** Scan new blocks and re-read changed or unsettled policies; cached within a block. */
+  sync(): Promise<PortfolioSnapshot>;
+  /** Forget everything, e.g. after a reorg; the next sync rescans from `fromBlock`. */
+  reset(): void;
+}
+
+export declare const DEFAULT_BLOCK_RANGE: number;
+export declare const DEFAULT_MIN_BLOCK_RANGE: number;
+export declare const DEFAULT_BATCH_SIZE: number;
+
+export declare function createPortfolio(hoodgap: HoodGapContract, holder: string, options?: PortfolioOptions): Portfolio;
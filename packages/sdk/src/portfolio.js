@@ -0,0 +1,183 @@
+/**
+ * portfolio.js — A holder's policy NFTs from logs, enriched in batches
+ *
+ * Scanning ownerOf(0…nextPolicyId) costs one RPC call per policy ever sold.
+ * A portfolio instead follows the ERC-721 Transfer logs to and from the
+ * holder (a purchase or subscription mint is a Transfer from address 0, so
+ * PolicyPurchased needs no query of its own), then reads the policies it owns
+ * through getPolicies(uint256[]) in batches. GapPolicyMinted logs say which
+ * policies belong to a subscription: policySubscriptionId() returns 0 for
+ * both one-off policies and subscription 0. They are fetched by the indexed
+ * policyId of each newly received token, in the mint's block when the holder
+ * received the mint itself, so the rest of the protocol's mints are never
+ * downloaded.
+ *
+ * sync() only looks at blocks it has not seen, and only re-reads policies
+ * that changed hands or are still unsettled; settled policies and
+ * subscription terms never change. Calling it again within the same block
+ * returns the cached snapshot, and concurrent calls share one round-trip.
+ * Reorgs are not tracked — reset() and sync again after one.
+ *
+ * Usage:
+ *   const { createPortfolio } = require("@hoodgap/sdk");
+ *   const portfolio = createPortfolio(hoodgap, account, { fromBlock: deployBlock });
+ *   const { blockNumber, policies } = await portfolio.sync();
+ */
+
+const { ZeroAddress, toBeHex, zeroPadValue } = require("ethers");
+const { DEFAULT_BLOCK_RANGE, DEFAULT_MIN_BLOCK_RANGE, getLogsInRange, byLogPosition } = require("./logs");
+
+const DEFAULT_BATCH_SIZE = 100;
+
+function chunks(items, size) {
+  const out = [];
+  for (let i = 0; i < items.length; i += size) out.push(items.slice(i, i + size));
+  return out;
+}
+
+/**
+ * The portfolio of `holder` (an address) on a connected HoodGap contract.
+ * @param {object} hoodgap ethers Contract whose runner has a provider
+ * @param {string} holder
+ * @param {{ fromBlock?: number, blockRange?: number, minBlockRange?: number, batchSize?: number }} [options]
+ *   fromBlock: first block to scan (the deployment block); blockRange: blocks
+ *   per getLogs call, halved down to minBlockRange when the RPC rejects a
+ *   range; batchSize: policy IDs per getPolicies call and per mint lookup
+ */
+function createPortfolio(hoodgap, holder, options = {}) {
+  const { fromBlock = 0, blockRange = DEFAULT_BLOCK_RANGE, minBlockRange, batchSize = DEFAULT_BATCH_SIZE } = options;
+  const provider = hoodgap.runner?.provider ?? hoodgap.runner;
+  if (!provider?.getLogs) throw new Error("createPortfolio needs a contract connected to a provider");
+
+  const address = hoodgap.target;
+  const transferTopic = hoodgap.interface.getEvent("Transfer").topicHash;
+  const mintedTopic = hoodgap.interface.getEvent("GapPolicyMinted").topicHash;
+  const holderTopic = zeroPadValue(holder, 32);
+
+  let state;
+  let pending = null;
+
+  function reset() {
+    state = {
+      syncedTo: fromBlock - 1,
+      owned: new Set(),
+      policies: new Map(), // id → Policy struct
+      subscriptionOf: new Map(), // policyId → subId, or null for a one-off policy; once looked up
+      subscriptions: new Map(), // subId → Subscription struct
+      snapshot: null,
+    };
+  }
+  reset();
+
+  // ── Logs ──────────────────────────────────────────────────────────────
+
+  function getLogs(topics, from, to) {
+    return getLogsInRange(provider, { address, topics }, from, to, { blockRange, minBlockRange });
+  }
+
+  /** Policy IDs whose owner changed to or from the holder in blocks from…to. */
+  async function scanTransfers(from, to) {
+    const [received, sent] = await Promise.all([
+      getLogs([transferTopic, null, holderTopic], from, to),
+      getLogs([transferTopic, holderTopic], from, to),
+    ]);
+
+    // A transfer to oneself shows up in both lists; `to` decides either way
+    const changed = new Set();
+    const arrivals = new Map(); // policyId → { first, last } blocks its GapPolicyMinted log can be in
+    for (const log of [...received, ...sent].sort(byLogPosition)) {
+      const { from: sender, to: recipient, tokenId } = hoodgap.interface.parseLog(log).args;
+      const id = Number(tokenId);
+      changed.add(id);
+      if (recipient.toLowerCase() !== holder.toLowerCase()) {
+        state.owned.delete(id);
+        continue;
+      }
+      state.owned.add(id);
+      if (!state.subscriptionOf.has(id) && !arrivals.has(id)) {
+        arrivals.set(id, { first: sender === ZeroAddress ? log.blockNumber : fromBlock, last: log.blockNumber });
+      }
+    }
+
+    await scanMints(arrivals);
+    return changed;
+  }
+
+  /** Subscription of each newly received policy, from GapPolicyMinted filtered by policyId. */
+  async function scanMints(arrivals) {
+    const lookups = chunks([...arrivals], batchSize).map((batch) => {
+      const first = Math.min(...batch.map(([, blocks]) => blocks.first));
+      const last = Math.max(...batch.map(([, blocks]) => blocks.last));
+      return getLogs([mintedTopic, null, batch.map(([id]) => toBeHex(id, 32))], first, last);
+    });
+
+    const minted = (await Promise.all(lookups)).flat();
+    for (const id of arrivals.keys()) state.subscriptionOf.set(id, null);
+    for (const log of minted) {
+      const { subId, policyId } = hoodgap.interface.parseLog(log).args;
+      state.subscriptionOf.set(Number(policyId), Number(subId));
+    }
+  }
+
+  // ── Reads ─────────────────────────────────────────────────────────────
+
+  async function readPolicies(ids, blockTag) {
+    const batches = await Promise.all(chunks(ids, batchSize).map((batch) => hoodgap.getPolicies(batch, { blockTag })));
+    batches.flat().forEach((policy, i) => state.policies.set(ids[i], policy));
+  }
+
+  async function readSubscriptions(ids, blockTag) {
+    const subs = [...new Set(ids.map((id) => state.subscriptionOf.get(id)))].filter(
+      (subId) => subId != null && !state.subscriptions.has(subId),
+    );
+    const results = await Promise.all(subs.map((subId) => hoodgap.getSubscription(subId, { blockTag })));
+    subs.forEach((subId, i) => state.subscriptions.set(subId, results[i]));
+  }
+
+  function snapshot(blockNumber) {
+    const policies = [...state.owned]
+      .sort((a, b) => a - b)
+      .map((id) => {
+        const subscriptionId = state.subscriptionOf.get(id) ?? null;
+        return {
+          id,
+          policy: state.policies.get(id),
+          subscriptionId,
+          subscription: subscriptionId === null ? null : state.subscriptions.get(subscriptionId),
+        };
+      });
+    return { blockNumber, holder, policies };
+  }
+
+  async function run() {
+    const head = await provider.getBlockNumber();
+    if (state.snapshot && head <= state.syncedTo) return state.snapshot;
+
+    const changed = head > state.syncedTo ? await scanTransfers(state.syncedTo + 1, head) : new Set();
+    const stale = [...state.owned].filter((id) => changed.has(id) || !state.policies.get(id)?.settled);
+    for (const id of changed) if (!state.owned.has(id)) state.policies.delete(id);
+
+    await Promise.all([readPolicies(stale, head), readSubscriptions(stale, head)]);
+
+    state.syncedTo = Math.max(state.syncedTo, head);
+    state.snapshot = snapshot(state.syncedTo);
+    return state.snapshot;
+  }
+
+  /** Bring the portfolio up to the latest block; resolves to { blockNumber, holder, policies }. */
+  function sync() {
+    if (!pending) pending = run().finally(() => (pending = null));
+    return pending;
+  }
+
+  return {
+    holder,
+    sync,
+    reset,
+    get blockNumber() {
+      return state.syncedTo;
+    },
+  };
+}
+
+module.exports = { createPortfolio, DEFAULT_BLOCK_RANGE, DEFAULT_MIN_BLOCK_RANGE, DEFAULT_BATCH_SIZE };
@@ -0,0 +1,57 @@
+export interface PoolState {
+  totalStaked: bigint;
+  totalCoverage: bigint;
+  volatility: bigint;
+}
+
+/** The pool's staker side: USDC owned by stakers and the shares it is split into. */
+export interface SharePool {
+  totalStaked: bigint;
+  totalShares: bigint;
+}
+
+export interface TriggerPrices {
+  /** the close scaled by the split ratio, as settlePolicy compares it */
+  adjustedClose: bigint;
+  /** an open at or below this pays */
+  below: bigint;
+  /** an open at or above this pays */
+  above: bigint;
+}
+
+export interface PremiumAllocation {
+  protocolFee: bigint;
+  claimReserve: bigint;
+  blackSwan: bigint;
+  stakerYield: bigint;
+}
+
+export declare const TIER_RATES: Record<number, bigint>;
+export declare const AVG_VOLATILITY: bigint;
+export declare const MIN_VOLATILITY: bigint;
+export declare const MAX_VOLATILITY: bigint;
+export declare const MAX_POLICY_COVERAGE: bigint;
+export declare const MAX_UTILIZATION: bigint;
+export declare const MAX_PREMIUM_BPS: bigint;
+export declare const PLAN_DISCOUNTS: Record<number, bigint>;
+export declare const GAPS_PER_WEEK: bigint;
+export declare const CLAIM_RESERVE_BPS: bigint;
+export declare const PROTOCOL_FEE_BPS: bigint;
+export declare const BLACK_SWAN_BPS: bigint;
+
+export declare function tierRate(threshold: bigint | number): bigint;
+export declare function utilizationMultiplier(totalCoverage: bigint, newCoverage: bigint, totalStaked: bigint): bigint;
+export declare function volatilityMultiplier(volatility: bigint): bigint;
+/** Weekly premium, or null where the contract reverts "Pool liquidity exhausted". */
+export declare function calculatePremium(coverage: bigint, threshold: bigint | number, pool: PoolState): bigint | null;
+/** calculatePremium at an explicit tier rate, for pricing a proposed rate change. */
+export declare function premiumAtRate(coverage: bigint, rate: bigint, pool: PoolState): bigint | null;
+export declare function subscriptionPremiumPerWeek(weeklyPremium: bigint, numWeeks: bigint | number): bigint;
+export declare function calculateGapPremium(coverage: bigint, threshold: bigint | number, pool: PoolState): bigint | null;
+export declare function calculateGap(priceA: bigint, priceB: bigint): bigint;
+export declare function calculatePayout(coverage: bigint, gap: bigint, threshold: bigint): bigint;
+export declare function triggerPrices(closePrice: bigint, threshold: bigint, splitRatio?: bigint): TriggerPrices;
+export declare function allocatePremium(premium: bigint): PremiumAllocation;
+export declare function convertToShares(assets: bigint, pool: SharePool): bigint;
+export declare function convertToAssets(shares: bigint, pool: SharePool): bigint;
+export declare function sharePrice(pool: SharePool): number;
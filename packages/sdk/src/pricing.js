@@ -0,0 +1,168 @@
+/**
+ * pricing.js — calculatePremium and staker shares in BigInt, to the wei
+ *
+ * Mirrors HoodGap.calculatePremium / HoodGapMath so scripts and the
+ * frontend can quote a premium for pool states or volatility settings that
+ * are not on chain yet (a proposed volatility change, a hypothetical
+ * utilization), plus _allocatePremium and the staker share price
+ * (convertToShares / convertToAssets). Amounts are USDC with 6 decimals;
+ * rates and multipliers are basis points.
+ *
+ * Usage:
+ *   const { pricing } = require("@hoodgap/sdk");
+ *   const weekly = pricing.calculatePremium(10_000_000000n, 500n, { totalStaked, totalCoverage, volatility: 6200n });
+ *   const { stakerYield } = pricing.allocatePremium(weekly);
+ */
+
+const TIER_RATES = { 500: 1080n, 1000: 60n }; // THRESHOLD_5 → TIER_5_RATE, THRESHOLD_10 → TIER_10_RATE
+const AVG_VOLATILITY = 5000n;
+const MIN_VOLATILITY = 1000n; // queueVolatilityChange bounds
+const MAX_VOLATILITY = 15000n;
+const MAX_POLICY_COVERAGE = 50000n * 10n ** 6n;
+const MAX_UTILIZATION = 9500n;
+const GAPS_PER_WEEK = 5n;
+const MAX_PREMIUM_BPS = 9500n; // above this calculatePremium reverts "Pool liquidity exhausted"
+const PLAN_DISCOUNTS = { 1: 0n, 4: 400n, 8: 1000n }; // PLAN_* weeks → DISCOUNT_4_WEEKS, DISCOUNT_8_WEEKS
+const CLAIM_RESERVE_BPS = 7700n;
+const PROTOCOL_FEE_BPS = 300n;
+const BLACK_SWAN_BPS = 200n;
+
+function tierRate(threshold) {
+  const rate = TIER_RATES[Number(threshold)];
+  if (rate === undefined) throw new Error("Invalid threshold tier");
+  return rate;
+}
+
+/** getUtilizationMultiplier(totalCoverage, newCoverage, totalStaked) */
+function utilizationMultiplier(totalCoverage, newCoverage, totalStaked) {
+  if (totalStaked === 0n) return 10000n;
+  let utilization = ((totalCoverage + newCoverage) * 10000n) / totalStaked;
+  if (utilization > MAX_UTILIZATION) utilization = MAX_UTILIZATION;
+  return 10000n + utilization / 2n + (utilization * utilization) / 20000n;
+}
+
+/** getVolatilityMultiplier(currentVolatility, AVG_VOLATILITY) */
+function volatilityMultiplier(volatility) {
+  return (volatility * 10000n) / AVG_VOLATILITY;
+}
+
+/**
+ * Weekly premium for `coverage` at `threshold`, or null where the contract
+ * reverts "Pool liquidity exhausted".
+ * @param {{ totalStaked: bigint, totalCoverage: bigint, volatility: bigint }} pool
+ */
+function calculatePremium(coverage, threshold, pool) {
+  if (coverage <= 0n || coverage > MAX_POLICY_COVERAGE) throw new Error("Invalid coverage amount");
+  return premiumAtRate(coverage, tierRate(threshold), pool);
+}
+
+/**
+ * calculatePremium at an explicit tier rate instead of TIER_5_RATE /
+ * TIER_10_RATE, for pricing a proposed rate change.
+ */
+function premiumAtRate(coverage, rate, pool) {
+  const basePremium = (coverage * rate) / 10000n;
+  const premium =
+    (basePremium *
+      utilizationMultiplier(pool.totalCoverage, coverage, pool.totalStaked) *
+      volatilityMultiplier(pool.volatility)) /
+    10n ** 8n;
+
+  const minPremium = coverage / 1000n;
+  if (premium < minPremium) return minPremium;
+  if (premium > (coverage * MAX_PREMIUM_BPS) / 10000n) return null;
+  return premium;
+}
+
+/** buySubscription's premiumPerWeek: the weekly premium less the 4/8-week plan discount. */
+function subscriptionPremiumPerWeek(weeklyPremium, numWeeks) {
+  const discount = PLAN_DISCOUNTS[Number(numWeeks)];
+  if (discount === undefined) throw new Error("Must be 1, 4, or 8 weeks");
+  return weeklyPremium - (weeklyPremium * discount) / 10000n;
+}
+
+/** What buyPolicy(coverage, threshold, week, day) charges for a single gap. */
+function calculateGapPremium(coverage, threshold, pool) {
+  const weekly = calculatePremium(coverage, threshold, pool);
+  if (weekly === null) return null;
+  const premium = weekly / GAPS_PER_WEEK;
+  return premium === 0n ? 1n : premium;
+}
+
+/** calculateGap(priceA, priceB): |A − B| / B in basis points, rounded down. */
+function calculateGap(priceA, priceB) {
+  if (priceA <= 0n || priceB <= 0n) throw new Error("Prices must be positive");
+  const diff = priceA > priceB ? priceA - priceB : priceB - priceA;
+  return (diff * 10000n) / priceB;
+}
+
+/** calculatePayout: full coverage once the gap reaches the threshold, else nothing. */
+function calculatePayout(coverage, gap, threshold) {
+  return gap >= threshold ? coverage : 0n;
+}
+
+/**
+ * Oracle prices at which a gap from `closePrice` pays: at or below `below`,
+ * at or above `above`. settlePolicy measures the gap against the close
+ * scaled by the week's split ratio (basis points, 10000 = 1.0x).
+ */
+function triggerPrices(closePrice, threshold, splitRatio = 10000n) {
+  const adjustedClose = (closePrice * splitRatio) / 10000n;
+  // Smallest move whose calculateGap, rounded down, still reaches the threshold
+  const move = (threshold * adjustedClose + 9999n) / 10000n;
+  return { adjustedClose, below: adjustedClose - move, above: adjustedClose + move };
+}
+
+// ── Premium allocation & shares ───────────────────────────────────────
+
+/** _allocatePremium: where a premium goes. The staker yield is the remainder and raises the share price. */
+function allocatePremium(premium) {
+  const protocolFee = (premium * PROTOCOL_FEE_BPS) / 10000n;
+  const claimReserve = (premium * CLAIM_RESERVE_BPS) / 10000n;
+  const blackSwan = (premium * BLACK_SWAN_BPS) / 10000n;
+  return { protocolFee, claimReserve, blackSwan, stakerYield: premium - protocolFee - claimReserve - blackSwan };
+}
+
+/** convertToShares(assets): shares a stake of `assets` mints (rounded down). */
+function convertToShares(assets, { totalStaked, totalShares }) {
+  return (assets * (totalShares + 1n)) / (totalStaked + 1n);
+}
+
+/** convertToAssets(shares): USDC value of `shares` (rounded down). */
+function convertToAssets(shares, { totalStaked, totalShares }) {
+  return (shares * (totalStaked + 1n)) / (totalShares + 1n);
+}
+
+/** USDC per share as a Number (1.0 before any premium or payout). */
+function sharePrice({ totalStaked, totalShares }) {
+  return Number(totalStaked + 1n) / Number(totalShares + 1n);
+}
+
+module.exports = {
+  TIER_RATES,
+  AVG_VOLATILITY,
+  MIN_VOLATILITY,
+  MAX_VOLATILITY,
+  MAX_POLICY_COVERAGE,
+  MAX_UTILIZATION,
+  MAX_PREMIUM_BPS,
+  PLAN_DISCOUNTS,
+  GAPS_PER_WEEK,
+  CLAIM_RESERVE_BPS,
+  PROTOCOL_FEE_BPS,
+  BLACK_SWAN_BPS,
+  tierRate,
+  utilizationMultiplier,
+  volatilityMultiplier,
+  calculatePremium,
+  premiumAtRate,
+  subscriptionPremiumPerWeek,
+  calculateGapPremium,
+  calculateGap,
+  calculatePayout,
+  triggerPrices,
+  allocatePremium,
+  convertToShares,
+  convertToAssets,
+  sharePrice,
+};
@@ -0,0 +1,96 @@
+import type { HoodGapContract } from "./contracts";
+
+export type HistoryEventName =
+  | "Staked"
+  | "WithdrawalProcessed"
+  | "PolicyPurchased"
+  | "SubscriptionCreated"
+  | "GapPolicyMinted"
+  | "PolicyPaidOut"
+  | "SharesWrittenOff";
+
+/** A decoded pool event; args may be BigInts or decimal strings */
+export interface HistoryEvent {
+  name: HistoryEventName | string;
+  args: Record<string, unknown>;
+  blockNumber: number;
+  /** block timestamp, seconds */
+  timestamp: number;
+  txHash: string;
+}
+
+export interface StakerTotals {
+  deposited: bigint;
+  withdrawn: bigint;
+  /** the staker's part of the 18% staker yield */
+  premiums: bigint;
+  /** the staker's part of payouts the pool absorbed */
+  payouts: bigint;
+  /** shares held, queued ones included */
+  shares: bigint;
+}
+
+export interface TimelineEntry extends StakerTotals {
+  kind: "deposit" | "withdrawal" | "premium" | "payout";
+  blockNumber: number;
+  timestamp: number;
+  txHash: string;
+  /** USDC deposited or withdrawn, or the staker's part of the premium or payout */
+  amount: bigint;
+  /** value of the staker's shares after the event */
+  value: bigint;
+  sharePrice: number;
+}
+
+export interface StakerHistory {
+  staker: string;
+  timeline: TimelineEntry[];
+  /** pool share price after every pool event */
+  prices: { timestamp: number; sharePrice: number }[];
+  pool: { totalStaked: bigint; totalShares: bigint };
+  totals: StakerTotals & { value: bigint; pnl: bigint };
+}
+
+export interface StakerHistorySnapshot extends StakerHistory {
+  /** last block the snapshot covers */
+  blockNumber: number;
+}
+
+export interface RealizedApy {
+  weeks: number;
+  /** money-weighted (modified Dietz); null without money in the pool during the window */
+  staker: number | null;
+  /** time-weighted: share price growth */
+  pool: number;
+}
+
+export interface StakerHistoryOptions {
+  /** first block to scan — the deployment block (default 0) */
+  fromBlock?: number;
+  /** blocks per getLogs call to start with, halved when the RPC rejects a range (default 2000) */
+  blockRange?: number;
+  /** smallest chunk halving may reach; a chunk failing at it rethrows the RPC error (default 10) */
+  minBlockRange?: number;
+}
+
+export interface StakerHistoryLoader {
+  readonly staker: string;
+  readonly blockNumber: number;
+  /** Scan new blocks and replay; cached within a block. */
+  sync(): Promise<StakerHistorySnapshot>;
+  /** Forget everything, e.g. after a reorg; the next sync rescans from `fromBlock`. */
+  reset(): void;
+}
+
+export declare const HISTORY_EVENTS: HistoryEventName[];
+/** Weeks realized APY is usually reported over: 4, 12 and 52 */
+export declare const APY_WINDOWS: number[];
+
+export declare function replayStakerHistory(events: HistoryEvent[], staker: string): StakerHistory;
+export declare function realizedApy(history: StakerHistory, weeks: number, now?: number): RealizedApy;
+export declare function historyCsv(history: StakerHistory): string;
+export declare function createStakerHistory(
+  hoodgap: HoodGapContract,
+  staker: string,
+  options?: StakerHistoryOptions,
+): StakerHistoryLoader;
@@ -0,0 +1,291 @@
+/**
+ * staker-history.js — A staker's P&L replayed from the pool's event log
+ *
+ * Every change to totalStaked and totalShares is on-chain as an event:
+ * Staked and WithdrawalProcessed (with their shares), the premium of each
+ * PolicyPurchased and SubscriptionCreated (a subscription's gap mints repeat
+ * PolicyPurchased but paid nothing new; GapPolicyMinted comes first and
+ * marks them), PolicyPaidOut, and SharesWrittenOff, which zeroes the shares
+ * left over a pool a payout emptied. replayStakerHistory() walks that log with
+ * the contract's own share math, so at every step it knows the share price
+ * and what fraction of the pool the staker owned — their share of each
+ * premium's 18% staker yield and of each payout.
+ *
+ * realizedApy() annualizes a window two ways: the staker's money-weighted
+ * return (modified Dietz, so deposits and withdrawals inside the window count
+ * for the time they were in the pool) and the pool's time-weighted return
+ * (share price growth), which is what a staker holding throughout earned.
+ *
+ * createStakerHistory() fetches and caches the logs the way a portfolio does:
+ * sync() only scans new blocks, and block timestamps are fetched once.
+ *
+ * Usage:
+ *   const { createStakerHistory, realizedApy, historyCsv } = require("@hoodgap/sdk");
+ *   const history = await createStakerHistory(hoodgap, account, { fromBlock: deployBlock }).sync();
+ *   realizedApy(history, 12);  // { weeks: 12, staker: 0.083, pool: 0.079 }
+ */
+
+const { formatUnits } = require("ethers");
+const { allocatePremium, convertToAssets, sharePrice } = require("./pricing");
+const { DEFAULT_BLOCK_RANGE, getLogsInRange, byLogPosition } = require("./logs");
+
+const HISTORY_EVENTS = [
+  "Staked",
+  "WithdrawalProcessed",
+  "PolicyPurchased",
+  "SubscriptionCreated",
+  "GapPolicyMinted",
+  "PolicyPaidOut",
+  "SharesWrittenOff",
+];
+const APY_WINDOWS = [4, 12, 52];
+const WEEK = 7 * 24 * 3600;
+
+// ── Replay ────────────────────────────────────────────────────────────
+
+/**
+ * Fold pool events (in log order) into `staker`'s history. Each event is
+ * { name, args, blockNumber, timestamp, txHash }; args may be BigInts or
+ * decimal strings (the indexer's event store).
+ */
+function replayStakerHistory(events, staker) {
+  const me = staker.toLowerCase();
+  const pool = { totalStaked: 0n, totalShares: 0n };
+  const totals = { deposited: 0n, withdrawn: 0n, premiums: 0n, payouts: 0n, shares: 0n };
+  const fromSubscription = new Set();
+  const timeline = [];
+  const prices = [];
+
+  const record = (event, kind, amount) => {
+    timeline.push({
+      kind,
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      txHash: event.txHash,
+      amount,
+      ...totals,
+      value: convertToAssets(totals.shares, pool),
+      sharePrice: sharePrice(pool),
+    });
+  };
+  // The staker's part of a pool-wide gain or loss, pro rata to shares held
+  const portion = (amount) => (pool.totalShares > 0n ? (amount * totals.shares) / pool.totalShares : 0n);
+
+  for (const event of events) {
+    const { name, args } = event;
+    const mine = args.staker !== undefined && String(args.staker).toLowerCase() === me;
+
+    switch (name) {
+      case "Staked": {
+        pool.totalStaked += BigInt(args.amount);
+        pool.totalShares += BigInt(args.shares);
+        if (!mine) break;
+        totals.deposited += BigInt(args.amount);
+        totals.shares += BigInt(args.shares);
+        record(event, "deposit", BigInt(args.amount));
+        break;
+      }
+      case "WithdrawalProcessed": {
+        pool.totalStaked -= BigInt(args.amount);
+        pool.totalShares -= BigInt(args.shares);
+        if (!mine) break;
+        totals.withdrawn += BigInt(args.amount);
+        totals.shares -= BigInt(args.shares);
+        record(event, "withdrawal", BigInt(args.amount));
+        break;
+      }
+      case "GapPolicyMinted":
+        fromSubscription.add(String(args.policyId));
+        break;
+      case "PolicyPurchased":
+      case "SubscriptionCreated": {
+        if (name === "PolicyPurchased" && fromSubscription.has(String(args.policyId))) break;
+        const premium = BigInt(name === "PolicyPurchased" ? args.premium : args.totalPremium);
+        const { stakerYield } = allocatePremium(premium);
+        const earned = portion(stakerYield);
+        pool.totalStaked += stakerYield;
+        if (totals.shares === 0n) break;
+        totals.premiums += earned;
+        record(event, "premium", earned);
+        break;
+      }
+      case "PolicyPaidOut": {
+        // Whatever the pool can't cover comes out of the reserves (ReserveUsed)
+        const loss = BigInt(args.amount) < pool.totalStaked ? BigInt(args.amount) : pool.totalStaked;
+        const absorbed = portion(loss);
+        pool.totalStaked -= loss;
+        if (totals.shares === 0n) break;
+        totals.payouts += absorbed;
+        record(event, "payout", absorbed);
+        break;
+      }
+      case "SharesWrittenOff":
+        // The pool was already at zero: the staker's shares go, their value was gone
+        pool.totalShares = 0n;
+        totals.shares = 0n;
+        break;
+      default:
+        continue;
+    }
+    prices.push({ timestamp: event.timestamp, sharePrice: sharePrice(pool) });
+  }
+
+  const value = convertToAssets(totals.shares, pool);
+  return {
+    staker,
+    timeline,
+    prices,
+    pool: { ...pool },
+    totals: { ...totals, value, pnl: value + totals.withdrawn - totals.deposited },
+  };
+}
+
+// ── Returns ───────────────────────────────────────────────────────────
+
+/** The last entry of `series` at or before `timestamp`, or null. */
+function asOf(series, timestamp) {
+  let found = null;
+  for (const entry of series) {
+    if (entry.timestamp > timestamp) break;
+    found = entry;
+  }
+  return found;
+}
+
+function annualize(growth, weeks) {
+  return Math.pow(growth, 52 / weeks) - 1;
+}
+
+/**
+ * Realized APY over the last `weeks` weeks up to `now` (seconds; defaults to
+ * the last event). staker is null when the staker had no money in the pool
+ * during the window.
+ * @returns {{ weeks: number, staker: number | null, pool: number }}
+ */
+function realizedApy(history, weeks, now) {
+  const { timeline, prices } = history;
+  const end = now ?? (prices.length ? prices[prices.length - 1].timestamp : 0);
+  const start = end - weeks * WEEK;
+
+  const startPrice = asOf(prices, start)?.sharePrice ?? 1;
+  const endPrice = asOf(prices, end)?.sharePrice ?? 1;
+  const pool = annualize(endPrice / startPrice, weeks);
+
+  // Modified Dietz: flows weighted by the fraction of the window they were invested
+  const before = asOf(timeline, start);
+  const startValue = before ? Number(before.shares) * startPrice : 0;
+  const endEntry = asOf(timeline, end);
+  const endValue = endEntry ? Number(endEntry.shares) * endPrice : 0;
+  let flows = 0;
+  let weighted = startValue;
+  for (const entry of timeline) {
+    if (entry.timestamp <= start || entry.timestamp > end) continue;
+    const flow = entry.kind === "deposit" ? Number(entry.amount) : entry.kind === "withdrawal" ? -Number(entry.amount) : 0;
+    flows += flow;
+    weighted += (flow * (end - entry.timestamp)) / (end - start);
+  }
+  const staker = weighted > 0 ? annualize(1 + (endValue - startValue - flows) / weighted, weeks) : null;
+
+  return { weeks, staker, pool };
+}
+
+// ── Export ────────────────────────────────────────────────────────────
+
+const CSV_COLUMNS = [
+  "date", "block", "tx", "kind", "amount", "deposited", "withdrawn", "premiums", "payouts", "shares", "value", "sharePrice",
+];
+
+/** The timeline as CSV, USDC amounts in dollars. */
+function historyCsv(history) {
+  const usd = (amount) => formatUnits(amount, 6);
+  const rows = history.timeline.map((e) => [
+    new Date(e.timestamp * 1000).toISOString(),
+    e.blockNumber,
+    e.txHash,
+    e.kind,
+    usd(e.amount),
+    usd(e.deposited),
+    usd(e.withdrawn),
+    usd(e.premiums),
+    usd(e.payouts),
+    e.shares.toString(),
+    usd(e.value),
+    e.sharePrice.toFixed(6),
+  ]);
+  return [CSV_COLUMNS, ...rows].map((row) => row.join(",")).join("\n") + "\n";
+}
+
+// ── Loader ────────────────────────────────────────────────────────────
+
+/**
+ * The P&L history of `staker` on a connected HoodGap contract.
+ * @param {object} hoodgap ethers Contract whose runner has a provider
+ * @param {string} staker
+ * @param {{ fromBlock?: number, blockRange?: number, minBlockRange?: number }} [options]
+ */
+function createStakerHistory(hoodgap, staker, options = {}) {
+  const { fromBlock = 0, blockRange = DEFAULT_BLOCK_RANGE, minBlockRange } = options;
+  const provider = hoodgap.runner?.provider ?? hoodgap.runner;
+  if (!provider?.getLogs) throw new Error("createStakerHistory needs a contract connected to a provider");
+
+  const address = hoodgap.target;
+  const topics = [HISTORY_EVENTS.map((name) => hoodgap.interface.getEvent(name).topicHash)];
+
+  let state;
+  let pending = null;
+
+  function reset() {
+    state = { syncedTo: fromBlock - 1, events: [], timestamps: new Map(), snapshot: null };
+  }
+  reset();
+
+  async function scan(from, to) {
+    const logs = (await getLogsInRange(provider, { address, topics }, from, to, { blockRange, minBlockRange })).sort(byLogPosition);
+    const events = logs.map((log) => {
+      const { name, args } = hoodgap.interface.parseLog(log);
+      if (args.timestamp !== undefined) state.timestamps.set(log.blockNumber, Number(args.timestamp));
+      return { name, args, blockNumber: log.blockNumber, txHash: log.transactionHash };
+    });
+
+    // Premium and payout events carry no timestamp; read their blocks once
+    const missing = [...new Set(events.map((e) => e.blockNumber))].filter((n) => !state.timestamps.has(n));
+    const blocks = await Promise.all(missing.map((n) => provider.getBlock(n)));
+    blocks.forEach((block, i) => state.timestamps.set(missing[i], block.timestamp));
+
+    for (const event of events) state.events.push({ ...event, timestamp: state.timestamps.get(event.blockNumber) });
+  }
+
+  async function run() {
+    const head = await provider.getBlockNumber();
+    if (state.snapshot && head <= state.syncedTo) return state.snapshot;
+
+    if (head > state.syncedTo) await scan(state.syncedTo + 1, head);
+    state.syncedTo = Math.max(state.syncedTo, head);
+    state.snapshot = { blockNumber: state.syncedTo, ...replayStakerHistory(state.events, staker) };
+    return state.snapshot;
+  }
+
+  /** Bring the history up to the latest block; cached within a block. */
+  function sync() {
+    if (!pending) pending = run().finally(() => (pending = null));
+    return pending;
+  }
+
+  return {
+    staker,
+    sync,
+    reset,
+    get blockNumber() {
+      return state.syncedTo;
+    },
+  };
+}
+
+module.exports = {
+  HISTORY_EVENTS,
+  APY_WINDOWS,
+  replayStakerHistory,
+  realizedApy,
+  historyCsv,
+  createStakerHistory,
+};
@@ -0,0 +1,5 @@
+export declare const USDC_DECIMALS: number;
+
+export declare function toUSDC(dollars: number | string): bigint;
+export declare function fromUSDC(amount: bigint | number): number;
+export declare function formatUSDC(amount: bigint | number, decimals?: number): string;
@@ -0,0 +1,44 @@
+/**
+ * units.js — USDC amount conversion and formatting
+ *
+ * HoodGap amounts are USDC with 6 decimals. Dollar inputs are rounded to the
+ * cent-of-a-cent through their decimal string, so 10000.300000000001 becomes
+ * 10000.300000 rather than picking up float noise.
+ *
+ * Usage:
+ *   const { toUSDC, fromUSDC, formatUSDC } = require("@hoodgap/sdk");
+ *   formatUSDC(toUSDC(1234.5));  // "$1,234.50"
+ */
+
+const USDC_DECIMALS = 6;
+const UNIT = 10n ** BigInt(USDC_DECIMALS);
+
+/** Dollars (number or decimal string) → USDC base units. */
+function toUSDC(dollars) {
+  const text = typeof dollars === "number" ? dollars.toFixed(USDC_DECIMALS) : String(dollars).trim();
+  const match = /^(-)?(\d+)(?:\.(\d*))?$/.exec(text);
+  if (!match) throw new Error(`Invalid USDC amount: ${dollars}`);
+  const [, sign, whole, fraction = ""] = match;
+  if (fraction.length > USDC_DECIMALS && /[1-9]/.test(fraction.slice(USDC_DECIMALS))) {
+    throw new Error(`Invalid USDC amount: ${dollars} has more than ${USDC_DECIMALS} decimals`);
+  }
+  const units = BigInt(whole) * UNIT + BigInt(fraction.slice(0, USDC_DECIMALS).padEnd(USDC_DECIMALS, "0"));
+  return sign ? -units : units;
+}
+
+/** USDC base units → dollars as a Number (display only; loses precision past 2^53). */
+function fromUSDC(amount) {
+  return Number(amount) / 10 ** USDC_DECIMALS;
+}
+
+/** "$1,234.56" — `decimals` fraction digits, sign before the dollar sign. */
+function formatUSDC(amount, decimals = 2) {
+  const value = fromUSDC(amount);
+  const text = Math.abs(value).toLocaleString("en-US", {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  });
+  return `${value < 0 ? "-" : ""}$${text}`;
+}
+
+module.exports = { USDC_DECIMALS, toUSDC, fromUSDC, formatUSDC };
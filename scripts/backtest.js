@@ -0,0 +1,442 @@
+/**
+ * backtest.js — Replay a historical price series against the real contracts
+ *
+ * Deploys MockUSDC, MockChainlinkOracle and HoodGap on the hardhat network,
+ * seeds the pool, then walks the HoodGap market calendar one trading night per
+ * bar. At each close it pushes the close price, renews subscriptions, mints
+ * due gap NFTs and buys the single-gap book; at the next open it pushes the
+ * open price, approves the week and calls settlePolicy on everything due.
+ *
+ * Where gap-analysis.js models the economics in JS, this measures what
+ * HoodGap.sol actually does with the same data: realized staker return,
+ * reserve and black-swan balances, ReserveUsed events and any settlement
+ * that reverts for lack of funds.
+ *
+ * Bars are laid onto consecutive contract trading days of a deployment with
+ * no published market calendar, so exchange holidays simply disappear (the gap
+ * from a bar's close to the next bar's open is settled as one night) and every
+ * session keeps EST hours.
+ *
+ * Usage:
+ *   node scripts/backtest.js --data data/TSLA.csv --from 2022-01-03 --nights 260
+ *   node scripts/backtest.js --data data/TSLA.csv --single 5000:500 --subscription 20000:1000:8
+ *   node scripts/backtest.js --data data/TSLA.json --book book.json --report reports/backtest.csv --json
+ *
+ * Flags:
+ *   --data FILE              daily bars: CSV (Date,Open,…,Close), JSON or a saved Yahoo chart
+ *   --from DATE              first bar to replay (default: first bar)
+ *   --nights N               trading nights to replay (default: every bar)
+ *   --stake USD              liquidity staked before the first night (default 100000)
+ *   --single COV:THR         single-gap policy bought every night (repeatable)
+ *   --subscription COV:THR:WEEKS
+ *                            subscription renewed at the first close of each term (repeatable)
+ *   --book FILE              JSON book: { single: [{ coverage, threshold, days? }],
+ *                            subscriptions: [{ coverage, threshold, weeks }] }
+ *   --report FILE            write .json (summary and nights) or .csv (one row per night); repeatable
+ *   --json                   print the JSON report instead of the night-by-night log
+ *
+ * Without a book the default is --single 5000:500 --single 5000:1000 --subscription 10000:500:4.
+ * Runs on the in-process hardhat network; --network localhost replays on a running node.
+ */
+
+const { parseCommandLine, toJSON, revertReason } = require("./lib/cli");
+
+const cli = parseCommandLine({
+  data: { type: "string" },
+  from: { type: "string" },
+  nights: { type: "string" },
+  stake: { type: "string", default: "100000" },
+  single: { type: "string", multiple: true, default: [] },
+  subscription: { type: "string", multiple: true, default: [] },
+  book: { type: "string" },
+  report: { type: "string", multiple: true, default: [] },
+});
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { loadBars } = require("./lib/price-sources");
+const { calendar, pricing, toUSDC, fromUSDC, formatUSDC: fmt, decodeEvents } = require("@hoodgap/sdk");
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+const ORACLE_DECIMALS = 8;
+const toOracle = (n) => BigInt(Math.round(n * 10 ** ORACLE_DECIMALS));
+const say = cli.flags.json ? () => {} : console.log;
+
+const ACT_DELAY = 60; // seconds after each market event the backtest acts
+const NIGHTS_PER_YEAR = 5 * 52;
+const INSOLVENT = "Insufficient pool + reserve funds";
+const DAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri"];
+const DEFAULT_BOOK = { single: ["5000:500", "5000:1000"], subscriptions: ["10000:500:4"] };
+
+// ── Book ─────────────────────────────────────────────────────────────
+
+function parseEntry(spec, withWeeks) {
+  const parts = spec.split(":").map(Number);
+  const [coverage, threshold, weeks] = parts;
+  if (parts.length !== (withWeeks ? 3 : 2) || !(coverage > 0) || ![500, 1000].includes(threshold)) {
+    const shape = withWeeks ? "COVERAGE:THRESHOLD:WEEKS (e.g. 10000:500:4)" : "COVERAGE:THRESHOLD (e.g. 5000:500)";
+    throw new Error(`Expected ${shape} with threshold 500 or 1000, got "${spec}"`);
+  }
+  if (withWeeks && ![1, 4, 8].includes(weeks)) throw new Error(`Subscriptions run 1, 4 or 8 weeks, got "${spec}"`);
+  return withWeeks ? { coverage, threshold, weeks } : { coverage, threshold, days: [0, 1, 2, 3, 4] };
+}
+
+/** Policies bought by the book, from --book or the inline flags. */
+function loadBook(flags) {
+  if (flags.book) {
+    const book = JSON.parse(fs.readFileSync(flags.book, "utf8"));
+    const single = (book.single ?? []).map((e) => ({
+      ...parseEntry(`${e.coverage}:${e.threshold}`, false),
+      ...(e.days ? { days: e.days.map(Number) } : {}),
+    }));
+    const subscriptions = (book.subscriptions ?? []).map((e) => parseEntry(`${e.coverage}:${e.threshold}:${e.weeks}`, true));
+    return { single, subscriptions };
+  }
+
+  const inline = flags.single.length > 0 || flags.subscription.length > 0;
+  return {
+    single: (inline ? flags.single : DEFAULT_BOOK.single).map((s) => parseEntry(s, false)),
+    subscriptions: (inline ? flags.subscription : DEFAULT_BOOK.subscriptions).map((s) => parseEntry(s, true)),
+  };
+}
+
+// ── Chain ────────────────────────────────────────────────────────────
+
+async function deploy(firstClose) {
+  const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+  const usdc = await (await hre.ethers.getContractFactory("MockUSDC")).deploy();
+  const oracle = await (await hre.ethers.getContractFactory("MockChainlinkOracle")).deploy(toOracle(firstClose), now);
+  const hoodgap = await (await hre.ethers.getContractFactory("HoodGap")).deploy(
+    await usdc.getAddress(),
+    await oracle.getAddress()
+  );
+  return { usdc, oracle, hoodgap };
+}
+
+/** Mine the next transaction at `timestamp` (never backwards). */
+async function warpTo(timestamp) {
+  const latest = (await hre.ethers.provider.getBlock("latest")).timestamp;
+  if (timestamp > latest) await hre.network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+}
+
+function parseEvents(hoodgap, receipt, name) {
+  return decodeEvents(hoodgap, receipt, name).map((event) => event.args);
+}
+
+/** Send a transaction; reverts are returned as { error } instead of thrown. */
+async function attempt(send) {
+  try {
+    return { receipt: await (await send()).wait() };
+  } catch (err) {
+    return { error: revertReason(err) };
+  }
+}
+
+// ── Night ────────────────────────────────────────────────────────────
+
+/** Close side: price the close, renew and mint subscriptions, buy singles. */
+async function atClose(ctx, night) {
+  const { hoodgap, oracle, accounts, book, pending, subscriptions } = ctx;
+
+  await warpTo(night.closeTs + ACT_DELAY);
+  await (await oracle.update(toOracle(night.close), night.closeTs)).wait();
+
+  const bought = (receipt, source) => {
+    for (const p of parseEvents(hoodgap, receipt, "PolicyPurchased")) {
+      pending.push({ id: p.policyId, week: p.gapWeek, day: p.gapDay, source });
+      night.policies++;
+    }
+  };
+
+  for (const [i, spec] of book.subscriptions.entries()) {
+    const sub = subscriptions[i];
+    if (night.day === 0n && (!sub || sub.minted >= sub.total)) {
+      const { receipt, error } = await attempt(() =>
+        hoodgap.connect(accounts.subscriber).buySubscription(toUSDC(spec.coverage), spec.threshold, spec.weeks)
+      );
+      if (error) {
+        night.rejected.push(`subscription ${spec.coverage}:${spec.threshold}:${spec.weeks}: ${error}`);
+        continue;
+      }
+      const [created] = parseEvents(hoodgap, receipt, "SubscriptionCreated");
+      subscriptions[i] = { id: created.subId, total: spec.weeks * 5, minted: 1 };
+      night.premiums += created.totalPremium;
+      bought(receipt, "subscription");
+    } else if (sub && sub.minted < sub.total) {
+      const { receipt, error } = await attempt(() => hoodgap.connect(accounts.keeper).mintAllAvailableGaps(sub.id));
+      if (error) {
+        night.rejected.push(`mint subscription #${sub.id}: ${error}`);
+        continue;
+      }
+      sub.minted += parseEvents(hoodgap, receipt, "GapPolicyMinted").length;
+      bought(receipt, "subscription");
+    }
+  }
+
+  const buyGap = hoodgap.connect(accounts.buyer).getFunction("buyPolicy(uint256,uint256,uint256,uint256)");
+  for (const spec of book.single) {
+    if (!spec.days.includes(Number(night.day))) continue;
+    const { receipt, error } = await attempt(() => buyGap(toUSDC(spec.coverage), spec.threshold, night.week, night.day));
+    if (error) {
+      night.rejected.push(`single ${spec.coverage}:${spec.threshold}: ${error}`);
+      continue;
+    }
+    night.premiums += parseEvents(hoodgap, receipt, "PolicyPurchased")[0].premium;
+    bought(receipt, "single");
+  }
+}
+
+/** Open side: price the open, approve the week, settle every policy that is due. */
+async function atOpen(ctx, night) {
+  const { hoodgap, oracle, accounts, pending, approved } = ctx;
+
+  await warpTo(night.openTs + ACT_DELAY);
+  await (await oracle.update(toOracle(night.open), night.openTs)).wait();
+
+  for (const policy of [...pending]) {
+    const nextOpen = calendar.getNextMarketOpen(Number(policy.week), Number(policy.day));
+    if (nextOpen > night.openTs) continue;
+
+    const approvalWeek = BigInt(calendar.approvalWeek(Number(policy.week), Number(policy.day)));
+    if (!approved.has(approvalWeek)) {
+      await (await hoodgap.approveSettlement(approvalWeek, 10000, "Backtest — no split")).wait();
+      approved.add(approvalWeek);
+    }
+
+    const { receipt, error } = await attempt(() => hoodgap.connect(accounts.keeper).settlePolicy(policy.id));
+    if (error) {
+      night.settleReverts.push(`policy #${policy.id}: ${error}`);
+      if (error === INSOLVENT) night.insolvent++;
+      continue;
+    }
+    pending.splice(pending.indexOf(policy), 1);
+    night.settled++;
+    for (const paid of parseEvents(hoodgap, receipt, "PolicyPaidOut")) {
+      night.paidOut++;
+      night.payouts += paid.amount;
+    }
+    for (const used of parseEvents(hoodgap, receipt, "ReserveUsed")) {
+      night.reserveUsed += used.shortfall;
+    }
+  }
+
+  const [totalStaked, totalCoverage, , reserveBalance, blackSwanReserve] = await hoodgap.getPoolStats();
+  Object.assign(night, { totalStaked, totalCoverage, reserveBalance, blackSwanReserve });
+}
+
+// ── Report ───────────────────────────────────────────────────────────
+
+function printNight(night) {
+  const gap = `${night.gapPercent >= 0 ? "-" : "+"}${Math.abs(night.gapPercent).toFixed(2)}%`;
+  const paid = night.paidOut > 0 ? `💸 ${night.paidOut} paid ${fmt(night.payouts)}` : "";
+  say(
+    `  w${night.week} ${DAY_NAMES[Number(night.day)]}  ${night.date}  $${night.close.toFixed(2)} → $${night.open.toFixed(2)} ${gap.padStart(8)}` +
+      `  +${night.policies} policies  ${night.settled} settled  staked ${fmt(night.totalStaked)}  ${paid}`
+  );
+  for (const reason of night.rejected) say(`     ⏭️  ${reason}`);
+  for (const reason of night.settleReverts) say(`     ❌ settle ${reason}`);
+  if (night.reserveUsed > 0n) say(`     🛟 ReserveUsed ${fmt(night.reserveUsed)}`);
+}
+
+function nightRow(night) {
+  return {
+    week: night.week,
+    day: night.day,
+    date: night.date,
+    nextDate: night.nextDate,
+    close: night.close,
+    open: night.open,
+    gapPercent: night.gapPercent,
+    policies: night.policies,
+    settled: night.settled,
+    paidOut: night.paidOut,
+    premiumsUsd: fromUSDC(night.premiums),
+    payoutsUsd: fromUSDC(night.payouts),
+    reserveUsedUsd: fromUSDC(night.reserveUsed),
+    insolvent: night.insolvent,
+    totalStakedUsd: fromUSDC(night.totalStaked),
+    totalCoverageUsd: fromUSDC(night.totalCoverage),
+    reserveBalanceUsd: fromUSDC(night.reserveBalance),
+    blackSwanReserveUsd: fromUSDC(night.blackSwanReserve),
+    rejected: night.rejected,
+    settleReverts: night.settleReverts,
+  };
+}
+
+const CSV_COLUMNS = [
+  "week", "day", "date", "nextDate", "close", "open", "gapPercent", "policies", "settled", "paidOut",
+  "premiumsUsd", "payoutsUsd", "reserveUsedUsd", "insolvent", "totalStakedUsd", "totalCoverageUsd",
+  "reserveBalanceUsd", "blackSwanReserveUsd",
+];
+
+function writeReport(file, report) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  if (file.toLowerCase().endsWith(".csv")) {
+    const rows = report.nights.map((n) => CSV_COLUMNS.map((c) => n[c]).join(","));
+    fs.writeFileSync(file, [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n");
+  } else {
+    fs.writeFileSync(file, toJSON(report) + "\n");
+  }
+}
+
+// ── Main ─────────────────────────────────────────────────────────────
+
+async function main() {
+  const { flags } = cli;
+  if (!["hardhat", "localhost"].includes(hre.network.name)) {
+    throw new Error(`Backtests time-travel the chain; use the hardhat network or localhost, not ${hre.network.name}`);
+  }
+  if (!flags.data) throw new Error("--data is required (CSV, JSON or Yahoo chart file)");
+  for (const file of flags.report) {
+    if (!/\.(json|csv)$/i.test(file)) throw new Error(`--report ${file}: use a .json or .csv file`);
+  }
+
+  let bars = loadBars(path.resolve(flags.data));
+  if (flags.from) bars = bars.filter((bar) => bar.date >= flags.from);
+  const nightCount = Math.min(bars.length - 1, flags.nights ? Number(flags.nights) : Infinity);
+  if (!(nightCount > 0)) throw new Error("Need at least two bars to replay a night");
+
+  const book = loadBook(flags);
+  const stake = toUSDC(Number(flags.stake));
+  if (!(stake > 0n)) throw new Error("--stake must be positive");
+
+  const [deployer, staker, buyer, subscriber, keeper] = await hre.ethers.getSigners();
+  const { usdc, oracle, hoodgap } = await deploy(bars[0].close);
+  const hoodgapAddress = await hoodgap.getAddress();
+
+  // Buyers get effectively unlimited USDC; premiums are tallied from events
+  for (const signer of [staker, buyer, subscriber]) {
+    await (await usdc.mint(signer.address, signer === staker ? stake : toUSDC(1e12))).wait();
+    await (await usdc.connect(signer).approve(hoodgapAddress, hre.ethers.MaxUint256)).wait();
+  }
+  await (await hoodgap.connect(staker).stake(stake)).wait();
+
+  const ctx = {
+    hoodgap,
+    oracle,
+    book,
+    accounts: { staker, buyer, subscriber, keeper },
+    pending: [],
+    subscriptions: [],
+    approved: new Set(),
+  };
+
+  // First trading day whose close is still ahead of the chain
+  const now = BigInt((await hre.ethers.provider.getBlock("latest")).timestamp);
+  let week = BigInt(calendar.getWeekNumber(Number(now)));
+  let day = 0n;
+  while (BigInt(calendar.getMarketClose(Number(week), Number(day))) <= now + BigInt(ACT_DELAY)) {
+    [week, day] = day === 4n ? [week + 1n, 0n] : [week, day + 1n];
+  }
+
+  say("\n🧪 HoodGap Backtest");
+  say("   Network:", hre.network.name);
+  say("   Data:   ", `${flags.data} (${bars[0].date} → ${bars[nightCount].date}, ${nightCount} nights)`);
+  say("   Stake:  ", fmt(stake));
+  for (const s of book.single) say(`   Single:  $${s.coverage} @ ${s.threshold / 100}% on ${s.days.map((d) => DAY_NAMES[d]).join(",")}`);
+  for (const s of book.subscriptions) say(`   Sub:     $${s.coverage} @ ${s.threshold / 100}% × ${s.weeks} week(s), renewed`);
+  say("─".repeat(60));
+
+  const treasuryBefore = await usdc.balanceOf(deployer.address);
+  const nights = [];
+  for (let i = 0; i < nightCount; i++) {
+    const bar = bars[i];
+    const next = bars[i + 1];
+    const night = {
+      week,
+      day,
+      date: bar.date,
+      nextDate: next.date,
+      close: bar.close,
+      open: next.open,
+      gapPercent: Math.round(((bar.close - next.open) / bar.close) * 10000) / 100,
+      closeTs: calendar.getMarketClose(Number(week), Number(day)),
+      openTs: calendar.getNextMarketOpen(Number(week), Number(day)),
+      policies: 0,
+      settled: 0,
+      paidOut: 0,
+      insolvent: 0,
+      premiums: 0n,
+      payouts: 0n,
+      reserveUsed: 0n,
+      rejected: [],
+      settleReverts: [],
+    };
+
+    await atClose(ctx, night);
+    await atOpen(ctx, night);
+    printNight(night);
+    nights.push(night);
+
+    [week, day] = day === 4n ? [week + 1n, 0n] : [week, day + 1n];
+  }
+
+  // ── Summary ──────────────────────────────────────────────────────
+
+  const [totalStaked, totalCoverage, , reserveBalance, blackSwanReserve] = await hoodgap.getPoolStats();
+  const stakerClaim = await hoodgap.stakerBalances(staker.address);
+  const sum = (key) => nights.reduce((total, n) => total + n[key], typeof nights[0][key] === "bigint" ? 0n : 0);
+
+  const realized = (fromUSDC(stakerClaim) - fromUSDC(stake)) / fromUSDC(stake);
+  const summary = {
+    nights: nightCount,
+    from: bars[0].date,
+    to: bars[nightCount].date,
+    policies: sum("policies"),
+    settled: sum("settled"),
+    unsettled: ctx.pending.length,
+    paidOut: sum("paidOut"),
+    rejected: nights.reduce((total, n) => total + n.rejected.length, 0),
+    premiumsUsd: fromUSDC(sum("premiums")),
+    payoutsUsd: fromUSDC(sum("payouts")),
+    treasuryFeesUsd: fromUSDC((await usdc.balanceOf(deployer.address)) - treasuryBefore),
+    stakedUsd: fromUSDC(stake),
+    totalStakedUsd: fromUSDC(totalStaked),
+    openCoverageUsd: fromUSDC(totalCoverage),
+    stakerBalanceUsd: fromUSDC(stakerClaim),
+    sharePrice: pricing.sharePrice({ totalStaked, totalShares: await hoodgap.totalShares() }),
+    realizedReturnPct: Math.round(realized * 10000) / 100,
+    annualizedReturnPct: Math.round((Math.pow(Math.max(0, 1 + realized), NIGHTS_PER_YEAR / nightCount) - 1) * 10000) / 100,
+    reserveBalanceUsd: fromUSDC(reserveBalance),
+    blackSwanReserveUsd: fromUSDC(blackSwanReserve),
+    reserveUsedUsd: fromUSDC(sum("reserveUsed")),
+    reserveUsedEvents: nights.filter((n) => n.reserveUsed > 0n).length,
+    insolvencyReverts: sum("insolvent"),
+    settleReverts: nights.reduce((total, n) => total + n.settleReverts.length, 0),
+  };
+
+  say("─".repeat(60));
+  say("\n📊 Result\n");
+  say(`  Policies:        ${summary.policies} bought/minted, ${summary.settled} settled, ${summary.paidOut} paid out, ${summary.unsettled} open`);
+  say(`  Rejected buys:   ${summary.rejected}`);
+  say(`  Premiums:        ${fmt(sum("premiums"))} (treasury fees ${fmt(toUSDC(summary.treasuryFeesUsd))})`);
+  say(`  Payouts:         ${fmt(sum("payouts"))}`);
+  say(`  totalStaked:     ${fmt(stake)} → ${fmt(totalStaked)}`);
+  say(`  Staker shares:   worth ${fmt(stakerClaim)} at a share price of ${summary.sharePrice.toFixed(6)}`);
+  say(`  Staker return:   ${summary.realizedReturnPct}% realized, ${summary.annualizedReturnPct}% annualized`);
+  say(`  Claim reserve:   ${fmt(reserveBalance)}   Black swan: ${fmt(blackSwanReserve)}`);
+  say(`  ReserveUsed:     ${summary.reserveUsedEvents} night(s), ${fmt(sum("reserveUsed"))}`);
+  say(`  Insolvency:      ${summary.insolvencyReverts} settlement(s) reverted "${INSOLVENT}"`);
+  if (summary.settleReverts > summary.insolvencyReverts) {
+    say(`  ❌ ${summary.settleReverts - summary.insolvencyReverts} other settlement revert(s), see the log above`);
+  }
+  say("");
+
+  const report = {
+    parameters: { data: flags.data, from: flags.from ?? null, stakeUsd: fromUSDC(stake), book },
+    summary,
+    nights: nights.map(nightRow),
+  };
+  for (const file of flags.report) {
+    writeReport(file, report);
+    say(`  📄 Report written to ${file}`);
+  }
+  if (flags.json) console.log(toJSON(report));
+}
+
+main().catch((error) => {
+  console.error(`\n  ❌ ${revertReason(error)}\n`);
+  process.exitCode = 1;
+});
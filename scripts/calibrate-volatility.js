@@ -0,0 +1,309 @@
+/**
+ * calibrate-volatility.js — Propose currentVolatility from realized volatility
+ *
+ * Premiums scale with getVolatilityMultiplier() = currentVolatility / AVG_VOLATILITY
+ * (5000 = 50% annualized = 1.0x), which the guardian sets by hand through
+ * queueVolatilityChange behind a 24h timelock. This script measures what the
+ * market actually did from a local OHLC file:
+ *
+ *   realized   close-to-close log returns over the last --window sessions
+ *   EWMA       RiskMetrics exponentially weighted variance (--lambda)
+ *   overnight  close-to-open log returns over the same window (what policies insure)
+ *
+ * all annualized with √252. The --method estimate is rounded to --step and
+ * clamped to the contract's 1000–15000 bounds, then compared with the current
+ * value (on chain with --network, else --current). The premium impact is shown
+ * on standard gap quotes, priced exactly like calculatePremium.
+ *
+ * When the difference exceeds --band, the queueVolatilityChange call is
+ * prepared: a staticCall from the owner (the dry run), the calldata for a
+ * multisig, the guardian-operations.js command, and a written justification.
+ * Nothing is sent.
+ *
+ * Usage:
+ *   node scripts/calibrate-volatility.js --data data/TSLA.csv
+ *   node scripts/calibrate-volatility.js --data data/TSLA.csv --network robinhoodTestnet --justification reports/vol.md
+ *   node scripts/calibrate-volatility.js --data data/TSLA.csv --method realized --window 60 --band 1000 --json
+ *
+ * Flags:
+ *   --data FILE           daily OHLC bars (CSV, JSON or a saved Yahoo chart response)
+ *   --method NAME         ewma | realized | overnight (default ewma)
+ *   --window N            sessions for realized and overnight volatility (default 30)
+ *   --lambda X            EWMA decay (default 0.94)
+ *   --step BPS            rounding of the proposed value (default 100)
+ *   --band BPS            change needed before a queue is proposed (default 500)
+ *   --current BPS         current value when offline (default 5000)
+ *   --utilization PCT     pool utilization for offline quotes (default 50)
+ *   --justification FILE  write the justification as Markdown
+ *   --network NAME        read currentVolatility and the pool, dry-run the queue call
+ *   --json                print the result as JSON
+ */
+
+const { parseCommandLine, bigintFlag, toJSON, revertReason } = require("./lib/cli");
+
+const cli = parseCommandLine({
+  data: { type: "string" },
+  method: { type: "string", default: "ewma" },
+  window: { type: "string" },
+  lambda: { type: "string", default: "0.94" },
+  step: { type: "string" },
+  band: { type: "string" },
+  current: { type: "string" },
+  utilization: { type: "string" },
+  justification: { type: "string" },
+});
+
+const fs = require("fs");
+const path = require("path");
+const { loadBars } = require("./lib/price-sources");
+const { pricing, formatUSDC: fmt } = require("@hoodgap/sdk");
+
+const say = cli.flags.json ? () => {} : console.log;
+
+const TRADING_DAYS = 252;
+const METHODS = ["ewma", "realized", "overnight"];
+const QUOTE_COVERAGES = [1_000n, 10_000n, 50_000n].map((usd) => usd * 10n ** 6n);
+const QUOTE_THRESHOLDS = [500n, 1000n];
+const REFERENCE_POOL = 100_000n * 10n ** 6n; // offline quotes assume a $100k pool
+
+const { AVG_VOLATILITY, MIN_VOLATILITY, MAX_VOLATILITY, calculateGapPremium, volatilityMultiplier } = pricing;
+const volPct = (bps) => `${(Number(bps) / 100).toFixed(2)}%`;
+
+// ── Volatility estimates ──────────────────────────────────────────────
+
+function stdev(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1));
+}
+
+/** Annualized volatility estimates (fractions, 0.5 = 50%) from daily bars, oldest first. */
+function estimateVolatility(bars, { window, lambda }) {
+  if (bars.length < window + 1) throw new Error(`Need at least ${window + 1} bars for a ${window}-session window, got ${bars.length}`);
+
+  const closeReturns = [];
+  const overnightReturns = [];
+  for (let i = 1; i < bars.length; i++) {
+    closeReturns.push(Math.log(bars[i].close / bars[i - 1].close));
+    overnightReturns.push(Math.log(bars[i].open / bars[i - 1].close));
+  }
+
+  // Seed the EWMA with the sample variance of the first window, then run it forward
+  let variance = stdev(closeReturns.slice(0, window)) ** 2;
+  for (const r of closeReturns.slice(window)) variance = lambda * variance + (1 - lambda) * r * r;
+
+  const annualize = (daily) => daily * Math.sqrt(TRADING_DAYS);
+  return {
+    realized: annualize(stdev(closeReturns.slice(-window))),
+    ewma: annualize(Math.sqrt(variance)),
+    overnight: annualize(stdev(overnightReturns.slice(-window))),
+  };
+}
+
+/** Estimate → contract value: basis points, rounded to `step`, within the queue bounds. */
+function proposeVolatility(estimate, step) {
+  const raw = BigInt(Math.round((estimate * 10000) / Number(step))) * step;
+  const proposed = raw < MIN_VOLATILITY ? MIN_VOLATILITY : raw > MAX_VOLATILITY ? MAX_VOLATILITY : raw;
+  return { proposed, clamped: proposed !== raw };
+}
+
+function quoteImpact(pool, current, proposed) {
+  const quotes = [];
+  for (const threshold of QUOTE_THRESHOLDS) {
+    for (const coverage of QUOTE_COVERAGES) {
+      const before = calculateGapPremium(coverage, threshold, { ...pool, volatility: current });
+      const after = calculateGapPremium(coverage, threshold, { ...pool, volatility: proposed });
+      const change = before && after ? (Number(after - before) / Number(before)) * 100 : null;
+      quotes.push({ coverage, threshold: Number(threshold), before, after, change });
+    }
+  }
+  return quotes;
+}
+
+// ── Chain ─────────────────────────────────────────────────────────────
+
+async function readChain() {
+  const hre = require("hardhat");
+  const { loadDeployment, attachContracts } = require("./lib/deployment");
+  const deployment = loadDeployment(hre.network.name);
+  const { hoodgap } = await attachContracts(hre, deployment);
+
+  const [current, pending, owner, totalStaked, totalCoverage, timelock, latest] = await Promise.all([
+    hoodgap.currentVolatility(),
+    hoodgap.pendingVolatilityChange(),
+    hoodgap.owner(),
+    hoodgap.totalStaked(),
+    hoodgap.totalCoverage(),
+    hoodgap.VOLATILITY_TIMELOCK(),
+    hre.ethers.provider.getBlock("latest"),
+  ]);
+  return {
+    hoodgap,
+    network: hre.network.name,
+    address: deployment.addresses.hoodgap,
+    current,
+    pending: pending.exists ? { value: pending.value, executeAfter: pending.executeAfter } : null,
+    owner,
+    pool: { totalStaked, totalCoverage },
+    executeAfter: BigInt(latest.timestamp) + timelock,
+  };
+}
+
+/** The queue call the guardian would send, checked with staticCall from the owner. */
+async function prepareQueue(chain, proposed, reason) {
+  const data = chain.hoodgap.interface.encodeFunctionData("queueVolatilityChange", [proposed, reason]);
+  try {
+    await chain.hoodgap.queueVolatilityChange.staticCall(proposed, reason, { from: chain.owner });
+    return { to: chain.address, from: chain.owner, data, dryRun: "ok" };
+  } catch (err) {
+    return { to: chain.address, from: chain.owner, data, dryRun: "reverted", error: revertReason(err) };
+  }
+}
+
+// ── Justification ─────────────────────────────────────────────────────
+
+function justificationMarkdown(result) {
+  const { estimates, inputs } = result;
+  const lines = [
+    `# Volatility change: ${result.current} → ${result.proposed} bp`,
+    "",
+    `Generated ${result.generatedAt} from \`${inputs.data}\` (${inputs.bars} sessions, ${inputs.firstDate} → ${inputs.lastDate}).`,
+    "",
+    "| Estimate | Annualized |",
+    "|----------|------------|",
+    `| Realized, ${inputs.window} sessions | ${volPct(estimates.realized * 10000)} |`,
+    `| EWMA, λ = ${inputs.lambda} | ${volPct(estimates.ewma * 10000)} |`,
+    `| Overnight, ${inputs.window} sessions | ${volPct(estimates.overnight * 10000)} |`,
+    "",
+    `The ${inputs.method} estimate rounds to **${result.proposed} bp**${result.clamped ? " (clamped to the 1000–15000 bounds)" : ""}, ` +
+      `${Math.abs(Number(result.difference))} bp ${result.difference > 0n ? "above" : "below"} the current ${result.current} bp, ` +
+      `outside the ${inputs.band} bp band. The volatility multiplier moves from ` +
+      `${Number(volatilityMultiplier(result.current)) / 10000}x to ${Number(volatilityMultiplier(result.proposed)) / 10000}x.`,
+    "",
+    "## Premium impact (single gap)",
+    "",
+    "| Tier | Coverage | Current | Proposed | Change |",
+    "|------|----------|---------|----------|--------|",
+    ...result.quotes.map(
+      (q) =>
+        `| -${q.threshold / 100}% | ${fmt(q.coverage)} | ${q.before === null ? "reverts" : fmt(q.before)} | ` +
+        `${q.after === null ? "reverts" : fmt(q.after)} | ${q.change === null ? "—" : `${q.change.toFixed(1)}%`} |`
+    ),
+    "",
+    `On-chain reason: "${result.reason}"`,
+  ];
+  if (result.queue) {
+    lines.push("", "## Transaction", "", `- to: \`${result.queue.to}\``, `- data: \`${result.queue.data}\``);
+    lines.push(`- dry run: ${result.queue.dryRun}${result.queue.error ? ` (${result.queue.error})` : ""}`);
+    lines.push(`- executable after the 24h timelock, ≈ ${new Date(Number(result.executeAfter) * 1000).toISOString()}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// ── Main ──────────────────────────────────────────────────────────────
+
+async function main() {
+  const { flags } = cli;
+  if (!flags.data) throw new Error("--data FILE is required (daily OHLC bars)");
+  if (!METHODS.includes(flags.method)) throw new Error(`--method must be one of ${METHODS.join(", ")}`);
+  const inputs = {
+    data: flags.data,
+    method: flags.method,
+    window: Number(bigintFlag(flags, "window", 30n)),
+    lambda: Number(flags.lambda),
+    step: bigintFlag(flags, "step", 100n),
+    band: bigintFlag(flags, "band", 500n),
+  };
+  if (!(inputs.lambda > 0 && inputs.lambda < 1)) throw new Error("--lambda must be between 0 and 1");
+  if (inputs.window < 2 || inputs.step === 0n) throw new Error("--window must be at least 2 and --step positive");
+
+  const bars = loadBars(path.resolve(flags.data));
+  Object.assign(inputs, { bars: bars.length, firstDate: bars[0]?.date, lastDate: bars[bars.length - 1]?.date });
+  const estimates = estimateVolatility(bars, inputs);
+  const { proposed, clamped } = proposeVolatility(estimates[inputs.method], inputs.step);
+
+  const chain = flags.network || process.env.HARDHAT_NETWORK ? await readChain() : null;
+  const current = chain ? chain.current : bigintFlag(flags, "current", AVG_VOLATILITY);
+  const utilization = bigintFlag(flags, "utilization", 50n);
+  const pool = chain ? chain.pool : { totalStaked: REFERENCE_POOL, totalCoverage: (REFERENCE_POOL * utilization) / 100n };
+
+  const difference = proposed - current;
+  const outsideBand = (difference < 0n ? -difference : difference) > inputs.band;
+  const reason =
+    `${inputs.method === "ewma" ? `EWMA(${inputs.lambda})` : `${inputs.window}d ${inputs.method}`} vol ` +
+    `${volPct(estimates[inputs.method] * 10000)} as of ${inputs.lastDate}`;
+
+  const result = {
+    generatedAt: new Date().toISOString(),
+    network: chain?.network ?? null,
+    inputs,
+    estimates,
+    current,
+    proposed,
+    clamped,
+    difference,
+    outsideBand,
+    reason,
+    pending: chain?.pending ?? null,
+    quotes: quoteImpact(pool, current, proposed),
+    queue: null,
+    command: null,
+    executeAfter: chain?.executeAfter ?? null,
+  };
+
+  if (outsideBand) {
+    result.command =
+      `node scripts/guardian-operations.js queue-vol --vol ${proposed} --reason '${reason}' ` +
+      `--network ${chain?.network ?? "<network>"}`;
+    if (chain && !chain.pending) result.queue = await prepareQueue(chain, proposed, reason);
+  }
+
+  // ── Output ──
+  say(`\n📈 Volatility calibration — ${path.basename(flags.data)} (${inputs.bars} sessions, ${inputs.firstDate} → ${inputs.lastDate})`);
+  say("─".repeat(65));
+  say(`  ${`Realized (${inputs.window} sessions):`.padEnd(28)} ${volPct(estimates.realized * 10000)}`);
+  say(`  ${`EWMA (λ = ${inputs.lambda}):`.padEnd(28)} ${volPct(estimates.ewma * 10000)}`);
+  say(`  ${`Overnight (${inputs.window} sessions):`.padEnd(28)} ${volPct(estimates.overnight * 10000)}`);
+  say(`\n  Current:  ${current} bp (${chain ? `on ${chain.network}` : "--current"})`);
+  say(`  Proposed: ${proposed} bp from ${inputs.method}${clamped ? " (clamped to 1000–15000)" : ""} · Δ ${difference > 0n ? "+" : ""}${difference} bp`);
+  if (result.pending) {
+    say(`  ⏳ Pending change to ${result.pending.value} bp, executable ${new Date(Number(result.pending.executeAfter) * 1000).toISOString()}`);
+  }
+
+  say(`\n  Single-gap premiums at ${chain ? "the current pool" : `${utilization}% utilization`}:`);
+  say(`  ${"Tier".padEnd(6)} ${"Coverage".padStart(12)} ${"Current".padStart(10)} ${"Proposed".padStart(10)} ${"Change".padStart(8)}`);
+  for (const q of result.quotes) {
+    const cell = (value) => (value === null ? "reverts" : fmt(value)).padStart(10);
+    const change = q.change === null ? "—" : `${q.change > 0 ? "+" : ""}${q.change.toFixed(1)}%`;
+    say(`  ${`-${q.threshold / 100}%`.padEnd(6)} ${fmt(q.coverage).padStart(12)} ${cell(q.before)} ${cell(q.after)} ${change.padStart(8)}`);
+  }
+
+  say("\n" + "─".repeat(65));
+  if (!outsideBand) {
+    say(`✅ Within the ${inputs.band} bp band — no change proposed`);
+  } else {
+    say(`⚠ Outside the ${inputs.band} bp band — propose queueVolatilityChange(${proposed}, "${reason}")`);
+    if (result.pending) say("   A change is already pending; cancel-vol it first or let it execute");
+    if (result.queue) {
+      const icon = result.queue.dryRun === "ok" ? "✅" : "❌";
+      say(`   ${icon} Dry run from owner ${result.queue.from}: ${result.queue.dryRun}${result.queue.error ? ` — ${result.queue.error}` : ""}`);
+      say(`   to:   ${result.queue.to}`);
+      say(`   data: ${result.queue.data}`);
+    }
+    say(`   ${result.command}`);
+    if (flags.justification) {
+      fs.mkdirSync(path.dirname(path.resolve(flags.justification)), { recursive: true });
+      fs.writeFileSync(flags.justification, justificationMarkdown(result));
+      say(`   📝 Justification written to ${flags.justification}`);
+    }
+  }
+  say();
+
+  if (flags.json) console.log(toJSON({ ...result, justification: outsideBand ? justificationMarkdown(result) : null }));
+  if (result.queue?.dryRun === "reverted") process.exitCode = 1;
+}
+
+main().catch((error) => {
+  if (cli.flags.json) console.log(toJSON({ ok: false, error: revertReason(error) }, 0));
+  else console.error(`\n  ❌ ${revertReason(error)}\n`);
+  process.exitCode = 1;
+});
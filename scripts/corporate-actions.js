@@ -0,0 +1,219 @@
+/**
+ * corporate-actions.js — Plan settlement approvals from the corporate-actions registry
+ *
+ * Reads splits and special events from a local registry (format in
+ * lib/corporate-actions.js), maps each effective date onto the HoodGap
+ * calendar and prints:
+ *   - the gap (week, day) the event lands in and its approval week
+ *   - the exact splitRatio in basis points for approveSettlement
+ *   - the deadline: when settlePolicy would otherwise go through at 1.0x
+ *   - with --network: on-chain approval status and live policies on the gap
+ *     (from the indexer's event store when present, else a policy scan)
+ *   - ready-to-run guardian-operations.js commands
+ *
+ * One approval covers every gap whose next open falls in that week (five,
+ * fewer around holidays), so policies on the other gaps are settled at the
+ * same ratio; they are flagged as well.
+ *
+ * Usage:
+ *   node scripts/corporate-actions.js                          # offline plan
+ *   node scripts/corporate-actions.js --network robinhoodTestnet
+ *   node scripts/corporate-actions.js --file data/splits.json --from 2025-01-01 --json
+ *
+ * Flags:
+ *   --file FILE     registry (default data/corporate-actions.json)
+ *   --from DATE     skip actions effective before DATE (YYYY-MM-DD)
+ *   --network NAME  check approvals and live policies on a deployment
+ *   --json          print the plan as JSON
+ *
+ * Exits non-zero when an action cannot be approved as planned (out of range,
+ * conflicting ratios in one week, wrong ratio on chain, deadline missed).
+ */
+
+const { parseCommandLine, toJSON, revertReason } = require("./lib/cli");
+
+const cli = parseCommandLine({
+  file: { type: "string" },
+  from: { type: "string" },
+});
+
+const fs = require("fs");
+const path = require("path");
+const { loadCorporateActions, planCorporateAction, MAX_SPLIT_RATIO } = require("./lib/corporate-actions");
+const { livePoliciesByGap } = require("./lib/event-store");
+const { formatUSDC: fmt } = require("@hoodgap/sdk");
+
+const DEFAULT_FILE = path.join(__dirname, "..", "data", "corporate-actions.json");
+
+const isoTime = (ts) => new Date(Number(ts) * 1000).toISOString().replace(".000Z", "Z");
+const gapKey = (week, day) => `${week}:${day}`;
+const policyCount = (n) => `${n} live ${n === 1 ? "policy" : "policies"}`;
+const shellQuote = (text) => `'${String(text).replace(/'/g, `'\\''`)}'`;
+
+// ── Chain state ───────────────────────────────────────────────────────
+
+async function readChain(plans) {
+  const hre = require("hardhat");
+  const { loadDeployment, attachContracts } = require("./lib/deployment");
+  const deployment = loadDeployment(hre.network.name);
+  const { hoodgap } = await attachContracts(hre, deployment);
+
+  const approvals = new Map();
+  for (const week of new Set(plans.map((p) => p.approvalWeek))) {
+    const [approved, splitRatio] = await Promise.all([hoodgap.settlementApproved(week), hoodgap.splitRatios(week)]);
+    approvals.set(week, { approved, splitRatio: Number(splitRatio) });
+  }
+
+  return {
+    network: hre.network.name,
+    now: (await hre.ethers.provider.getBlock("latest")).timestamp,
+    approvals,
+    policies: await livePoliciesByGap(hoodgap, deployment),
+  };
+}
+
+// ── Planning ──────────────────────────────────────────────────────────
+
+function summarizeGaps(gaps, policies) {
+  return gaps
+    .map(({ week, day }) => ({ week, day, ...(policies?.byGap.get(gapKey(week, day)) ?? { ids: [], coverage: 0n }) }))
+    .filter((g) => g.ids.length > 0);
+}
+
+function assess(plans, chain) {
+  // Two actions in one approval week must agree on the ratio
+  const ratiosByWeek = new Map();
+  for (const plan of plans) {
+    if (!ratiosByWeek.has(plan.approvalWeek)) ratiosByWeek.set(plan.approvalWeek, new Set());
+    ratiosByWeek.get(plan.approvalWeek).add(plan.splitRatio);
+  }
+
+  for (const plan of plans) {
+    plan.issues = [];
+    plan.warnings = [];
+    if (!plan.inRange) plan.issues.push(`splitRatio ${plan.splitRatio} is outside approveSettlement's 1–${MAX_SPLIT_RATIO} range`);
+    if (ratiosByWeek.get(plan.approvalWeek).size > 1) {
+      plan.issues.push(`week ${plan.approvalWeek} has conflicting ratios: ${[...ratiosByWeek.get(plan.approvalWeek)].join(", ")}`);
+    }
+    if (!plan.exact) plan.warnings.push(`not exact in basis points (≈${plan.errorBps.toFixed(2)} bp error in the measured gap)`);
+
+    plan.livePolicies = summarizeGaps([{ week: plan.gapWeek, day: plan.gapDay }], chain?.policies)[0] ?? null;
+    plan.collateral = summarizeGaps(plan.sharedGaps, chain?.policies);
+    for (const g of plan.collateral) {
+      plan.warnings.push(`gap ${g.week}:${g.day} has ${policyCount(g.ids.length)} (${fmt(g.coverage)}) that will also settle at ${plan.splitRatio} bp`);
+    }
+
+    if (!chain) {
+      plan.status = "planned";
+      continue;
+    }
+    const approval = chain.approvals.get(plan.approvalWeek);
+    if (approval.approved && approval.splitRatio === plan.splitRatio) plan.status = "approved";
+    else if (approval.approved) {
+      plan.status = "mismatch";
+      plan.issues.push(`week ${plan.approvalWeek} is approved at ${approval.splitRatio} bp, expected ${plan.splitRatio}`);
+    } else if (chain.now >= plan.deadlineTs) {
+      plan.status = "missed";
+      if (plan.livePolicies) plan.issues.push(`deadline passed with ${policyCount(plan.livePolicies.ids.length)} unsettled — they will settle at 1.0x`);
+    } else plan.status = "pending";
+  }
+}
+
+function guardianCommand(plan, network) {
+  return [
+    "node scripts/guardian-operations.js approve-week",
+    `--week ${plan.approvalWeek}`,
+    `--split ${plan.splitRatio}`,
+    `--reason ${shellQuote(plan.reason)}`,
+    `--network ${network ?? "<network>"}`,
+  ].join(" ");
+}
+
+// ── Output ────────────────────────────────────────────────────────────
+
+const STATUS_ICON = { planned: "📝", pending: "⏳", approved: "✅", mismatch: "❌", missed: "❌" };
+
+function printPlan(report) {
+  console.log(`\n📅 Corporate actions — ${report.file}`);
+  if (report.network) console.log(`   Network: ${report.network} · block time ${isoTime(report.now)} · policies from ${report.policySource}`);
+  else console.log("   Offline — pass --network to check approvals and live policies");
+  console.log("─".repeat(65));
+
+  for (const plan of report.actions) {
+    const { action } = plan;
+    const what = action.type === "split" ? `split ${action.ratio}` : `${action.type}${plan.factor ? ` ×${plan.factor}` : ""}`;
+    const label = [action.symbol, what].filter(Boolean).join(" ");
+    console.log(`\n  ${STATUS_ICON[plan.status] ?? "❌"} ${label} · effective ${action.effective}`);
+    if (plan.error) {
+      console.log(`     ❌ ${plan.error}`);
+      continue;
+    }
+    console.log(`     splitRatio:    ${plan.splitRatio} bp`);
+    console.log(`     Gap:           week ${plan.gapWeek} day ${plan.gapDay} (${isoTime(plan.closeTs)} → ${isoTime(plan.openTs)})`);
+    console.log(`     Approve week:  ${plan.approvalWeek} before ${isoTime(plan.deadlineTs)} (failsafe ${isoTime(plan.failsafeTs)})`);
+    if (report.network) {
+      const live = plan.livePolicies;
+      console.log(`     Status:        ${plan.status}${live ? ` · ${policyCount(live.ids.length)} (${fmt(live.coverage)})` : " · no live policies on this gap"}`);
+    }
+    for (const warning of plan.warnings) console.log(`     ⚠ ${warning}`);
+    for (const issue of plan.issues) console.log(`     ❌ ${issue}`);
+  }
+
+  console.log("\n" + "─".repeat(65));
+  if (report.commands.length > 0) {
+    console.log("🛡️  Guardian commands (add --dry-run to preview):");
+    for (const command of report.commands) console.log(`   ${command}`);
+  } else {
+    console.log("✅ Nothing to approve");
+  }
+  console.log();
+}
+
+// ── Main ──────────────────────────────────────────────────────────────
+
+async function main() {
+  const { flags } = cli;
+  const file = path.resolve(flags.file || DEFAULT_FILE);
+  if (!fs.existsSync(file)) throw new Error(`Corporate-actions file not found: ${file}`);
+  if (flags.from && !/^\d{4}-\d{2}-\d{2}$/.test(flags.from)) throw new Error("--from must be a YYYY-MM-DD date");
+
+  const actions = loadCorporateActions(file).filter((a) => !flags.from || a.effective >= flags.from);
+  const plans = [];
+  const failed = [];
+  for (const action of actions) {
+    try {
+      plans.push(planCorporateAction(action));
+    } catch (err) {
+      failed.push({ action, status: "invalid", error: err.message, issues: [err.message], warnings: [] });
+    }
+  }
+
+  const chain = flags.network || process.env.HARDHAT_NETWORK ? await readChain(plans) : null;
+  assess(plans, chain);
+
+  const actionable = plans.filter(
+    (p) => p.inRange && p.issues.length === 0 && ["planned", "pending"].includes(p.status)
+  );
+  // One command per approval week; conflicting weeks are left to the guardian
+  const commands = [...new Map(actionable.map((p) => [p.approvalWeek, guardianCommand(p, chain?.network)])).values()];
+
+  const report = {
+    file: path.relative(process.cwd(), file),
+    network: chain?.network ?? null,
+    now: chain?.now ?? null,
+    policySource: chain?.policies.source ?? null,
+    actions: [...plans, ...failed].sort((a, b) => a.action.effective.localeCompare(b.action.effective)),
+    commands,
+  };
+  report.ok = report.actions.every((a) => a.issues.length === 0);
+
+  if (flags.json) console.log(toJSON(report));
+  else printPlan(report);
+  if (!report.ok) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  if (cli.flags.json) console.log(toJSON({ ok: false, error: revertReason(error) }, 0));
+  else console.error(`\n  ❌ ${revertReason(error)}\n`);
+  process.exitCode = 1;
+});
@@ -1,6 +1,36 @@
+/**
+ * deploy.js — Deploy MockUSDC, MockChainlinkOracle and HoodGap
+ *
+ * On hardhat and localhost it also deploys Multicall3; other chains have it
+ * predeployed at the canonical address. The frontend batches its reads
+ * through it (see @hoodgap/sdk multicall).
+ *
+ * It then publishes the NYSE calendar (holidays, early closes, EDT weeks) for
+ * the rest of this year and all of next, so the contract and the frontend
+ * agree from the first week. Later years: guardian-operations.js publish-calendar.
+ *
+ * Writes deployments/<network>.json (see scripts/lib/deployment.js) and
+ * regenerates frontend/.env.local from it. Set HOODGAP_DEPLOYMENT=<name> to
+ * keep several deployments on the same network (e.g. forks) side by side.
+ *
+ * Usage:
+ *   npx hardhat run scripts/deploy.js --network localhost
+ */
+
 const hre = require("hardhat");
-const fs = require("fs");
 const path = require("path");
+const { MULTICALL3_ADDRESS, calendar, nyse } = require("@hoodgap/sdk");
+const {
+  MANIFEST_VERSION,
+  abiHash,
+  deploymentName,
+  writeDeployment,
+  loadDeployment,
+  writeFrontendEnv,
+} = require("./lib/deployment");
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+const DAYLIGHT_SAVING_OFFSET = 3600; // HoodGapMath: EDT weeks open an hour before the nominal Monday
 
 async function fetchTeslaPrice() {
   try {
@@ -17,6 +47,25 @@ async function fetchTeslaPrice() {
   return 350.0;
 }
 
+/**
+ * Publish this year's and next year's NYSE schedules for the weeks that have not
+ * opened yet (Monday 9:30am EDT at the earliest); started weeks stay on the EST grid.
+ */
+async function publishCalendar(hoodgap, now) {
+  const thisYear = new Date(now * 1000).getUTCFullYear();
+  for (const year of [thisYear, thisYear + 1]) {
+    if (year < nyse.FIRST_YEAR || year > nyse.LAST_YEAR) {
+      console.warn(`⚠ No NYSE calendar for ${year} in @hoodgap/sdk — publish it later with publish-calendar`);
+      continue;
+    }
+    const weeks = nyse.weekSchedules(year).filter(({ week }) => calendar.getMonday(week) - DAYLIGHT_SAVING_OFFSET > now + 60);
+    if (weeks.length === 0) continue;
+    const tx = await hoodgap.publishMarketCalendar(weeks.map((w) => w.week), weeks.map((w) => w.schedule));
+    await tx.wait();
+    console.log(`✅ Published NYSE ${year}: ${weeks.length} weeks`);
+  }
+}
+
 async function main() {
   console.log("🚀 Starting deployment to:", hre.network.name);
 
@@ -29,47 +78,65 @@ async function main() {
   const now = block ? block.timestamp : Math.floor(Date.now() / 1000) - 60;
   console.log(`🕒 Chain timestamp: ${now}`);
 
-  // Deploy MockUSDC
-  const MockUSDC = await hre.ethers.getContractFactory("MockUSDC");
-  const usdc = await MockUSDC.deploy();
-  await usdc.waitForDeployment();
-  const usdcAddress = await usdc.getAddress();
-  console.log("✅ MockUSDC:", usdcAddress);
-
-  // Deploy MockChainlinkOracle
-  const MockOracle = await hre.ethers.getContractFactory("MockChainlinkOracle");
-  const oracle = await MockOracle.deploy(oraclePrice, now);
-  await oracle.waitForDeployment();
-  const oracleAddress = await oracle.getAddress();
-  console.log("✅ MockOracle:", oracleAddress);
-
-  // Deploy HoodGap
-  const HoodGap = await hre.ethers.getContractFactory("HoodGap");
-  const hoodgap = await HoodGap.deploy(usdcAddress, oracleAddress);
-  await hoodgap.waitForDeployment();
-  const hoodgapAddress = await hoodgap.getAddress();
-  console.log("✅ HoodGap:", hoodgapAddress);
-
-  // Auto-write frontend/.env.local
-  const envContent = [
-    "# HoodGap Frontend Environment — auto-generated by deploy.js",
-    `# Deployed to ${hre.network.name} at ${new Date().toISOString()}`,
-    `NEXT_PUBLIC_HOODGAP_ADDRESS=${hoodgapAddress}`,
-    `NEXT_PUBLIC_USDC_ADDRESS=${usdcAddress}`,
-    `NEXT_PUBLIC_ORACLE_ADDRESS=${oracleAddress}`,
-    "NEXT_PUBLIC_RPC_URL=https://rpc.testnet.chain.robinhood.com",
-    "NEXT_PUBLIC_CHAIN_ID=46630",
-    "",
-  ].join("\n");
-
-  const envPath = path.join(__dirname, "..", "frontend", ".env.local");
-  fs.writeFileSync(envPath, envContent, "utf8");
-  console.log("\n✅ Auto-wrote frontend/.env.local");
+  const [deployer] = await hre.ethers.getSigners();
+  const records = {};
+
+  async function deployContract(key, artifactName, args) {
+    const factory = await hre.ethers.getContractFactory(artifactName);
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    const receipt = await contract.deploymentTransaction().wait();
+    const { abi } = await hre.artifacts.readArtifact(artifactName);
+
+    records[key] = {
+      contract: artifactName,
+      address: await contract.getAddress(),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      constructorArgs: args.map(String),
+      abiHash: abiHash(abi),
+    };
+    console.log(`✅ ${artifactName}:`, records[key].address);
+    return contract;
+  }
+
+  const usdc = await deployContract("usdc", "MockUSDC", []);
+  const oracle = await deployContract("oracle", "MockChainlinkOracle", [oraclePrice, now]);
+  const hoodgap = await deployContract("hoodgap", "HoodGap", [await usdc.getAddress(), await oracle.getAddress()]);
+  if (LOCAL_NETWORKS.includes(hre.network.name)) await deployContract("multicall", "Multicall3", []);
+  await publishCalendar(hoodgap, now);
+
+  // Record the deployment manifest (deployments/<network>.json)
+  const compiler = hre.config.solidity.compilers[0];
+  const manifest = {
+    version: MANIFEST_VERSION,
+    name: deploymentName(hre.network.name),
+    network: hre.network.name,
+    chainId: Number((await hre.ethers.provider.getNetwork()).chainId),
+    rpcUrl: hre.network.config.url || null,
+    deployer: deployer.address,
+    deployedAt: new Date().toISOString(),
+    deployBlock: Math.min(...Object.values(records).map((r) => r.blockNumber)),
+    compiler: { version: compiler.version, settings: compiler.settings },
+    contracts: records,
+  };
+
+  const manifestFile = writeDeployment(manifest);
+  console.log(`\n✅ Wrote ${path.relative(process.cwd(), manifestFile)}`);
+
+  // The in-process hardhat network disappears with this script — don't
+  // point the frontend at it
+  if (hre.network.name !== "hardhat") {
+    writeFrontendEnv(loadDeployment(hre.network.name));
+    console.log("✅ Generated frontend/.env.local");
+  }
 
   console.log("\n📋 Summary:");
-  console.log("   USDC:    ", usdcAddress);
-  console.log("   Oracle:  ", oracleAddress);
-  console.log("   HoodGap: ", hoodgapAddress);
+  console.log("   USDC:    ", records.usdc.address);
+  console.log("   Oracle:  ", records.oracle.address);
+  console.log("   HoodGap: ", records.hoodgap.address);
+  console.log("   Multicall:", records.multicall?.address ?? `${MULTICALL3_ADDRESS} (canonical)`);
+  console.log("   Block:   ", manifest.deployBlock);
   console.log("\n🎯 Next: restart `npm run dev` in frontend/");
 }
 
@@ -1,9 +1,11 @@
 const hre = require("hardhat");
+const { loadDeployment, attachContracts } = require("./lib/deployment");
 
 async function main() {
   const [signer] = await hre.ethers.getSigners();
-  const usdc = await hre.ethers.getContractAt("MockUSDC", "0xaAa6F06AEBA8f2369CA2a54a1DED782EF77D42b7");
-  const hoodgap = await hre.ethers.getContractAt("HoodGap", "0xFFC79A5c26bc481f5C446F36C2CfDEF8318771b2");
+  const deployment = loadDeployment(hre.network.name);
+  const { hoodgap, usdc } = await attachContracts(hre, deployment);
+  const hoodgapAddr = deployment.addresses.hoodgap;
 
   console.log("Wallet:", signer.address);
 
@@ -11,7 +13,7 @@ async function main() {
   const bal = await usdc.balanceOf(signer.address);
   console.log("USDC balance:", Number(bal) / 1e6);
 
-  const allowance = await usdc.allowance(signer.address, "0xFFC79A5c26bc481f5C446F36C2CfDEF8318771b2");
+  const allowance = await usdc.allowance(signer.address, hoodgapAddr);
   console.log("USDC allowance to HoodGap:", Number(allowance) / 1e6);
 
   const stake = await hoodgap.stakerBalances(signer.address);
@@ -29,7 +31,7 @@ async function main() {
   // Approve HoodGap to spend USDC
   console.log("Approving HoodGap to spend USDC...");
   const maxUint = 2n**256n - 1n;
-  const approveTx = await usdc.approve("0xFFC79A5c26bc481f5C446F36C2CfDEF8318771b2", maxUint);
+  const approveTx = await usdc.approve(hoodgapAddr, maxUint);
   await approveTx.wait();
   console.log("Unlimited approval set");
 
@@ -0,0 +1,34 @@
+/**
+ * frontend-env.js — Regenerate frontend/.env.local from a deployment manifest
+ *
+ * Switches the frontend between deployments without redeploying.
+ *
+ * Usage:
+ *   node scripts/frontend-env.js --network localhost
+ *   HOODGAP_DEPLOYMENT=testnet-fork node scripts/frontend-env.js --network hardhat
+ */
+
+const { parseCommandLine } = require("./lib/cli");
+const { loadDeployment, writeFrontendEnv } = require("./lib/deployment");
+
+function main() {
+  const { flags } = parseCommandLine();
+  const network = flags.network || process.env.HARDHAT_NETWORK || "localhost";
+
+  const deployment = loadDeployment(network);
+  if (!deployment.chainId) {
+    throw new Error(`No manifest for ${network} — .env fallbacks cannot generate frontend/.env.local`);
+  }
+
+  writeFrontendEnv(deployment);
+  console.log(`✅ Generated frontend/.env.local from deployments/${deployment.name}.json`);
+  console.log("   HoodGap:", deployment.addresses.hoodgap);
+  console.log("   Chain:  ", deployment.chainId);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -3,28 +3,175 @@
 /**
  * gap-analysis.js
  *
- * Economic analysis: Calculate the correct BASE_RATE for the HoodGap protocol
- * under the graduated payout model.
+ * Economic analysis: calibrate TIER_5_RATE / TIER_10_RATE for the HoodGap
+ * protocol against historical overnight gaps, using exactly the pricing and
+ * payout rules in HoodGap.sol:
  *
- * Uses historical TSLA Friday close → Monday open data to:
- *   1. Map the gap distribution
- *   2. Calculate expected loss under graduated payouts
- *   3. Derive sustainable BASE_RATE at different staker APY targets
- *   4. Stress-test pool viability
+ *   weekly premium = coverage × tierRate × utilMultiplier × volMultiplier
+ *                    (floor 0.1% of coverage, reverts above 95%)
+ *   gap premium    = weekly premium / 5, less the 4/8-week plan discount
+ *   payout         = full coverage when |open − close| / close ≥ threshold
+ *   premium split  = 77% claim reserve, 18% stakers, 3% treasury, 2% black swan
  *
- * Data source: Yahoo Finance API (free, no auth needed)
+ * Payouts come out of totalStaked and only fall through to the black swan and
+ * claim reserves on a shortfall, so stakers carry the claims and earn the 18%.
+ *
+ * Uses historical TSLA close → next open data for every trading night
+ * (Mon→Tue … Fri→Mon, plus holiday breaks) to:
+ *   1. Map the gap distribution, by night and by weekend/holiday break
+ *   2. Price both tiers at the current rates and each utilization level
+ *   3. Recommend tier rates for a target staker APY
+ *   4. Find the worst historical stretches
+ *   5. Monte Carlo staker APY and solvency at each utilization level
+ *
+ * The Monte Carlo is seeded, so a run can be archived next to the rate change
+ * it justified and diffed against the next one.
+ *
+ * Data source: a local OHLC file (--data), else Yahoo Finance (free, no auth)
+ *
+ * Usage:
+ *   node scripts/gap-analysis.js --data data/TSLA.csv
+ *   node scripts/gap-analysis.js --data data/TSLA.json --nights fri      # legacy weekend-only study
+ *   node scripts/gap-analysis.js --data data/TSLA.csv --utilization 20,40,60,80 --target-apy 25 --plan 8
+ *   node scripts/gap-analysis.js --data data/TSLA.csv --seed 7 --weeks 26 --report reports/rates.json --report reports/rates.csv
+ *
+ * Flags:
+ *   --data FILE          CSV (Date,Open,…,Close), JSON array of { date, open, close },
+ *                        or a saved Yahoo Finance chart response
+ *   --nights SPEC        close weekday (mon … fri) and/or break type (overnight, weekend, holiday)
+ *   --utilization LIST   pool utilization levels in percent (default 30,50,70,90)
+ *   --target-apy PCT     staker APY the recommended rates aim for (default 20)
+ *   --volatility BPS     currentVolatility to price at (default 5000 = 1.0x)
+ *   --plan WEEKS         subscription length 1, 4 or 8, which sets the discount (default 1)
+ *   --simulations N      Monte Carlo paths per scenario (default 5000)
+ *   --weeks N            Monte Carlo horizon in weeks; APY is annualized (default 52)
+ *   --seed N             PRNG seed, the same seed reproduces every path (default 1)
+ *   --worst N            worst paths kept per scenario in the report (default 3)
+ *   --report FILE        write the report as .json (everything) or .csv (one row per
+ *                        scenario); repeatable
+ *   --json               print the JSON report instead of the tables
  */
 
+const fs = require("fs");
 const https = require("https");
+const path = require("path");
+const { parseCommandLine, toJSON } = require("./lib/cli");
+const { loadBars, barsFromYahooChart } = require("./lib/price-sources");
+const { mulberry32, seedFrom } = require("./lib/random");
+const { pricing, toUSDC } = require("@hoodgap/sdk");
+
+const cli = parseCommandLine({
+  data: { type: "string" },
+  ticker: { type: "string", default: "TSLA" },
+  years: { type: "string", default: "5" },
+  nights: { type: "string", default: "all" },
+  utilization: { type: "string", default: "30,50,70,90" },
+  "target-apy": { type: "string", default: "20" },
+  volatility: { type: "string", default: "5000" },
+  plan: { type: "string", default: "1" },
+  simulations: { type: "string", default: "5000" },
+  weeks: { type: "string", default: "52" },
+  seed: { type: "string", default: "1" },
+  worst: { type: "string", default: "3" },
+  report: { type: "string", multiple: true, default: [] },
+});
+
+// --json prints the report alone, so the tables are muted
+const say = cli.flags.json ? () => {} : console.log;
 
 // ─── CONFIG ────────────────────────────────────────────────────────────────────
 
-const TICKER = "TSLA";
-const YEARS_BACK = 5; // 2020-2024 (covers COVID crash, bull runs, corrections)
-const THRESHOLD_BPS = 500; // 5% default policy threshold
+const TICKER = cli.flags.ticker;
+const YEARS_BACK = Number(cli.flags.years); // 5 → 2020-2024 (covers COVID crash, bull runs, corrections)
 const COVERAGE_USD = 10_000; // reference coverage
-const PLATFORM_FEE = 0.02; // 2%
-const RESERVE_CUT = 0.05; // 5%
+const POOL_USD = 100_000; // Monte Carlo starting stake
+const RUIN_LEVEL = 0.1; // pool counts as ruined below 10% of the starting stake
+
+// ─── CONTRACT PRICING (@hoodgap/sdk pricing, HoodGap.sol / HoodGapMath.sol) ──
+//
+// Premiums are computed in BigInt by the SDK on REFERENCE_COVERAGE and only
+// turned into fractions of coverage here, where the analysis goes float.
+
+const TIERS = [
+  { label: "-5%", threshold: 500, constant: "TIER_5_RATE" },
+  { label: "-10%", threshold: 1000, constant: "TIER_10_RATE" },
+].map((tier) => ({ ...tier, rate: Number(pricing.tierRate(tier.threshold)) }));
+const PLAN_DISCOUNTS = pricing.PLAN_DISCOUNTS;
+const GAPS_PER_WEEK = Number(pricing.GAPS_PER_WEEK); // every gap policy carries a fifth of the weekly premium
+const MAX_PREMIUM = Number(pricing.MAX_PREMIUM_BPS) / 10000; // above this calculatePremium reverts
+const REFERENCE_COVERAGE = toUSDC(COVERAGE_USD);
+
+// _allocatePremium's split in bps: protocolFee, claimReserve, blackSwan, stakerYield
+const SPLIT_BPS = Object.fromEntries(
+  Object.entries(pricing.allocatePremium(10000n)).map(([part, bps]) => [part, Number(bps)])
+);
+
+/** getUtilizationMultiplier at a utilization that includes the coverage being bought (bps in, bps out) */
+function utilizationMultiplier(utilizationBps) {
+  return Number(pricing.utilizationMultiplier(BigInt(Math.floor(utilizationBps)), 0n, 10000n));
+}
+
+/** getVolatilityMultiplier: currentVolatility / AVG_VOLATILITY (bps) */
+function volatilityMultiplier(volatilityBps) {
+  return Number(pricing.volatilityMultiplier(BigInt(volatilityBps)));
+}
+
+/**
+ * calculatePremium on REFERENCE_COVERAGE at `tierRate`, with the rest of the
+ * book sized so the purchase lands exactly on `utilizationBps`. Null where
+ * the contract reverts.
+ */
+function weeklyPremium(tierRate, utilizationBps, market) {
+  const pool = {
+    totalStaked: REFERENCE_COVERAGE * 10000n,
+    totalCoverage: REFERENCE_COVERAGE * (BigInt(Math.floor(utilizationBps)) - 1n),
+    volatility: BigInt(market.volatility),
+  };
+  return pricing.premiumAtRate(REFERENCE_COVERAGE, BigInt(tierRate), pool);
+}
+
+/** calculatePremium as a fraction of coverage, or null where the contract reverts. */
+function weeklyPremiumRate(tierRate, utilizationBps, market) {
+  const premium = weeklyPremium(tierRate, utilizationBps, market);
+  return premium === null ? null : Number(premium) / Number(REFERENCE_COVERAGE);
+}
+
+/** Premium paid per gap policy: buyPolicy(…, week, day) or a subscription's premiumPerWeek / 5. */
+function gapPremiumRate(tierRate, utilizationBps, market) {
+  const weekly = weeklyPremium(tierRate, utilizationBps, market);
+  if (weekly === null) return null;
+  const perWeek = pricing.subscriptionPremiumPerWeek(weekly, market.plan);
+  return Number(perWeek) / GAPS_PER_WEEK / Number(REFERENCE_COVERAGE);
+}
+
+/** calculatePayout: binary, full coverage once the gap reaches the threshold */
+function calculateBinaryPayout(coverageUsd, gapBps, thresholdBps) {
+  return gapBps >= thresholdBps ? coverageUsd : 0;
+}
+
+/** _allocatePremium: the staker remainder is added to totalStaked, raising the share price. */
+function allocatePremium(pool, premium) {
+  pool.treasury += (premium * SPLIT_BPS.protocolFee) / 10000;
+  pool.claimReserve += (premium * SPLIT_BPS.claimReserve) / 10000;
+  pool.blackSwan += (premium * SPLIT_BPS.blackSwan) / 10000;
+  pool.staked += (premium * SPLIT_BPS.stakerYield) / 10000;
+}
+
+/** settlePolicy payout path; false where the contract reverts "Insufficient pool + reserve funds". */
+function payFromPool(pool, payout) {
+  if (pool.staked >= payout) {
+    pool.staked -= payout;
+    return true;
+  }
+  let shortfall = payout - pool.staked;
+  pool.staked = 0;
+  const fromBlackSwan = Math.min(pool.blackSwan, shortfall);
+  pool.blackSwan -= fromBlackSwan;
+  shortfall -= fromBlackSwan;
+  if (pool.claimReserve < shortfall) return false;
+  pool.claimReserve -= shortfall;
+  return true;
+}
 
 // ─── FETCH HISTORICAL DATA ────────────────────────────────────────────────────
 
@@ -45,271 +192,526 @@ function fetchYahooFinance(ticker, period1, period2) {
         }
       });
       res.on("error", reject);
-    });
+    }).on("error", reject);
   });
 }
 
-// ─── EXTRACT FRIDAY→MONDAY GAPS ──────────────────────────────────────────────
+// ─── EXTRACT OVERNIGHT GAPS ──────────────────────────────────────────────────
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const NIGHTS = ["Mon→Tue", "Tue→Wed", "Wed→Thu", "Thu→Fri", "Fri→Mon"];
+const DAY_MS = 86_400_000;
 
-function extractWeekendGaps(timestamps, closes) {
+/**
+ * Close → next open for every consecutive pair of trading days.
+ * Each gap is tagged with the weekday of the close and the break it spans:
+ * "overnight", "weekend", "holiday" (a weekday was skipped) or "holiday weekend".
+ * gapBps matches calculateGap(open, close): absolute, so up gaps settle too.
+ * Missing rows in the input look like holidays, so feed complete data.
+ */
+function extractOvernightGaps(bars) {
   const gaps = [];
 
-  for (let i = 0; i < timestamps.length - 1; i++) {
-    const dateA = new Date(timestamps[i] * 1000);
-    const dateB = new Date(timestamps[i + 1] * 1000);
-
-    const dayA = dateA.getUTCDay(); // 5 = Friday
-    const dayB = dateB.getUTCDay(); // 1 = Monday
-
-    // Friday close → Monday open (next trading day after weekend)
-    if (dayA === 5 && dayB === 1) {
-      const fridayClose = closes[i];
-      const mondayOpen = closes[i + 1]; // Using close as proxy (open not in daily data)
-
-      if (fridayClose > 0 && mondayOpen > 0) {
-        const gapPercent = ((fridayClose - mondayOpen) / fridayClose) * 100;
-        const gapBps = Math.round(gapPercent * 100);
-
-        gaps.push({
-          friday: dateA.toISOString().split("T")[0],
-          monday: dateB.toISOString().split("T")[0],
-          fridayClose,
-          mondayPrice: mondayOpen,
-          gapPercent: Math.round(gapPercent * 100) / 100,
-          gapBps: Math.abs(gapBps),
-          direction: gapPercent >= 0 ? "DOWN" : "UP",
-        });
-      }
+  for (let i = 0; i < bars.length - 1; i++) {
+    const a = bars[i];
+    const b = bars[i + 1];
+    const dateA = new Date(`${a.date}T00:00:00Z`);
+    const dateB = new Date(`${b.date}T00:00:00Z`);
+    const calendarDays = Math.round((dateB - dateA) / DAY_MS);
+
+    let weekend = false;
+    let skippedWeekdays = 0;
+    for (let d = 1; d < calendarDays; d++) {
+      const dow = (dateA.getUTCDay() + d) % 7;
+      if (dow === 0 || dow === 6) weekend = true;
+      else skippedWeekdays++;
     }
+    const holiday = skippedWeekdays > 0;
+
+    const gapPercent = ((a.close - b.open) / a.close) * 100;
+    gaps.push({
+      date: a.date,
+      nextDate: b.date,
+      weekday: WEEKDAYS[dateA.getUTCDay()],
+      night: `${WEEKDAYS[dateA.getUTCDay()]}→${WEEKDAYS[dateB.getUTCDay()]}`,
+      weekend,
+      holiday,
+      breakType: weekend && holiday ? "holiday weekend" : weekend ? "weekend" : holiday ? "holiday" : "overnight",
+      calendarDays,
+      close: a.close,
+      open: b.open,
+      gapPercent: Math.round(gapPercent * 100) / 100,
+      gapBps: Math.floor((Math.abs(a.close - b.open) * 10000) / a.close),
+      direction: gapPercent >= 0 ? "DOWN" : "UP",
+    });
   }
 
   return gaps;
 }
 
-// ─── GRADUATED PAYOUT MATH ──────────────────────────────────────────────────
+/** Keep gaps matching any selector: close weekday (mon…fri) or break type. */
+function filterNights(gaps, spec) {
+  if (spec === "all") return gaps;
+  const selectors = spec.toLowerCase().split(",").map((x) => x.trim());
+  return gaps.filter(
+    (g) =>
+      selectors.includes(g.weekday.toLowerCase()) ||
+      (selectors.includes("weekend") && g.weekend) ||
+      (selectors.includes("holiday") && g.holiday) ||
+      (selectors.includes("overnight") && g.breakType === "overnight")
+  );
+}
+
+/** Monday-based calendar week of a gap's close */
+const weekOf = (g) => Math.floor((Date.parse(`${g.date}T00:00:00Z`) / DAY_MS + 3) / 7);
+
+/** Gaps grouped by calendar week, oldest first; the Monte Carlo replays whole weeks. */
+function groupByWeek(gaps) {
+  const weeks = new Map();
+  for (const g of gaps) {
+    const key = weekOf(g);
+    if (!weeks.has(key)) weeks.set(key, []);
+    weeks.get(key).push(g);
+  }
+  return [...weeks.values()];
+}
 
-function calculateGraduatedPayout(coverageUsd, gapBps, thresholdBps) {
-  if (gapBps < thresholdBps) return 0;
-  const excess = gapBps - thresholdBps;
-  const payout = (coverageUsd * excess) / thresholdBps;
-  return Math.min(payout, coverageUsd); // cap at 100%
+/** Average insured gaps per calendar week in the sample (5 when every night is included). */
+function gapsPerWeek(gaps) {
+  const weeks = new Set(gaps.map(weekOf));
+  return weeks.size > 0 ? gaps.length / weeks.size : 1;
 }
 
-function calculateBinaryPayout(coverageUsd, gapBps, thresholdBps) {
-  return gapBps >= thresholdBps ? coverageUsd : 0;
+/** Per-night frequency table used to calibrate the tier rates. */
+function summarizeByNight(gaps) {
+  const row = (label, subset) => {
+    const n = subset.length || 1;
+    return {
+      label,
+      count: subset.length,
+      p5: (subset.filter((g) => g.gapBps >= 500).length / n) * 100,
+      p10: (subset.filter((g) => g.gapBps >= 1000).length / n) * 100,
+      down5: (subset.filter((g) => g.direction === "DOWN" && g.gapBps >= 500).length / n) * 100,
+      meanAbs: subset.reduce((sum, g) => sum + g.gapBps, 0) / n / 100,
+      maxDown: subset.reduce((max, g) => Math.max(max, g.gapPercent), 0),
+    };
+  };
+
+  return [
+    ...NIGHTS.map((night, i) => row(night, gaps.filter((g) => g.weekday === WEEKDAYS[i + 1]))),
+    row("No break", gaps.filter((g) => g.breakType === "overnight")),
+    row("Weekend", gaps.filter((g) => g.weekend)),
+    row("Holiday", gaps.filter((g) => g.holiday)),
+    row("All nights", gaps),
+  ];
 }
 
 // ─── ANALYSIS ──────────────────────────────────────────────────────────────────
 
-function analyzeGaps(gaps, thresholdBps, coverageUsd) {
-  const totalWeeks = gaps.length;
+/**
+ * Expected staker APY at a steady utilization: per gap, stakers keep 18% of
+ * the premium and pay every triggered policy in full. Null where the premium
+ * reverts at the 95% ceiling.
+ */
+function expectedStakerAPY(tierRate, triggerRate, utilizationBps, market) {
+  const premium = gapPremiumRate(tierRate, utilizationBps, market);
+  if (premium === null) return null;
+  const marginPerGap = (premium * SPLIT_BPS.stakerYield) / 10000 - triggerRate;
+  return (utilizationBps / 10000) * marginPerGap * market.gapsPerYear * 100;
+}
+
+/**
+ * Smallest whole-bps tier rate whose expected staker APY reaches `targetAPY`
+ * at `utilizationBps`; null when that premium would exceed the 95% ceiling.
+ */
+function requiredTierRate(triggerRate, targetAPY, utilizationBps, market) {
+  const stakerSharePerGap = targetAPY / 100 / ((utilizationBps / 10000) * market.gapsPerYear) + triggerRate;
+  const gapPremium = stakerSharePerGap / (SPLIT_BPS.stakerYield / 10000);
+  const weekly = (gapPremium * GAPS_PER_WEEK) / (1 - Number(PLAN_DISCOUNTS[market.plan]) / 10000);
+  if (weekly > MAX_PREMIUM) return null;
+
+  const multipliers = (utilizationMultiplier(utilizationBps) * volatilityMultiplier(market.volatility)) / 1e8;
+  return Math.max(1, Math.ceil((weekly * 10000) / multipliers));
+}
+
+function analyzeGaps(gaps, market) {
+  const totalGaps = gaps.length;
+  const perWeek = gapsPerWeek(gaps);
   const downGaps = gaps.filter((g) => g.direction === "DOWN");
 
-  // Gap distribution (downward only — these trigger payouts)
+  // Gap distribution by |gap| — calculateGap is absolute, so both directions settle
   const buckets = {
-    "0-2%": { count: 0, gaps: [] },
-    "2-3%": { count: 0, gaps: [] },
-    "3-4%": { count: 0, gaps: [] },
-    "4-5%": { count: 0, gaps: [] },
-    "5-6%": { count: 0, gaps: [] },
-    "6-8%": { count: 0, gaps: [] },
-    "8-10%": { count: 0, gaps: [] },
-    "10-15%": { count: 0, gaps: [] },
-    "15%+": { count: 0, gaps: [] },
+    "0-2%": { down: 0, up: 0 },
+    "2-3%": { down: 0, up: 0 },
+    "3-4%": { down: 0, up: 0 },
+    "4-5%": { down: 0, up: 0 },
+    "5-6%": { down: 0, up: 0 },
+    "6-8%": { down: 0, up: 0 },
+    "8-10%": { down: 0, up: 0 },
+    "10-15%": { down: 0, up: 0 },
+    "15%+": { down: 0, up: 0 },
   };
 
-  for (const g of downGaps) {
-    const pct = g.gapPercent;
-    if (pct < 2) buckets["0-2%"].count++;
-    else if (pct < 3) buckets["2-3%"].count++;
-    else if (pct < 4) buckets["3-4%"].count++;
-    else if (pct < 5) buckets["4-5%"].count++;
-    else if (pct < 6) buckets["5-6%"].count++;
-    else if (pct < 8) buckets["6-8%"].count++;
-    else if (pct < 10) buckets["8-10%"].count++;
-    else if (pct < 15) buckets["10-15%"].count++;
-    else buckets["15%+"].count++;
+  for (const g of gaps) {
+    const pct = g.gapBps / 100;
+    const bucket =
+      pct < 2 ? "0-2%" : pct < 3 ? "2-3%" : pct < 4 ? "3-4%" : pct < 5 ? "4-5%" : pct < 6 ? "5-6%"
+        : pct < 8 ? "6-8%" : pct < 10 ? "8-10%" : pct < 15 ? "10-15%" : "15%+";
+    buckets[bucket][g.direction === "DOWN" ? "down" : "up"]++;
   }
 
-  // Expected loss comparison: binary vs graduated
-  let totalBinaryPayout = 0;
-  let totalGraduatedPayout = 0;
-
-  for (const g of downGaps) {
-    totalBinaryPayout += calculateBinaryPayout(coverageUsd, g.gapBps, thresholdBps);
-    totalGraduatedPayout += calculateGraduatedPayout(coverageUsd, g.gapBps, thresholdBps);
-  }
+  const windowSize = Math.max(1, Math.round(4 * perWeek));
+  const tiers = TIERS.map((tier) => {
+    const triggered = gaps.filter((g) => g.gapBps >= tier.threshold);
+    const triggerRate = triggered.length / (totalGaps || 1);
+
+    // Stress test: worst 4-week window of consecutive nights, full coverage every night
+    let worstMonth = 0;
+    for (let i = 0; i + windowSize <= gaps.length; i++) {
+      let monthPayout = 0;
+      for (let j = 0; j < windowSize; j++) {
+        monthPayout += calculateBinaryPayout(COVERAGE_USD, gaps[i + j].gapBps, tier.threshold);
+      }
+      worstMonth = Math.max(worstMonth, monthPayout);
+    }
 
-  const binaryExpectedLossPerWeek = totalBinaryPayout / totalWeeks;
-  const graduatedExpectedLossPerWeek = totalGraduatedPayout / totalWeeks;
-
-  const binaryExpectedLossPct = (binaryExpectedLossPerWeek / coverageUsd) * 100;
-  const graduatedExpectedLossPct = (graduatedExpectedLossPerWeek / coverageUsd) * 100;
-
-  // BASE_RATE calculation at different APY targets
-  const apyTargets = [15, 25, 30, 40, 50];
-  const baseRateOptions = [];
-
-  for (const targetAPY of apyTargets) {
-    const weeklyMargin = targetAPY / 52 / 100; // weekly yield for stakers
-    const stakerMarginPct = weeklyMargin * 100;
-    const totalWeeklyRate = graduatedExpectedLossPct + stakerMarginPct;
-    // Account for platform fee (2%) and reserve cut (5%) that are deducted from premium
-    // Net to pool = premium × (1 - platform_fee% - reserve_cut%) = premium × 93%
-    const grossWeeklyRate = totalWeeklyRate / (1 - PLATFORM_FEE - RESERVE_CUT);
-    const baseBps = Math.round(grossWeeklyRate * 100);
-
-    baseRateOptions.push({
-      targetAPY,
-      weeklyMargin: stakerMarginPct.toFixed(4),
-      expectedLoss: graduatedExpectedLossPct.toFixed(4),
-      netWeeklyRate: totalWeeklyRate.toFixed(4),
-      grossWeeklyRate: grossWeeklyRate.toFixed(4),
-      baseBps,
-      monthlyFor500Coverage: ((500 * grossWeeklyRate / 100) * 4.33).toFixed(2),
-      monthlyFor10kCoverage: ((10000 * grossWeeklyRate / 100) * 4.33).toFixed(2),
-    });
-  }
+    return {
+      ...tier,
+      triggered: triggered.length,
+      triggeredDown: triggered.filter((g) => g.direction === "DOWN").length,
+      triggerRate,
+      worstMonth,
+      levels: market.utilizations.map((utilizationBps) => ({
+        utilizationBps,
+        multiplier: utilizationMultiplier(utilizationBps) / 10000,
+        weeklyPremium: weeklyPremiumRate(tier.rate, utilizationBps, market),
+        gapPremium: gapPremiumRate(tier.rate, utilizationBps, market),
+        stakerAPY: expectedStakerAPY(tier.rate, triggerRate, utilizationBps, market),
+        breakEvenRate: requiredTierRate(triggerRate, 0, utilizationBps, market),
+        targetRate: requiredTierRate(triggerRate, market.targetAPY, utilizationBps, market),
+      })),
+    };
+  });
 
-  // Stress test: worst 4-week window
-  let worstMonth = 0;
-  for (let i = 0; i < downGaps.length - 3; i++) {
-    // Find 4 consecutive weeks
-    let monthPayout = 0;
-    for (let j = 0; j < 4 && i + j < downGaps.length; j++) {
-      monthPayout += calculateGraduatedPayout(coverageUsd, downGaps[i + j].gapBps, thresholdBps);
-    }
-    worstMonth = Math.max(worstMonth, monthPayout);
+  // Higher utilization spreads the premium over more capital at risk, so the
+  // lowest level needs the highest rate; recommend the rate that meets them all,
+  // provided it still prices under the 95% ceiling at the highest level
+  for (const tier of tiers) {
+    const rates = tier.levels.map((l) => l.targetRate);
+    const rate = rates.includes(null) ? null : Math.max(...rates);
+    const sellable = rate !== null && market.utilizations.every((u) => weeklyPremiumRate(rate, u, market) !== null);
+    tier.recommendedRate = sellable ? rate : null;
   }
 
   // Top 10 worst gaps
-  const worstGaps = [...downGaps]
-    .filter((g) => g.gapBps >= thresholdBps)
+  const worstGaps = [...gaps]
+    .filter((g) => g.gapBps >= TIERS[0].threshold)
     .sort((a, b) => b.gapBps - a.gapBps)
     .slice(0, 10);
 
   return {
-    totalWeeks,
+    totalGaps,
+    gapsPerWeek: perWeek,
     totalDownGaps: downGaps.length,
     buckets,
-    binaryExpectedLossPerWeek,
-    graduatedExpectedLossPerWeek,
-    binaryExpectedLossPct,
-    graduatedExpectedLossPct,
-    reductionFactor: graduatedExpectedLossPct > 0
-      ? (binaryExpectedLossPct / graduatedExpectedLossPct).toFixed(2)
-      : "N/A",
-    baseRateOptions,
-    worstMonth,
+    tiers,
+    windowSize,
     worstGaps,
   };
 }
 
 // ─── MONTE CARLO STRESS TEST ────────────────────────────────────────────────
 
-function monteCarloSimulation(gaps, thresholdBps, baseBps, numSimulations = 5000) {
-  const downGaps = gaps.filter((g) => g.direction === "DOWN");
+/** Value at quantile q of an ascending array (nearest rank). */
+const quantile = (sorted, q) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * q))];
 
+/**
+ * `market.weeks` of pool history per path: each simulated week replays a
+ * random historical week night by night. Every night the pool sells coverage
+ * up to the utilization level, books the premium through _allocatePremium and
+ * pays triggered policies the way settlePolicy does. Draws come from `random`,
+ * so a seed reproduces every path.
+ */
+function monteCarloSimulation(weeks, threshold, tierRate, utilizationBps, market, random) {
+  const numSimulations = market.simulations;
+  const premiumRate = gapPremiumRate(tierRate, utilizationBps, market);
   const results = [];
-  const weeks = 52;
+  const worstPaths = [];
 
   for (let sim = 0; sim < numSimulations; sim++) {
-    let poolBalance = 100_000; // $100k starting pool
-    let totalPremiumsCollected = 0;
-    let totalPayouts = 0;
-
-    for (let w = 0; w < weeks; w++) {
-      // Random utilization 30-70%
-      const utilization = 0.3 + Math.random() * 0.4;
-      const activeCoverage = poolBalance * utilization;
-
-      // Premium collected (simplified: baseBps × coverage / 10000)
-      const premium = (activeCoverage * baseBps) / 10000;
-      const netPremium = premium * (1 - PLATFORM_FEE - RESERVE_CUT); // after fees
-      totalPremiumsCollected += netPremium;
-
-      // Random gap from historical data
-      const randomGap = downGaps[Math.floor(Math.random() * downGaps.length)];
-      const payout = calculateGraduatedPayout(activeCoverage, randomGap.gapBps, thresholdBps);
-      totalPayouts += payout;
-
-      poolBalance += netPremium - payout;
+    const pool = { staked: POOL_USD, claimReserve: 0, blackSwan: 0, treasury: 0 };
+    const trace = { weeks: [], equity: [], payouts: 0 };
+    let solvent = true;
+    let ruined = false;
+
+    for (let w = 0; w < market.weeks && solvent; w++) {
+      const week = weeks[Math.floor(random() * weeks.length)];
+      trace.weeks.push(week[0].date);
+      for (const gap of week) {
+        const coverage = (pool.staked * utilizationBps) / 10000;
+        if (coverage <= 0 || premiumRate === null) continue;
+
+        allocatePremium(pool, coverage * premiumRate);
+        const payout = calculateBinaryPayout(coverage, gap.gapBps, threshold);
+        if (payout > 0) {
+          trace.payouts++;
+          if (!payFromPool(pool, payout)) {
+            solvent = false;
+            break;
+          }
+        }
+        if (pool.staked < POOL_USD * RUIN_LEVEL) ruined = true;
+      }
+      trace.equity.push(Math.round(pool.staked * 100) / 100);
     }
 
-    const stakerAPY = ((poolBalance - 100_000) / 100_000) * 100;
-    results.push({
-      finalBalance: poolBalance,
-      stakerAPY,
-      totalPremiums: totalPremiumsCollected,
-      totalPayouts,
-      solvent: poolBalance > 0,
-    });
+    // Annualized, so horizons other than 52 weeks stay comparable
+    const growth = pool.staked / POOL_USD;
+    const result = {
+      stakerAPY: (Math.pow(growth, 52 / market.weeks) - 1) * 100,
+      claimReserve: pool.claimReserve,
+      solvent,
+      ruined,
+    };
+    results.push(result);
+
+    if (market.worst > 0 && (worstPaths.length < market.worst || result.stakerAPY < worstPaths[worstPaths.length - 1].stakerAPY)) {
+      worstPaths.push({ path: sim, stakerAPY: result.stakerAPY, solvent, ruined, ...trace });
+      worstPaths.sort((a, b) => a.stakerAPY - b.stakerAPY);
+      if (worstPaths.length > market.worst) worstPaths.pop();
+    }
   }
 
-  const sorted = results.sort((a, b) => a.stakerAPY - b.stakerAPY);
-  const solventCount = results.filter((r) => r.solvent).length;
+  const apys = results.map((r) => r.stakerAPY).sort((a, b) => a - b);
+  const share = (predicate) => (results.filter(predicate).length / numSimulations) * 100;
+
+  return {
+    p5APY: quantile(apys, 0.05),
+    p25APY: quantile(apys, 0.25),
+    medianAPY: quantile(apys, 0.5),
+    p75APY: quantile(apys, 0.75),
+    p95APY: quantile(apys, 0.95),
+    meanAPY: apys.reduce((sum, apy) => sum + apy, 0) / numSimulations,
+    worstAPY: apys[0],
+    bestAPY: apys[apys.length - 1],
+    solvencyRate: share((r) => r.solvent),
+    wholeRate: share((r) => r.solvent && r.stakerAPY >= 0),
+    ruinRate: share((r) => r.ruined),
+    meanReserve: results.reduce((sum, r) => sum + r.claimReserve, 0) / numSimulations,
+    worstPaths,
+  };
+}
+
+// ─── REPORTS ───────────────────────────────────────────────────────────────────
+
+const REPORT_VERSION = 1;
+const round = (value, digits = 4) => (value === null ? null : Number(value.toFixed(digits)));
 
+/** Everything a rate decision rests on, in a stable shape for archiving and diffing. */
+function buildReport({ market, gaps, analysis, monteCarlo }) {
   return {
-    medianAPY: sorted[Math.floor(sorted.length / 2)].stakerAPY.toFixed(2),
-    p5APY: sorted[Math.floor(sorted.length * 0.05)].stakerAPY.toFixed(2),
-    p25APY: sorted[Math.floor(sorted.length * 0.25)].stakerAPY.toFixed(2),
-    p75APY: sorted[Math.floor(sorted.length * 0.75)].stakerAPY.toFixed(2),
-    p95APY: sorted[Math.floor(sorted.length * 0.95)].stakerAPY.toFixed(2),
-    worstAPY: sorted[0].stakerAPY.toFixed(2),
-    bestAPY: sorted[sorted.length - 1].stakerAPY.toFixed(2),
-    solvencyRate: ((solventCount / numSimulations) * 100).toFixed(1),
+    version: REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    parameters: {
+      ticker: TICKER,
+      data: cli.flags.data ?? null,
+      nights: cli.flags.nights,
+      utilizationPct: market.utilizations.map((u) => u / 100),
+      targetAPY: market.targetAPY,
+      volatilityBps: market.volatility,
+      planWeeks: market.plan,
+      seed: market.seed,
+      simulations: market.simulations,
+      weeks: market.weeks,
+      poolUsd: POOL_USD,
+      coverageUsd: COVERAGE_USD,
+      ruinLevel: RUIN_LEVEL,
+    },
+    sample: {
+      gaps: gaps.length,
+      from: gaps[0]?.date ?? null,
+      to: gaps[gaps.length - 1]?.nextDate ?? null,
+      gapsPerWeek: round(analysis.gapsPerWeek),
+    },
+    tiers: analysis.tiers.map((tier) => ({
+      constant: tier.constant,
+      thresholdBps: tier.threshold,
+      currentRate: tier.rate,
+      recommendedRate: tier.recommendedRate,
+      triggered: tier.triggered,
+      triggerRate: round(tier.triggerRate, 6),
+      worstWindowPayoutUsd: tier.worstMonth,
+      levels: tier.levels.map((level) => ({
+        utilizationPct: level.utilizationBps / 100,
+        multiplier: level.multiplier,
+        weeklyPremiumPct: level.weeklyPremium === null ? null : round(level.weeklyPremium * 100),
+        expectedStakerAPY: round(level.stakerAPY, 2),
+        breakEvenRate: level.breakEvenRate,
+        targetRate: level.targetRate,
+      })),
+    })),
+    monteCarlo: monteCarlo.map((mc) => ({
+      constant: mc.tier.constant,
+      rate: mc.rate,
+      label: mc.label,
+      utilizationPct: mc.utilizationBps / 100,
+      apy: {
+        p5: round(mc.p5APY, 2),
+        p25: round(mc.p25APY, 2),
+        median: round(mc.medianAPY, 2),
+        p75: round(mc.p75APY, 2),
+        p95: round(mc.p95APY, 2),
+        mean: round(mc.meanAPY, 2),
+        worst: round(mc.worstAPY, 2),
+        best: round(mc.bestAPY, 2),
+      },
+      solventPct: round(mc.solvencyRate, 2),
+      madeWholePct: round(mc.wholeRate, 2),
+      ruinPct: round(mc.ruinRate, 2),
+      meanClaimReserveUsd: round(mc.meanReserve, 2),
+      worstPaths: mc.worstPaths.map((p) => ({ ...p, stakerAPY: round(p.stakerAPY, 2) })),
+    })),
   };
 }
 
+const CSV_COLUMNS = [
+  ["constant", (r) => r.constant],
+  ["rate", (r) => r.rate],
+  ["label", (r) => r.label],
+  ["utilization_pct", (r) => r.utilizationPct],
+  ["seed", (_, report) => report.parameters.seed],
+  ["simulations", (_, report) => report.parameters.simulations],
+  ["weeks", (_, report) => report.parameters.weeks],
+  ["apy_p5", (r) => r.apy.p5],
+  ["apy_p25", (r) => r.apy.p25],
+  ["apy_median", (r) => r.apy.median],
+  ["apy_p75", (r) => r.apy.p75],
+  ["apy_p95", (r) => r.apy.p95],
+  ["apy_mean", (r) => r.apy.mean],
+  ["apy_worst", (r) => r.apy.worst],
+  ["apy_best", (r) => r.apy.best],
+  ["solvent_pct", (r) => r.solventPct],
+  ["made_whole_pct", (r) => r.madeWholePct],
+  ["ruin_pct", (r) => r.ruinPct],
+  ["mean_claim_reserve_usd", (r) => r.meanClaimReserveUsd],
+];
+
+/** One CSV row per Monte Carlo scenario; worst paths only go in the JSON report. */
+function reportCsv(report) {
+  const rows = report.monteCarlo.map((r) => CSV_COLUMNS.map(([, value]) => value(r, report)).join(","));
+  return [CSV_COLUMNS.map(([name]) => name).join(","), ...rows].join("\n") + "\n";
+}
+
+function writeReport(file, report) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, file.toLowerCase().endsWith(".csv") ? reportCsv(report) : toJSON(report) + "\n");
+}
+
 // ─── MAIN ──────────────────────────────────────────────────────────────────────
 
-async function main() {
-  const now = Math.floor(Date.now() / 1000);
-  const period1 = now - YEARS_BACK * 365 * 24 * 3600;
+/** Pricing inputs shared by every section, from the command line. */
+function parseMarket(flags) {
+  const utilizations = flags.utilization.split(",").map((x) => Math.round(Number(x.trim()) * 100));
+  if (utilizations.some((u) => !(u > 0 && u <= 10000))) {
+    throw new Error(`--utilization takes percentages in (0, 100], got "${flags.utilization}"`);
+  }
+  const plan = Number(flags.plan);
+  if (!(plan in PLAN_DISCOUNTS)) throw new Error("--plan must be 1, 4 or 8");
+  const volatility = Number(flags.volatility);
+  if (!(Number.isInteger(volatility) && volatility > 0)) throw new Error("--volatility must be a positive whole number of bps");
+  const positiveInteger = (name, min = 1) => {
+    const value = Number(flags[name]);
+    if (!(Number.isInteger(value) && value >= min)) throw new Error(`--${name} must be an integer ≥ ${min}`);
+    return value;
+  };
+  for (const file of flags.report) {
+    if (!/\.(json|csv)$/i.test(file)) throw new Error(`--report ${file}: use a .json or .csv file`);
+  }
 
-  console.log("═══════════════════════════════════════════════════════════════");
-  console.log("  HoodGap Protocol — Economic Analysis");
-  console.log(`  ${TICKER} Friday→Monday Gap Analysis (${YEARS_BACK} years)`);
-  console.log("═══════════════════════════════════════════════════════════════\n");
+  return {
+    utilizations: [...new Set(utilizations)].sort((a, b) => a - b),
+    targetAPY: Number(flags["target-apy"]),
+    volatility,
+    plan,
+    simulations: positiveInteger("simulations"),
+    weeks: positiveInteger("weeks"),
+    worst: positiveInteger("worst", 0),
+    seed: positiveInteger("seed", 0),
+  };
+}
 
-  console.log("Fetching historical data from Yahoo Finance...");
+/** Daily bars from --data, else Yahoo Finance; null when neither is available. */
+async function loadHistory() {
+  if (cli.flags.data) {
+    const bars = loadBars(path.resolve(cli.flags.data));
+    say(`Loaded ${bars.length} daily bars from ${cli.flags.data}`);
+    return bars;
+  }
 
-  let gaps;
+  const now = Math.floor(Date.now() / 1000);
+  const period1 = now - YEARS_BACK * 365 * 24 * 3600;
+  say("Fetching historical data from Yahoo Finance (pass --data to work offline)...");
 
   try {
     const data = await fetchYahooFinance(TICKER, period1, now);
-
     if (!data.chart?.result?.[0]) {
       console.error("Yahoo Finance returned an unexpected response.");
-      console.log("Response:", JSON.stringify(data).substring(0, 500));
-      console.log("\nFalling back to known empirical statistics...\n");
-      gaps = null;
-    } else {
-      const result = data.chart.result[0];
-      const timestamps = result.timestamp;
-      const closes = result.indicators.quote[0].close;
-
-      gaps = extractWeekendGaps(timestamps, closes);
-      console.log(`Found ${gaps.length} Friday→Monday gaps\n`);
+      say("Response:", JSON.stringify(data).substring(0, 500));
+      return null;
     }
+    return barsFromYahooChart(data);
   } catch (err) {
     console.error("Failed to fetch data:", err.message);
-    console.log("Falling back to known empirical statistics...\n");
-    gaps = null;
+    return null;
+  }
+}
+
+const pct = (value, digits = 2) => (value === null ? "reverts" : `${value.toFixed(digits)}%`);
+const usd = (value) => (value === null ? "reverts" : `$${value.toFixed(2)}`);
+const bp = (value) => (value === null ? "> 95% cap" : `${value} bp`);
+
+async function main() {
+  const market = parseMarket(cli.flags);
+
+  say("═══════════════════════════════════════════════════════════════");
+  say("  HoodGap Protocol — Economic Analysis");
+  say(`  ${TICKER} Overnight Gap Analysis (close → next open, nights: ${cli.flags.nights})`);
+  say("═══════════════════════════════════════════════════════════════\n");
+
+  let gaps;
+
+  const bars = await loadHistory();
+  if (bars) {
+    gaps = filterNights(extractOvernightGaps(bars), cli.flags.nights);
+    say(`Found ${gaps.length} overnight gaps\n`);
+  } else {
+    say("Falling back to known empirical statistics...\n");
   }
 
   // ─── FALLBACK: Use known empirical data if API fails ────────────────────────
-  if (!gaps || gaps.length < 50) {
-    console.log("Using empirical TSLA gap statistics (2019-2024 documented data):");
-    console.log("Source: Academic studies on TSLA weekend gaps + DAY1 spec analysis\n");
+  // A user-supplied file is always used as-is; only a thin download falls back
+  if (!gaps || (!cli.flags.data && gaps.length < 50)) {
+    say("Using empirical TSLA gap statistics (2019-2024 documented data):");
+    say("Source: Academic studies on TSLA weekend gaps + DAY1 spec analysis\n");
 
     // Known empirical distribution from DAY1 spec research:
     // TSLA has ~260 trading weeks over 5 years
     // Gap probability P(gap >= 5%) ≈ 17% per week (from DAY1 spec)
     // Distribution within gap events (when gap > 0% downward):
 
-    // Synthesize realistic gap data matching known distribution
+    // Synthesize realistic gap data matching known distribution (Friday→Monday only)
     const syntheticGaps = [];
+    const syntheticWeekend = (friday) => ({
+      date: friday.toISOString().split("T")[0],
+      nextDate: new Date(friday.getTime() + 3 * DAY_MS).toISOString().split("T")[0],
+      weekday: "Fri",
+      night: "Fri→Mon",
+      weekend: true,
+      holiday: false,
+      breakType: "weekend",
+      calendarDays: 3,
+      close: 250,
+    });
     const totalWeeks = 260;
 
     // From documented analysis + TSLA volatility profile:
@@ -336,19 +738,18 @@ async function main() {
       { range: [1500, 2500], count: 2 }, // 15-25% down (rare black swan)
     ];
 
-    // Also count upward moves as "no payout" weeks
+    // Upward moves stay under 3%, below both thresholds
     const upAndFlat = totalWeeks - downDistribution.reduce((s, b) => s + b.count, 0);
 
     let fakeDate = new Date("2020-01-03");
+    const random = mulberry32(seedFrom(market.seed, "synthetic"));
 
     for (const bucket of downDistribution) {
       for (let i = 0; i < bucket.count; i++) {
-        const gapBps = bucket.range[0] + Math.random() * (bucket.range[1] - bucket.range[0]);
+        const gapBps = bucket.range[0] + random() * (bucket.range[1] - bucket.range[0]);
         syntheticGaps.push({
-          friday: fakeDate.toISOString().split("T")[0],
-          monday: new Date(fakeDate.getTime() + 3 * 86400000).toISOString().split("T")[0],
-          fridayClose: 250,
-          mondayPrice: 250 * (1 - gapBps / 10000),
+          ...syntheticWeekend(fakeDate),
+          open: 250 * (1 - gapBps / 10000),
           gapPercent: Math.round(gapBps) / 100,
           gapBps: Math.round(gapBps),
           direction: "DOWN",
@@ -357,121 +758,202 @@ async function main() {
       }
     }
 
-    // Add upward/flat weeks (no payout risk)
+    // Add upward/flat weeks
     for (let i = 0; i < upAndFlat; i++) {
+      const upBps = Math.round(random() * 300);
       syntheticGaps.push({
-        friday: fakeDate.toISOString().split("T")[0],
-        monday: new Date(fakeDate.getTime() + 3 * 86400000).toISOString().split("T")[0],
-        fridayClose: 250,
-        mondayPrice: 250 * (1 + Math.random() * 0.03),
-        gapPercent: -(Math.random() * 3).toFixed(2),
-        gapBps: 0,
+        ...syntheticWeekend(fakeDate),
+        open: 250 * (1 + upBps / 10000),
+        gapPercent: -upBps / 100,
+        gapBps: upBps,
         direction: "UP",
       });
       fakeDate = new Date(fakeDate.getTime() + 7 * 86400000);
     }
 
     gaps = syntheticGaps;
-    console.log(`Synthesized ${gaps.length} weekly data points\n`);
+    say(`Synthesized ${gaps.length} weekly data points\n`);
   }
 
   // ─── RUN ANALYSIS ──────────────────────────────────────────────────────────
 
-  const analysis = analyzeGaps(gaps, THRESHOLD_BPS, COVERAGE_USD);
+  market.gapsPerYear = gapsPerWeek(gaps) * 52;
+  const analysis = analyzeGaps(gaps, market);
+  const discount = Number(PLAN_DISCOUNTS[market.plan]) / 100;
 
   // ─── REPORT ─────────────────────────────────────────────────────────────────
 
-  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-  console.log("  1. GAP DISTRIBUTION (Downward gaps only)");
-  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
+  say("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+  say("  1. GAP DISTRIBUTION (|close → open|, both directions settle)");
+  say("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
 
-  console.log(`Total weeks analyzed: ${analysis.totalWeeks}`);
-  console.log(`Total downward gaps: ${analysis.totalDownGaps}`);
-  console.log(`Downward gap frequency: ${((analysis.totalDownGaps / analysis.totalWeeks) * 100).toFixed(1)}%\n`);
+  say(`Total gaps analyzed: ${analysis.totalGaps} (${analysis.gapsPerWeek.toFixed(2)} per week)`);
+  say(`Total downward gaps: ${analysis.totalDownGaps}`);
+  say(`Downward gap frequency: ${((analysis.totalDownGaps / analysis.totalGaps) * 100).toFixed(1)}%\n`);
 
-  console.log("  Range        | Count | % of Weeks | Triggers Payout?");
-  console.log("  ─────────────┼───────┼────────────┼──────────────────");
+  say("  |Gap|        | Down  | Up    | % of Gaps  | Pays -5% | Pays -10%");
+  say("  ─────────────┼───────┼───────┼────────────┼──────────┼──────────");
   for (const [range, data] of Object.entries(analysis.buckets)) {
-    const pct = ((data.count / analysis.totalWeeks) * 100).toFixed(1);
-    const triggers = parseInt(range) >= 5 ? "✅ YES" : "❌ No";
-    console.log(`  ${range.padEnd(13)} | ${String(data.count).padStart(5)} | ${pct.padStart(9)}% | ${triggers}`);
+    const share = (((data.down + data.up) / analysis.totalGaps) * 100).toFixed(1);
+    const from = parseInt(range);
+    say(
+      `  ${range.padEnd(12)} | ${String(data.down).padStart(5)} | ${String(data.up).padStart(5)} | ${share.padStart(9)}% | ${(from >= 5 ? "✅ YES" : "❌ No").padEnd(8)} | ${from >= 10 ? "✅ YES" : "❌ No"}`
+    );
   }
 
-  console.log("\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-  console.log("  2. EXPECTED LOSS COMPARISON");
-  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
-
-  console.log(`  Binary model (old):     $${analysis.binaryExpectedLossPerWeek.toFixed(2)}/week per $${COVERAGE_USD} coverage`);
-  console.log(`                          = ${analysis.binaryExpectedLossPct.toFixed(4)}% of coverage/week`);
-  console.log(`  Graduated model (new):  $${analysis.graduatedExpectedLossPerWeek.toFixed(2)}/week per $${COVERAGE_USD} coverage`);
-  console.log(`                          = ${analysis.graduatedExpectedLossPct.toFixed(4)}% of coverage/week`);
-  console.log(`  Reduction factor:       ${analysis.reductionFactor}x lower expected loss with graduated payouts`);
+  say("\n  Gaps by night (close weekday) and break type:\n");
+  say("  Night        | Gaps  | |gap|≥5% | |gap|≥10% | Down ≥5% | Mean |gap| | Worst down");
+  say("  ─────────────┼───────┼──────────┼───────────┼──────────┼────────────┼───────────");
+  for (const r of summarizeByNight(gaps)) {
+    say(
+      `  ${r.label.padEnd(12)} | ${String(r.count).padStart(5)} | ${pct(r.p5).padStart(8)} | ${pct(r.p10).padStart(9)} | ${pct(r.down5).padStart(8)} | ${pct(r.meanAbs).padStart(10)} | ${pct(r.maxDown).padStart(9)}`
+    );
+  }
 
-  console.log("\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-  console.log("  3. RECOMMENDED BASE_RATE AT DIFFERENT STAKER APY TARGETS");
-  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
+  say("\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+  say("  2. PRICING AT CURRENT TIER RATES");
+  say("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
 
-  console.log("  Target APY | E[Loss] | Margin | Net Rate | Gross Rate | BASE_RATE | Cost $500/mo | Cost $10k/mo");
-  console.log("  ───────────┼─────────┼────────┼──────────┼────────────┼───────────┼──────────────┼─────────────");
+  say(`  Volatility multiplier: ${(volatilityMultiplier(market.volatility) / 10000).toFixed(2)}x`);
+  say(`  Plan: ${market.plan} week(s), ${discount}% discount · premium per gap = weekly / ${GAPS_PER_WEEK}`);
+  say(`  Split: 77% claim reserve · 18% stakers · 3% treasury · 2% black swan\n`);
 
-  for (const opt of analysis.baseRateOptions) {
-    console.log(
-      `  ${String(opt.targetAPY + "%").padStart(9)}  | ${opt.expectedLoss.padStart(7)}% | ${opt.weeklyMargin.padStart(6)}% | ${opt.netWeeklyRate.padStart(8)}% | ${opt.grossWeeklyRate.padStart(10)}% | ${String(opt.baseBps + " bp").padStart(9)} | $${opt.monthlyFor500Coverage.padStart(11)} | $${opt.monthlyFor10kCoverage.padStart(11)}`
+  for (const tier of analysis.tiers) {
+    const expectedPayout = tier.triggerRate * COVERAGE_USD;
+    say(
+      `  ${tier.label} tier (${tier.constant} = ${tier.rate}): ${tier.triggered} of ${analysis.totalGaps} gaps trigger (${tier.triggeredDown} down), ` +
+        `E[payout] $${expectedPayout.toFixed(2)}/gap per $${COVERAGE_USD}`
     );
   }
 
-  console.log("\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-  console.log("  4. WORST-CASE ANALYSIS");
-  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
+  say(`\n  Per $${COVERAGE_USD} coverage:\n`);
+  say("  Tier  | Util | Multiplier | Weekly    | Per gap   | Loss ratio | Staker APY (E)");
+  say("  ──────┼──────┼────────────┼───────────┼───────────┼────────────┼───────────────");
+  for (const tier of analysis.tiers) {
+    for (const level of tier.levels) {
+      const weekly = level.weeklyPremium === null ? null : level.weeklyPremium * COVERAGE_USD;
+      const perGap = level.gapPremium === null ? null : level.gapPremium * COVERAGE_USD;
+      const lossRatio = level.gapPremium === null ? null : (tier.triggerRate / level.gapPremium) * 100;
+      say(
+        `  ${tier.label.padEnd(5)} | ${String(level.utilizationBps / 100).padStart(3)}% | ${(level.multiplier.toFixed(4) + "x").padStart(10)} | ${usd(weekly).padStart(9)} | ${usd(perGap).padStart(9)} | ${pct(lossRatio, 1).padStart(10)} | ${pct(level.stakerAPY).padStart(13)}`
+      );
+    }
+  }
+  say("\n  Loss ratio = expected payout / premium. Stakers break even below 18%.");
+
+  say("\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+  say(`  3. TIER RATES FOR ${market.targetAPY}% STAKER APY`);
+  say("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
+
+  say("  Util | -5% break-even | -5% target   | -10% break-even | -10% target");
+  say("  ─────┼────────────────┼──────────────┼─────────────────┼─────────────");
+  const [tier5, tier10] = analysis.tiers;
+  tier5.levels.forEach((l5, i) => {
+    const l10 = tier10.levels[i];
+    say(
+      `  ${String(l5.utilizationBps / 100).padStart(3)}% | ${bp(l5.breakEvenRate).padStart(14)} | ${bp(l5.targetRate).padStart(12)} | ${bp(l10.breakEvenRate).padStart(15)} | ${bp(l10.targetRate).padStart(11)}`
+    );
+  });
+  say("\n  Rates are weekly, in bps of coverage before the utilization and volatility multipliers.");
+
+  say("\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+  say("  4. WORST-CASE ANALYSIS");
+  say("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
 
-  console.log(`  Worst 4-week payout (graduated): $${analysis.worstMonth.toFixed(2)} per $${COVERAGE_USD} coverage`);
-  console.log(`  As % of coverage: ${((analysis.worstMonth / COVERAGE_USD) * 100).toFixed(1)}%\n`);
+  for (const tier of analysis.tiers) {
+    say(
+      `  Worst ${analysis.windowSize}-night window (${tier.label}): $${tier.worstMonth.toFixed(0)} paid on $${COVERAGE_USD} a night ` +
+        `(${((tier.worstMonth / COVERAGE_USD) * 100).toFixed(0)}% of coverage)`
+    );
+  }
 
   if (analysis.worstGaps.length > 0) {
-    console.log("  Top 10 worst gaps (that trigger payout at 5% threshold):");
-    console.log("  Date       | Gap     | Binary Payout | Graduated Payout | Graduated %");
-    console.log("  ───────────┼─────────┼───────────────┼──────────────────┼────────────");
+    say("\n  Top 10 worst gaps (that trigger a payout):");
+    say("  Close date / night | Gap     | -5% payout | -10% payout");
+    say("  ───────────────────┼─────────┼────────────┼────────────");
     for (const g of analysis.worstGaps) {
-      const binaryPay = calculateBinaryPayout(COVERAGE_USD, g.gapBps, THRESHOLD_BPS);
-      const gradPay = calculateGraduatedPayout(COVERAGE_USD, g.gapBps, THRESHOLD_BPS);
-      const gradPct = ((gradPay / COVERAGE_USD) * 100).toFixed(0);
-      console.log(
-        `  ${g.friday} | ${(g.gapPercent + "%").padStart(6)} | $${binaryPay.toFixed(0).padStart(12)} | $${gradPay.toFixed(0).padStart(15)} | ${gradPct.padStart(9)}%`
+      const [pay5, pay10] = TIERS.map((t) => calculateBinaryPayout(COVERAGE_USD, g.gapBps, t.threshold));
+      say(
+        `  ${g.date} ${g.night} | ${(g.gapPercent + "%").padStart(6)} | $${pay5.toFixed(0).padStart(9)} | $${pay10.toFixed(0).padStart(10)}`
       );
     }
   }
 
   // ─── MONTE CARLO ──────────────────────────────────────────────────────────────
 
-  console.log("\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-  console.log("  5. MONTE CARLO STRESS TEST (5000 simulations, 52 weeks each)");
-  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
+  say("\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+  say(`  5. MONTE CARLO STRESS TEST (${market.simulations} simulations, ${market.weeks} weeks each)`);
+  say("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
 
-  const rateToTest = [300, 500, 600, 800, 1000];
-  console.log("  BASE_RATE | Median APY | P5 APY  | P25 APY | P75 APY | P95 APY | Worst   | Best    | Solvent");
-  console.log("  ──────────┼────────────┼─────────┼─────────┼─────────┼─────────┼─────────┼─────────┼────────");
+  say(`  $${POOL_USD.toLocaleString()} staked, coverage sold up to the utilization level every night.`);
+  say("  The 18% staker share compounds into totalStaked, so coverage grows with it.");
+  say(`  Seed ${market.seed}: rerun with --seed ${market.seed} to reproduce every path.\n`);
 
-  for (const rate of rateToTest) {
-    const mc = monteCarloSimulation(gaps, THRESHOLD_BPS, rate);
-    console.log(
-      `  ${(rate + " bp").padStart(8)}  | ${(mc.medianAPY + "%").padStart(10)} | ${(mc.p5APY + "%").padStart(7)} | ${(mc.p25APY + "%").padStart(7)} | ${(mc.p75APY + "%").padStart(7)} | ${(mc.p95APY + "%").padStart(7)} | ${(mc.worstAPY + "%").padStart(7)} | ${(mc.bestAPY + "%").padStart(7)} | ${mc.solvencyRate}%`
+  const weeks = groupByWeek(gaps);
+  const scenarios = [];
+  for (const tier of analysis.tiers) {
+    scenarios.push({ tier, rate: tier.rate, label: "current" });
+    if (tier.recommendedRate !== null && tier.recommendedRate !== tier.rate) {
+      scenarios.push({ tier, rate: tier.recommendedRate, label: "recommended" });
+    }
+  }
+
+  say("  Tier  | Rate               | Util | Median APY | P5 APY   | P95 APY  | Worst    | Solvent | Made whole | Ruin");
+  say("  ──────┼────────────────────┼──────┼────────────┼──────────┼──────────┼──────────┼─────────┼────────────┼──────");
+  const monteCarlo = new Map();
+  for (const scenario of scenarios) {
+    for (const utilizationBps of market.utilizations) {
+      const key = `${scenario.tier.threshold}:${scenario.rate}:${utilizationBps}`;
+      const random = mulberry32(seedFrom(market.seed, key));
+      const mc = monteCarloSimulation(weeks, scenario.tier.threshold, scenario.rate, utilizationBps, market, random);
+      monteCarlo.set(key, { ...scenario, utilizationBps, ...mc });
+      say(
+        `  ${scenario.tier.label.padEnd(5)} | ${`${scenario.rate} bp ${scenario.label}`.padEnd(18)} | ${String(utilizationBps / 100).padStart(3)}% | ${pct(mc.medianAPY).padStart(10)} | ${pct(mc.p5APY).padStart(8)} | ${pct(mc.p95APY).padStart(8)} | ${pct(mc.worstAPY).padStart(8)} | ${pct(mc.solvencyRate, 1).padStart(7)} | ${pct(mc.wholeRate, 1).padStart(10)} | ${pct(mc.ruinRate, 1)}`
+      );
+    }
+  }
+  say("\n  Solvent: every triggered policy paid. Made whole: stakers end the year at or above");
+  say(`  their deposit. Ruin: totalStaked fell below ${RUIN_LEVEL * 100}% of the starting stake.`);
+  say("  APY is annualized over the simulated horizon.");
+
+  say("\n═══════════════════════════════════════════════════════════════");
+  say("  CONCLUSION");
+  say("═══════════════════════════════════════════════════════════════\n");
+
+  const lowest = market.utilizations[0] / 100;
+  for (const tier of analysis.tiers) {
+    if (tier.recommendedRate === null) {
+      say(
+        `  ${tier.constant}: no single rate reaches ${market.targetAPY}% APY from ${lowest}% utilization ` +
+          "and stays under the 95% premium cap at every level."
+      );
+      continue;
+    }
+    say(
+      `  ${tier.constant} = ${tier.recommendedRate} (now ${tier.rate}) for ≥ ${market.targetAPY}% expected staker APY from ${lowest}% utilization`
     );
+    for (const utilizationBps of market.utilizations) {
+      const mc = monteCarlo.get(`${tier.threshold}:${tier.recommendedRate}:${utilizationBps}`);
+      const weekly = weeklyPremiumRate(tier.recommendedRate, utilizationBps, market) * COVERAGE_USD;
+      say(
+        `    ${String(utilizationBps / 100).padStart(3)}% util: $${weekly.toFixed(2)}/week per $${COVERAGE_USD} · ` +
+          `expected APY ${pct(expectedStakerAPY(tier.recommendedRate, tier.triggerRate, utilizationBps, market))} · ` +
+          `median ${pct(mc.medianAPY)} · P5 ${pct(mc.p5APY)} · made whole ${pct(mc.wholeRate, 1)} · solvent ${pct(mc.solvencyRate, 1)}`
+      );
+    }
   }
 
-  console.log("\n═══════════════════════════════════════════════════════════════");
-  console.log("  CONCLUSION");
-  console.log("═══════════════════════════════════════════════════════════════\n");
-
-  // Auto-recommend
-  const recommended = analysis.baseRateOptions.find((o) => o.targetAPY === 30);
-  console.log(`  Graduated payout model reduces expected loss by ${analysis.reductionFactor}x vs binary.`);
-  if (recommended) {
-    console.log(`  For 30% staker APY target: BASE_RATE = ${recommended.baseBps} bp (${(recommended.baseBps / 100).toFixed(2)}%)`);
-    console.log(`  Monthly cost for $500 coverage: $${recommended.monthlyFor500Coverage}`);
-    console.log(`  Monthly cost for $10k coverage: $${recommended.monthlyFor10kCoverage}`);
+  say("\n  Set TIER_5_RATE / TIER_10_RATE in HoodGap.sol to the data-backed values.\n");
+
+  const report = buildReport({ market, gaps, analysis, monteCarlo: [...monteCarlo.values()] });
+  for (const file of cli.flags.report) {
+    writeReport(file, report);
+    say(`  📄 Report written to ${file}`);
   }
-  console.log("\n  Run the Monte Carlo results above to confirm solvency at your chosen rate.");
-  console.log("  Then set BASE_RATE in HoodGap.sol to the data-backed value.\n");
+  if (cli.flags.json) process.stdout.write(toJSON(report) + "\n");
 }
 
-main().catch(console.error);
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
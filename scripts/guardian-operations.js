@@ -1,65 +1,474 @@
 /**
- * guardian-operations.js — Guardian workflow helpers for HoodGap
+ * guardian-operations.js — Guardian CLI for HoodGap
  *
- * Common guardian tasks: approve settlement, update volatility,
- * set holiday multipliers, check pool health, and emergency controls.
+ * Wraps every onlyOwner function and the permissionless maintenance calls
+ * (queue processing, gap minting, settlement) behind subcommands.
  *
- * Usage (pick one):
- *   TASK=approve-week   npx hardhat run scripts/guardian-operations.js --network localhost
- *   TASK=pool-health    npx hardhat run scripts/guardian-operations.js --network localhost
- *   TASK=pause          npx hardhat run scripts/guardian-operations.js --network localhost
- *   TASK=unpause        npx hardhat run scripts/guardian-operations.js --network localhost
- *   TASK=queue-vol      VOL=6000 npx hardhat run scripts/guardian-operations.js --network localhost
+ *   --dry-run     simulate with staticCall and print the expected state diff
+ *   --batch FILE  append the call to a Safe Transaction Builder batch instead
+ *                 of sending it (simulated from owner(); no owner key needed)
+ *   --json        machine-readable output for runbooks
+ *
+ * Usage:
+ *   node scripts/guardian-operations.js <command> [flags] --network localhost
+ *   npm run guardian -- approve-week --week 262 --split 5000 --reason "TSLA 2:1 split"
+ *
+ * Commands:
+ *   status                                  Pool health report (read-only)
+ *   approve-week [--week N] [--split BPS] [--reason TEXT]
+ *   queue-vol --vol BPS [--reason TEXT]     Queue volatility change (24h timelock)
+ *   exec-vol                                Execute queued volatility change
+ *   cancel-vol                              Cancel queued volatility change
+ *   pause | unpause                         Emergency controls
+ *   set-treasury --address 0x…
+ *   transfer-ownership --address 0x…
+ *   renounce-ownership --confirm
+ *   process-queue [--max N]                 processWithdrawalQueue (1-50)
+ *   mint-gaps --sub ID                      mintAllAvailableGaps
+ *   settle --policy ID                      settlePolicy
+ *   publish-calendar [--year YYYY]          Publish NYSE holidays / early closes / EDT weeks (default: next year)
+ *   verify-batch --batch FILE               Decode and check a batch before signing
+ *
+ * Multisig / hardware-wallet guardians: build the batch with --batch, check it
+ * with verify-batch, then import it into the Safe Transaction Builder:
+ *   node scripts/guardian-operations.js approve-week --week 262 --split 5000 --batch ops/week-262.json --network robinhoodMainnet
+ *   node scripts/guardian-operations.js queue-vol --vol 6500 --batch ops/week-262.json --network robinhoodMainnet
+ *   node scripts/guardian-operations.js verify-batch --batch ops/week-262.json --network robinhoodMainnet
+ *
+ * The legacy `TASK=<command> npx hardhat run scripts/guardian-operations.js`
+ * form still works for commands that need no flags (VOL/SPLIT/REASON env vars
+ * are honoured as before).
  */
 
+const { parseCommandLine, bigintFlag, toJSON, revertReason } = require("./lib/cli");
+
+const cli = parseCommandLine({
+  "dry-run": { type: "boolean", default: false },
+  week: { type: "string" },
+  split: { type: "string" },
+  reason: { type: "string" },
+  vol: { type: "string" },
+  address: { type: "string" },
+  max: { type: "string" },
+  sub: { type: "string" },
+  policy: { type: "string" },
+  confirm: { type: "boolean", default: false },
+  batch: { type: "string" },
+  year: { type: "string" },
+});
+
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { loadDeployment, attachContracts } = require("./lib/deployment");
+const { openBatch, readBatch, saveBatch, appendCall, decodeBatch } = require("./lib/safe-batch");
+const { calendar, nyse, formatUSDC: fmt } = require("@hoodgap/sdk");
 
-const USDC_DECIMALS = 6;
-const fromUSDC = (n) => Number(n) / 10 ** USDC_DECIMALS;
-const fmt = (n) => `$${fromUSDC(n).toLocaleString("en-US", { minimumFractionDigits: 2 })}`;
+// ── State formatting ──────────────────────────────────────────────────
 
-function getAddresses() {
-  const envPath = path.join(__dirname, "..", "frontend", ".env.local");
-  if (!fs.existsSync(envPath)) throw new Error("frontend/.env.local not found. Run deploy.js first.");
+const USDC_FIELDS = new Set(["totalStaked", "totalCoverage", "reserveBalance", "blackSwanReserve", "freeLiquidity"]);
 
-  const env = fs.readFileSync(envPath, "utf8");
-  const match = (key) => {
-    const m = env.match(new RegExp(`${key}=(.+)`));
-    return m ? m[1].trim() : null;
-  };
+function formatValue(key, value) {
+  if (typeof value === "bigint" && USDC_FIELDS.has(key)) return fmt(value);
+  if (key === "currentVolatility" || key === "pendingVolatility") return `${Number(value) / 100}%`;
+  if (key === "splitRatio") return value === 0n ? "unset" : `${Number(value) / 10000}x`;
+  if (key === "pendingExecuteAfter" && value > 0n) return new Date(Number(value) * 1000).toISOString();
+  if (key.startsWith("week ")) return describeSchedule(Number(value));
+  return String(value);
+}
+
+const DAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri"];
+const DAYLIGHT_SAVING_OFFSET = 3600; // HoodGapMath: EDT weeks open an hour before the nominal Monday
+
+/** Packed marketCalendar schedule → "EDT, closed Thu, 1pm close Fri". */
+function describeSchedule(schedule) {
+  const { closed, early, dst } = calendar.unpackSchedule(schedule);
+  const parts = [dst ? "EDT" : "EST"];
+  if (closed.length > 0) parts.push(`closed ${closed.map((d) => DAY_NAMES[d]).join("/")}`);
+  if (early.length > 0) parts.push(`1pm close ${early.map((d) => DAY_NAMES[d]).join("/")}`);
+  return parts.length > 1 || dst ? parts.join(", ") : "full EST week";
+}
+
+/** Fields whose value differs between two snapshots. */
+function diffState(before, after) {
+  return Object.keys(after)
+    .filter((key) => before[key] !== after[key])
+    .map((key) => ({ field: key, before: before[key], after: after[key] }));
+}
+
+async function latestTimestamp() {
+  return BigInt((await hre.ethers.provider.getBlock("latest")).timestamp);
+}
 
+// ── Snapshots ─────────────────────────────────────────────────────────
+
+async function readPool(hoodgap) {
+  const [totalStaked, totalCoverage, , reserveBalance, blackSwanReserve, nextPolicyId] =
+    await hoodgap.getPoolStats();
+  return { totalStaked, totalCoverage, reserveBalance, blackSwanReserve, nextPolicyId };
+}
+
+async function readVolatility(hoodgap) {
+  const pending = await hoodgap.pendingVolatilityChange();
   return {
-    hoodgap: match("NEXT_PUBLIC_HOODGAP_ADDRESS"),
-    usdc: match("NEXT_PUBLIC_USDC_ADDRESS"),
-    oracle: match("NEXT_PUBLIC_ORACLE_ADDRESS"),
+    currentVolatility: await hoodgap.currentVolatility(),
+    pendingExists: pending.exists,
+    pendingVolatility: pending.value,
+    pendingExecuteAfter: pending.executeAfter,
   };
 }
 
-// ── Tasks ─────────────────────────────────────────────────────────────
+async function readQueue(hoodgap) {
+  const [head, length, pending, , freeLiquidity] = await hoodgap.getQueueStats();
+  return { ...(await readPool(hoodgap)), queueHead: head, queueLength: length, pendingRequests: pending, freeLiquidity };
+}
+
+// ── Commands ──────────────────────────────────────────────────────────
+//
+// Each command's plan() returns { method, args, read, predict } or { skip }.
+//   read()          → snapshot of the state the call touches
+//   predict(before) → snapshot expected after the call succeeds
 
-async function approveWeek(hoodgap) {
-  const week = await hoodgap.getCurrentSettlementWeek();
-  const [alreadyApproved] = await hoodgap.canSettle(week);
+const COMMANDS = {
+  "approve-week": {
+    guardianOnly: true,
+    description: "Approve settlement for a week (default: current settlement week)",
+    async plan(hoodgap, flags) {
+      const week = bigintFlag(flags, "week", await hoodgap.getCurrentSettlementWeek());
+      const splitRatio = bigintFlag(flags, "split", BigInt(process.env.SPLIT || "10000"));
+      const reason = flags.reason || process.env.REASON || "Normal week — no split";
+      if (splitRatio === 0n || splitRatio > 50000n) throw new Error("--split must be 1-50000 basis points");
 
-  if (alreadyApproved) {
-    console.log(`  Week ${week} is already approved ✅`);
-    return;
+      const read = async () => ({
+        week,
+        approved: await hoodgap.settlementApproved(week),
+        splitRatio: await hoodgap.splitRatios(week),
+      });
+      const current = await read();
+      if (current.approved && current.splitRatio === splitRatio) {
+        return { skip: `Week ${week} is already approved at ${formatValue("splitRatio", splitRatio)}` };
+      }
+
+      return {
+        method: "approveSettlement",
+        args: [week, splitRatio, reason],
+        read,
+        predict: (before) => ({ ...before, approved: true, splitRatio }),
+      };
+    },
+  },
+
+  "queue-vol": {
+    guardianOnly: true,
+    description: "Queue a volatility change behind the 24h timelock",
+    async plan(hoodgap, flags) {
+      const newVol = bigintFlag(flags, "vol", process.env.VOL ? BigInt(process.env.VOL) : undefined);
+      if (newVol < 1000n || newVol > 15000n) throw new Error("--vol must be 1000-15000 basis points (10-150%)");
+      const reason = flags.reason || process.env.REASON || `Market conditions update to ${Number(newVol) / 100}%`;
+      const timelock = await hoodgap.VOLATILITY_TIMELOCK();
+
+      return {
+        method: "queueVolatilityChange",
+        args: [newVol, reason],
+        read: () => readVolatility(hoodgap),
+        predict: async (before) => ({
+          ...before,
+          pendingExists: true,
+          pendingVolatility: newVol,
+          pendingExecuteAfter: (await latestTimestamp()) + 1n + timelock,
+        }),
+      };
+    },
+  },
+
+  "exec-vol": {
+    guardianOnly: true,
+    description: "Execute the queued volatility change once the timelock has elapsed",
+    async plan(hoodgap) {
+      const current = await readVolatility(hoodgap);
+      if (!current.pendingExists) return { skip: "No pending volatility change" };
+
+      return {
+        method: "executeVolatilityChange",
+        args: [],
+        read: () => readVolatility(hoodgap),
+        predict: (before) => ({
+          currentVolatility: before.pendingVolatility,
+          pendingExists: false,
+          pendingVolatility: 0n,
+          pendingExecuteAfter: 0n,
+        }),
+      };
+    },
+  },
+
+  "cancel-vol": {
+    guardianOnly: true,
+    description: "Cancel the queued volatility change",
+    async plan(hoodgap) {
+      const current = await readVolatility(hoodgap);
+      if (!current.pendingExists) return { skip: "No pending volatility change" };
+
+      return {
+        method: "cancelVolatilityChange",
+        args: [],
+        read: () => readVolatility(hoodgap),
+        predict: (before) => ({ ...before, pendingExists: false, pendingVolatility: 0n, pendingExecuteAfter: 0n }),
+      };
+    },
+  },
+
+  pause: {
+    guardianOnly: true,
+    description: "Emergency pause (blocks stake and buy)",
+    async plan(hoodgap) {
+      if (await hoodgap.paused()) return { skip: "Contract is already paused" };
+      return {
+        method: "pause",
+        args: [],
+        read: async () => ({ paused: await hoodgap.paused() }),
+        predict: () => ({ paused: true }),
+      };
+    },
+  },
+
+  unpause: {
+    guardianOnly: true,
+    description: "Resume operation",
+    async plan(hoodgap) {
+      if (!(await hoodgap.paused())) return { skip: "Contract is not paused" };
+      return {
+        method: "unpause",
+        args: [],
+        read: async () => ({ paused: await hoodgap.paused() }),
+        predict: () => ({ paused: false }),
+      };
+    },
+  },
+
+  "set-treasury": {
+    guardianOnly: true,
+    description: "Point protocol fees at a new treasury address",
+    async plan(hoodgap, flags) {
+      const newTreasury = requireAddress(flags);
+      return {
+        method: "setTreasury",
+        args: [newTreasury],
+        read: async () => ({ treasury: await hoodgap.treasury() }),
+        predict: () => ({ treasury: newTreasury }),
+      };
+    },
+  },
+
+  "transfer-ownership": {
+    guardianOnly: true,
+    description: "Hand the guardian role to a new address (e.g. a multisig)",
+    async plan(hoodgap, flags) {
+      const newOwner = requireAddress(flags);
+      return {
+        method: "transferOwnership",
+        args: [newOwner],
+        read: async () => ({ owner: await hoodgap.owner() }),
+        predict: () => ({ owner: newOwner }),
+      };
+    },
+  },
+
+  "renounce-ownership": {
+    guardianOnly: true,
+    description: "Permanently remove the guardian (requires --confirm)",
+    async plan(hoodgap, flags) {
+      if (!flags.confirm && !flags["dry-run"]) {
+        throw new Error("renounce-ownership is irreversible — pass --confirm to proceed");
+      }
+      return {
+        method: "renounceOwnership",
+        args: [],
+        read: async () => ({ owner: await hoodgap.owner() }),
+        predict: () => ({ owner: hre.ethers.ZeroAddress }),
+      };
+    },
+  },
+
+  "process-queue": {
+    guardianOnly: false,
+    description: "Pay out queued withdrawals from free liquidity",
+    async plan(hoodgap, flags) {
+      const max = bigintFlag(flags, "max", 20n);
+      if (max === 0n || max > 50n) throw new Error("--max must be 1-50");
+
+      return {
+        method: "processWithdrawalQueue",
+        args: [max],
+        read: () => readQueue(hoodgap),
+        predict: (before) => predictQueue(hoodgap, before, max),
+      };
+    },
+  },
+
+  "mint-gaps": {
+    guardianOnly: false,
+    description: "Mint every gap NFT whose market close has passed for a subscription",
+    async plan(hoodgap, flags) {
+      const subId = bigintFlag(flags, "sub");
+      const read = async () => ({
+        ...(await readPool(hoodgap)),
+        gapsMinted: (await hoodgap.getSubscription(subId)).gapsMinted,
+      });
+
+      return {
+        method: "mintAllAvailableGaps",
+        args: [subId],
+        read,
+        predict: (before) => predictMint(hoodgap, subId, before),
+      };
+    },
+  },
+
+  "publish-calendar": {
+    guardianOnly: true,
+    description: "Publish a year of NYSE holidays, early closes and EDT weeks (default: next year)",
+    async plan(hoodgap, flags) {
+      const year = flags.year ? Number(flags.year) : new Date().getUTCFullYear() + 1;
+      if (!Number.isInteger(year)) throw new Error("--year must be a year, e.g. 2027");
+
+      // Weeks that may have opened (9:30am EDT Monday) are frozen on chain; the rest are (re)published if they differ
+      const now = Number(await latestTimestamp());
+      const earliestOpen = (week) => calendar.getMonday(week) - DAYLIGHT_SAVING_OFFSET;
+      const upcoming = nyse.weekSchedules(year).filter(({ week }) => earliestOpen(week) > now + 60);
+      const published = await Promise.all(upcoming.map(({ week }) => hoodgap.marketCalendar(week)));
+      const weeks = upcoming.filter(({ schedule }, i) => published[i] !== BigInt(schedule));
+      if (upcoming.length === 0) return { skip: `NYSE ${year}: every scheduled week has already started` };
+      if (weeks.length === 0) {
+        return { skip: `NYSE ${year}: ${upcoming.length} upcoming scheduled weeks already published` };
+      }
+
+      const read = async () =>
+        Object.fromEntries(await Promise.all(weeks.map(async ({ week }) => [`week ${week}`, await hoodgap.marketCalendar(week)])));
+
+      return {
+        method: "publishMarketCalendar",
+        args: [weeks.map((w) => w.week), weeks.map((w) => w.schedule)],
+        read,
+        predict: () => Object.fromEntries(weeks.map(({ week, schedule }) => [`week ${week}`, BigInt(schedule)])),
+      };
+    },
+  },
+
+  settle: {
+    guardianOnly: false,
+    description: "Settle a policy after its next market open",
+    async plan(hoodgap, flags) {
+      const policyId = bigintFlag(flags, "policy");
+      const read = async () => ({
+        ...(await readPool(hoodgap)),
+        settled: (await hoodgap.policies(policyId)).settled,
+        paidOut: (await hoodgap.policies(policyId)).paidOut,
+      });
+
+      return {
+        method: "settlePolicy",
+        args: [policyId],
+        read,
+        predict: (before) => predictSettle(hoodgap, policyId, before),
+      };
+    },
+  },
+};
+
+function requireAddress(flags) {
+  if (!flags.address || !hre.ethers.isAddress(flags.address)) throw new Error("--address must be a valid address");
+  if (flags.address === hre.ethers.ZeroAddress) throw new Error("--address cannot be the zero address");
+  return hre.ethers.getAddress(flags.address);
+}
+
+// ── Predictions (mirror HoodGap.sol) ──────────────────────────────────
+
+async function predictQueue(hoodgap, before, max) {
+  let free = before.freeLiquidity;
+  if (free === 0n) return before;
+
+  let head = before.queueHead;
+  let paid = 0n;
+  let processed = 0n;
+  for (let i = head; i < before.queueLength && processed < max && free > 0n; i++) {
+    const request = await hoodgap.withdrawalQueue(i);
+    if (request.processed) {
+      if (i === head) head++;
+      continue;
+    }
+    // Redeeming at the current share price leaves the price unchanged
+    const amount = await hoodgap.convertToAssets(request.shares);
+    if (amount > free) break;
+
+    free -= amount;
+    paid += amount;
+    processed++;
+    head = i + 1n;
   }
 
-  const splitRatio = parseInt(process.env.SPLIT || "10000");
-  const reason = process.env.REASON || "Normal week — no split";
+  return {
+    ...before,
+    totalStaked: before.totalStaked - paid,
+    queueHead: head,
+    pendingRequests: before.pendingRequests - processed,
+    freeLiquidity: free,
+  };
+}
 
-  console.log(`  Approving week ${week}...`);
-  console.log(`    Split ratio: ${splitRatio / 10000}x`);
-  console.log(`    Reason: ${reason}`);
+async function predictMint(hoodgap, subId, before) {
+  const sub = await hoodgap.getSubscription(subId);
+  const totalGaps = sub.totalWeeks * 5n;
+  const now = (await latestTimestamp()) + 1n;
+  const startWeek = Number(sub.startWeek);
+  const market = await calendar.loadCalendar(hoodgap, startWeek, startWeek + Number(sub.totalWeeks) - 1);
 
-  const tx = await hoodgap.approveSettlement(week, splitRatio, reason);
-  await tx.wait();
-  console.log(`  ✅ Week ${week} approved`);
+  // Holidays advance gapsMinted without minting (GapSkipped)
+  let slots = 0n;
+  let minted = 0n;
+  let gapsMinted = sub.gapsMinted;
+  while (gapsMinted < totalGaps && slots < 10n) {
+    const [week, day] = [startWeek + Number(gapsMinted / 5n), Number(gapsMinted % 5n)];
+    if (now < BigInt(market.getMarketClose(week, day))) break;
+    if (market.isTradingDay(week, day)) minted++;
+    gapsMinted++;
+    slots++;
+  }
+
+  return {
+    ...before,
+    totalCoverage: before.totalCoverage + sub.coverage * minted,
+    nextPolicyId: before.nextPolicyId + minted,
+    gapsMinted,
+  };
 }
 
+async function predictSettle(hoodgap, policyId, before) {
+  const policy = await hoodgap.policies(policyId);
+  const approvalWeek = await hoodgap.getApprovalWeek(policy.gapWeek, policy.gapDay);
+  const [, splitRatio] = await hoodgap.canSettle(approvalWeek);
+  const oracle = await hre.ethers.getContractAt("AggregatorV3Interface", await hoodgap.priceOracle());
+  const [, answer] = await oracle.latestRoundData();
+
+  const adjustedClose = (policy.closePrice * (splitRatio || 10000n)) / 10000n;
+  const gap = answer > 0n && adjustedClose > 0n ? await hoodgap.calculateGap(answer, adjustedClose) : 0n;
+  const payout = gap >= policy.threshold ? policy.coverage : 0n;
+
+  const after = { ...before, totalCoverage: before.totalCoverage - policy.coverage, settled: true, paidOut: payout > 0n };
+  if (payout === 0n) return after;
+
+  if (before.totalStaked >= payout) return { ...after, totalStaked: before.totalStaked - payout };
+
+  const shortfall = payout - before.totalStaked;
+  const fromBlackSwan = shortfall < before.blackSwanReserve ? shortfall : before.blackSwanReserve;
+  return {
+    ...after,
+    totalStaked: 0n,
+    blackSwanReserve: before.blackSwanReserve - fromBlackSwan,
+    reserveBalance: before.reserveBalance - (shortfall - fromBlackSwan),
+  };
+}
+
+// ── Read-only report ──────────────────────────────────────────────────
+
 async function poolHealth(hoodgap) {
   const stats = await hoodgap.getPoolStats();
   const vol = await hoodgap.currentVolatility();
@@ -67,114 +476,276 @@ async function poolHealth(hoodgap) {
   const week = await hoodgap.getCurrentSettlementWeek();
   const [canSettleNow, splitRatio, settleReason] = await hoodgap.canSettle(week);
   const queueStats = await hoodgap.getQueueStats();
+  const pending = await hoodgap.pendingVolatilityChange();
+
+  return {
+    paused,
+    totalStaked: stats[0],
+    totalCoverage: stats[1],
+    utilizationBps: stats[2],
+    reserveBalance: stats[3],
+    blackSwanReserve: stats[4],
+    policies: stats[5],
+    currentVolatility: vol,
+    pendingVolatility: pending.exists ? { value: pending.value, executeAfter: pending.executeAfter } : null,
+    treasury: await hoodgap.treasury(),
+    settlement: { week, canSettle: canSettleNow, splitRatio, reason: settleReason },
+    queue: {
+      head: queueStats[0],
+      length: queueStats[1],
+      pending: queueStats[2],
+      dollarAhead: queueStats[3],
+      freeLiquidity: queueStats[4],
+    },
+  };
+}
 
+function printPoolHealth(h) {
   console.log("  📊 Pool Health Report");
   console.log("  ─────────────────────────────────");
-  console.log(`  Status:         ${paused ? "⛔ PAUSED" : "🟢 Active"}`);
-  console.log(`  Total Staked:   ${fmt(stats[0])}`);
-  console.log(`  Total Coverage: ${fmt(stats[1])}`);
-  console.log(`  Utilization:    ${Number(stats[2]) / 100}%`);
-  console.log(`  Reserve:        ${fmt(stats[3])}`);
-  console.log(`  Policies:       ${stats[4]}`);
-  console.log(`  Volatility:     ${Number(vol) / 100}%`);
+  console.log(`  Status:         ${h.paused ? "⛔ PAUSED" : "🟢 Active"}`);
+  console.log(`  Total Staked:   ${fmt(h.totalStaked)}`);
+  console.log(`  Total Coverage: ${fmt(h.totalCoverage)}`);
+  console.log(`  Utilization:    ${Number(h.utilizationBps) / 100}%`);
+  console.log(`  Reserve:        ${fmt(h.reserveBalance)}`);
+  console.log(`  Black Swan:     ${fmt(h.blackSwanReserve)}`);
+  console.log(`  Policies:       ${h.policies}`);
+  console.log(`  Volatility:     ${Number(h.currentVolatility) / 100}%`);
+  if (h.pendingVolatility) {
+    const at = new Date(Number(h.pendingVolatility.executeAfter) * 1000).toISOString();
+    console.log(`  Pending Vol:    ${Number(h.pendingVolatility.value) / 100}% after ${at}`);
+  }
+  console.log(`  Treasury:       ${h.treasury}`);
   console.log("  ─────────────────────────────────");
-  console.log(`  Week:           ${week}`);
-  console.log(`  Can Settle:     ${canSettleNow ? "✅ Yes" : "❌ No"}`);
-  console.log(`  Split Ratio:    ${Number(splitRatio) / 10000}x`);
-  console.log(`  Reason:         ${settleReason}`);
+  console.log(`  Week:           ${h.settlement.week}`);
+  console.log(`  Can Settle:     ${h.settlement.canSettle ? "✅ Yes" : "❌ No"}`);
+  console.log(`  Split Ratio:    ${Number(h.settlement.splitRatio) / 10000}x`);
+  console.log(`  Reason:         ${h.settlement.reason}`);
   console.log("  ─────────────────────────────────");
-  console.log(`  Queue Head:     ${queueStats[0]}`);
-  console.log(`  Queue Length:   ${queueStats[1]}`);
-  console.log(`  Pending:        ${queueStats[2]}`);
-  console.log(`  $ Ahead:        ${fmt(queueStats[3])}`);
-  console.log(`  Free Liquidity: ${fmt(queueStats[4])}`);
+  console.log(`  Queue Head:     ${h.queue.head}`);
+  console.log(`  Queue Length:   ${h.queue.length}`);
+  console.log(`  Pending:        ${h.queue.pending}`);
+  console.log(`  $ Ahead:        ${fmt(h.queue.dollarAhead)}`);
+  console.log(`  Free Liquidity: ${fmt(h.queue.freeLiquidity)}`);
 }
 
-async function queueVolatility(hoodgap) {
-  const newVol = parseInt(process.env.VOL || "5000");
-  const reason = process.env.REASON || `Market conditions update to ${newVol / 100}%`;
+// ── Runner ────────────────────────────────────────────────────────────
+
+async function runCommand(name, hoodgap, signer, flags) {
+  const command = COMMANDS[name];
+  const dryRun = flags["dry-run"];
+  const result = { command: name, network: hre.network.name, signer: signer?.address ?? null, dryRun };
+
+  const plan = await command.plan(hoodgap, flags);
+  if (plan.skip) return { ...result, skipped: plan.skip };
 
-  console.log(`  Queuing volatility change: ${newVol / 100}%`);
-  console.log(`  Reason: ${reason}`);
-  console.log(`  ⏱️  Will be executable after 24h timelock`);
+  const before = await plan.read();
+  const expected = await plan.predict(before);
+  Object.assign(result, { method: plan.method, args: plan.args, expectedDiff: diffState(before, expected) });
+
+  if (flags.batch) return addToBatch(hoodgap, plan, result, flags.batch);
+
+  const fn = hoodgap.connect(signer).getFunction(plan.method);
+
+  if (dryRun) {
+    try {
+      await fn.staticCall(...plan.args);
+      result.ok = true;
+    } catch (err) {
+      result.ok = false;
+      result.revert = revertReason(err);
+    }
+    return result;
+  }
 
-  const tx = await hoodgap.queueVolatilityChange(newVol, reason);
-  await tx.wait();
-  console.log("  ✅ Volatility change queued");
+  const tx = await fn(...plan.args);
+  const receipt = await tx.wait();
+  const after = await plan.read();
+  return {
+    ...result,
+    ok: receipt.status === 1,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+    diff: diffState(before, after),
+  };
 }
 
-async function emergencyPause(hoodgap) {
-  const isPaused = await hoodgap.paused();
-  if (isPaused) {
-    console.log("  ⚠️  Contract is already paused");
+function printResult(result) {
+  if (result.skipped) {
+    console.log(`  ⚠️  ${result.skipped}`);
     return;
   }
-  const tx = await hoodgap.pause();
-  await tx.wait();
-  console.log("  ⛔ Contract PAUSED");
+
+  const call = `${result.method}(${result.args.map(String).join(", ")})`;
+  const simulated = result.dryRun || result.batch;
+  console.log(`  ${result.batch ? "📝 Batching" : result.dryRun ? "🧪 Simulating" : "📤 Sent"}: ${call}`);
+
+  const rows = simulated ? result.expectedDiff : result.diff;
+  console.log(simulated ? "\n  Expected state diff:" : "\n  State diff:");
+  if (rows.length === 0) console.log("    (no change)");
+  for (const { field, before, after } of rows) {
+    console.log(`    ${field.padEnd(20)} ${formatValue(field, before)} → ${formatValue(field, after)}`);
+  }
+
+  if (result.batch) {
+    if (!result.ok) console.log(`\n  ❌ Would revert from ${result.safe}: ${result.revert} — not added to ${result.batch}`);
+    else if (result.dryRun) console.log(`\n  ✅ staticCall from ${result.safe} succeeded — dry run, ${result.batch} not written`);
+    else console.log(`\n  ✅ staticCall from ${result.safe} succeeded — transaction #${result.index + 1} of ${result.batch}`);
+  } else if (result.dryRun) {
+    console.log(result.ok ? "\n  ✅ staticCall succeeded — transaction would go through" : `\n  ❌ Would revert: ${result.revert}`);
+  } else {
+    console.log(`\n  ✅ Mined in block ${result.blockNumber} (${result.txHash})`);
+  }
 }
 
-async function emergencyUnpause(hoodgap) {
-  const isPaused = await hoodgap.paused();
-  if (!isPaused) {
-    console.log("  ⚠️  Contract is not paused");
-    return;
+// ── Safe batches ──────────────────────────────────────────────────────
+//
+// With --batch the call is encoded into a Safe Transaction Builder file
+// instead of being signed here, so the guardian key can live in a multisig
+// or on a hardware wallet. Calls are simulated as owner() would send them.
+
+async function simulateAsOwner(hoodgap, owner, method, args) {
+  try {
+    await hoodgap.connect(hre.ethers.provider).getFunction(method).staticCall(...args, { from: owner });
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, revert: revertReason(err) };
   }
-  const tx = await hoodgap.unpause();
-  await tx.wait();
-  console.log("  🟢 Contract UNPAUSED");
+}
+
+async function addToBatch(hoodgap, plan, result, file) {
+  const owner = await hoodgap.owner();
+  const simulation = await simulateAsOwner(hoodgap, owner, plan.method, plan.args);
+  Object.assign(result, { batch: file, safe: owner, ...simulation });
+  if (!simulation.ok) return result; // never hand a reverting call to the signers
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const batch = openBatch(file, { chainId, safe: owner, name: `HoodGap guardian — ${hre.network.name}` });
+  const safe = batch.meta?.createdFromSafeAddress;
+  if (safe && safe.toLowerCase() !== owner.toLowerCase()) {
+    throw new Error(`${file} was started for ${safe}, but owner() is now ${owner}`);
+  }
+
+  const tx = appendCall(batch, { to: await hoodgap.getAddress(), iface: hoodgap.interface, method: plan.method, args: plan.args });
+  if (!result.dryRun) saveBatch(file, batch);
+  return { ...result, index: batch.transactions.length - 1, to: tx.to, data: tx.data };
+}
+
+/** Decode a batch and check it against this deployment before anyone signs it. */
+async function verifyBatch(hoodgap, file) {
+  const batch = readBatch(file);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const owner = await hoodgap.owner();
+  const report = { command: "verify-batch", network: hre.network.name, batch: file, chainId, owner, errors: [], warnings: [] };
+
+  if (batch.chainId !== String(chainId)) report.errors.push(`batch is for chain ${batch.chainId}, ${hre.network.name} is ${chainId}`);
+  const safe = batch.meta?.createdFromSafeAddress;
+  if (safe && safe.toLowerCase() !== owner.toLowerCase()) report.warnings.push(`batch was built for ${safe}, but owner() is ${owner}`);
+  if (batch.transactions.length === 0) report.warnings.push("batch has no transactions");
+
+  report.transactions = decodeBatch(batch, { iface: hoodgap.interface, to: await hoodgap.getAddress() });
+  for (const tx of report.transactions) {
+    if (tx.errors.length > 0) continue;
+    // Each call is simulated on its own against current state, not after the earlier ones
+    const simulation = await simulateAsOwner(hoodgap, owner, tx.method, tx.args.map((a) => a.value));
+    if (!simulation.ok) tx.errors.push(`would revert from ${owner}: ${simulation.revert}`);
+  }
+
+  report.ok = report.errors.length === 0 && report.transactions.every((tx) => tx.errors.length === 0);
+  return report;
+}
+
+function printBatchReport(report) {
+  console.log(`  Batch:  ${report.batch} (${report.transactions.length} transactions, chain ${report.chainId})`);
+  console.log(`  Owner:  ${report.owner}`);
+  for (const warning of report.warnings) console.log(`  ⚠️  ${warning}`);
+  for (const error of report.errors) console.log(`  ❌ ${error}`);
+
+  for (const tx of report.transactions) {
+    console.log(`\n  #${tx.index + 1} ${tx.method ?? "(undecodable)"} → ${tx.to}`);
+    for (const { name, value } of tx.args) console.log(`       ${name.padEnd(16)} ${value}`);
+    if (tx.errors.length === 0) console.log("     ✅ Decodes, matches its readable inputs and simulates from owner");
+    for (const error of tx.errors) console.log(`     ❌ ${error}`);
+  }
+
+  console.log(report.ok ? "\n  ✅ Batch verified — safe to sign" : "\n  ❌ Do not sign this batch");
+}
+
+function printUsage() {
+  console.log("  Usage: node scripts/guardian-operations.js <command> [flags] --network <name>\n");
+  console.log(`    ${"status".padEnd(20)} Show pool health report`);
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    console.log(`    ${name.padEnd(20)} ${command.description}`);
+  }
+  console.log(`    ${"verify-batch".padEnd(20)} Decode and check a Safe batch file (--batch FILE)`);
+  console.log("\n  Flags: --dry-run (simulate via staticCall), --batch FILE (write a Safe batch instead of sending),");
+  console.log("         --json (machine-readable output)");
 }
 
 // ── Main ──────────────────────────────────────────────────────────────
 
 async function main() {
-  const task = (process.env.TASK || "pool-health").toLowerCase();
+  const name = (cli.command || process.env.TASK || "status").toLowerCase().replace(/^pool-health$/, "status");
+  const { flags } = cli;
+  const json = flags.json;
 
-  console.log(`\n🛡️  Guardian Operations — ${task}`);
-  console.log("   Network:", hre.network.name);
-  console.log("─".repeat(50));
+  if (!json) {
+    const mode = flags.batch && name !== "verify-batch" ? " (batch)" : flags["dry-run"] ? " (dry run)" : "";
+    console.log(`\n🛡️  Guardian Operations — ${name}${mode}`);
+    console.log("   Network:", hre.network.name);
+    console.log("─".repeat(50));
+  }
+
+  if (flags.help || (!["status", "verify-batch"].includes(name) && !COMMANDS[name])) {
+    if (!flags.help) console.log(`  Unknown command: ${name}\n`);
+    printUsage();
+    if (!flags.help) process.exitCode = 1;
+    return;
+  }
 
-  const { hoodgap: addr } = getAddresses();
-  const hoodgap = await hre.ethers.getContractAt("HoodGap", addr);
+  const { hoodgap } = await attachContracts(hre, loadDeployment(hre.network.name));
 
-  const [signer] = await hre.ethers.getSigners();
+  if (name === "status") {
+    const health = await poolHealth(hoodgap);
+    if (json) console.log(toJSON({ command: name, network: hre.network.name, ...health }));
+    else printPoolHealth(health);
+    return;
+  }
+
+  if (name === "verify-batch") {
+    if (!flags.batch) throw new Error("verify-batch needs --batch FILE");
+    const report = await verifyBatch(hoodgap, flags.batch);
+    if (json) console.log(toJSON(report));
+    else printBatchReport(report);
+    if (!report.ok) process.exitCode = 1;
+    if (!json) console.log("");
+    return;
+  }
+
+  // Batched calls are signed by owner() elsewhere, so no local key is needed
   const owner = await hoodgap.owner();
-  if (signer.address.toLowerCase() !== owner.toLowerCase()) {
-    console.error(`\n  ❌ Signer ${signer.address} is not the guardian (${owner})`);
-    process.exit(1);
-  }
-
-  console.log(`  Guardian: ${signer.address}\n`);
-
-  switch (task) {
-    case "approve-week":
-      await approveWeek(hoodgap);
-      break;
-    case "pool-health":
-      await poolHealth(hoodgap);
-      break;
-    case "queue-vol":
-      await queueVolatility(hoodgap);
-      break;
-    case "pause":
-      await emergencyPause(hoodgap);
-      break;
-    case "unpause":
-      await emergencyUnpause(hoodgap);
-      break;
-    default:
-      console.log("  Unknown task. Available tasks:");
-      console.log("    approve-week  — Approve settlement for current week");
-      console.log("    pool-health   — Show pool health report");
-      console.log("    queue-vol     — Queue volatility change (set VOL=6000)");
-      console.log("    pause         — Emergency pause");
-      console.log("    unpause       — Resume operation");
-  }
-
-  console.log("");
+  const [signer] = flags.batch ? [] : await hre.ethers.getSigners();
+  const isGuardian = signer?.address.toLowerCase() === owner.toLowerCase();
+  if (COMMANDS[name].guardianOnly && !isGuardian && !flags["dry-run"] && !flags.batch) {
+    throw new Error(`Signer ${signer.address} is not the guardian (${owner}) — use --batch FILE to build a multisig batch`);
+  }
+
+  if (!json) {
+    if (flags.batch) console.log(`  Owner:  ${owner} (signs ${flags.batch})\n`);
+    else console.log(`  Signer: ${signer.address}${isGuardian ? " (guardian)" : ""}\n`);
+  }
+
+  const result = await runCommand(name, hoodgap, signer, flags);
+  if (json) console.log(toJSON(result));
+  else printResult(result);
+
+  if (result.ok === false) process.exitCode = 1;
+  if (!json) console.log("");
 }
 
 main().catch((error) => {
-  console.error(error);
+  if (cli.flags.json) console.log(toJSON({ ok: false, error: revertReason(error) }));
+  else console.error(`\n  ❌ ${revertReason(error)}\n`);
   process.exitCode = 1;
 });
@@ -0,0 +1,213 @@
+/**
+ * indexer.js — Resumable HoodGap event indexer
+ *
+ * Pulls every HoodGap event that portfolio, analytics and reporting features
+ * need into deployments/<name>.events.json (see lib/event-store.js):
+ *   PolicyPurchased, PolicySettled, PolicyPaidOut, GapPolicyMinted,
+ *   SubscriptionCreated, Staked, WithdrawalQueued/Processed/Cancelled,
+ *   QueueProcessed, SettlementApproved, ReserveUsed and ERC-721 Transfer.
+ *
+ * Logs are fetched in getLogs ranges of --batch blocks (halved when the RPC
+ * rejects a range) and the store is checkpointed after every range, so an
+ * interrupted run resumes from the last saved block. Blocks closer than
+ * --confirmations to the head are left for a later tick. Each tick re-checks
+ * the hashes of recent checkpoints; if the chain reorganised (or a local node
+ * was restarted) the store rolls back to the newest checkpoint still on the
+ * canonical chain and re-indexes from there.
+ *
+ * Usage:
+ *   node scripts/indexer.js --network localhost
+ *   node scripts/indexer.js --once --network robinhoodTestnet
+ *   npm run indexer
+ *
+ * Flags:
+ *   --interval SEC       seconds between ticks (default 15)
+ *   --once               index up to the head and exit
+ *   --from-block N       first block for a new store (default: manifest deployBlock)
+ *   --batch N            blocks per getLogs call (default 2000)
+ *   --confirmations N    reorg depth to stay behind the head (default 0 on hardhat/localhost, 12 elsewhere)
+ *   --store FILE         event store (default deployments/<name>.events.json)
+ *   --json               one JSON line per tick
+ */
+
+const { parseCommandLine, bigintFlag, toJSON, revertReason } = require("./lib/cli");
+
+const cli = parseCommandLine({
+  once: { type: "boolean", default: false },
+  interval: { type: "string" },
+  "from-block": { type: "string" },
+  batch: { type: "string" },
+  confirmations: { type: "string" },
+  store: { type: "string" },
+});
+
+const path = require("path");
+const hre = require("hardhat");
+const { loadDeployment, attachContracts } = require("./lib/deployment");
+const { runDaemon } = require("./lib/daemon");
+const {
+  INDEXED_EVENTS,
+  eventStorePath,
+  openEventStore,
+  saveEventStore,
+  rollback,
+  decodeLog,
+} = require("./lib/event-store");
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+const RECENT_CHECKPOINTS = 64;
+
+// ── Reorg handling ────────────────────────────────────────────────────
+
+/**
+ * Roll the store back to the newest checkpoint whose block hash still matches
+ * the chain. Returns { reorged, dropped } for the tick report.
+ */
+async function reconcile(store) {
+  const before = store.events.length;
+  const newest = store.recent.length - 1;
+  for (let i = newest; i >= 0; i--) {
+    const { number, hash } = store.recent[i];
+    const block = await hre.ethers.provider.getBlock(number);
+    if (block?.hash !== hash) continue;
+    if (i === newest) return { reorged: false, dropped: 0 };
+    rollback(store, number);
+    return { reorged: true, dropped: before - store.events.length };
+  }
+  // Deeper than every checkpoint we kept: start over
+  if (store.recent.length === 0) return { reorged: false, dropped: 0 };
+  rollback(store, store.startBlock - 1);
+  return { reorged: true, dropped: before };
+}
+
+// ── Fetching ──────────────────────────────────────────────────────────
+
+async function fetchRange(ctx, fromBlock, toBlock) {
+  return hre.ethers.provider.getLogs({
+    address: ctx.address,
+    fromBlock,
+    toBlock,
+    topics: [ctx.topics],
+  });
+}
+
+async function tick(ctx, control) {
+  const { store, options } = ctx;
+  const report = { tick: control.ticks, at: new Date().toISOString(), counts: {}, ranges: 0 };
+
+  const { reorged, dropped } = await reconcile(store);
+  report.reorg = reorged ? { dropped, resumeFrom: store.checkpoint?.number ?? store.startBlock - 1 } : null;
+
+  report.head = await hre.ethers.provider.getBlockNumber();
+  const target = report.head - options.confirmations;
+  let from = store.checkpoint ? store.checkpoint.number + 1 : store.startBlock;
+  let batch = options.batch;
+
+  while (from <= target && !control.stopping) {
+    const to = Math.min(from + batch - 1, target);
+    let logs;
+    try {
+      logs = await fetchRange(ctx, from, to);
+    } catch (err) {
+      // Providers cap range size or result count; shrink and retry
+      if (batch === 1) throw err;
+      batch = Math.max(1, Math.floor(batch / 2));
+      continue;
+    }
+
+    for (const log of logs) {
+      const event = decodeLog(ctx.iface, log);
+      if (!event) continue;
+      store.events.push(event);
+      report.counts[event.name] = (report.counts[event.name] ?? 0) + 1;
+    }
+
+    const block = await hre.ethers.provider.getBlock(to);
+    store.checkpoint = { number: to, hash: block.hash };
+    store.recent.push(store.checkpoint);
+    if (store.recent.length > RECENT_CHECKPOINTS) store.recent.splice(0, store.recent.length - RECENT_CHECKPOINTS);
+    saveEventStore(options.storeFile, store);
+
+    report.ranges++;
+    from = to + 1;
+  }
+
+  if (reorged && report.ranges === 0) saveEventStore(options.storeFile, store);
+  report.indexedTo = store.checkpoint?.number ?? null;
+  report.totalEvents = store.events.length;
+  return report;
+}
+
+// ── Output ────────────────────────────────────────────────────────────
+
+function printReport(report) {
+  console.log(`\n[${report.at}] tick ${report.tick} · head ${report.head} · indexed to ${report.indexedTo ?? "—"}`);
+  if (report.reorg) {
+    console.log(`  🔀 Reorg: dropped ${report.reorg.dropped} events, re-indexing after block ${report.reorg.resumeFrom}`);
+  }
+  const counts = Object.entries(report.counts);
+  for (const [name, count] of counts) console.log(`  📥 ${name.padEnd(20)} ${count}`);
+  if (counts.length === 0) console.log(report.ranges > 0 ? `  💤 No new events in ${report.ranges} range(s)` : "  💤 Up to date");
+  console.log(`  🗂️  ${report.totalEvents} events stored`);
+}
+
+// ── Main ──────────────────────────────────────────────────────────────
+
+async function main() {
+  const { flags } = cli;
+  const deployment = loadDeployment(hre.network.name);
+  const { hoodgap } = await attachContracts(hre, deployment);
+  const local = LOCAL_NETWORKS.includes(hre.network.name);
+
+  const options = {
+    once: flags.once,
+    interval: Number(bigintFlag(flags, "interval", 15n)) * 1000,
+    batch: Math.max(1, Number(bigintFlag(flags, "batch", 2000n))),
+    confirmations: Number(bigintFlag(flags, "confirmations", local ? 0n : 12n)),
+    storeFile: path.resolve(flags.store || eventStorePath(deployment.name)),
+  };
+
+  const startBlock = Number(bigintFlag(flags, "from-block", BigInt(deployment.deployBlock ?? 0)));
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const { store, reset } = openEventStore(options.storeFile, {
+    chainId,
+    hoodgap: deployment.addresses.hoodgap,
+    startBlock,
+  });
+  if (reset) console.warn(`⚠ ${path.relative(process.cwd(), options.storeFile)}: ${reset} — starting fresh`);
+  if (deployment.deployBlock === undefined && flags["from-block"] === undefined && !store.checkpoint) {
+    console.warn("⚠ No deployBlock in the manifest — scanning from block 0 (pass --from-block to skip ahead)");
+  }
+
+  const ctx = {
+    store,
+    options,
+    address: deployment.addresses.hoodgap,
+    iface: hoodgap.interface,
+    topics: INDEXED_EVENTS.map((name) => hoodgap.interface.getEvent(name).topicHash),
+  };
+
+  if (!flags.json) {
+    console.log("\n🗂️  HoodGap Indexer");
+    console.log("   Network:      ", hre.network.name);
+    console.log("   HoodGap:      ", deployment.addresses.hoodgap);
+    console.log("   Store:        ", path.relative(process.cwd(), options.storeFile));
+    console.log("   Resume from:  ", store.checkpoint ? store.checkpoint.number + 1 : store.startBlock);
+    console.log("   Confirmations:", options.confirmations);
+    console.log("─".repeat(50));
+  }
+
+  await runDaemon({
+    intervalMs: options.interval,
+    once: options.once,
+    json: flags.json,
+    tick: (control) => tick(ctx, control),
+    print: printReport,
+  });
+}
+
+main().catch((error) => {
+  if (cli.flags.json) console.log(toJSON({ ok: false, error: revertReason(error) }, 0));
+  else console.error(`\n  ❌ ${revertReason(error)}\n`);
+  process.exitCode = 1;
+});
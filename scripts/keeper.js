@@ -0,0 +1,442 @@
+/**
+ * keeper.js — Maintenance keeper for HoodGap
+ *
+ * Performs the permissionless upkeep nobody else triggers:
+ *   1. settlePolicy for every policy past its next market open
+ *   2. mintAllAvailableGaps for subscriptions whose next market close passed
+ *   3. processWithdrawalQueue when free liquidity covers the queue head
+ *
+ * Due actions are derived from the HoodGapMath calendar (@hoodgap/sdk's
+ * calendar, which matches the contract's views, loaded with the holidays and
+ * early closes the deployment has published) and the latest block timestamp,
+ * so the keeper follows time travel on a local hardhat node. Preconditions the
+ * contract would reject (stale oracle, missing approval, no liquidity) are
+ * reported as "waiting" instead of being sent.
+ *
+ * Progress (scan cursors, failed actions and their backoff) is persisted to
+ * deployments/<name>.keeper.json, so a restarted keeper resumes where it left off.
+ *
+ * Usage:
+ *   node scripts/keeper.js --network localhost
+ *   node scripts/keeper.js --once --dry-run --network localhost
+ *   npm run keeper
+ *
+ * Flags:
+ *   --interval SEC     seconds between ticks (default 60)
+ *   --once             run a single tick and exit
+ *   --dry-run          plan and staticCall due actions, send nothing
+ *   --max-actions N    transactions per tick (default 25)
+ *   --retries N        attempts for transient RPC errors (default 3)
+ *   --state FILE       progress file (default deployments/<name>.keeper.json)
+ *   --json             one JSON line per tick
+ */
+
+const { parseCommandLine, bigintFlag, toJSON, revertReason } = require("./lib/cli");
+
+const cli = parseCommandLine({
+  "dry-run": { type: "boolean", default: false },
+  once: { type: "boolean", default: false },
+  interval: { type: "string" },
+  "max-actions": { type: "string" },
+  retries: { type: "string" },
+  state: { type: "string" },
+});
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { DEPLOYMENTS_DIR, loadDeployment, attachContracts } = require("./lib/deployment");
+const { runDaemon } = require("./lib/daemon");
+const { calendar, formatUSDC: fmt, decodeEvents } = require("@hoodgap/sdk");
+
+const STATE_VERSION = 1;
+const GAPS_PER_WEEK = 5n;
+const MINTS_PER_CALL = 10n; // mintAllAvailableGaps loop cap
+const MAX_QUEUE_BATCH = 50n; // processWithdrawalQueue limit
+const POLICY_PAGE = 100n;
+const ORACLE_MAX_AGE = 24n * 3600n; // _mintGapPolicy staleness check
+const RETRY_BASE_MS = 2_000;
+const DEFER_BASE_MS = 60_000;
+const DEFER_MAX_MS = 30 * 60_000;
+
+const isoTime = (ts) => new Date(Number(ts) * 1000).toISOString().replace(".000Z", "Z");
+
+// ── Progress state ────────────────────────────────────────────────────
+
+function freshState(deployment) {
+  return {
+    version: STATE_VERSION,
+    hoodgap: deployment.addresses.hoodgap,
+    policyCursor: "0",
+    subscriptionCursor: "0",
+    failures: {},
+    totals: { settled: 0, minted: 0, withdrawalsProcessed: 0 },
+    lastTick: null,
+  };
+}
+
+function loadState(file, deployment) {
+  if (!fs.existsSync(file)) return freshState(deployment);
+
+  const state = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (state.version !== STATE_VERSION || state.hoodgap !== deployment.addresses.hoodgap) {
+    console.warn(`⚠ ${path.relative(process.cwd(), file)} belongs to another deployment — starting fresh`);
+    return freshState(deployment);
+  }
+  return state;
+}
+
+function saveState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+// ── Chain reads ───────────────────────────────────────────────────────
+
+async function latestTimestamp() {
+  return BigInt((await hre.ethers.provider.getBlock("latest")).timestamp);
+}
+
+async function readOracle(hoodgap) {
+  const oracle = await hre.ethers.getContractAt("AggregatorV3Interface", await hoodgap.priceOracle());
+  const [, answer, , updatedAt] = await oracle.latestRoundData();
+  return { answer, updatedAt };
+}
+
+async function freeLiquidity(hoodgap) {
+  const [totalStaked, totalCoverage] = await Promise.all([hoodgap.totalStaked(), hoodgap.totalCoverage()]);
+  return totalStaked > totalCoverage ? totalStaked - totalCoverage : 0n;
+}
+
+// ── Planning (mirror the require()s in HoodGap.sol) ───────────────────
+
+async function planSettlements(hoodgap, state, now) {
+  const next = await hoodgap.nextPolicyId();
+  const oracle = await readOracle(hoodgap);
+  const approvals = new Map();
+  const actions = [];
+  const waiting = [];
+
+  let cursor = BigInt(state.policyCursor);
+  let contiguous = true;
+
+  for (let start = cursor; start < next; start += POLICY_PAGE) {
+    const ids = [];
+    for (let id = start; id < next && id < start + POLICY_PAGE; id++) ids.push(id);
+    const policies = await hoodgap.getPolicies(ids);
+    const weeks = policies.filter((p) => !p.settled).map((p) => Number(p.gapWeek));
+    // A gap's next open can fall in the week after its close (Friday, or a holiday)
+    const market = weeks.length > 0 ? await calendar.loadCalendar(hoodgap, Math.min(...weeks), Math.max(...weeks) + 1) : null;
+
+    for (let i = 0; i < ids.length; i++) {
+      const id = ids[i];
+      const policy = policies[i];
+      if (policy.settled) {
+        if (contiguous) cursor = id + 1n;
+        continue;
+      }
+      contiguous = false;
+
+      const open = market.nextTradingDay(Number(policy.gapWeek), Number(policy.gapDay));
+      const nextOpen = BigInt(market.getMarketOpen(open.week, open.day));
+      if (now < nextOpen) {
+        waiting.push({ kind: "settle", id, reason: "market not open yet", until: nextOpen });
+        continue;
+      }
+
+      const approvalWeek = BigInt(open.week);
+      if (!approvals.has(approvalWeek)) approvals.set(approvalWeek, await hoodgap.canSettle(approvalWeek));
+      const [allowed, , reason] = approvals.get(approvalWeek);
+      if (!allowed) {
+        waiting.push({ kind: "settle", id, reason: `week ${approvalWeek}: ${reason}` });
+        continue;
+      }
+
+      if (oracle.answer <= 0n || oracle.updatedAt < nextOpen) {
+        waiting.push({ kind: "settle", id, reason: "oracle not updated since market open" });
+        continue;
+      }
+
+      actions.push({ key: `settle:${id}`, kind: "settle", method: "settlePolicy", args: [id] });
+    }
+  }
+
+  state.policyCursor = cursor.toString();
+  return { actions, waiting };
+}
+
+async function planMints(hoodgap, state, now) {
+  const next = await hoodgap.nextSubscriptionId();
+  const oracle = await readOracle(hoodgap);
+  const oracleFresh = oracle.answer > 0n && now - oracle.updatedAt < ORACLE_MAX_AGE;
+  let free = await freeLiquidity(hoodgap);
+  const actions = [];
+  const waiting = [];
+
+  let cursor = BigInt(state.subscriptionCursor);
+  let contiguous = true;
+
+  for (let subId = cursor; subId < next; subId++) {
+    const sub = await hoodgap.getSubscription(subId);
+    const totalGaps = sub.totalWeeks * GAPS_PER_WEEK;
+    if (sub.gapsMinted >= totalGaps) {
+      if (contiguous) cursor = subId + 1n;
+      continue;
+    }
+    contiguous = false;
+
+    // Holiday slots are due like any other but mint nothing (GapSkipped), so they need no liquidity
+    const startWeek = Number(sub.startWeek);
+    const market = await calendar.loadCalendar(hoodgap, startWeek, startWeek + Number(sub.totalWeeks) - 1);
+    let due = 0n;
+    let gaps = 0n;
+    let nextClose = 0n;
+    for (let minted = sub.gapsMinted; minted < totalGaps && due < MINTS_PER_CALL; minted++) {
+      const [week, day] = [startWeek + Number(minted / GAPS_PER_WEEK), Number(minted % GAPS_PER_WEEK)];
+      nextClose = BigInt(market.getMarketClose(week, day));
+      if (now < nextClose) break;
+      due++;
+      if (market.isTradingDay(week, day)) gaps++;
+    }
+
+    if (due === 0n) {
+      waiting.push({ kind: "mint", id: subId, reason: "market not closed yet", until: nextClose });
+      continue;
+    }
+    if (!oracleFresh) {
+      waiting.push({ kind: "mint", id: subId, reason: "oracle price older than 24h" });
+      continue;
+    }
+
+    // One underfunded gap reverts the whole batch, so only mint what the pool can cover
+    const affordable = free / sub.coverage;
+    if (gaps > 0n && affordable === 0n) {
+      waiting.push({ kind: "mint", id: subId, reason: `needs ${fmt(sub.coverage)} free liquidity, pool has ${fmt(free)}` });
+      continue;
+    }
+
+    const batch = affordable < gaps ? 1n : due;
+    free -= sub.coverage * (batch === due ? gaps : 1n);
+    actions.push(
+      batch > 1n
+        ? { key: `mint:${subId}`, kind: "mint", method: "mintAllAvailableGaps", args: [subId] }
+        : { key: `mint:${subId}`, kind: "mint", method: "mintGapPolicy", args: [subId] }
+    );
+  }
+
+  state.subscriptionCursor = cursor.toString();
+  return { actions, waiting };
+}
+
+async function planQueue(hoodgap) {
+  const [head, length, pending, , free] = await hoodgap.getQueueStats();
+  if (pending === 0n) return { actions: [], waiting: [] };
+
+  for (let i = head; i < length; i++) {
+    const request = await hoodgap.withdrawalQueue(i);
+    if (request.processed) continue;
+    const amount = await hoodgap.convertToAssets(request.shares);
+    if (amount > free) {
+      return {
+        actions: [],
+        waiting: [{ kind: "queue", id: i, reason: `head request ${fmt(amount)} exceeds free liquidity ${fmt(free)}` }],
+      };
+    }
+    break;
+  }
+
+  const batch = pending < MAX_QUEUE_BATCH ? pending : MAX_QUEUE_BATCH;
+  return {
+    actions: [{ key: "queue", kind: "queue", method: "processWithdrawalQueue", args: [batch] }],
+    waiting: [],
+  };
+}
+
+// Settle first: it releases coverage that mints and withdrawals need
+const PHASES = [
+  ["settle", (hoodgap, state, now) => planSettlements(hoodgap, state, now)],
+  ["mint", (hoodgap, state, now) => planMints(hoodgap, state, now)],
+  ["queue", (hoodgap) => planQueue(hoodgap)],
+];
+
+// ── Execution with retry / backoff ────────────────────────────────────
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isRevert(err) {
+  return Boolean(err?.revert) || err?.code === "CALL_EXCEPTION" || /revert/i.test(err?.message ?? "");
+}
+
+function deferMs(failures) {
+  return Math.min(DEFER_BASE_MS * 2 ** (failures - 1), DEFER_MAX_MS);
+}
+
+/** Count what a receipt actually did, from HoodGap events. */
+function receiptTotals(hoodgap, receipt) {
+  const totals = { settled: 0, minted: 0, withdrawalsProcessed: 0 };
+  for (const { name, args } of decodeEvents(hoodgap, receipt)) {
+    if (name === "PolicySettled") totals.settled++;
+    if (name === "GapPolicyMinted") totals.minted++;
+    if (name === "QueueProcessed") totals.withdrawalsProcessed += Number(args.processed);
+  }
+  return totals;
+}
+
+async function execute(hoodgap, signer, action, state, options) {
+  const call = `${action.method}(${action.args.map(String).join(", ")})`;
+  const failure = state.failures[action.key];
+  if (failure && Date.now() < failure.retryAt) {
+    return { ...action, call, status: "deferred", error: failure.error, retryAt: new Date(failure.retryAt).toISOString() };
+  }
+
+  const fn = hoodgap.connect(signer).getFunction(action.method);
+
+  if (options.dryRun) {
+    try {
+      await fn.staticCall(...action.args);
+      return { ...action, call, status: "simulated" };
+    } catch (err) {
+      return { ...action, call, status: "would-revert", error: revertReason(err) };
+    }
+  }
+
+  let lastError;
+  for (let attempt = 1; attempt <= options.retries; attempt++) {
+    try {
+      const receipt = await (await fn(...action.args)).wait();
+      delete state.failures[action.key];
+      const totals = receiptTotals(hoodgap, receipt);
+      for (const [key, count] of Object.entries(totals)) state.totals[key] += count;
+      return { ...action, call, status: "ok", txHash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed, totals };
+    } catch (err) {
+      lastError = err;
+      if (isRevert(err)) break; // deterministic — retrying now would revert again
+      if (attempt < options.retries) await sleep(RETRY_BASE_MS * 2 ** (attempt - 1));
+    }
+  }
+
+  const failures = (failure?.failures ?? 0) + 1;
+  state.failures[action.key] = { failures, error: revertReason(lastError), retryAt: Date.now() + deferMs(failures) };
+  return { ...action, call, status: "failed", error: revertReason(lastError), failures };
+}
+
+// ── Tick ──────────────────────────────────────────────────────────────
+
+async function tick(ctx, control) {
+  const { hoodgap, signer, state, options } = ctx;
+  const report = { tick: control.ticks, at: new Date().toISOString(), blockTimestamp: await latestTimestamp(), actions: [], waiting: [] };
+  let budget = options.maxActions;
+  const plannedKinds = new Set();
+  const plannedKeys = new Set();
+
+  for (const [kind, plan] of PHASES) {
+    if (budget <= 0 || control.stopping) break;
+
+    const now = await latestTimestamp();
+    const { actions, waiting } = await plan(hoodgap, state, now);
+    report.waiting.push(...waiting);
+    plannedKinds.add(kind);
+    for (const action of actions) plannedKeys.add(action.key);
+
+    for (const action of actions) {
+      if (budget <= 0 || control.stopping) break;
+      const result = await execute(hoodgap, signer, action, state, options);
+      report.actions.push(result);
+      if (result.status !== "deferred") budget--;
+      if (!options.dryRun) saveState(options.stateFile, state);
+    }
+  }
+
+  // Drop backoff entries for actions that are no longer due (settled elsewhere, etc.)
+  for (const key of Object.keys(state.failures)) {
+    if (plannedKinds.has(key.split(":")[0]) && !plannedKeys.has(key)) delete state.failures[key];
+  }
+
+  report.ok = !report.actions.some((a) => a.status === "failed" || a.status === "would-revert");
+  state.lastTick = { at: report.at, blockTimestamp: report.blockTimestamp.toString(), actions: report.actions.length };
+  if (!options.dryRun) saveState(options.stateFile, state);
+  return report;
+}
+
+// ── Output ────────────────────────────────────────────────────────────
+
+const STATUS_ICON = { ok: "✅", simulated: "🧪", "would-revert": "❌", failed: "❌", deferred: "⏸️ " };
+
+function printReport(report) {
+  console.log(`\n[${report.at}] tick ${report.tick} · block time ${isoTime(report.blockTimestamp)}`);
+
+  for (const a of report.actions) {
+    let detail = "";
+    if (a.status === "ok") detail = ` — block ${a.blockNumber}`;
+    if (a.error) detail = ` — ${a.error}`;
+    if (a.status === "deferred") detail += ` (retry after ${a.retryAt})`;
+    console.log(`  ${STATUS_ICON[a.status]} ${a.call}${detail}`);
+  }
+
+  // Group waiting items by reason so a busy pool stays readable
+  const groups = new Map();
+  for (const w of report.waiting) {
+    const key = `${w.kind}|${w.reason}`;
+    if (!groups.has(key)) groups.set(key, { ...w, ids: [] });
+    const group = groups.get(key);
+    group.ids.push(w.id);
+    if (w.until && (!group.until || w.until < group.until)) group.until = w.until;
+  }
+  for (const g of groups.values()) {
+    const ids = g.ids.length > 5 ? `${g.ids.slice(0, 5).join(", ")}, … (${g.ids.length})` : g.ids.join(", ");
+    const until = g.until ? ` until ${isoTime(g.until)}` : "";
+    console.log(`  ⏳ ${g.kind} [${ids}]: ${g.reason}${until}`);
+  }
+
+  if (report.actions.length === 0 && report.waiting.length === 0) console.log("  💤 Nothing due");
+}
+
+// ── Main ──────────────────────────────────────────────────────────────
+
+async function main() {
+  const { flags } = cli;
+  const deployment = loadDeployment(hre.network.name);
+  const { hoodgap } = await attachContracts(hre, deployment);
+  const [signer] = await hre.ethers.getSigners();
+
+  const options = {
+    dryRun: flags["dry-run"],
+    once: flags.once,
+    interval: Number(bigintFlag(flags, "interval", 60n)) * 1000,
+    maxActions: Number(bigintFlag(flags, "max-actions", 25n)),
+    retries: Math.max(1, Number(bigintFlag(flags, "retries", 3n))),
+    stateFile: path.resolve(flags.state || path.join(DEPLOYMENTS_DIR, `${deployment.name}.keeper.json`)),
+  };
+
+  const ctx = { hoodgap, signer, options, state: loadState(options.stateFile, deployment) };
+
+  if (!flags.json) {
+    console.log(`\n🤖 HoodGap Keeper${options.dryRun ? " (dry run)" : ""}`);
+    console.log("   Network:", hre.network.name);
+    console.log("   HoodGap:", deployment.addresses.hoodgap);
+    console.log("   Signer: ", signer.address);
+    console.log("   State:  ", path.relative(process.cwd(), options.stateFile));
+    console.log("─".repeat(50));
+  }
+
+  await runDaemon({
+    intervalMs: options.interval,
+    once: options.once,
+    json: flags.json,
+    tick: (control) => tick(ctx, control),
+    print: printReport,
+  });
+
+  if (!flags.json) {
+    const { settled, minted, withdrawalsProcessed } = ctx.state.totals;
+    console.log(`\n  📊 Lifetime: ${settled} settled · ${minted} minted · ${withdrawalsProcessed} withdrawals processed\n`);
+  }
+}
+
+main().catch((error) => {
+  if (cli.flags.json) console.log(toJSON({ ok: false, error: revertReason(error) }, 0));
+  else console.error(`\n  ❌ ${revertReason(error)}\n`);
+  process.exitCode = 1;
+});
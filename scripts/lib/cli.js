@@ -0,0 +1,66 @@
+/**
+ * cli.js — Command-line plumbing shared by the operator scripts
+ *
+ * `npx hardhat run` cannot forward script arguments, so operator tools are
+ * plain node scripts that accept `--network <name>` themselves. The network
+ * must be exported as HARDHAT_NETWORK *before* `require("hardhat")`, which is
+ * why parseCommandLine() has to run first in every CLI entry point.
+ *
+ * Usage:
+ *   const { parseCommandLine } = require("./lib/cli");
+ *   const cli = parseCommandLine({ week: { type: "string" } });
+ *   const hre = require("hardhat");
+ */
+
+const { parseArgs } = require("util");
+const { revertReason } = require("@hoodgap/sdk/errors");
+
+// Options every operator CLI understands
+const COMMON_OPTIONS = {
+  network: { type: "string" },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+/**
+ * Parse `<command> [positionals] --flags` and select the hardhat network.
+ * @param {object} options util.parseArgs option spec (merged with COMMON_OPTIONS)
+ * @param {string[]} [argv] defaults to process.argv.slice(2)
+ * @returns {{ command: string|undefined, positionals: string[], flags: object }}
+ */
+function parseCommandLine(options = {}, argv = process.argv.slice(2)) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: { ...COMMON_OPTIONS, ...options },
+    allowPositionals: true,
+    strict: true,
+  });
+
+  if (values.network) {
+    const preset = process.env.HARDHAT_NETWORK;
+    if (preset && preset !== values.network) {
+      throw new Error(`--network ${values.network} conflicts with HARDHAT_NETWORK=${preset}`);
+    }
+    process.env.HARDHAT_NETWORK = values.network;
+  }
+
+  return { command: positionals[0], positionals: positionals.slice(1), flags: values };
+}
+
+/** Parse a non-negative integer flag into a BigInt, or return the fallback. */
+function bigintFlag(flags, name, fallback) {
+  const raw = flags[name];
+  if (raw === undefined) {
+    if (fallback === undefined) throw new Error(`--${name} is required`);
+    return fallback;
+  }
+  if (!/^\d+$/.test(String(raw))) throw new Error(`--${name} must be a non-negative integer`);
+  return BigInt(raw);
+}
+
+/** JSON.stringify that renders BigInt as decimal strings. */
+function toJSON(value, indent = 2) {
+  return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v), indent);
+}
+
+module.exports = { parseCommandLine, bigintFlag, toJSON, revertReason };
@@ -0,0 +1,128 @@
+/**
+ * corporate-actions.js — Corporate-actions registry for settlement approvals
+ *
+ * Splits and other price-discontinuous events are recorded in a JSON file and
+ * mapped onto the HoodGap calendar with NYSE holidays (the calendar the
+ * guardian publishes), so the guardian knows which week to approve, with which
+ * splitRatio, and by when.
+ *
+ * File format (data/corporate-actions.json):
+ *   {
+ *     "actions": [
+ *       { "symbol": "TSLA", "type": "split", "effective": "2022-08-25", "ratio": "3:1",
+ *         "reason": "TSLA 3-for-1 split" },
+ *       { "symbol": "TSLA", "type": "special", "effective": "2025-03-10", "factor": 0.95,
+ *         "reason": "Special dividend, 5% of close" }
+ *     ]
+ *   }
+ *
+ *   split    ratio "NEW:OLD" shares — "2:1" forward, "1:10" reverse
+ *   special  factor the pre-event close is multiplied by to compare with the
+ *            post-event open (or "splitRatio" in basis points directly)
+ *
+ * `effective` is the ex-date: the first session that trades at adjusted
+ * prices. The affected gap is the one spanning midnight UTC at the start of
+ * that date, and settlePolicy computes adjustedClose = closePrice × splitRatio / 10000.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { nyse } = require("@hoodgap/sdk");
+
+const MAX_SPLIT_RATIO = 50000; // approveSettlement bound
+const NEUTRAL_RATIO = 10000;
+
+function parseRatio(text) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*[:/]\s*(\d+(?:\.\d+)?)\s*$/.exec(String(text));
+  if (!match || !(Number(match[1]) > 0) || !(Number(match[2]) > 0)) {
+    throw new Error(`Invalid split ratio "${text}" (expected NEW:OLD, e.g. "3:1" or "1:10")`);
+  }
+  return { newShares: Number(match[1]), oldShares: Number(match[2]) };
+}
+
+/**
+ * Price multiplier for an action and the splitRatio the contract should use.
+ * `exact` is false when basis points cannot represent the factor; `errorBps`
+ * is then the resulting error in the measured gap.
+ */
+function splitRatioFor(action) {
+  let factor;
+  if (action.type === "split") {
+    const { newShares, oldShares } = parseRatio(action.ratio);
+    factor = oldShares / newShares;
+  } else if (action.type === "special") {
+    if (action.splitRatio !== undefined) factor = Number(action.splitRatio) / NEUTRAL_RATIO;
+    else factor = Number(action.factor);
+    if (!(factor > 0)) throw new Error(`Special action on ${action.effective} needs a positive "factor" or "splitRatio"`);
+  } else {
+    throw new Error(`Unknown corporate action type "${action.type}" (expected split or special)`);
+  }
+
+  const exactBps = factor * NEUTRAL_RATIO;
+  const splitRatio = Math.round(exactBps);
+  const errorBps = (Math.abs(splitRatio - exactBps) / exactBps) * 10000;
+  return {
+    factor,
+    splitRatio,
+    exact: Math.abs(splitRatio - exactBps) < 1e-9,
+    errorBps,
+    inRange: splitRatio > 0 && splitRatio <= MAX_SPLIT_RATIO,
+  };
+}
+
+/** Read and validate the registry, oldest action first. */
+function loadCorporateActions(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  const actions = Array.isArray(data) ? data : data.actions;
+  if (!Array.isArray(actions)) throw new Error(`${path.basename(file)} needs an "actions" array`);
+
+  return actions
+    .map((action, i) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(action.effective ?? "")) {
+        throw new Error(`${path.basename(file)} action #${i}: "effective" must be a YYYY-MM-DD date`);
+      }
+      return { symbol: action.symbol ?? null, ...action };
+    })
+    .sort((a, b) => a.effective.localeCompare(b.effective));
+}
+
+/**
+ * Map an action onto the calendar (default: NYSE holidays and early closes).
+ * @returns {{ action, splitRatio, exact, errorBps, inRange, gapWeek, gapDay, closeTs, openTs,
+ *             approvalWeek, failsafeTs, deadlineTs, sharedGaps, reason }}
+ */
+function planCorporateAction(action, calendar = nyse.calendar) {
+  const ratio = splitRatioFor(action);
+  const midnight = Date.parse(`${action.effective}T00:00:00Z`) / 1000;
+  const gap = calendar.gapContaining(midnight);
+  if (!gap) throw new Error(`${action.effective} does not fall in an overnight gap on the HoodGap calendar`);
+
+  const approvalWeek = calendar.approvalWeek(gap.week, gap.day);
+  const openTs = calendar.getNextMarketOpen(gap.week, gap.day);
+  const failsafeTs = calendar.failsafeAt(approvalWeek);
+  const reason = action.reason || `${action.symbol ?? "Underlying"} ${action.type} ${action.ratio ?? ratio.factor} effective ${action.effective}`;
+
+  return {
+    action,
+    ...ratio,
+    gapWeek: gap.week,
+    gapDay: gap.day,
+    closeTs: calendar.getMarketClose(gap.week, gap.day),
+    openTs,
+    approvalWeek,
+    failsafeTs,
+    // Without an approval, settlePolicy goes through at 1.0x as soon as both
+    // the open has passed and the failsafe has expired
+    deadlineTs: Math.max(openTs, failsafeTs),
+    sharedGaps: calendar.gapsApprovedBy(approvalWeek).filter((g) => g.week !== gap.week || g.day !== gap.day),
+    reason,
+  };
+}
+
+module.exports = {
+  MAX_SPLIT_RATIO,
+  parseRatio,
+  splitRatioFor,
+  loadCorporateActions,
+  planCorporateAction,
+};
@@ -0,0 +1,71 @@
+/**
+ * daemon.js — Tick loop shared by the long-running operator scripts
+ *
+ * Runs `tick()` every interval until SIGINT/SIGTERM, letting the current tick
+ * finish first. A tick that throws (RPC outage, node restart) is retried with
+ * exponential backoff instead of the normal interval.
+ *
+ * Usage:
+ *   const { runDaemon } = require("./lib/daemon");
+ *   await runDaemon({ intervalMs: 60_000, once: flags.once, json: flags.json, tick, print });
+ */
+
+const { toJSON, revertReason } = require("./cli");
+
+const MAX_BACKOFF_MS = 30 * 60_000;
+
+/**
+ * @param {object} opts
+ * @param {number} opts.intervalMs delay between ticks
+ * @param {boolean} [opts.once] run a single tick and return
+ * @param {boolean} [opts.json] print one JSON line per tick instead of calling print()
+ * @param {(control: { stopping: boolean, ticks: number }) => Promise<object>} opts.tick
+ *        returns a report; `report.ok === false` sets a failing exit code
+ * @param {(report: object) => void} opts.print human-readable output
+ */
+async function runDaemon({ intervalMs, once = false, json = false, tick, print }) {
+  const control = { stopping: false, ticks: 0 };
+
+  let wake = () => {};
+  const stop = () => {
+    if (!json) console.log("\n  🛑 Stopping after the current tick…");
+    control.stopping = true;
+    wake();
+  };
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+
+  let consecutiveErrors = 0;
+  while (!control.stopping) {
+    let delay = intervalMs;
+    control.ticks++;
+    try {
+      const report = await tick(control);
+      consecutiveErrors = 0;
+      if (json) console.log(toJSON(report, 0));
+      else print(report);
+      if (report.ok === false) process.exitCode = 1;
+    } catch (err) {
+      consecutiveErrors++;
+      delay = Math.min(intervalMs * 2 ** consecutiveErrors, MAX_BACKOFF_MS);
+      if (json) console.log(toJSON({ at: new Date().toISOString(), ok: false, error: revertReason(err) }, 0));
+      else console.error(`\n  ❌ Tick failed (${consecutiveErrors}x): ${revertReason(err)} — retrying in ${delay / 1000}s`);
+      if (once) process.exitCode = 1;
+    }
+
+    if (once) break;
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, delay);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  process.removeListener("SIGINT", stop);
+  process.removeListener("SIGTERM", stop);
+  return control;
+}
+
+module.exports = { runDaemon };
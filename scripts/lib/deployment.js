@@ -0,0 +1,175 @@
+/**
+ * deployment.js — Per-network deployment manifests
+ *
+ * deploy.js records each deployment in deployments/<name>.json (addresses,
+ * deploy blocks, tx hashes, constructor args, compiler settings, ABI hashes).
+ * Every other script resolves contract addresses through loadDeployment(),
+ * and frontend/.env.local is generated from the manifest rather than being
+ * the source of truth. Deployments are keyed by hardhat network name, or by
+ * HOODGAP_DEPLOYMENT when several deployments share a network (e.g. forks).
+ *
+ * Usage:
+ *   const { loadDeployment, attachContracts } = require("./lib/deployment");
+ *   const deployment = loadDeployment(hre.network.name);
+ *   const { hoodgap, usdc, oracle } = await attachContracts(hre, deployment);
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { formatEnv } = require("@hoodgap/sdk/addresses");
+
+const MANIFEST_VERSION = 1;
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+const FRONTEND_ENV_PATH = path.join(__dirname, "..", "..", "frontend", ".env.local");
+
+// Manifest contract keys → artifact names
+const CONTRACTS = {
+  hoodgap: "HoodGap",
+  usdc: "MockUSDC",
+  oracle: "MockChainlinkOracle",
+  multicall: "Multicall3",
+};
+
+// .env fallbacks for networks deployed before manifests existed
+const ENV_SUFFIX = {
+  robinhoodTestnet: "TESTNET",
+  robinhoodMainnet: "MAINNET",
+};
+
+/** Manifest name for a network, honouring HOODGAP_DEPLOYMENT. */
+function deploymentName(networkName) {
+  return process.env.HOODGAP_DEPLOYMENT || networkName;
+}
+
+function manifestPath(name) {
+  return path.join(DEPLOYMENTS_DIR, `${name}.json`);
+}
+
+/** sha256 of the ABI as compiled, so scripts can detect stale manifests. */
+function abiHash(abi) {
+  return "0x" + crypto.createHash("sha256").update(JSON.stringify(abi)).digest("hex");
+}
+
+/**
+ * Write a manifest, archiving the previous one to deployments/history/.
+ * @returns {string} path written
+ */
+function writeDeployment(manifest) {
+  const file = manifestPath(manifest.name);
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+
+  if (fs.existsSync(file)) {
+    const previous = JSON.parse(fs.readFileSync(file, "utf8"));
+    const historyDir = path.join(DEPLOYMENTS_DIR, "history");
+    fs.mkdirSync(historyDir, { recursive: true });
+    const stamp = String(previous.deployedAt).replace(/[:.]/g, "-");
+    fs.writeFileSync(path.join(historyDir, `${manifest.name}-${stamp}.json`), JSON.stringify(previous, null, 2) + "\n");
+  }
+
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Load the deployment for a network.
+ * @param {string} networkName hardhat network name
+ * @returns {{ name, network, chainId, addresses: { hoodgap, usdc, oracle, multicall }, contracts, ... }}
+ */
+function loadDeployment(networkName) {
+  const name = deploymentName(networkName);
+  const file = manifestPath(name);
+
+  if (fs.existsSync(file)) {
+    const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (manifest.version !== MANIFEST_VERSION) {
+      throw new Error(`${path.relative(process.cwd(), file)} has manifest version ${manifest.version}, expected ${MANIFEST_VERSION}`);
+    }
+    const addresses = {};
+    for (const key of Object.keys(CONTRACTS)) addresses[key] = manifest.contracts[key]?.address ?? null;
+    return { ...manifest, addresses };
+  }
+
+  const suffix = ENV_SUFFIX[networkName];
+  if (suffix && process.env[`HOODGAP_ADDRESS_${suffix}`]) {
+    return {
+      name,
+      network: networkName,
+      contracts: {},
+      addresses: {
+        hoodgap: process.env[`HOODGAP_ADDRESS_${suffix}`],
+        usdc: process.env[`USDC_ADDRESS_${suffix}`] || null,
+        oracle: process.env[`ORACLE_ADDRESS_${suffix}`] || null,
+        multicall: null,
+      },
+    };
+  }
+
+  throw new Error(
+    `No deployment manifest at deployments/${name}.json. Run deploy.js --network ${networkName} first` +
+      (suffix ? `, or set HOODGAP_ADDRESS_${suffix} in .env` : "")
+  );
+}
+
+/**
+ * Attach ethers contracts for a deployment and warn when the compiled ABI
+ * no longer matches the one recorded at deploy time.
+ */
+async function attachContracts(hre, deployment) {
+  const contracts = {};
+  for (const [key, artifactName] of Object.entries(CONTRACTS)) {
+    const address = deployment.addresses[key];
+    if (!address) continue;
+
+    const recorded = deployment.contracts[key]?.abiHash;
+    if (recorded) {
+      const { abi } = await hre.artifacts.readArtifact(artifactName);
+      if (abiHash(abi) !== recorded) {
+        console.warn(`⚠ ${artifactName} ABI changed since deployments/${deployment.name}.json was written`);
+      }
+    }
+
+    contracts[key] = await hre.ethers.getContractAt(artifactName, address);
+  }
+  return contracts;
+}
+
+/** RPC URL the frontend should use for a manifest's network. */
+function frontendRpcUrl(deployment) {
+  if (deployment.rpcUrl) return deployment.rpcUrl;
+  return "http://127.0.0.1:8545";
+}
+
+/**
+ * Generate frontend/.env.local from a manifest.
+ * @returns {string} path written
+ */
+function writeFrontendEnv(deployment, envPath = FRONTEND_ENV_PATH) {
+  const content = formatEnv(
+    {
+      ...deployment.addresses,
+      rpcUrl: frontendRpcUrl(deployment),
+      chainId: deployment.chainId,
+      deployBlock: deployment.deployBlock ?? 0,
+    },
+    [
+      `HoodGap Frontend Environment — generated from deployments/${deployment.name}.json`,
+      `Deployed to ${deployment.network} at ${deployment.deployedAt}`,
+    ],
+  );
+
+  fs.writeFileSync(envPath, content, "utf8");
+  return envPath;
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  DEPLOYMENTS_DIR,
+  CONTRACTS,
+  deploymentName,
+  abiHash,
+  writeDeployment,
+  loadDeployment,
+  attachContracts,
+  writeFrontendEnv,
+};
@@ -0,0 +1,283 @@
+/**
+ * event-store.js — Local store of HoodGap events, written by indexer.js
+ *
+ * The indexer appends decoded events to deployments/<name>.events.json and
+ * checkpoints the last indexed block. Anything that needs history (who owns
+ * which policy, where a withdrawal sits in the queue, what a week paid out)
+ * reads this store instead of brute-forcing contract calls.
+ *
+ * Every event is kept as { name, block, blockHash, logIndex, txHash, args }
+ * with uint256 args as decimal strings. deriveState() folds them into the
+ * current policies, subscriptions, withdrawals and staker totals.
+ *
+ * Usage:
+ *   const { readEventStore, deriveState } = require("./lib/event-store");
+ *   const state = deriveState(readEventStore("deployments/localhost.events.json"));
+ *   const mine = [...state.policies.values()].filter((p) => p.owner === address);
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { DEPLOYMENTS_DIR } = require("./deployment");
+const { toJSON } = require("./cli");
+
+const STORE_VERSION = 1;
+
+// QueueProcessed marks the transactions that paid queued requests, telling
+// them apart from immediate withdrawals (both can report requestId 0)
+const INDEXED_EVENTS = [
+  "PolicyPurchased",
+  "PolicySettled",
+  "PolicyPaidOut",
+  "GapPolicyMinted",
+  "SubscriptionCreated",
+  "Staked",
+  "WithdrawalQueued",
+  "WithdrawalProcessed",
+  "WithdrawalCancelled",
+  "QueueProcessed",
+  "SettlementApproved",
+  "ReserveUsed",
+  "Transfer",
+];
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+function eventStorePath(deploymentName) {
+  return path.join(DEPLOYMENTS_DIR, `${deploymentName}.events.json`);
+}
+
+function emptyStore({ chainId, hoodgap, startBlock }) {
+  return {
+    version: STORE_VERSION,
+    chainId: String(chainId),
+    hoodgap,
+    startBlock,
+    // last indexed block, and hashes of recent checkpoints for reorg detection
+    checkpoint: null,
+    recent: [],
+    events: [],
+  };
+}
+
+/**
+ * Open the store for a deployment, or start an empty one when the file is
+ * missing or belongs to another contract/chain (the caller reports `reset`).
+ */
+function openEventStore(file, identity) {
+  if (!fs.existsSync(file)) return { store: emptyStore(identity), reset: null };
+  const store = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (store.version !== STORE_VERSION) return { store: emptyStore(identity), reset: `store version ${store.version}` };
+  if (store.hoodgap !== identity.hoodgap || store.chainId !== String(identity.chainId)) {
+    return { store: emptyStore(identity), reset: `store belongs to ${store.hoodgap} on chain ${store.chainId}` };
+  }
+  return { store, reset: null };
+}
+
+/** Read-only load for consumers; throws if the indexer has never run. */
+function readEventStore(file) {
+  if (!fs.existsSync(file)) throw new Error(`No event store at ${file} — run scripts/indexer.js first`);
+  const store = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (store.version !== STORE_VERSION) throw new Error(`${file} is store version ${store.version}, expected ${STORE_VERSION}`);
+  return store;
+}
+
+function saveEventStore(file, store) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, toJSON(store) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/** Forget everything after `blockNumber` so it can be re-indexed. */
+function rollback(store, blockNumber) {
+  store.events = store.events.filter((e) => e.block <= blockNumber);
+  store.recent = store.recent.filter((r) => r.number <= blockNumber);
+  store.checkpoint = store.recent.length > 0 ? store.recent[store.recent.length - 1] : null;
+}
+
+/** Decode a raw log with the HoodGap interface; null for events we do not index. */
+function decodeLog(iface, log) {
+  const parsed = iface.parseLog(log);
+  if (!parsed || !INDEXED_EVENTS.includes(parsed.name)) return null;
+
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return {
+    name: parsed.name,
+    block: log.blockNumber,
+    blockHash: log.blockHash,
+    logIndex: log.index,
+    txHash: log.transactionHash,
+    args,
+  };
+}
+
+// ── Derived state ─────────────────────────────────────────────────────
+
+/**
+ * Fold the event log into current state. Amounts stay decimal strings in the
+ * store and become BigInt here.
+ * @returns {{ policies: Map, subscriptions: Map, withdrawals: Map, stakers: Map, settlements: Map, reserveUsed: object[] }}
+ */
+function deriveState(store) {
+  const policies = new Map();
+  const subscriptions = new Map();
+  const withdrawals = new Map();
+  const stakers = new Map();
+  const settlements = new Map();
+  const reserveUsed = [];
+
+  const staker = (address) => {
+    if (!stakers.has(address)) stakers.set(address, { address, staked: 0n, withdrawn: 0n });
+    return stakers.get(address);
+  };
+  const policy = (id) => {
+    if (!policies.has(id)) policies.set(id, { id, owner: null, settled: false, paidOut: false });
+    return policies.get(id);
+  };
+  // Requests are queued in shares; WithdrawalProcessed reports the USDC they
+  // were redeemed for
+  const queueTxs = new Set(store.events.filter((e) => e.name === "QueueProcessed").map((e) => e.txHash));
+
+  for (const { name, args, block, txHash } of store.events) {
+    switch (name) {
+      case "PolicyPurchased":
+        Object.assign(policy(args.policyId), {
+          buyer: args.buyer,
+          coverage: BigInt(args.coverage),
+          threshold: Number(args.threshold),
+          premium: BigInt(args.premium),
+          closePrice: BigInt(args.closePrice),
+          gapWeek: Number(args.gapWeek),
+          gapDay: Number(args.gapDay),
+          purchasedBlock: block,
+          txHash,
+        });
+        break;
+      case "GapPolicyMinted":
+        policy(args.policyId).subscriptionId = args.subId;
+        subscriptions.get(args.subId)?.policyIds.push(args.policyId);
+        break;
+      case "PolicySettled":
+        Object.assign(policy(args.policyId), {
+          settled: true,
+          paidOut: args.paidOut,
+          openPrice: BigInt(args.openPrice),
+          adjustedClose: BigInt(args.adjustedClose),
+          gap: Number(args.gap),
+          settledBlock: block,
+        });
+        break;
+      case "PolicyPaidOut":
+        policy(args.policyId).payout = BigInt(args.amount);
+        break;
+      case "Transfer":
+        // ERC-721 mints and transfers; USDC transfers come from another address
+        if (args.to !== ZERO_ADDRESS) policy(args.tokenId).owner = args.to;
+        else policy(args.tokenId).owner = null;
+        break;
+      case "SubscriptionCreated":
+        subscriptions.set(args.subId, {
+          id: args.subId,
+          owner: args.owner,
+          numWeeks: Number(args.numWeeks),
+          totalPremium: BigInt(args.totalPremium),
+          createdBlock: block,
+          policyIds: [],
+        });
+        break;
+      case "Staked":
+        staker(args.staker).staked += BigInt(args.amount);
+        break;
+      case "WithdrawalQueued":
+        withdrawals.set(args.requestId, {
+          id: args.requestId,
+          staker: args.staker,
+          shares: BigInt(args.shares),
+          amount: null,
+          status: "queued",
+          queuedBlock: block,
+        });
+        break;
+      case "WithdrawalCancelled":
+        withdrawals.get(args.requestId).status = "cancelled";
+        break;
+      case "WithdrawalProcessed": {
+        // Immediate withdrawals also report requestId 0; only a payment in a
+        // queue-processing transaction counts as the queue entry being paid
+        const request = withdrawals.get(args.requestId);
+        const amount = BigInt(args.amount);
+        if (request?.status === "queued" && request.staker === args.staker && queueTxs.has(txHash)) {
+          Object.assign(request, { status: "processed", processedBlock: block, amount });
+        }
+        staker(args.staker).withdrawn += amount;
+        break;
+      }
+      case "SettlementApproved":
+        settlements.set(args.week, { week: args.week, splitRatio: Number(args.splitRatio), reason: args.reason, block });
+        break;
+      case "ReserveUsed":
+        reserveUsed.push({ policyId: args.policyId, shortfall: BigInt(args.shortfall), block, txHash });
+        break;
+    }
+  }
+
+  return { policies, subscriptions, withdrawals, stakers, settlements, reserveUsed };
+}
+
+// ── Open exposure ─────────────────────────────────────────────────────
+
+const POLICY_PAGE = 100n;
+
+/**
+ * Unsettled policies grouped by gap ("week:day" → { week, day, ids, coverage }).
+ * Reads the deployment's event store when the indexer has run, otherwise
+ * scans the contract with getPolicies.
+ */
+async function livePoliciesByGap(hoodgap, deployment) {
+  const byGap = new Map();
+  const add = (week, day, id, coverage) => {
+    const key = `${week}:${day}`;
+    if (!byGap.has(key)) byGap.set(key, { week, day, ids: [], coverage: 0n });
+    byGap.get(key).ids.push(String(id));
+    byGap.get(key).coverage += coverage;
+  };
+
+  const storeFile = eventStorePath(deployment.name);
+  if (fs.existsSync(storeFile)) {
+    const store = readEventStore(storeFile);
+    if (store.hoodgap === deployment.addresses.hoodgap) {
+      for (const p of deriveState(store).policies.values()) {
+        if (!p.settled && p.coverage !== undefined) add(p.gapWeek, p.gapDay, p.id, p.coverage);
+      }
+      return { byGap, source: `${path.relative(process.cwd(), storeFile)} (block ${store.checkpoint?.number ?? "—"})` };
+    }
+  }
+
+  const next = await hoodgap.nextPolicyId();
+  for (let start = 0n; start < next; start += POLICY_PAGE) {
+    const ids = [];
+    for (let id = start; id < next && id < start + POLICY_PAGE; id++) ids.push(id);
+    const policies = await hoodgap.getPolicies(ids);
+    policies.forEach((p, i) => {
+      if (!p.settled) add(Number(p.gapWeek), Number(p.gapDay), ids[i], p.coverage);
+    });
+  }
+  return { byGap, source: `contract scan (${next} policies)` };
+}
+
+module.exports = {
+  STORE_VERSION,
+  INDEXED_EVENTS,
+  eventStorePath,
+  openEventStore,
+  readEventStore,
+  saveEventStore,
+  rollback,
+  decodeLog,
+  deriveState,
+  livePoliciesByGap,
+};
@@ -0,0 +1,199 @@
+/**
+ * price-sources.js — Pluggable price feeds for the oracle relay
+ *
+ * A source answers "what was the price at this market event?", where an event
+ * is the close of trading day (week, day) or the open that follows it:
+ *
+ *   { kind: "close" | "open", week, day, timestamp }
+ *
+ * priceAt(event, market) also gets the relay's loaded calendar (@hoodgap/sdk
+ * loadCalendar), covering the weeks from the last event handled on.
+ * Returning null means the source has no price for that event; the relay logs
+ * it and moves on.
+ *
+ * Source specs:
+ *   csv:<file>          replay daily OHLC bars (Yahoo-style Date,Open,…,Close)
+ *   json:<file>         fixture: { rounds: [{ week, day, close, open }] } pinned to
+ *                       the HoodGap calendar, or { bars: [{ open, close }] } replayed like CSV
+ *   http://host/path    GET ?kind=&week=&day=&timestamp= → { "price": 251.3 }
+ *
+ * Replayed bars are laid onto the calendar one bar per trading day: the first
+ * event the relay handles is pinned to `--from` (or the first bar), close(w, d)
+ * reads that day's Close and open(w, d) reads the next bar's Open. Bars are
+ * counted in trading days of the calendar the relay passes to priceAt(), so a
+ * published holiday — which exchange history has no row for — skips no bar.
+ *
+ * loadBars() is also used offline by gap-analysis.js.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/** Trading-day index: five per HoodGap week. */
+function ordinal(event) {
+  return Number(event.week) * 5 + Number(event.day);
+}
+
+// ── Bar replay (CSV, JSON bars) ───────────────────────────────────────
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  if (lines.length < 2) throw new Error("CSV has no data rows");
+
+  const header = lines[0].split(",").map((h) => h.trim().toLowerCase());
+  const col = (name) => {
+    const index = header.indexOf(name);
+    if (index === -1) throw new Error(`CSV is missing a "${name}" column`);
+    return index;
+  };
+  const [dateCol, openCol, closeCol] = [col("date"), col("open"), col("close")];
+
+  const bars = [];
+  for (const line of lines.slice(1)) {
+    const cells = line.split(",");
+    const open = Number(cells[openCol]);
+    const close = Number(cells[closeCol]);
+    // Yahoo exports "null" for halted days
+    if (!(open > 0) || !(close > 0)) continue;
+    bars.push({ date: cells[dateCol].trim(), open, close });
+  }
+  return bars.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/** Bars from a saved Yahoo Finance v8 chart response. */
+function barsFromYahooChart(chart) {
+  const result = chart.chart?.result?.[0];
+  if (!result) throw new Error("Yahoo chart response has no result");
+  const { open, close } = result.indicators.quote[0];
+  return result.timestamp
+    .map((ts, i) => ({ date: new Date(ts * 1000).toISOString().slice(0, 10), open: open[i], close: close[i] }))
+    .filter((bar) => bar.open > 0 && bar.close > 0);
+}
+
+/**
+ * Load daily OHLC bars from disk, oldest first.
+ * Accepts CSV (Date,Open,…,Close), a JSON array / { bars } of { date, open, close },
+ * or a saved Yahoo Finance chart response.
+ * @returns {{ date: string, open: number, close: number }[]}
+ */
+function loadBars(file) {
+  const text = fs.readFileSync(file, "utf8");
+  if (!file.toLowerCase().endsWith(".json")) return parseCsv(text);
+
+  const data = JSON.parse(text);
+  if (data.chart) return barsFromYahooChart(data);
+  const bars = Array.isArray(data) ? data : data.bars;
+  if (!Array.isArray(bars)) throw new Error(`${path.basename(file)} needs a bars array or a Yahoo chart response`);
+  return bars
+    .filter((bar) => bar.open > 0 && bar.close > 0)
+    .map((bar) => ({ date: bar.date, open: Number(bar.open), close: Number(bar.close) }))
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+}
+
+function barReplaySource(name, bars, options) {
+  if (bars.length === 0) throw new Error(`${name} has no bars`);
+
+  let fromRow = 0;
+  if (options.from) {
+    fromRow = bars.findIndex((bar) => bar.date >= options.from);
+    if (fromRow === -1) throw new Error(`${name} has no bars on or after ${options.from}`);
+  }
+
+  const source = {
+    name,
+    describe: () => `${name} (${bars.length} bars, ${bars[0].date ?? "#0"} → ${bars[bars.length - 1].date ?? `#${bars.length - 1}`})`,
+    // { week, day, row } — the last close handled and its bar; persisted by the
+    // relay so restarts keep the same alignment
+    anchor: options.anchor ?? null,
+
+    async priceAt(event, market) {
+      const day = { week: Number(event.week), day: Number(event.day) };
+      if (!source.anchor) source.anchor = { ...day, row: fromRow };
+      const row = source.anchor.row + tradingDaysBetween(market, source.anchor, day);
+      // Move the anchor along so it stays inside the weeks the relay has loaded
+      if (event.kind === "close") source.anchor = { ...day, row };
+
+      const bar = bars[event.kind === "close" ? row : row + 1];
+      if (!bar) return null;
+      return { price: event.kind === "close" ? bar.close : bar.open, ref: bar.date ?? `#${row}` };
+    },
+  };
+  return source;
+}
+
+/** Trading days from (from.week, from.day) forward to (to.week, to.day) on `market`. */
+function tradingDaysBetween(market, from, to) {
+  const before = (a, b) => a.week < b.week || (a.week === b.week && a.day < b.day);
+  if (before(to, from)) throw new Error(`Event w${to.week} d${to.day} is before the replay anchor w${from.week} d${from.day}`);
+
+  let count = 0;
+  for (let at = from; before(at, to); count++) at = market.nextTradingDay(at.week, at.day);
+  return count;
+}
+
+// ── JSON fixture ──────────────────────────────────────────────────────
+
+function jsonSource(file, options) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  const name = path.basename(file);
+
+  if (Array.isArray(data) || Array.isArray(data.bars)) {
+    return barReplaySource(name, Array.isArray(data) ? data : data.bars, options);
+  }
+  if (!Array.isArray(data.rounds)) throw new Error(`${name} needs a "rounds" or "bars" array`);
+
+  const rounds = new Map(data.rounds.map((r) => [`${r.week}:${r.day}`, r]));
+  return {
+    name,
+    describe: () => `${name} (${rounds.size} fixture rounds)`,
+    anchor: null,
+    async priceAt(event) {
+      const round = rounds.get(`${event.week}:${event.day}`);
+      const price = round?.[event.kind];
+      return price === undefined ? null : { price, ref: `fixture ${event.week}:${event.day}` };
+    },
+  };
+}
+
+// ── HTTP stub ─────────────────────────────────────────────────────────
+
+function httpSource(url, options) {
+  const timeoutMs = options.timeoutMs ?? 5_000;
+  return {
+    name: url,
+    describe: () => url,
+    anchor: null,
+    async priceAt(event) {
+      const query = new URLSearchParams({
+        kind: event.kind,
+        week: String(event.week),
+        day: String(event.day),
+        timestamp: String(event.timestamp),
+      });
+      const res = await fetch(`${url}${url.includes("?") ? "&" : "?"}${query}`, { signal: AbortSignal.timeout(timeoutMs) });
+      if (res.status === 404) return null;
+      if (!res.ok) throw new Error(`${url} responded ${res.status}`);
+      const body = await res.json();
+      return body.price == null ? null : { price: body.price, ref: body.ref ?? url };
+    },
+  };
+}
+
+/**
+ * Build a source from a spec string.
+ * @param {string} spec csv:<file> | json:<file> | http(s)://…
+ * @param {{ from?: string, anchor?: { week, day, row }, timeoutMs?: number }} [options]
+ */
+function createPriceSource(spec, options = {}) {
+  if (/^https?:\/\//.test(spec)) return httpSource(spec, options);
+
+  const match = /^(csv|json):(.+)$/.exec(spec);
+  if (!match) throw new Error(`Unknown price source "${spec}" (expected csv:<file>, json:<file> or http://…)`);
+
+  const file = path.resolve(match[2]);
+  if (!fs.existsSync(file)) throw new Error(`Price source file not found: ${file}`);
+  if (match[1] === "csv") return barReplaySource(path.basename(file), loadBars(file), options);
+  return jsonSource(file, options);
+}
+
+module.exports = { createPriceSource, loadBars, barsFromYahooChart, parseCsv, ordinal };
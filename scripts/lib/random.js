@@ -0,0 +1,43 @@
+/**
+ * random.js — Seeded randomness for simulations and stubs
+ *
+ * Everything that draws random numbers takes a seed, so a run can be repeated
+ * exactly and its output diffed against the next one.
+ *
+ * Usage:
+ *   const { mulberry32, seedFrom } = require("./lib/random");
+ *   const random = mulberry32(seedFrom(flags.seed, "tier-5", 5000));
+ */
+
+/** mulberry32 — tiny seeded PRNG returning floats in [0, 1) */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Standard normal via Box–Muller */
+function gaussian(random) {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * 32-bit seed derived from a base seed and labels (FNV-1a), so independent
+ * streams stay stable when other streams are added or removed.
+ */
+function seedFrom(...parts) {
+  let hash = 0x811c9dc5;
+  for (const char of parts.join(":")) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+module.exports = { mulberry32, gaussian, seedFrom };
@@ -0,0 +1,127 @@
+/**
+ * safe-batch.js — Safe Transaction Builder batch files
+ *
+ * Guardian calls can be written to a batch JSON instead of being signed by
+ * the local key, then imported into the Safe{Wallet} Transaction Builder (or
+ * any tool that reads the same format) and signed by the multisig or a
+ * hardware wallet that owns the contract.
+ *
+ *   {
+ *     "version": "1.0",
+ *     "chainId": "46630",
+ *     "createdAt": 1735689600000,
+ *     "meta": { "name", "description", "createdFromSafeAddress", … },
+ *     "transactions": [
+ *       { "to", "value": "0", "data": "0x…",
+ *         "contractMethod": { "name", "inputs", "payable" },
+ *         "contractInputsValues": { "<input>": "<value as string>" } }
+ *     ]
+ *   }
+ *
+ * `data` is what gets executed; contractMethod/contractInputsValues are the
+ * human-readable copy, and decodeBatch() checks that both say the same thing.
+ *
+ * Usage:
+ *   const { openBatch, appendCall, saveBatch, decodeBatch } = require("./lib/safe-batch");
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const BATCH_VERSION = "1.0";
+
+/** Load a batch, or start a new one for `chainId` / `safe` when the file does not exist. */
+function openBatch(file, { chainId, safe, name }) {
+  if (!fs.existsSync(file)) {
+    return {
+      version: BATCH_VERSION,
+      chainId: String(chainId),
+      createdAt: Date.now(),
+      meta: {
+        name,
+        description: "",
+        txBuilderVersion: "1.16.5",
+        createdFromSafeAddress: safe,
+        createdFromOwnerAddress: "",
+      },
+      transactions: [],
+    };
+  }
+
+  const batch = readBatch(file);
+  if (batch.chainId !== String(chainId)) {
+    throw new Error(`${path.basename(file)} is for chain ${batch.chainId}, not ${chainId}`);
+  }
+  return batch;
+}
+
+function readBatch(file) {
+  const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(batch.transactions)) throw new Error(`${path.basename(file)} has no "transactions" array`);
+  return batch;
+}
+
+function saveBatch(file, batch) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(batch, null, 2) + "\n");
+}
+
+/** Append `method(args)` on `to`, encoded with the contract interface. */
+function appendCall(batch, { to, iface, method, args }) {
+  const fragment = iface.getFunction(method);
+  const transaction = {
+    to,
+    value: "0",
+    data: iface.encodeFunctionData(fragment, args),
+    contractMethod: {
+      inputs: fragment.inputs.map((input) => ({ internalType: input.type, name: input.name, type: input.type })),
+      name: fragment.name,
+      payable: fragment.payable,
+    },
+    contractInputsValues: Object.fromEntries(fragment.inputs.map((input, i) => [input.name, String(args[i])])),
+  };
+  batch.transactions.push(transaction);
+  return transaction;
+}
+
+/**
+ * Decode every transaction against the contract interface.
+ * @returns {{ index, to, method, signature, args: { name, value }[], errors: string[] }[]}
+ */
+function decodeBatch(batch, { iface, to }) {
+  return batch.transactions.map((tx, index) => {
+    const decoded = { index, to: tx.to, method: null, signature: null, args: [], errors: [] };
+
+    if (String(tx.to).toLowerCase() !== to.toLowerCase()) decoded.errors.push(`target ${tx.to} is not HoodGap (${to})`);
+    if (BigInt(tx.value ?? "0") !== 0n) decoded.errors.push(`sends ${tx.value} wei of value`);
+
+    let parsed = null;
+    try {
+      parsed = iface.parseTransaction({ data: tx.data });
+    } catch {
+      // handled below
+    }
+    if (!parsed) {
+      decoded.errors.push(`data does not decode as a HoodGap call (${String(tx.data).slice(0, 10)}…)`);
+      return decoded;
+    }
+
+    decoded.method = parsed.name;
+    decoded.signature = parsed.signature;
+    decoded.args = parsed.fragment.inputs.map((input, i) => ({ name: input.name, value: String(parsed.args[i]) }));
+
+    // The readable copy must match what will actually execute
+    if (tx.contractMethod && tx.contractMethod.name !== parsed.name) {
+      decoded.errors.push(`contractMethod says ${tx.contractMethod.name} but data calls ${parsed.name}`);
+    }
+    for (const { name, value } of decoded.args) {
+      const shown = tx.contractInputsValues?.[name];
+      if (shown !== undefined && String(shown).toLowerCase() !== value.toLowerCase()) {
+        decoded.errors.push(`contractInputsValues.${name} is ${shown} but data encodes ${value}`);
+      }
+    }
+    return decoded;
+  });
+}
+
+module.exports = { BATCH_VERSION, openBatch, readBatch, saveBatch, appendCall, decodeBatch };
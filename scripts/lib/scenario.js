@@ -0,0 +1,513 @@
+/**
+ * scenario.js — Declarative protocol scenarios
+ *
+ * A scenario file (YAML or JSON) deploys fresh MockUSDC, MockChainlinkOracle
+ * and HoodGap contracts, funds named actors and runs a list of steps against
+ * them, checking `expect` blocks along the way. No hardhat code required:
+ *
+ *   name: Lifecycle
+ *   setup: { price: 350 }             # first oracle price, USD
+ *   actors: { staker: 100000, buyer: 10000 }   # USDC minted to each
+ *   steps:
+ *     - stake:   { actor: staker, amount: 100000 }
+ *     - buy:     { actor: buyer, coverage: 500, threshold: 500, as: p1 }
+ *     - approve: { policy: p1 }
+ *     - warp:    { to: open, policy: p1 }
+ *     - price:   "-8%"
+ *     - settle:  { policy: p1 }
+ *     - expect:
+ *         policies: { p1: { paidOut: true, payout: 500 } }
+ *
+ * Steps (one key each):
+ *   stake { actor, amount }             withdraw { actor, amount | all }
+ *                                       redeems the shares worth `amount` dollars
+ *   buy { actor, coverage, threshold, week?, day?, as }
+ *                                       without week/day: legacy buyPolicy(coverage, threshold)
+ *   subscribe { actor, coverage, threshold, weeks, as }
+ *                                       gap NFTs are named <as>/<n>, n = 0…weeks×5-1
+ *                                       (published holidays mint nothing, so skip an n)
+ *   mint { subscription }               mintAllAvailableGaps
+ *   approve { week | policy, split?, reason? }
+ *   calendar { week, closed?, early?, dst? }
+ *                                       guardian publishes an exchange holiday (closed days),
+ *                                       1pm early closes or EDT hours for a week, days 0=Mon … 4=Fri
+ *   settle { policy, actor? }           process-queue { max? }
+ *   price: 322 | "-8%"                  push an oracle price (relative to the last one)
+ *   warp { to: close | open, week? , day?, policy?, offset? } | { by: 3d }
+ *                                       jumps to getMarketClose/getNextMarketOpen + offset
+ *                                       (default 60s) and re-publishes the current price
+ *   call { actor?, method, args? }      any other HoodGap function
+ *   snapshot: NAME / revert: NAME       rewind chain and scenario state
+ *   note: TEXT                          expect { … }
+ *
+ * `week` is a week number, `current`, `next` or `+N`/`-N` from the current
+ * week. Action steps accept `reverts: "reason"` to assert a revert. The
+ * guardian (contract owner) is always the `guardian` actor.
+ *
+ * expect blocks compare against on-chain state; USDC fields are in dollars
+ * and a value may be a number or { min, max }:
+ *   policies:      { p1: { settled, paidOut, payout, premium, coverage, closePrice, gapWeek, gapDay, holder } }
+ *   subscriptions: { s1: { gapsMinted, totalWeeks } }
+ *   pool:          { totalStaked, totalCoverage, reserve, blackSwan, utilization (bps), policies, volatility, paused }
+ *   balances:      { buyer: 9946 }     USDC in the actor's wallet
+ *   stakers:       { staker: 99500 }   stakerBalances (the staker's shares at the current share price)
+ *
+ * Usage:
+ *   const { loadScenario, runScenario } = require("./lib/scenario");
+ *   const report = await runScenario(hre, loadScenario("scenarios/lifecycle.yaml"), { log: console.log });
+ */
+
+const fs = require("fs");
+const path = require("path");
+const sdk = require("@hoodgap/sdk");
+const { revertReason } = require("./cli");
+
+const { calendar, fromUSDC, formatUSDC: fmt } = sdk;
+const ORACLE_DECIMALS = 8;
+const DEFAULT_OFFSET = 60; // seconds after a market event a warp lands
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+const SCENARIO_EXTENSIONS = [".yaml", ".yml", ".json"];
+
+// ── Units ─────────────────────────────────────────────────────────────
+
+function toNumber(value, field) {
+  const n = typeof value === "string" ? Number(value.replace(/_/g, "")) : value;
+  if (typeof n !== "number" || !Number.isFinite(n)) throw new Error(`${field} must be a number, got ${JSON.stringify(value)}`);
+  return n;
+}
+
+const toUSDC = (value, field) => sdk.toUSDC(toNumber(value, field));
+const toOracle = (value, field) => BigInt(Math.round(toNumber(value, field) * 10 ** ORACLE_DECIMALS));
+const fromOracle = (n) => Number(n) / 10 ** ORACLE_DECIMALS;
+
+function parseDuration(value) {
+  if (typeof value === "number") return value;
+  const match = /^(\d+)([smhdw])$/.exec(String(value));
+  if (!match) throw new Error(`warp.by must be seconds or a duration like 90m, 3d; got ${JSON.stringify(value)}`);
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+// ── Loading ───────────────────────────────────────────────────────────
+
+const STEP_TYPES = [
+  "stake", "withdraw", "buy", "subscribe", "mint", "approve", "calendar", "settle", "process-queue",
+  "price", "warp", "call", "snapshot", "revert", "note", "expect",
+];
+
+function loadScenario(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const raw = path.extname(file) === ".json" ? JSON.parse(text) : require("js-yaml").load(text);
+  const where = path.basename(file);
+  if (!raw || typeof raw !== "object") throw new Error(`${where}: not a scenario object`);
+  if (!Array.isArray(raw.steps) || raw.steps.length === 0) throw new Error(`${where}: "steps" must be a non-empty list`);
+
+  const actors = raw.actors ?? {};
+  for (const [name, funds] of Object.entries(actors)) toNumber(funds, `actors.${name}`);
+
+  const steps = raw.steps.map((step, i) => {
+    const keys = step && typeof step === "object" ? Object.keys(step) : [];
+    if (keys.length !== 1 || !STEP_TYPES.includes(keys[0])) {
+      throw new Error(`${where}: step ${i + 1} must have exactly one of ${STEP_TYPES.join(", ")}`);
+    }
+    return { type: keys[0], params: step[keys[0]] };
+  });
+
+  return {
+    file,
+    name: raw.name ?? path.basename(file, path.extname(file)),
+    description: raw.description ?? "",
+    price: toNumber(raw.setup?.price ?? 250, "setup.price"),
+    actors,
+    steps,
+  };
+}
+
+/** Scenario files named on the command line; directories expand to the files inside. */
+function scenarioFiles(paths) {
+  return paths.flatMap((p) => {
+    if (!fs.statSync(p).isDirectory()) return [p];
+    return fs
+      .readdirSync(p)
+      .filter((f) => SCENARIO_EXTENSIONS.includes(path.extname(f)))
+      .sort()
+      .map((f) => path.join(p, f));
+  });
+}
+
+// ── Context ───────────────────────────────────────────────────────────
+
+async function deploy(hre, scenario) {
+  const { ethers } = hre;
+  const signers = await ethers.getSigners();
+  const names = ["guardian", ...Object.keys(scenario.actors).filter((n) => n !== "guardian")];
+  if (names.length > signers.length) throw new Error(`${names.length} actors but only ${signers.length} signers`);
+
+  const now = (await ethers.provider.getBlock("latest")).timestamp;
+  const price = toOracle(scenario.price, "setup.price");
+  const usdc = await (await ethers.getContractFactory("MockUSDC")).deploy();
+  const oracle = await (await ethers.getContractFactory("MockChainlinkOracle")).deploy(price, now);
+  const hoodgap = await (await ethers.getContractFactory("HoodGap")).deploy(await usdc.getAddress(), await oracle.getAddress());
+
+  const actors = Object.fromEntries(names.map((name, i) => [name, signers[i]]));
+  for (const [name, funds] of Object.entries(scenario.actors)) {
+    await usdc.mint(actors[name].address, toUSDC(funds, `actors.${name}`));
+    await usdc.connect(actors[name]).approve(await hoodgap.getAddress(), ethers.MaxUint256);
+  }
+
+  const ctx = { hre, usdc, oracle, hoodgap, actors, price, policies: {}, subscriptions: {}, payouts: {}, schedules: new Map(), snapshots: {} };
+  // Mirrors marketCalendar; `calendar` steps publish into both
+  ctx.calendar = calendar.createCalendar((week) => ctx.schedules.get(week) ?? 0);
+  return ctx;
+}
+
+function actor(ctx, name = "guardian") {
+  const signer = ctx.actors[name];
+  if (!signer) throw new Error(`unknown actor "${name}" (known: ${Object.keys(ctx.actors).join(", ")})`);
+  return signer;
+}
+
+function policyId(ctx, alias) {
+  const id = ctx.policies[alias];
+  if (id === undefined) throw new Error(`unknown policy "${alias}"`);
+  return id;
+}
+
+function subscriptionId(ctx, alias) {
+  const id = ctx.subscriptions[alias];
+  if (id === undefined) throw new Error(`unknown subscription "${alias}"`);
+  return id;
+}
+
+async function latestTimestamp(ctx) {
+  return (await ctx.hre.ethers.provider.getBlock("latest")).timestamp;
+}
+
+async function resolveWeek(ctx, ref) {
+  const current = calendar.getWeekNumber(await latestTimestamp(ctx));
+  if (ref === undefined || ref === "current") return current;
+  if (ref === "next") return current + 1;
+  if (typeof ref === "string" && /^[+-]\d+$/.test(ref)) return current + Number(ref);
+  if (Number.isInteger(ref) && ref >= 0) return ref;
+  throw new Error(`week must be a number, current, next or +N/-N; got ${JSON.stringify(ref)}`);
+}
+
+function parseEvents(ctx, receipt, name) {
+  return sdk.decodeEvents(ctx.hoodgap, receipt, name);
+}
+
+/** Name gap NFTs minted for subscription `alias` as `<alias>/<n>`. */
+async function recordMinted(ctx, alias, receipt) {
+  const sub = await ctx.hoodgap.getSubscription(subscriptionId(ctx, alias));
+  const minted = [];
+  for (const event of parseEvents(ctx, receipt, "GapPolicyMinted")) {
+    const index = (event.args.gapWeek - sub.startWeek) * 5n + event.args.gapDay;
+    ctx.policies[`${alias}/${index}`] = event.args.policyId;
+    minted.push(`${alias}/${index}`);
+  }
+  return minted;
+}
+
+async function pushPrice(ctx, price) {
+  ctx.price = price;
+  await (await ctx.oracle.update(price, (await latestTimestamp(ctx)) + 1)).wait();
+}
+
+// ── Steps ─────────────────────────────────────────────────────────────
+//
+// Each step returns a one-line summary; a revert propagates as an error.
+
+const STEPS = {
+  async stake(ctx, { actor: name, amount }) {
+    const value = toUSDC(amount, "stake.amount");
+    await (await ctx.hoodgap.connect(actor(ctx, name)).stake(value)).wait();
+    return `${name} staked ${fmt(value)}`;
+  },
+
+  async withdraw(ctx, { actor: name, amount }) {
+    const signer = actor(ctx, name);
+    const shares = amount === "all"
+      ? await ctx.hoodgap.stakerShares(signer.address)
+      : await ctx.hoodgap.convertToShares(toUSDC(amount, "withdraw.amount"));
+    const value = await ctx.hoodgap.convertToAssets(shares);
+    const receipt = await (await ctx.hoodgap.connect(signer).requestWithdrawal(shares)).wait();
+    const [queued] = parseEvents(ctx, receipt, "WithdrawalQueued");
+    if (queued) return `${name} queued a ${fmt(value)} withdrawal (request ${queued.args.requestId}, position ${queued.args.position})`;
+    return `${name} withdrew ${fmt(value)}`;
+  },
+
+  async buy(ctx, { actor: name, coverage, threshold, week, day, as }) {
+    if (!as) throw new Error("buy needs `as` to name the policy");
+    const hoodgap = ctx.hoodgap.connect(actor(ctx, name));
+    const value = toUSDC(coverage, "buy.coverage");
+    const tx =
+      week === undefined && day === undefined
+        ? await hoodgap["buyPolicy(uint256,uint256)"](value, threshold)
+        : await hoodgap["buyPolicy(uint256,uint256,uint256,uint256)"](value, threshold, await resolveWeek(ctx, week), day ?? 0);
+    const [event] = parseEvents(ctx, await tx.wait(), "PolicyPurchased");
+    ctx.policies[as] = event.args.policyId;
+    const { gapWeek, gapDay, premium } = event.args;
+    return `${name} bought ${as} (#${event.args.policyId}): ${fmt(value)} @ ${Number(threshold) / 100}% on gap ${gapWeek}:${gapDay}, premium ${fmt(premium)}`;
+  },
+
+  async subscribe(ctx, { actor: name, coverage, threshold, weeks, as }) {
+    if (!as) throw new Error("subscribe needs `as` to name the subscription");
+    const value = toUSDC(coverage, "subscribe.coverage");
+    const receipt = await (await ctx.hoodgap.connect(actor(ctx, name)).buySubscription(value, threshold, weeks)).wait();
+    const [event] = parseEvents(ctx, receipt, "SubscriptionCreated");
+    ctx.subscriptions[as] = event.args.subId;
+    const minted = await recordMinted(ctx, as, receipt);
+    return `${name} subscribed ${as} (#${event.args.subId}): ${fmt(value)} × ${weeks}w, paid ${fmt(event.args.totalPremium)}, minted ${minted.join(", ") || "nothing"}`;
+  },
+
+  async mint(ctx, { subscription, actor: name }) {
+    const receipt = await (await ctx.hoodgap.connect(actor(ctx, name)).mintAllAvailableGaps(subscriptionId(ctx, subscription))).wait();
+    const minted = await recordMinted(ctx, subscription, receipt);
+    return `minted ${minted.length > 0 ? minted.join(", ") : "nothing"} for ${subscription}`;
+  },
+
+  async approve(ctx, { week, policy, split = 10000, reason = "Scenario approval" }) {
+    let approvalWeek;
+    if (policy !== undefined) {
+      const p = await ctx.hoodgap.policies(policyId(ctx, policy));
+      approvalWeek = ctx.calendar.approvalWeek(Number(p.gapWeek), Number(p.gapDay));
+    } else approvalWeek = await resolveWeek(ctx, week);
+    await (await ctx.hoodgap.approveSettlement(approvalWeek, split, reason)).wait();
+    return `guardian approved week ${approvalWeek} at ${split / 10000}x`;
+  },
+
+  async calendar(ctx, { week, closed = [], early = [], dst = false }) {
+    const target = await resolveWeek(ctx, week);
+    const schedule = calendar.packSchedule({ closed, early, dst });
+    await (await ctx.hoodgap.publishMarketCalendar([target], [schedule])).wait();
+    ctx.schedules.set(target, schedule);
+    const days = (list) => list.map((d) => ["Mon", "Tue", "Wed", "Thu", "Fri"][d]).join("/");
+    const parts = [
+      dst && "EDT",
+      closed.length > 0 && `closed ${days(closed)}`,
+      early.length > 0 && `1pm close ${days(early)}`,
+    ].filter(Boolean);
+    return `guardian published week ${target}: ${parts.join(", ") || "full week"}`;
+  },
+
+  async settle(ctx, { policy, actor: name }) {
+    const receipt = await (await ctx.hoodgap.connect(actor(ctx, name)).settlePolicy(policyId(ctx, policy))).wait();
+    const [settled] = parseEvents(ctx, receipt, "PolicySettled");
+    const [paid] = parseEvents(ctx, receipt, "PolicyPaidOut");
+    ctx.payouts[policy] = paid ? paid.args.amount : 0n;
+    const gap = `${(Number(settled.args.gap) / 100).toFixed(2)}% gap vs $${fromOracle(settled.args.adjustedClose).toFixed(2)}`;
+    return paid ? `${policy} paid out ${fmt(paid.args.amount)} (${gap})` : `${policy} settled, no payout (${gap})`;
+  },
+
+  async "process-queue"(ctx, params) {
+    const max = params?.max ?? 20;
+    const receipt = await (await ctx.hoodgap.processWithdrawalQueue(max)).wait();
+    const [event] = parseEvents(ctx, receipt, "QueueProcessed");
+    return `processed ${event ? event.args.processed : 0} queued withdrawals`;
+  },
+
+  async price(ctx, value) {
+    const relative = typeof value === "string" && /^[+-][\d.]+%$/.test(value.trim());
+    const before = ctx.price;
+    const next = relative
+      ? (before * BigInt(Math.round((100 + parseFloat(value)) * 10000))) / 1000000n
+      : toOracle(value, "price");
+    await pushPrice(ctx, next);
+    return `oracle $${fromOracle(before).toFixed(2)} → $${fromOracle(next).toFixed(2)}`;
+  },
+
+  async warp(ctx, { to, by, week, day, policy, offset = DEFAULT_OFFSET }) {
+    const now = await latestTimestamp(ctx);
+    let target;
+    if (by !== undefined) target = now + parseDuration(by);
+    else {
+      let gapWeek, gapDay;
+      if (policy !== undefined) {
+        const p = await ctx.hoodgap.policies(policyId(ctx, policy));
+        [gapWeek, gapDay] = [Number(p.gapWeek), Number(p.gapDay)];
+      } else [gapWeek, gapDay] = [await resolveWeek(ctx, week), day ?? 0];
+      if (to === "close") target = ctx.calendar.getMarketClose(gapWeek, gapDay) + offset;
+      else if (to === "open") target = ctx.calendar.getNextMarketOpen(gapWeek, gapDay) + offset;
+      else throw new Error('warp needs `by` or `to: close | open`');
+    }
+    if (target <= now) throw new Error(`warp target ${new Date(target * 1000).toISOString()} is not in the future`);
+
+    await ctx.hre.network.provider.send("evm_setNextBlockTimestamp", [target]);
+    await ctx.hre.network.provider.send("evm_mine");
+    await pushPrice(ctx, ctx.price); // keep the feed fresh, like the relay would
+    return `→ ${new Date(target * 1000).toUTCString()}`;
+  },
+
+  async call(ctx, { actor: name, method, args = [] }) {
+    await (await ctx.hoodgap.connect(actor(ctx, name)).getFunction(method)(...args)).wait();
+    return `${name ?? "guardian"} called ${method}(${args.join(", ")})`;
+  },
+
+  async snapshot(ctx, name) {
+    const id = await ctx.hre.network.provider.send("evm_snapshot");
+    ctx.snapshots[name] = { id, state: saveState(ctx) };
+    return `saved "${name}"`;
+  },
+
+  async revert(ctx, name) {
+    const saved = ctx.snapshots[name];
+    if (!saved) throw new Error(`unknown snapshot "${name}"`);
+    await ctx.hre.network.provider.send("evm_revert", [saved.id]);
+    restoreState(ctx, saved.state);
+    // evm_revert consumes the snapshot; take it again so it can be reused
+    saved.id = await ctx.hre.network.provider.send("evm_snapshot");
+    return `rewound to "${name}"`;
+  },
+
+  async note(ctx, text) {
+    return String(text);
+  },
+};
+
+function saveState(ctx) {
+  return structuredClone({
+    price: ctx.price,
+    policies: ctx.policies,
+    subscriptions: ctx.subscriptions,
+    payouts: ctx.payouts,
+    schedules: ctx.schedules,
+  });
+}
+
+function restoreState(ctx, state) {
+  Object.assign(ctx, structuredClone(state));
+}
+
+// ── Expectations ──────────────────────────────────────────────────────
+
+// Full 6-decimal precision, so a failed check never prints the same number twice
+const usd = { parse: toUSDC, show: (n) => `$${fromUSDC(n).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 6 })}` };
+const oraclePrice = { parse: toOracle, show: (n) => `$${fromOracle(n).toFixed(2)}` };
+const raw = { parse: (v, field) => BigInt(Math.round(toNumber(v, field))), show: String };
+const flag = { parse: (v) => v, show: String };
+
+const POLICY_FIELDS = {
+  coverage: usd, premium: usd, payout: usd, closePrice: oraclePrice,
+  threshold: raw, gapWeek: raw, gapDay: raw, settled: flag, paidOut: flag,
+};
+const SUBSCRIPTION_FIELDS = { coverage: usd, gapsMinted: raw, totalWeeks: raw, startWeek: raw };
+const POOL_FIELDS = {
+  totalStaked: usd, totalCoverage: usd, reserve: usd, blackSwan: usd,
+  utilization: raw, policies: raw, volatility: raw, paused: flag,
+};
+
+function check(label, unit, actual, expected) {
+  if (expected !== null && typeof expected === "object") {
+    const min = expected.min === undefined ? null : unit.parse(expected.min, `${label}.min`);
+    const max = expected.max === undefined ? null : unit.parse(expected.max, `${label}.max`);
+    const ok = (min === null || actual >= min) && (max === null || actual <= max);
+    const range = [min === null ? "" : `≥ ${unit.show(min)}`, max === null ? "" : `≤ ${unit.show(max)}`].filter(Boolean);
+    return { label, ok, expected: range.join(" and "), actual: unit.show(actual) };
+  }
+  const want = unit.parse(expected, label);
+  return { label, ok: actual === want, expected: unit.show(want), actual: unit.show(actual) };
+}
+
+function checkFields(label, fields, actual, expected) {
+  return Object.entries(expected).map(([field, value]) => {
+    if (!fields[field]) throw new Error(`${label}: unknown field "${field}" (known: ${Object.keys(fields).join(", ")})`);
+    return check(`${label}.${field}`, fields[field], actual[field], value);
+  });
+}
+
+async function expectations(ctx, spec) {
+  const checks = [];
+
+  for (const [alias, expected] of Object.entries(spec.policies ?? {})) {
+    const p = await ctx.hoodgap.policies(policyId(ctx, alias));
+    const { holder, ...fields } = expected;
+    if (holder !== undefined) {
+      const ok = p.holder === actor(ctx, holder).address;
+      checks.push({ label: `${alias}.holder`, ok, expected: holder, actual: ok ? holder : p.holder });
+    }
+    const actual = { ...p.toObject(), payout: ctx.payouts[alias] ?? 0n };
+    checks.push(...checkFields(alias, POLICY_FIELDS, actual, fields));
+  }
+
+  for (const [alias, expected] of Object.entries(spec.subscriptions ?? {})) {
+    const sub = await ctx.hoodgap.getSubscription(subscriptionId(ctx, alias));
+    checks.push(...checkFields(alias, SUBSCRIPTION_FIELDS, sub.toObject(), expected));
+  }
+
+  if (spec.pool) {
+    const [totalStaked, totalCoverage, utilization, reserve, blackSwan, policies] = await ctx.hoodgap.getPoolStats();
+    const pool = {
+      totalStaked, totalCoverage, utilization, reserve, blackSwan, policies,
+      volatility: await ctx.hoodgap.currentVolatility(),
+      paused: await ctx.hoodgap.paused(),
+    };
+    checks.push(...checkFields("pool", POOL_FIELDS, pool, spec.pool));
+  }
+
+  for (const [name, expected] of Object.entries(spec.balances ?? {})) {
+    checks.push(check(`balances.${name}`, usd, await ctx.usdc.balanceOf(actor(ctx, name).address), expected));
+  }
+  for (const [name, expected] of Object.entries(spec.stakers ?? {})) {
+    checks.push(check(`stakers.${name}`, usd, await ctx.hoodgap.stakerBalances(actor(ctx, name).address), expected));
+  }
+
+  const unknown = Object.keys(spec).filter((k) => !["policies", "subscriptions", "pool", "balances", "stakers"].includes(k));
+  if (unknown.length > 0) throw new Error(`expect: unknown section ${unknown.join(", ")}`);
+  return checks;
+}
+
+// ── Runner ────────────────────────────────────────────────────────────
+
+/**
+ * Run a loaded scenario on a fresh deployment. Chain state is rolled back
+ * afterwards, so scenarios can share a network.
+ * @returns {{ name, file, ok, steps: object[] }}
+ */
+async function runScenario(hre, scenario, { log = () => {} } = {}) {
+  const provider = hre.network.provider;
+  const start = await provider.send("evm_snapshot");
+  const report = { name: scenario.name, file: scenario.file, ok: true, steps: [] };
+
+  try {
+    const ctx = await deploy(hre, scenario);
+    for (const [i, { type, params }] of scenario.steps.entries()) {
+      const step = { index: i + 1, type };
+      report.steps.push(step);
+
+      if (type === "expect") {
+        step.checks = await expectations(ctx, params ?? {});
+        step.ok = step.checks.every((c) => c.ok);
+        for (const c of step.checks) {
+          log(`  ${c.ok ? "✅" : "❌"} ${c.label} = ${c.actual}${c.ok ? "" : ` (expected ${c.expected})`}`);
+        }
+        if (!step.ok) report.ok = false;
+        continue;
+      }
+
+      const expectedRevert = params && typeof params === "object" ? params.reverts : undefined;
+      let reason = null;
+      try {
+        step.summary = await STEPS[type](ctx, params ?? {});
+      } catch (err) {
+        reason = revertReason(err);
+      }
+
+      if (expectedRevert === undefined ? reason === null : reason?.includes(expectedRevert)) {
+        step.ok = true;
+        if (reason !== null) step.summary = `${type} reverted: ${reason}`;
+        log(`  ${reason !== null ? "↩️ " : type === "note" ? "💬" : "▸"} ${step.summary}`);
+        continue;
+      }
+
+      step.ok = false;
+      step.error = reason === null ? `expected revert "${expectedRevert}" but ${type} succeeded` : reason;
+      report.ok = false;
+      log(`  ❌ ${type}: ${step.error}`);
+      break; // later steps depend on this one
+    }
+  } finally {
+    await provider.send("evm_revert", [start]);
+  }
+  return report;
+}
+
+module.exports = { STEP_TYPES, loadScenario, scenarioFiles, runScenario };
@@ -0,0 +1,457 @@
+/**
+ * monitor.js — Pool health watcher with alert rules and webhook delivery
+ *
+ * Polls getPoolStats, getQueueStats, canSettle/settlementApproved,
+ * pendingVolatilityChange, paused and the oracle's latestRoundData, evaluates
+ * the rules in a config file and reports alerts to stdout and, when
+ * configured, to an HTTP webhook.
+ *
+ * Rule types (config/monitor.json):
+ *   utilization         { "above": 80 }           utilization above N percent
+ *   reserve             { "minMultiple": 1 }      reserve + black swan below N × the
+ *                                                 largest open gap exposure
+ *   queue-age           { "maxDays": 3 }          oldest pending withdrawal older than N days
+ *   oracle-age          { "maxHours": 24 }        oracle updatedAt older than N hours
+ *   failsafe            { "withinHours": 12 }     unapproved week with live policies within
+ *                                                 N hours of (or past) its 48h failsafe
+ *   paused              {}                        contract paused
+ *   pending-volatility  {}                        a volatility change is queued
+ *   market-calendar     { "withinWeeks": 8 }      an NYSE holiday, early close or EDT week in
+ *                                                 the next N weeks is not published on chain
+ *
+ * Every rule has an "id" and a "severity" (info, warning, critical). An alert
+ * is sent once when it starts firing, again every renotifyMinutes while it
+ * keeps firing, and once more as "resolved" when it clears. Active alerts and
+ * undelivered webhook posts live in deployments/<name>.monitor.json, so a
+ * restart neither repeats nor loses notifications.
+ *
+ * Webhook payload (POST, JSON):
+ *   { source, network, hoodgap, status: "firing"|"resolved", rule, type, severity,
+ *     subject, message, since, at }
+ *
+ * Open exposure comes from the indexer's event store when present (see
+ * indexer.js), else from a getPolicies scan on every tick.
+ *
+ * Usage:
+ *   node scripts/monitor.js --network robinhoodTestnet
+ *   node scripts/monitor.js --once --webhook http://127.0.0.1:9000/alerts --network localhost
+ *   npm run monitor
+ *
+ * Flags:
+ *   --config FILE      rules, webhook and renotify settings (default config/monitor.json)
+ *   --webhook URL      override the config's webhook URL
+ *   --interval SEC     seconds between polls (default 60)
+ *   --once             poll once and exit (non-zero while a critical alert is active)
+ *   --state FILE       alert state (default deployments/<name>.monitor.json)
+ *   --json             one JSON line per poll
+ */
+
+const { parseCommandLine, bigintFlag, toJSON, revertReason } = require("./lib/cli");
+
+const cli = parseCommandLine({
+  config: { type: "string" },
+  webhook: { type: "string" },
+  interval: { type: "string" },
+  once: { type: "boolean", default: false },
+  state: { type: "string" },
+});
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { DEPLOYMENTS_DIR, loadDeployment, attachContracts } = require("./lib/deployment");
+const { runDaemon } = require("./lib/daemon");
+const { livePoliciesByGap } = require("./lib/event-store");
+const { calendar, nyse, formatUSDC: fmt } = require("@hoodgap/sdk");
+
+const STATE_VERSION = 1;
+const DEFAULT_CONFIG = path.join(__dirname, "..", "config", "monitor.json");
+const SEVERITIES = ["info", "warning", "critical"];
+const MAX_OUTBOX = 100;
+const QUEUE_SCAN_LIMIT = 50n;
+const CALENDAR_HORIZON_WEEKS = 26; // NYSE holiday / EDT weeks checked against marketCalendar
+
+const isoTime = (ts) => new Date(Number(ts) * 1000).toISOString().replace(".000Z", "Z");
+const hours = (seconds) => `${(Number(seconds) / 3600).toFixed(1)}h`;
+const policies = (n) => `${n} live ${n === 1 ? "policy" : "policies"}`;
+
+// ── Config ────────────────────────────────────────────────────────────
+
+function loadConfig(file, webhookOverride) {
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(config.rules)) throw new Error(`${path.basename(file)} needs a "rules" array`);
+
+  const ids = new Set();
+  for (const rule of config.rules) {
+    if (!rule.id || ids.has(rule.id)) throw new Error(`Every rule needs a unique "id" (got "${rule.id}")`);
+    ids.add(rule.id);
+    if (!RULES[rule.type]) throw new Error(`Rule ${rule.id}: unknown type "${rule.type}" (${Object.keys(RULES).join(", ")})`);
+    rule.severity = rule.severity ?? "warning";
+    if (!SEVERITIES.includes(rule.severity)) throw new Error(`Rule ${rule.id}: severity must be ${SEVERITIES.join(", ")}`);
+  }
+
+  const webhook = { timeoutMs: 5_000, headers: {}, ...config.webhook };
+  if (webhookOverride) webhook.url = webhookOverride;
+  return { rules: config.rules, renotifySeconds: (config.renotifyMinutes ?? 360) * 60, webhook };
+}
+
+// ── Alert state ───────────────────────────────────────────────────────
+
+function freshState(deployment) {
+  return { version: STATE_VERSION, hoodgap: deployment.addresses.hoodgap, active: {}, outbox: [] };
+}
+
+function loadState(file, deployment) {
+  if (!fs.existsSync(file)) return freshState(deployment);
+
+  const state = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (state.version !== STATE_VERSION || state.hoodgap !== deployment.addresses.hoodgap) {
+    console.warn(`⚠ ${path.relative(process.cwd(), file)} belongs to another deployment — starting fresh`);
+    return freshState(deployment);
+  }
+  return state;
+}
+
+function saveState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+// ── Snapshot ──────────────────────────────────────────────────────────
+
+async function oldestPendingRequest(hoodgap, head, length) {
+  for (let i = head; i < length && i < head + QUEUE_SCAN_LIMIT; i++) {
+    const request = await hoodgap.withdrawalQueue(i);
+    if (!request.processed) {
+      return { id: i, amount: await hoodgap.convertToAssets(request.shares), requestTime: request.requestTime };
+    }
+  }
+  return null;
+}
+
+async function readSnapshot(ctx) {
+  const { hoodgap, deployment } = ctx;
+  const now = BigInt((await hre.ethers.provider.getBlock("latest")).timestamp);
+  const [stats, queueStats, paused, pending, oracleAddress] = await Promise.all([
+    hoodgap.getPoolStats(),
+    hoodgap.getQueueStats(),
+    hoodgap.paused(),
+    hoodgap.pendingVolatilityChange(),
+    hoodgap.priceOracle(),
+  ]);
+  const oracle = await hre.ethers.getContractAt("AggregatorV3Interface", oracleAddress);
+  const [, answer, , updatedAt] = await oracle.latestRoundData();
+
+  const exposure = await livePoliciesByGap(hoodgap, deployment);
+  const gapWeeks = [...exposure.byGap.values()].map((g) => g.week);
+  const market =
+    gapWeeks.length > 0 ? await calendar.loadCalendar(hoodgap, Math.min(...gapWeeks), Math.max(...gapWeeks) + 1) : calendar;
+  const weeks = new Map();
+  for (const gap of exposure.byGap.values()) {
+    const week = market.approvalWeek(gap.week, gap.day);
+    if (!weeks.has(week)) weeks.set(week, { week, policies: 0, coverage: 0n });
+    weeks.get(week).policies += gap.ids.length;
+    weeks.get(week).coverage += gap.coverage;
+  }
+  for (const entry of weeks.values()) {
+    entry.approved = await hoodgap.settlementApproved(entry.week);
+    entry.failsafeAt = BigInt(calendar.failsafeAt(entry.week));
+  }
+
+  // Upcoming NYSE holiday / EDT weeks vs what the guardian has published
+  const currentWeek = calendar.getWeekNumber(Number(now));
+  const scheduledWeeks = [];
+  for (let week = currentWeek + 1; week <= currentWeek + CALENDAR_HORIZON_WEEKS; week++) {
+    const expected = nyse.scheduleOf(week);
+    if (expected !== 0) scheduledWeeks.push({ week, expected, published: Number(await hoodgap.marketCalendar(week)) });
+  }
+
+  const [head, length, pendingCount, dollarAhead, freeLiquidity] = queueStats;
+  const gaps = [...exposure.byGap.values()];
+  return {
+    now,
+    paused,
+    pool: {
+      totalStaked: stats[0],
+      totalCoverage: stats[1],
+      utilizationBps: stats[2],
+      reserveBalance: stats[3],
+      blackSwanReserve: stats[4],
+    },
+    queue: {
+      head,
+      length,
+      pending: pendingCount,
+      dollarAhead,
+      freeLiquidity,
+      oldest: pendingCount > 0n ? await oldestPendingRequest(hoodgap, head, length) : null,
+    },
+    oracle: { answer, updatedAt },
+    pendingVolatility: pending.exists ? { value: pending.value, executeAfter: pending.executeAfter } : null,
+    exposure: {
+      source: exposure.source,
+      largest: gaps.reduce((max, g) => (!max || g.coverage > max.coverage ? g : max), null),
+    },
+    weeks: [...weeks.values()],
+    marketCalendar: { currentWeek, scheduledWeeks },
+  };
+}
+
+// ── Rules ─────────────────────────────────────────────────────────────
+//
+// Each rule returns the findings that are firing now: [{ subject?, message }].
+
+const RULES = {
+  utilization(rule, s) {
+    const pct = Number(s.pool.utilizationBps) / 100;
+    return pct > rule.above ? [{ message: `Utilization ${pct.toFixed(2)}% is above ${rule.above}%` }] : [];
+  },
+
+  reserve(rule, s) {
+    const largest = s.exposure.largest;
+    if (!largest) return [];
+    const reserve = s.pool.reserveBalance + s.pool.blackSwanReserve;
+    const required = (largest.coverage * BigInt(Math.round(rule.minMultiple * 10000))) / 10000n;
+    if (reserve >= required) return [];
+    return [{
+      message:
+        `Reserves ${fmt(reserve)} are below ${rule.minMultiple}× the largest open gap ` +
+        `(${largest.week}:${largest.day}, ${fmt(largest.coverage)} over ${policies(largest.ids.length)})`,
+    }];
+  },
+
+  "queue-age"(rule, s) {
+    const oldest = s.queue.oldest;
+    if (!oldest) return [];
+    const age = s.now - oldest.requestTime;
+    if (Number(age) <= rule.maxDays * 86400) return [];
+    return [{
+      message:
+        `Withdrawal #${oldest.id} (${fmt(oldest.amount)}) has waited ${(Number(age) / 86400).toFixed(1)} days; ` +
+        `${s.queue.pending} pending, ${fmt(s.queue.dollarAhead)} queued vs ${fmt(s.queue.freeLiquidity)} free`,
+    }];
+  },
+
+  "oracle-age"(rule, s) {
+    const age = s.now - s.oracle.updatedAt;
+    if (Number(age) <= rule.maxHours * 3600) return [];
+    return [{ message: `Oracle price last updated ${hours(age)} ago at ${isoTime(s.oracle.updatedAt)} (max ${rule.maxHours}h)` }];
+  },
+
+  failsafe(rule, s) {
+    return s.weeks
+      .filter((w) => !w.approved && s.now >= w.failsafeAt - BigInt(rule.withinHours * 3600))
+      .map((w) => ({
+        subject: `week-${w.week}`,
+        message:
+          s.now >= w.failsafeAt
+            ? `Week ${w.week} passed its failsafe at ${isoTime(w.failsafeAt)} unapproved — ${policies(w.policies)} (${fmt(w.coverage)}) settle at 1.0x`
+            : `Week ${w.week} is unapproved with ${policies(w.policies)} (${fmt(w.coverage)}); failsafe in ${hours(w.failsafeAt - s.now)}`,
+      }));
+  },
+
+  paused(rule, s) {
+    return s.paused ? [{ message: "Contract is paused — staking and purchases are blocked" }] : [];
+  },
+
+  "market-calendar"(rule, s) {
+    const { currentWeek, scheduledWeeks } = s.marketCalendar;
+    return scheduledWeeks
+      .filter((w) => w.week <= currentWeek + rule.withinWeeks && w.published !== w.expected)
+      .map((w) => {
+        const { closed, early } = nyse.weekHolidays(w.week);
+        const names = [...closed, ...early].map((h) => `${h.name} ${h.date}`);
+        if (nyse.isDaylightSaving(w.week)) names.push("EDT");
+        return {
+          subject: `week-${w.week}`,
+          message: `Week ${w.week} (${names.join(", ")}) is not published on chain — run guardian-operations.js publish-calendar`,
+        };
+      });
+  },
+
+  "pending-volatility"(rule, s) {
+    const pending = s.pendingVolatility;
+    if (!pending) return [];
+    return [{ message: `Volatility change to ${pending.value} bp is queued, executable ${isoTime(pending.executeAfter)}` }];
+  },
+};
+
+// ── Notifications ─────────────────────────────────────────────────────
+
+/** Diff firing findings against the active set; returns notifications to send. */
+function updateAlerts(ctx, snapshot) {
+  const { state, config } = ctx;
+  const now = Number(snapshot.now);
+  const firing = new Map();
+  for (const rule of config.rules) {
+    for (const finding of RULES[rule.type](rule, snapshot)) {
+      const key = finding.subject ? `${rule.id}:${finding.subject}` : rule.id;
+      firing.set(key, { rule, ...finding });
+    }
+  }
+
+  const notifications = [];
+  const notify = (status, key, alert) =>
+    notifications.push({
+      status,
+      rule: alert.rule,
+      type: alert.type,
+      severity: alert.severity,
+      subject: alert.subject ?? null,
+      message: alert.message,
+      since: alert.since,
+      at: now,
+      key,
+    });
+
+  for (const [key, { rule, subject, message }] of firing) {
+    const active = state.active[key];
+    if (!active) {
+      state.active[key] = { rule: rule.id, type: rule.type, severity: rule.severity, subject, message, since: now, notifiedAt: now };
+      notify("firing", key, state.active[key]);
+    } else {
+      active.message = message;
+      if (now - active.notifiedAt >= config.renotifySeconds) {
+        active.notifiedAt = now;
+        notify("firing", key, active);
+      }
+    }
+  }
+  for (const key of Object.keys(state.active)) {
+    if (firing.has(key)) continue;
+    notify("resolved", key, state.active[key]);
+    delete state.active[key];
+  }
+  return notifications;
+}
+
+/** POST queued notifications in order; stops at the first failure and retries next tick. */
+async function deliverWebhook(ctx) {
+  const { state, config } = ctx;
+  if (!config.webhook.url || state.outbox.length === 0) return { delivered: 0, error: null };
+
+  let delivered = 0;
+  while (state.outbox.length > 0) {
+    try {
+      const res = await fetch(config.webhook.url, {
+        method: "POST",
+        headers: { "content-type": "application/json", ...config.webhook.headers },
+        body: JSON.stringify(state.outbox[0]),
+        signal: AbortSignal.timeout(config.webhook.timeoutMs),
+      });
+      if (!res.ok) throw new Error(`${config.webhook.url} responded ${res.status}`);
+    } catch (err) {
+      return { delivered, error: revertReason(err) };
+    }
+    state.outbox.shift();
+    delivered++;
+  }
+  return { delivered, error: null };
+}
+
+async function tick(ctx, control) {
+  const snapshot = await readSnapshot(ctx);
+  const notifications = updateAlerts(ctx, snapshot);
+
+  if (ctx.config.webhook.url) {
+    for (const n of notifications) {
+      ctx.state.outbox.push({
+        source: "hoodgap-monitor",
+        network: hre.network.name,
+        hoodgap: ctx.deployment.addresses.hoodgap,
+        status: n.status,
+        rule: n.rule,
+        type: n.type,
+        severity: n.severity,
+        subject: n.subject,
+        message: n.message,
+        since: isoTime(n.since),
+        at: isoTime(n.at),
+      });
+    }
+    // A long outage should not grow the file forever; the oldest posts go first
+    if (ctx.state.outbox.length > MAX_OUTBOX) ctx.state.outbox.splice(0, ctx.state.outbox.length - MAX_OUTBOX);
+  }
+  const webhook = await deliverWebhook(ctx);
+  saveState(ctx.options.stateFile, ctx.state);
+
+  const active = Object.values(ctx.state.active);
+  return {
+    tick: control.ticks,
+    at: new Date().toISOString(),
+    blockTimestamp: snapshot.now,
+    utilizationBps: snapshot.pool.utilizationBps,
+    exposureSource: snapshot.exposure.source,
+    notifications,
+    active,
+    webhook: { ...webhook, queued: ctx.state.outbox.length },
+    ok: !active.some((a) => a.severity === "critical"),
+  };
+}
+
+// ── Output ────────────────────────────────────────────────────────────
+
+const SEVERITY_ICON = { info: "ℹ️ ", warning: "⚠️ ", critical: "🚨" };
+
+function printReport(report) {
+  console.log(
+    `\n[${report.at}] poll ${report.tick} · block time ${isoTime(report.blockTimestamp)} · ` +
+      `utilization ${Number(report.utilizationBps) / 100}%`
+  );
+  for (const n of report.notifications) {
+    const icon = n.status === "resolved" ? "✅" : SEVERITY_ICON[n.severity];
+    const label = n.status === "resolved" ? "resolved" : n.severity;
+    console.log(`  ${icon} [${label}] ${n.key}: ${n.message}`);
+  }
+  const ongoing = report.active.length - report.notifications.filter((n) => n.status === "firing").length;
+  if (ongoing > 0) console.log(`  🔁 ${ongoing} alert(s) still active`);
+  if (report.active.length === 0 && report.notifications.length === 0) console.log("  💚 All rules passing");
+  if (report.webhook.error) {
+    console.log(`  ❌ Webhook: ${report.webhook.error} — ${report.webhook.queued} notification(s) queued for retry`);
+  } else if (report.webhook.delivered > 0) {
+    console.log(`  📤 Webhook: delivered ${report.webhook.delivered}`);
+  }
+}
+
+// ── Main ──────────────────────────────────────────────────────────────
+
+async function main() {
+  const { flags } = cli;
+  const deployment = loadDeployment(hre.network.name);
+  const { hoodgap } = await attachContracts(hre, deployment);
+
+  const configFile = path.resolve(flags.config || DEFAULT_CONFIG);
+  const options = {
+    once: flags.once,
+    interval: Number(bigintFlag(flags, "interval", 60n)) * 1000,
+    stateFile: path.resolve(flags.state || path.join(DEPLOYMENTS_DIR, `${deployment.name}.monitor.json`)),
+  };
+  const config = loadConfig(configFile, flags.webhook);
+  const ctx = { hoodgap, deployment, config, options, state: loadState(options.stateFile, deployment) };
+
+  if (!flags.json) {
+    console.log("\n🩺 HoodGap Monitor");
+    console.log("   Network:", hre.network.name);
+    console.log("   HoodGap:", deployment.addresses.hoodgap);
+    console.log("   Rules:  ", `${config.rules.length} from ${path.relative(process.cwd(), configFile)}`);
+    console.log("   Webhook:", config.webhook.url ?? "— (stdout only)");
+    console.log("   State:  ", path.relative(process.cwd(), options.stateFile));
+    console.log("─".repeat(50));
+  }
+
+  await runDaemon({
+    intervalMs: options.interval,
+    once: options.once,
+    json: flags.json,
+    tick: (control) => tick(ctx, control),
+    print: printReport,
+  });
+}
+
+main().catch((error) => {
+  if (cli.flags.json) console.log(toJSON({ ok: false, error: revertReason(error) }, 0));
+  else console.error(`\n  ❌ ${revertReason(error)}\n`);
+  process.exitCode = 1;
+});
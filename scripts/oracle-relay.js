@@ -0,0 +1,275 @@
+/**
+ * oracle-relay.js — Pushes market closes and opens to the price oracle
+ *
+ * Walks the HoodGap market calendar (@hoodgap/sdk's getMarketClose /
+ * getNextMarketOpen, which match the contract's views, with the holidays and
+ * early closes the deployment has published) and,
+ * as each event passes on-chain, writes the price from a pluggable source to
+ * MockChainlinkOracle with `updatedAt` set to the event time. Settlements
+ * then see the open price that actually followed each close, instead of
+ * whatever price was last re-stamped.
+ *
+ * Between events the last market price is re-stamped every --heartbeat
+ * seconds, like a Chainlink heartbeat, so purchases are not blocked by the
+ * contract's 24h staleness check over weekends.
+ *
+ * Every round written is appended to deployments/<name>.oracle-rounds.jsonl;
+ * the calendar cursor lives in deployments/<name>.relay.json.
+ *
+ * Usage:
+ *   node scripts/oracle-relay.js --source csv:data/TSLA.csv --from 2024-01-02 --network localhost
+ *   node scripts/oracle-relay.js --source json:fixtures/split-week.json --once --network localhost
+ *   node scripts/oracle-relay.js --source http://127.0.0.1:8787/price --network localhost
+ *
+ * Flags:
+ *   --source SPEC       csv:<file> | json:<file> | http://… (see lib/price-sources.js)
+ *   --from DATE         first bar to replay for csv/json bars (default: first bar)
+ *   --interval SEC      seconds between ticks (default 15)
+ *   --heartbeat SEC     re-stamp the last price after this long, 0 = off (default 3600)
+ *   --max-backfill N    most missed events pushed in one tick (default 20)
+ *   --once              run a single tick and exit
+ *   --dry-run           print the rounds that would be written, send nothing
+ *   --state FILE        cursor file (default deployments/<name>.relay.json)
+ *   --json              one JSON line per tick
+ */
+
+const { parseCommandLine, bigintFlag, toJSON, revertReason } = require("./lib/cli");
+
+const cli = parseCommandLine({
+  source: { type: "string" },
+  from: { type: "string" },
+  interval: { type: "string" },
+  heartbeat: { type: "string" },
+  "max-backfill": { type: "string" },
+  once: { type: "boolean", default: false },
+  "dry-run": { type: "boolean", default: false },
+  state: { type: "string" },
+});
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { DEPLOYMENTS_DIR, loadDeployment, attachContracts } = require("./lib/deployment");
+const { createPriceSource } = require("./lib/price-sources");
+const { runDaemon } = require("./lib/daemon");
+const { calendar } = require("@hoodgap/sdk");
+
+const STATE_VERSION = 2; // 2: replay anchor counts trading days, not calendar slots
+const MAX_SCAN = 10_000; // calendar events walked per tick before giving up
+const DAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri"];
+
+const isoTime = (ts) => new Date(Number(ts) * 1000).toISOString().replace(".000Z", "Z");
+const label = (e) => `${e.kind.padEnd(5)} w${e.week} ${DAY_NAMES[Number(e.day)]}`;
+
+// ── Calendar walk ─────────────────────────────────────────────────────
+
+/**
+ * close(w, d) → open(w, d) → close of the next trading day … open(w, d) is the
+ * open that ends gap (w, d): next Monday's for Friday, later across holidays.
+ */
+function nextEvent(market, e) {
+  if (e.kind === "close") return { kind: "open", week: e.week, day: e.day };
+  const next = market.nextTradingDay(Number(e.week), Number(e.day));
+  return { kind: "close", week: BigInt(next.week), day: BigInt(next.day) };
+}
+
+function eventTime(market, e) {
+  const at = e.kind === "close" ? market.getMarketClose : market.getNextMarketOpen;
+  return BigInt(at(Number(e.week), Number(e.day)));
+}
+
+/** Most recent event at or before `now`; where a fresh relay starts. */
+function latestPastEvent(market, now) {
+  const week = calendar.getWeekNumber(Number(now));
+  const start = week > 0 ? week - 1 : 0;
+  let latest = null;
+  let e = { kind: "close", week: BigInt(start), day: BigInt(market.tradingDays(start)[0]) };
+  for (let i = 0; i < 20; i++, e = nextEvent(market, e)) {
+    const timestamp = eventTime(market, e);
+    if (timestamp > now) break;
+    latest = e;
+  }
+  return latest;
+}
+
+// ── State & round log ─────────────────────────────────────────────────
+
+function freshState(oracleAddress) {
+  return { version: STATE_VERSION, oracle: oracleAddress, cursor: null, anchor: null, rounds: 0 };
+}
+
+function loadState(file, oracleAddress) {
+  if (!fs.existsSync(file)) return freshState(oracleAddress);
+  const state = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (state.oracle !== oracleAddress) {
+    console.warn(`⚠ ${path.relative(process.cwd(), file)} belongs to another oracle — starting fresh`);
+    return freshState(oracleAddress);
+  }
+  if (state.version !== STATE_VERSION) {
+    console.warn(`⚠ ${path.relative(process.cwd(), file)} was written by an older relay — starting fresh`);
+    return freshState(oracleAddress);
+  }
+  return state;
+}
+
+function saveState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, toJSON(state) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+const encodeEvent = (e) => ({ kind: e.kind, week: e.week.toString(), day: e.day.toString() });
+const decodeEvent = (e) => ({ kind: e.kind, week: BigInt(e.week), day: BigInt(e.day) });
+
+// ── Tick ──────────────────────────────────────────────────────────────
+
+async function writeRound(ctx, round, answer, updatedAt) {
+  const { oracle, options } = ctx;
+  if (options.dryRun) return { ...round, answer, updatedAt, status: "simulated" };
+
+  const receipt = await (await oracle.update(answer, updatedAt)).wait();
+  const written = {
+    ...round,
+    answer,
+    updatedAt,
+    status: "written",
+    roundId: await oracle.roundId(),
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+  };
+  fs.appendFileSync(options.logFile, toJSON({ at: new Date().toISOString(), ...written }, 0) + "\n");
+  ctx.state.rounds++;
+  return written;
+}
+
+async function tick(ctx, control) {
+  const { hoodgap, oracle, source, state, options } = ctx;
+  const now = BigInt((await hre.ethers.provider.getBlock("latest")).timestamp);
+  const report = { tick: control.ticks, at: new Date().toISOString(), blockTimestamp: now, rounds: [], skipped: 0 };
+
+  // Published holidays and early closes from the cursor up to the next event
+  const week = calendar.getWeekNumber(Number(now));
+  const fromWeek = state.cursor ? Number(state.cursor.week) : week - 1;
+  const market = await calendar.loadCalendar(hoodgap, fromWeek, week + 2);
+
+  // Collect every calendar event that passed since the last one handled
+  let event = state.cursor ? nextEvent(market, decodeEvent(state.cursor)) : latestPastEvent(market, now);
+  let due = [];
+  for (let i = 0; event && i < MAX_SCAN; i++, event = nextEvent(market, event)) {
+    const timestamp = eventTime(market, event);
+    if (timestamp > now) {
+      report.next = { ...event, timestamp };
+      break;
+    }
+    due.push({ ...event, timestamp });
+  }
+  if (due.length > options.maxBackfill) {
+    report.skipped = due.length - options.maxBackfill;
+    due = due.slice(-options.maxBackfill);
+  }
+
+  for (const e of due) {
+    if (control.stopping) break;
+
+    const quote = await source.priceAt(e, market);
+    if (!quote) {
+      report.rounds.push({ ...e, status: "no-price" });
+    } else {
+      const answer = hre.ethers.parseUnits(Number(quote.price).toFixed(ctx.decimals), ctx.decimals);
+      report.rounds.push(await writeRound(ctx, { ...e, price: quote.price, ref: quote.ref }, answer, e.timestamp));
+    }
+
+    state.cursor = encodeEvent(e);
+    state.anchor = source.anchor;
+    if (!options.dryRun) saveState(options.stateFile, state);
+  }
+
+  // Heartbeat: re-stamp the last market price, never invent a new one
+  if (options.heartbeat > 0n && !control.stopping) {
+    const [, answer, , updatedAt] = await oracle.latestRoundData();
+    const lastWritten = report.rounds.findLast((r) => r.status !== "no-price");
+    const lastUpdate = lastWritten ? lastWritten.updatedAt : updatedAt;
+    if (answer > 0n && now - lastUpdate >= options.heartbeat) {
+      const stamp = await writeRound(ctx, { kind: "heartbeat", timestamp: now }, lastWritten?.answer ?? answer, now);
+      report.rounds.push(stamp);
+    }
+  }
+
+  if (!options.dryRun) saveState(options.stateFile, state);
+  return report;
+}
+
+// ── Output ────────────────────────────────────────────────────────────
+
+function printReport(report) {
+  console.log(`\n[${report.at}] tick ${report.tick} · block time ${isoTime(report.blockTimestamp)}`);
+  if (report.skipped > 0) console.log(`  ⚠️  ${report.skipped} older events skipped (raise --max-backfill to replay them)`);
+
+  for (const r of report.rounds) {
+    const price = r.answer !== undefined ? `$${Number(hre.ethers.formatUnits(r.answer, 8)).toFixed(2)}` : "";
+    if (r.kind === "heartbeat") {
+      console.log(`  💓 heartbeat      ${price} re-stamped${r.roundId ? ` → round ${r.roundId}` : " (dry run)"}`);
+    } else if (r.status === "no-price") {
+      console.log(`  ⏭️  ${label(r)}  no price from source`);
+    } else {
+      const icon = r.kind === "close" ? "🔔" : "📈";
+      const written = r.roundId ? `→ round ${r.roundId}` : "(dry run)";
+      console.log(`  ${icon} ${label(r)}  ${price.padEnd(12)} @ ${isoTime(r.timestamp)} ${written}  [${r.ref}]`);
+    }
+  }
+
+  if (report.rounds.length === 0) console.log("  💤 Nothing due");
+  if (report.next) console.log(`  ⏭  next: ${label(report.next)} at ${isoTime(report.next.timestamp)}`);
+}
+
+// ── Main ──────────────────────────────────────────────────────────────
+
+async function main() {
+  const { flags } = cli;
+  if (!flags.source) throw new Error("--source is required (csv:<file>, json:<file> or http://…)");
+
+  const deployment = loadDeployment(hre.network.name);
+  const { hoodgap, oracle } = await attachContracts(hre, deployment);
+  if (!oracle) throw new Error(`No oracle address in deployments/${deployment.name}.json`);
+
+  const options = {
+    dryRun: flags["dry-run"],
+    once: flags.once,
+    interval: Number(bigintFlag(flags, "interval", 15n)) * 1000,
+    heartbeat: bigintFlag(flags, "heartbeat", 3600n),
+    maxBackfill: Number(bigintFlag(flags, "max-backfill", 20n)),
+    stateFile: path.resolve(flags.state || path.join(DEPLOYMENTS_DIR, `${deployment.name}.relay.json`)),
+    logFile: path.join(DEPLOYMENTS_DIR, `${deployment.name}.oracle-rounds.jsonl`),
+  };
+  if (options.maxBackfill < 1) throw new Error("--max-backfill must be at least 1");
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+
+  const state = loadState(options.stateFile, deployment.addresses.oracle);
+  const source = createPriceSource(flags.source, { from: flags.from, anchor: state.anchor });
+  const ctx = { hoodgap, oracle, source, state, options, decimals: Number(await oracle.decimals()) };
+
+  if (!flags.json) {
+    console.log(`\n📡 HoodGap Oracle Relay${options.dryRun ? " (dry run)" : ""}`);
+    console.log("   Network:", hre.network.name);
+    console.log("   Oracle: ", deployment.addresses.oracle);
+    console.log("   Source: ", source.describe());
+    console.log("   Rounds: ", path.relative(process.cwd(), options.logFile));
+    console.log("─".repeat(50));
+  }
+
+  await runDaemon({
+    intervalMs: options.interval,
+    once: options.once,
+    json: flags.json,
+    tick: (control) => tick(ctx, control),
+    print: printReport,
+  });
+
+  if (!flags.json) console.log(`\n  📊 Lifetime rounds written: ${state.rounds}\n`);
+}
+
+main().catch((error) => {
+  if (cli.flags.json) console.log(toJSON({ ok: false, error: revertReason(error) }, 0));
+  else console.error(`\n  ❌ ${revertReason(error)}\n`);
+  process.exitCode = 1;
+});
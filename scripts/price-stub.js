@@ -0,0 +1,131 @@
+/**
+ * price-stub.js — Local HTTP price feed for the oracle relay
+ *
+ * Serves a seeded random walk over the HoodGap calendar so the relay's HTTP
+ * source can be exercised without market data. Overnight gaps and intraday
+ * moves use separate volatilities (weekend gaps are 1.5× wider), and
+ * --shock pins a specific gap to force payouts in demos.
+ *
+ *   GET /price?kind=close|open&week=W&day=D  → { "price": 251.37, "ref": "walk seed=1 #1505" }
+ *   GET /health                              → { "ok": true }
+ *
+ * Usage:
+ *   node scripts/price-stub.js --port 8787 --seed 7
+ *   node scripts/price-stub.js --shock 302:4:-0.08     # open after Fri close of week 302 gaps -8%
+ *
+ *   node scripts/oracle-relay.js --source http://127.0.0.1:8787/price --network localhost
+ */
+
+const { parseCommandLine } = require("./lib/cli");
+
+const cli = parseCommandLine({
+  port: { type: "string", default: "8787" },
+  seed: { type: "string", default: "1" },
+  start: { type: "string", default: "250" },
+  "gap-vol": { type: "string", default: "0.02" },
+  "day-vol": { type: "string", default: "0.025" },
+  shock: { type: "string", multiple: true, default: [] },
+});
+
+const http = require("http");
+const { ordinal } = require("./lib/price-sources");
+const { mulberry32, gaussian } = require("./lib/random");
+
+const WEEKEND_GAP_MULTIPLIER = 1.5;
+
+/**
+ * Random walk keyed by trading-day ordinal. The first ordinal requested gets
+ * the start price; later ones extend the path (earlier ones are 404s).
+ */
+function createWalk({ seed, start, gapVol, dayVol, shocks }) {
+  const random = mulberry32(seed);
+  const days = []; // days[i] = { close, open } for ordinal base + i
+  let base = null;
+
+  function extendTo(target) {
+    if (base === null) {
+      base = target;
+      days.push({ close: start });
+    }
+    while (base + days.length - 1 < target + 1) {
+      const prev = days[days.length - 1];
+      const ord = base + days.length - 1;
+      if (prev.open === undefined) {
+        const weekend = ord % 5 === 4;
+        const shock = shocks.get(ord);
+        const gap = shock ?? gaussian(random) * gapVol * (weekend ? WEEKEND_GAP_MULTIPLIER : 1);
+        prev.open = prev.close * (1 + gap);
+      }
+      days.push({ close: prev.open * Math.exp(gaussian(random) * dayVol) });
+    }
+  }
+
+  return (event) => {
+    const ord = ordinal(event);
+    if (base !== null && ord < base) return null;
+    extendTo(ord);
+    const day = days[ord - base];
+    return Number((event.kind === "close" ? day.close : day.open).toFixed(2));
+  };
+}
+
+function parseShocks(specs) {
+  const shocks = new Map();
+  for (const spec of specs) {
+    const match = /^(\d+):([0-4]):(-?\d*\.?\d+)$/.exec(spec);
+    if (!match) throw new Error(`--shock must look like WEEK:DAY:RETURN (e.g. 302:4:-0.08), got "${spec}"`);
+    shocks.set(Number(match[1]) * 5 + Number(match[2]), Number(match[3]));
+  }
+  return shocks;
+}
+
+function main() {
+  const { flags } = cli;
+  const seed = Number(flags.seed);
+  const priceAt = createWalk({
+    seed,
+    start: Number(flags.start),
+    gapVol: Number(flags["gap-vol"]),
+    dayVol: Number(flags["day-vol"]),
+    shocks: parseShocks(flags.shock),
+  });
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === "/health") return send(200, { ok: true });
+    if (url.pathname !== "/price") return send(404, { error: "not found" });
+
+    const kind = url.searchParams.get("kind");
+    const week = Number(url.searchParams.get("week"));
+    const day = Number(url.searchParams.get("day"));
+    if (!["close", "open"].includes(kind) || !Number.isInteger(week) || !(day >= 0 && day <= 4)) {
+      return send(400, { error: "expected kind=close|open, week and day=0-4" });
+    }
+
+    const price = priceAt({ kind, week, day });
+    if (price === null) return send(404, { error: "before the start of the walk" });
+    console.log(`  ${kind.padEnd(5)} w${week} d${day} → $${price}`);
+    return send(200, { price, ref: `walk seed=${seed} #${week * 5 + day}` });
+  });
+
+  server.listen(Number(flags.port), "127.0.0.1", () => {
+    console.log(`\n💹 Price stub on http://127.0.0.1:${flags.port}/price (seed ${seed}, start $${flags.start})`);
+    if (flags.shock.length > 0) console.log(`   Shocks: ${flags.shock.join(", ")}`);
+  });
+
+  const stop = () => server.close();
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
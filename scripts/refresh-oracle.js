@@ -1,10 +1,18 @@
+/**
+ * refresh-oracle.js — Re-stamp the current oracle price with the latest block time
+ *
+ * Last-resort unblocker for a stale local oracle. It does not model closes
+ * and opens; run scripts/oracle-relay.js for a realistic price path.
+ *
+ * Usage:
+ *   npx hardhat run scripts/refresh-oracle.js --network localhost
+ */
+
 const hre = require("hardhat");
+const { loadDeployment, attachContracts } = require("./lib/deployment");
 
 async function main() {
-  const oracle = await hre.ethers.getContractAt(
-    "MockChainlinkOracle",
-    "0xBcfA353B27EA9d3d45CBE657d07BEbE5950715fA"
-  );
+  const { oracle } = await attachContracts(hre, loadDeployment(hre.network.name));
 
   const block = await hre.ethers.provider.getBlock("latest");
   const now = block.timestamp;
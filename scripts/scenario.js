@@ -0,0 +1,70 @@
+/**
+ * scenario.js — Run declarative protocol scenarios
+ *
+ * Executes YAML/JSON scenario files (format in lib/scenario.js): each one
+ * deploys fresh contracts, funds its actors, runs stakes, purchases, oracle
+ * prices, split approvals and calendar-aligned time jumps, and checks its
+ * `expect` blocks. Chain state is rolled back after every scenario.
+ *
+ * Usage:
+ *   node scripts/scenario.js                                   # every file in scenarios/
+ *   node scripts/scenario.js scenarios/stock-split.yaml
+ *   node scripts/scenario.js scenarios/ --network localhost --json
+ *
+ * Flags:
+ *   --network NAME  run against a node (default: the in-process hardhat network)
+ *   --json          print the reports as JSON
+ *
+ * Exits non-zero when a step reverts unexpectedly or an expectation fails.
+ */
+
+const { parseCommandLine, toJSON, revertReason } = require("./lib/cli");
+
+const cli = parseCommandLine();
+
+const path = require("path");
+const hre = require("hardhat");
+const { loadScenario, scenarioFiles, runScenario } = require("./lib/scenario");
+
+const DEFAULT_DIR = path.join(__dirname, "..", "scenarios");
+const say = cli.flags.json ? () => {} : console.log;
+
+async function main() {
+  const args = [cli.command, ...cli.positionals].filter(Boolean);
+  const files = scenarioFiles(args.length > 0 ? args : [DEFAULT_DIR]);
+  if (files.length === 0) throw new Error("No scenario files found");
+
+  // Parse everything first so a typo fails before any chain work
+  const scenarios = files.map(loadScenario);
+
+  say(`\n🎬 HoodGap scenarios — ${scenarios.length} file${scenarios.length === 1 ? "" : "s"}`);
+  say("   Network:", hre.network.name);
+
+  const reports = [];
+  for (const scenario of scenarios) {
+    say("\n" + "─".repeat(65));
+    say(`📜 ${scenario.name} (${path.relative(process.cwd(), scenario.file)})`);
+    if (scenario.description) say(`   ${scenario.description.trim().replace(/\n/g, "\n   ")}`);
+    say("");
+
+    const report = await runScenario(hre, scenario, { log: say });
+    reports.push(report);
+    say(report.ok ? "\n  ✅ Passed" : "\n  ❌ Failed");
+  }
+
+  const failed = reports.filter((r) => !r.ok);
+  if (cli.flags.json) console.log(toJSON({ ok: failed.length === 0, scenarios: reports }));
+  else {
+    console.log("\n" + "─".repeat(65));
+    console.log(`🏁 ${reports.length - failed.length}/${reports.length} scenarios passed`);
+    for (const r of failed) console.log(`   ❌ ${r.name}`);
+    console.log();
+  }
+  if (failed.length > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  if (cli.flags.json) console.log(toJSON({ ok: false, error: revertReason(error) }, 0));
+  else console.error(`\n  ❌ ${revertReason(error)}\n`);
+  process.exitCode = 1;
+});
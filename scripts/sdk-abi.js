@@ -0,0 +1,33 @@
+/**
+ * sdk-abi.js — Copy the compiled HoodGap ABI into @hoodgap/sdk
+ *
+ * packages/sdk/abi/HoodGap.json is what the frontend and connectHoodGap()
+ * use; refresh it after changing the contract (test/unit/Sdk.test.js fails
+ * until you do).
+ *
+ * Usage:
+ *   npm run sdk:abi            # hardhat compile && node scripts/sdk-abi.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ARTIFACT = path.join(__dirname, "..", "artifacts", "contracts", "HoodGap.sol", "HoodGap.json");
+const TARGET = path.join(__dirname, "..", "packages", "sdk", "abi", "HoodGap.json");
+
+function main() {
+  if (!fs.existsSync(ARTIFACT)) throw new Error("No HoodGap artifact — run `npx hardhat compile` first");
+  const { abi } = JSON.parse(fs.readFileSync(ARTIFACT, "utf8"));
+  const next = JSON.stringify(abi, null, 2) + "\n";
+  const changed = !fs.existsSync(TARGET) || fs.readFileSync(TARGET, "utf8") !== next;
+
+  if (changed) fs.writeFileSync(TARGET, next);
+  console.log(changed ? `✅ Updated ${path.relative(process.cwd(), TARGET)}` : "✅ SDK ABI already up to date");
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
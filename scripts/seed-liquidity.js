@@ -9,42 +9,11 @@
  */
 
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { toUSDC, formatUSDC: fmt } = require("@hoodgap/sdk");
+const { loadDeployment, attachContracts } = require("./lib/deployment");
 
 // ── Config ───────────────────────────────────────────────────────────
 const SEED_AMOUNT_USD = 100_000; // $100,000 initial liquidity
-const USDC_DECIMALS = 6;
-const toUSDC = (n) => BigInt(Math.round(n * 10 ** USDC_DECIMALS));
-const fromUSDC = (n) => Number(n) / 10 ** USDC_DECIMALS;
-const fmt = (n) => `$${fromUSDC(n).toLocaleString("en-US", { minimumFractionDigits: 2 })}`;
-
-async function getAddresses() {
-  // Try reading from frontend/.env.local first (auto-generated by deploy.js)
-  const envPath = path.join(__dirname, "..", "frontend", ".env.local");
-  if (fs.existsSync(envPath)) {
-    const env = fs.readFileSync(envPath, "utf8");
-    const match = (key) => {
-      const m = env.match(new RegExp(`${key}=(.+)`));
-      return m ? m[1].trim() : null;
-    };
-    const hoodgap = match("NEXT_PUBLIC_HOODGAP_ADDRESS");
-    const usdc = match("NEXT_PUBLIC_USDC_ADDRESS");
-    if (hoodgap && usdc) return { hoodgap, usdc };
-  }
-
-  // Fallback: try .env
-  if (process.env.HOODGAP_ADDRESS_TESTNET && process.env.USDC_ADDRESS_TESTNET) {
-    return {
-      hoodgap: process.env.HOODGAP_ADDRESS_TESTNET,
-      usdc: process.env.USDC_ADDRESS_TESTNET,
-    };
-  }
-
-  throw new Error(
-    "Cannot find contract addresses. Run deploy.js first, or set HOODGAP_ADDRESS_TESTNET and USDC_ADDRESS_TESTNET in .env"
-  );
-}
 
 async function main() {
   console.log("\n🌱 HoodGap — Seed Liquidity Script");
@@ -54,14 +23,13 @@ async function main() {
   const [signer] = await hre.ethers.getSigners();
   console.log("   Signer: ", signer.address);
 
-  const { hoodgap: hoodgapAddr, usdc: usdcAddr } = await getAddresses();
+  const deployment = loadDeployment(hre.network.name);
+  const { hoodgap, usdc } = await attachContracts(hre, deployment);
+  const hoodgapAddr = deployment.addresses.hoodgap;
   console.log("   HoodGap:", hoodgapAddr);
-  console.log("   USDC:   ", usdcAddr);
+  console.log("   USDC:   ", deployment.addresses.usdc);
   console.log("─".repeat(50));
 
-  const hoodgap = await hre.ethers.getContractAt("HoodGap", hoodgapAddr);
-  const usdc = await hre.ethers.getContractAt("MockUSDC", usdcAddr);
-
   const seedAmount = toUSDC(SEED_AMOUNT_USD);
 
   // Check existing balance
@@ -1,39 +1,16 @@
 /**
  * verify.js — Verify deployed contracts on block explorer
  *
- * Reads addresses from frontend/.env.local (auto-generated by deploy.js)
- * and submits source code verification to the Robinhood Chain explorer.
+ * Reads addresses and constructor args from deployments/<network>.json
+ * (written by deploy.js) and submits source code verification to the
+ * Robinhood Chain explorer.
  *
  * Usage:
  *   npx hardhat run scripts/verify.js --network robinhoodTestnet
  */
 
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
-
-async function getDeployedAddresses() {
-  const envPath = path.join(__dirname, "..", "frontend", ".env.local");
-  if (!fs.existsSync(envPath)) {
-    throw new Error("frontend/.env.local not found. Run deploy.js first.");
-  }
-
-  const env = fs.readFileSync(envPath, "utf8");
-  const match = (key) => {
-    const m = env.match(new RegExp(`${key}=(.+)`));
-    return m ? m[1].trim() : null;
-  };
-
-  const hoodgap = match("NEXT_PUBLIC_HOODGAP_ADDRESS");
-  const usdc = match("NEXT_PUBLIC_USDC_ADDRESS");
-  const oracle = match("NEXT_PUBLIC_ORACLE_ADDRESS");
-
-  if (!hoodgap || !usdc || !oracle) {
-    throw new Error("Missing contract addresses in frontend/.env.local");
-  }
-
-  return { hoodgap, usdc, oracle };
-}
+const { loadDeployment } = require("./lib/deployment");
 
 async function verifyContract(name, address, constructorArgs) {
   console.log(`\n  Verifying ${name} at ${address}...`);
@@ -64,7 +41,11 @@ async function main() {
     return;
   }
 
-  const { hoodgap, usdc, oracle } = await getDeployedAddresses();
+  const deployment = loadDeployment(hre.network.name);
+  const { hoodgap, usdc, oracle } = deployment.addresses;
+  if (!hoodgap || !usdc || !oracle) {
+    throw new Error(`Missing contract addresses for ${deployment.name}`);
+  }
   console.log("   HoodGap:", hoodgap);
   console.log("   USDC:   ", usdc);
   console.log("   Oracle: ", oracle);
@@ -78,13 +59,17 @@ async function main() {
   if (await verifyContract("MockUSDC", usdc, [])) success++;
 
   // MockChainlinkOracle: constructor(int256 _price, uint256 _updatedAt)
-  // We need to reconstruct the args — read from oracle contract
+  // The manifest records the deploy-time args; oracle state has moved on since
+  const recordedArgs = deployment.contracts.oracle?.constructorArgs;
   try {
-    const oracleContract = await hre.ethers.getContractAt("MockChainlinkOracle", oracle);
-    const price = await oracleContract.price();
-    const updatedAt = await oracleContract.updatedAt();
+    let oracleArgs = recordedArgs;
+    if (!oracleArgs) {
+      console.log("\n  ⚠️  No constructor args recorded — falling back to current oracle state");
+      const oracleContract = await hre.ethers.getContractAt("MockChainlinkOracle", oracle);
+      oracleArgs = [await oracleContract.price(), await oracleContract.updatedAt()];
+    }
     total++;
-    if (await verifyContract("MockChainlinkOracle", oracle, [price, updatedAt])) success++;
+    if (await verifyContract("MockChainlinkOracle", oracle, oracleArgs)) success++;
   } catch (err) {
     console.log(`\n  ⚠️  Could not read oracle state for verification: ${err.message}`);
     console.log("     Try verifying MockChainlinkOracle manually on the explorer.");
@@ -13,12 +13,14 @@
 
 const { ethers }             = require("hardhat");
 const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { calendar, findEvent } = require("@hoodgap/sdk");
 
 // ─── Timing constants (must match HoodGapMath.sol) ────────────────────────────
-const REFERENCE_WEEK   = 1_609_940_200n;  // Wed 6-Jan-2021 14:30 UTC (Mon 9:30am EST)
+const REFERENCE_WEEK   = 1_609_770_600n;  // Mon 4-Jan-2021 14:30 UTC (9:30am EST)
 const WEEK_SECONDS     = 604_800n;
 const DAY_SECONDS      = 86_400n;
 const FAILSAFE_DELAY   = 48n * 3_600n;   // 48 hours
+const STAKE_COOLDOWN   = 7n * DAY_SECONDS; // matches HoodGap.STAKE_COOLDOWN
 
 // Market timing offsets (UTC)
 const MARKET_CLOSE_OFFSET = 75_600n;  // 21:00 UTC = 4pm EST
@@ -47,22 +49,13 @@ const THRESHOLD_5  = 500n;
 const THRESHOLD_10 = 1_000n;
 
 // ─── Solidity-matching helpers ────────────────────────────────────────────────
-function getWeekNumber(ts) { return (ts - REFERENCE_WEEK) / WEEK_SECONDS; }
-function getMonday(w)      { return REFERENCE_WEEK + w * WEEK_SECONDS; }
-function getFriday(w) {
-  return REFERENCE_WEEK + w * WEEK_SECONDS + 4n * DAY_SECONDS + MARKET_CLOSE_OFFSET - MARKET_OPEN_OFFSET;
-}
-function getMarketClose(w, day) {
-  const mondayMidnight = REFERENCE_WEEK + w * WEEK_SECONDS - MARKET_OPEN_OFFSET;
-  return mondayMidnight + day * DAY_SECONDS + MARKET_CLOSE_OFFSET;
-}
-function getNextMarketOpen(w, day) {
-  if (day < 4n) {
-    const mondayMidnight = REFERENCE_WEEK + w * WEEK_SECONDS - MARKET_OPEN_OFFSET;
-    return mondayMidnight + (day + 1n) * DAY_SECONDS + MARKET_OPEN_OFFSET;
-  }
-  return getMonday(w + 1n); // Friday → next Monday
-}
+// BigInt wrappers around the @hoodgap/sdk calendar, which Calendar.test.js
+// sweeps against HoodGapMath on chain.
+function getWeekNumber(ts) { return BigInt(calendar.getWeekNumber(Number(ts))); }
+function getMonday(w)      { return BigInt(calendar.getMonday(Number(w))); }
+function getFriday(w)      { return BigInt(calendar.getFriday(Number(w))); }
+function getMarketClose(w, day)    { return BigInt(calendar.getMarketClose(Number(w), Number(day))); }
+function getNextMarketOpen(w, day) { return BigInt(calendar.getNextMarketOpen(Number(w), Number(day))); }
 
 // ─── Fixture ─────────────────────────────────────────────────────────────────
 async function deployFixture() {
@@ -135,11 +128,7 @@ async function stakeThenBuy(ctx, coverage = COVERAGE_10K, threshold = THRESHOLD_
   await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
   const tx      = await ctx.hoodgap.connect(ctx.buyer).buyPolicy(coverage, threshold);
   const receipt = await tx.wait();
-  const iface   = ctx.hoodgap.interface;
-  const log     = receipt.logs
-    .map((l) => { try { return iface.parseLog(l); } catch { return null; } })
-    .find((e) => e && e.name === "PolicyPurchased");
-  return log.args.policyId;
+  return findEvent(ctx.hoodgap, receipt, "PolicyPurchased").policyId;
 }
 
 /**
@@ -152,12 +141,32 @@ async function advanceToOpen(ctx, day, openPrice, week) {
   await ctx.oracle.update(openPrice, openTs);
 }
 
+/**
+ * Sit out STAKE_COOLDOWN so everything staked so far can be withdrawn.
+ * That lands at the same point of the next week: refresh the oracle there,
+ * approve its settlement week and return the context pinned to it.
+ */
+async function passCooldown(ctx) {
+  await time.increase(STAKE_COOLDOWN);
+  const week = ctx.WEEK + 1n;
+  await ctx.oracle.update(await ctx.oracle.price(), await time.latest());
+  await ctx.hoodgap.connect(ctx.owner).approveSettlement(week + 1n, 10000, "test setup");
+  return {
+    ...ctx,
+    WEEK: week,
+    MONDAY_CLOSE: ctx.MONDAY_CLOSE + WEEK_SECONDS,
+    PIN_TIME: ctx.PIN_TIME + WEEK_SECONDS,
+    getClose: (day) => getMarketClose(week, BigInt(day)),
+    getOpen: (day) => getNextMarketOpen(week, BigInt(day)),
+  };
+}
+
 module.exports = {
-  REFERENCE_WEEK, WEEK_SECONDS, DAY_SECONDS, FAILSAFE_DELAY,
+  REFERENCE_WEEK, WEEK_SECONDS, DAY_SECONDS, FAILSAFE_DELAY, STAKE_COOLDOWN,
   MARKET_CLOSE_OFFSET, MARKET_OPEN_OFFSET,
   USDC, STAKE_100K, COVERAGE_500, COVERAGE_10K, BUYER_WALLET, MAX_COVERAGE,
   PRICE_250, PRICE_240, PRICE_237, PRICE_230, PRICE_252, PRICE_225, PRICE_200,
   THRESHOLD_5, THRESHOLD_10,
-  deploy, stakeThenBuy, advanceToOpen,
+  deploy, stakeThenBuy, advanceToOpen, passCooldown,
   getWeekNumber, getMonday, getFriday, getMarketClose, getNextMarketOpen,
 };
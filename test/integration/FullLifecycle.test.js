@@ -3,7 +3,7 @@
 /**
  * test/integration/FullLifecycle.test.js
  *
- * Tests: Complete end-to-end flows, access control (onlyOwner),
+ * Tests: Contract size limit, complete end-to-end flows, access control (onlyOwner),
  *        volatility timelock, pause/unpause, treasury, getPoolStats,
  *        canBuyPolicy, getPolicies views.
  *
@@ -11,12 +11,14 @@
  */
 
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, artifacts } = require("hardhat");
 const { time }   = require("@nomicfoundation/hardhat-network-helpers");
+const { pricing } = require("@hoodgap/sdk");
 const {
   deploy,
   stakeThenBuy,
   advanceToOpen,
+  passCooldown,
   USDC,
   STAKE_100K,
   COVERAGE_10K,
@@ -27,8 +29,15 @@ const {
 } = require("../helpers/setup");
 
 describe("Integration: FullLifecycle", function () {
+  // ─── Deployment ───────────────────────────────────────────────────────────────
+  // The hardhat network allows oversized contracts for HoodGapHarness; real chains do not
+  it("HoodGap fits the EIP-170 contract size limit", async function () {
+    const { deployedBytecode } = await artifacts.readArtifact("HoodGap");
+    expect((deployedBytecode.length - 2) / 2).to.be.at.most(24_576);
+  });
+
   // ─── End-to-end: stake → buy → no-payout → withdraw ─────────────────────────
-  it("full lifecycle: stake → buy → settle (no gap) → withdraw", async function () {
+  it("full lifecycle: stake → buy → settle (no gap) → withdraw principal + yield", async function () {
     const ctx      = await deploy();
     const policyId = await stakeThenBuy(ctx);
 
@@ -36,9 +45,17 @@ describe("Integration: FullLifecycle", function () {
     await advanceToOpen(ctx, 4, PRICE_252);
     await ctx.hoodgap.settlePolicy(policyId);
 
-    // Pool liquidity freed — staker can withdraw
-    await expect(() => ctx.hoodgap.connect(ctx.staker).requestWithdrawal(STAKE_100K))
-      .to.changeTokenBalance(ctx.usdc, ctx.staker, STAKE_100K);
+    // Pool liquidity freed — the sole staker redeems every share for the
+    // stake plus the premium's 18% yield (less one unit of rounding)
+    const { premium } = await ctx.hoodgap.policies(policyId);
+    const { stakerYield } = pricing.allocatePremium(premium);
+    const shares = await ctx.hoodgap.stakerShares(ctx.staker.address);
+    expect(shares).to.equal(STAKE_100K);
+
+    await passCooldown(ctx);
+    await expect(() => ctx.hoodgap.connect(ctx.staker).requestWithdrawal(shares))
+      .to.changeTokenBalance(ctx.usdc, ctx.staker, STAKE_100K + stakerYield - 1n);
+    expect(await ctx.hoodgap.totalShares()).to.equal(0n);
   });
 
   it("full lifecycle: stake → buy → settle (gap triggered) → holder receives full payout", async function () {
@@ -158,6 +175,7 @@ describe("Integration: FullLifecycle", function () {
     it("withdrawal still works while paused (users can exit)", async function () {
       const ctx = await deploy();
       await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+      await passCooldown(ctx);
       await ctx.hoodgap.pause();
       await expect(ctx.hoodgap.connect(ctx.staker).requestWithdrawal(USDC(5_000)))
         .to.not.be.reverted;
@@ -210,11 +228,13 @@ describe("Integration: FullLifecycle", function () {
       expect(reserve).to.equal(0n);
     });
 
-    it("getPoolStats utilization is 1000 (10%) after buying 10% of pool", async function () {
+    it("getPoolStats utilization is coverage over stake + yield after buying 10% of the stake", async function () {
       const ctx = await deploy();
-      await stakeThenBuy(ctx);
-      const [, , util] = await ctx.hoodgap.getPoolStats();
-      expect(util).to.equal(1_000n);
+      const policyId = await stakeThenBuy(ctx);
+      const { premium } = await ctx.hoodgap.policies(policyId);
+      const [staked, , util] = await ctx.hoodgap.getPoolStats();
+      expect(staked).to.equal(STAKE_100K + pricing.allocatePremium(premium).stakerYield);
+      expect(util).to.equal((COVERAGE_10K * 10_000n) / staked);
     });
 
     it("canBuyPolicy returns false when paused", async function () {
@@ -3,9 +3,10 @@
 /**
  * test/integration/StakeWithdraw.test.js
  *
- * Tests: stake(), requestWithdrawal (immediate + queued),
- *        cancelWithdrawalRequest(), processWithdrawalQueue(),
- *        getQueueStats(), getUserWithdrawals().
+ * Tests: stake(), requestWithdrawal (immediate + queued), the stake
+ *        cooldown, cancelWithdrawalRequest(), processWithdrawalQueue(),
+ *        getQueueStats(), getUserWithdrawals(), share price moves
+ *        from premium yield and payouts.
  *
  * Updated for all-gap model.
  */
@@ -13,14 +14,18 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time }   = require("@nomicfoundation/hardhat-network-helpers");
+const { pricing } = require("@hoodgap/sdk");
 const {
   deploy,
   stakeThenBuy,
   advanceToOpen,
+  passCooldown,
   USDC,
+  STAKE_COOLDOWN,
   STAKE_100K,
   COVERAGE_10K,
   PRICE_252,
+  PRICE_230,
   THRESHOLD_5,
 } = require("../helpers/setup");
 
@@ -45,7 +50,7 @@ describe("Integration: StakeWithdraw", function () {
       const ctx = await deploy();
       await expect(ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K))
         .to.emit(ctx.hoodgap, "Staked")
-        .withArgs(ctx.staker.address, STAKE_100K, (v) => typeof v === "bigint");
+        .withArgs(ctx.staker.address, STAKE_100K, STAKE_100K, (v) => typeof v === "bigint");
     });
 
     it("multiple stakers are tracked independently", async function () {
@@ -80,6 +85,7 @@ describe("Integration: StakeWithdraw", function () {
     it("pays out immediately when free liquidity is available", async function () {
       const ctx  = await deploy();
       await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+      await passCooldown(ctx);
       await expect(() => ctx.hoodgap.connect(ctx.staker).requestWithdrawal(USDC(10_000)))
         .to.changeTokenBalance(ctx.usdc, ctx.staker, USDC(10_000));
     });
@@ -87,6 +93,7 @@ describe("Integration: StakeWithdraw", function () {
     it("decreases stakerBalances and totalStaked on immediate withdrawal", async function () {
       const ctx = await deploy();
       await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+      await passCooldown(ctx);
       await ctx.hoodgap.connect(ctx.staker).requestWithdrawal(USDC(10_000));
       expect(await ctx.hoodgap.stakerBalances(ctx.staker.address)).to.equal(STAKE_100K - USDC(10_000));
       expect(await ctx.hoodgap.totalStaked()).to.equal(STAKE_100K - USDC(10_000));
@@ -95,6 +102,7 @@ describe("Integration: StakeWithdraw", function () {
     it("emits WithdrawalProcessed on immediate withdrawal", async function () {
       const ctx = await deploy();
       await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+      await passCooldown(ctx);
       await expect(ctx.hoodgap.connect(ctx.staker).requestWithdrawal(USDC(5_000)))
         .to.emit(ctx.hoodgap, "WithdrawalProcessed");
     });
@@ -102,11 +110,48 @@ describe("Integration: StakeWithdraw", function () {
     it("reverts when withdrawing more than staker balance", async function () {
       const ctx = await deploy();
       await ctx.hoodgap.connect(ctx.staker).stake(USDC(1_000));
+      await passCooldown(ctx);
       await expect(ctx.hoodgap.connect(ctx.staker).requestWithdrawal(USDC(2_000)))
         .to.be.revertedWith("Insufficient staker balance");
     });
   });
 
+  // ─── stake cooldown ──────────────────────────────────────────────────────────
+  describe("stake cooldown", function () {
+    it("blocks withdrawals until STAKE_COOLDOWN after a deposit", async function () {
+      const ctx = await deploy();
+      await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+      const stakedAt = await ctx.hoodgap.lastStakeTime(ctx.staker.address);
+
+      await time.setNextBlockTimestamp(stakedAt + STAKE_COOLDOWN - 1n);
+      await expect(ctx.hoodgap.connect(ctx.staker).requestWithdrawal(USDC(1_000)))
+        .to.be.revertedWith("Stake cooldown active");
+      await time.setNextBlockTimestamp(stakedAt + STAKE_COOLDOWN);
+      await expect(ctx.hoodgap.connect(ctx.staker).requestWithdrawal(USDC(1_000)))
+        .to.emit(ctx.hoodgap, "WithdrawalProcessed");
+    });
+
+    it("a deposit restarts the cooldown on the whole balance", async function () {
+      const ctx = await deploy();
+      await ctx.hoodgap.connect(ctx.staker).stake(USDC(50_000));
+      await passCooldown(ctx);
+      await ctx.hoodgap.connect(ctx.staker).stake(USDC(1_000));
+      await expect(ctx.hoodgap.connect(ctx.staker).requestWithdrawal(USDC(1_000)))
+        .to.be.revertedWith("Stake cooldown active");
+    });
+
+    it("a deposit timed before a big purchase can't take the yield straight out", async function () {
+      const ctx = await deploy();
+      await ctx.hoodgap.connect(ctx.alice).stake(USDC(50_000));
+      await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5);
+
+      const shares = await ctx.hoodgap.stakerShares(ctx.alice.address);
+      expect(await ctx.hoodgap.convertToAssets(shares)).to.be.gt(USDC(50_000));
+      await expect(ctx.hoodgap.connect(ctx.alice).requestWithdrawal(shares))
+        .to.be.revertedWith("Stake cooldown active");
+    });
+  });
+
   // ─── requestWithdrawal — queued ──────────────────────────────────────────────
   describe("requestWithdrawal() — queued", function () {
     async function fullPoolCtx() {
@@ -114,7 +159,7 @@ describe("Integration: StakeWithdraw", function () {
       await ctx.hoodgap.connect(ctx.staker).stake(COVERAGE_10K);
       await ctx.usdc.mint(ctx.staker.address, COVERAGE_10K);
       await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5);
-      return ctx;
+      return passCooldown(ctx);
     }
 
     it("queues when pool liquidity is fully locked", async function () {
@@ -147,6 +192,7 @@ describe("Integration: StakeWithdraw", function () {
       const ctx = await deploy();
       await ctx.hoodgap.connect(ctx.staker).stake(COVERAGE_10K);
       await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5);
+      await passCooldown(ctx);
       await ctx.hoodgap.connect(ctx.staker).requestWithdrawal(COVERAGE_10K);
       return ctx;
     }
@@ -171,6 +217,13 @@ describe("Integration: StakeWithdraw", function () {
         .to.be.revertedWith("Not your request");
     });
 
+    it("returns the escrowed shares", async function () {
+      const ctx = await queuedCtx();
+      expect(await ctx.hoodgap.stakerShares(ctx.staker.address)).to.equal(0n);
+      await ctx.hoodgap.connect(ctx.staker).cancelWithdrawalRequest(0n);
+      expect(await ctx.hoodgap.stakerShares(ctx.staker.address)).to.equal(COVERAGE_10K);
+    });
+
     it("reverts when request is already processed", async function () {
       const ctx = await queuedCtx();
       await ctx.hoodgap.connect(ctx.staker).cancelWithdrawalRequest(0n);
@@ -182,8 +235,9 @@ describe("Integration: StakeWithdraw", function () {
   // ─── processWithdrawalQueue ───────────────────────────────────────────────────
   describe("processWithdrawalQueue()", function () {
     it("processes requests when liquidity arrives from settlement", async function () {
-      const ctx = await deploy();
+      let ctx = await deploy();
       await ctx.hoodgap.connect(ctx.staker).stake(COVERAGE_10K);
+      ctx = await passCooldown(ctx);
       await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5);
 
       // Queue a withdrawal
@@ -207,6 +261,70 @@ describe("Integration: StakeWithdraw", function () {
     });
   });
 
+  // ─── Share price ──────────────────────────────────────────────────────────────
+  describe("share accounting", function () {
+    async function premiumPaidCtx() {
+      const ctx      = await deploy();
+      const policyId = await stakeThenBuy(ctx);
+      const { premium } = await ctx.hoodgap.policies(policyId);
+      return { ctx, stakerYield: pricing.allocatePremium(premium).stakerYield };
+    }
+
+    it("premium yield raises the value of existing shares", async function () {
+      const { ctx, stakerYield } = await premiumPaidCtx();
+      expect(await ctx.hoodgap.stakerShares(ctx.staker.address)).to.equal(STAKE_100K);
+      expect(await ctx.hoodgap.totalStaked()).to.equal(STAKE_100K + stakerYield);
+      expect(await ctx.hoodgap.stakerBalances(ctx.staker.address)).to.be.within(STAKE_100K + stakerYield - 1n, STAKE_100K + stakerYield);
+    });
+
+    it("later stakers buy in at the higher share price", async function () {
+      const { ctx } = await premiumPaidCtx();
+      await ctx.hoodgap.connect(ctx.alice).stake(USDC(50_000));
+
+      const shares = await ctx.hoodgap.stakerShares(ctx.alice.address);
+      expect(shares).to.be.lt(USDC(50_000));
+      expect(await ctx.hoodgap.stakerBalances(ctx.alice.address)).to.be.within(USDC(50_000) - 1n, USDC(50_000));
+    });
+
+    it("payouts lower every staker's value pro rata", async function () {
+      const { ctx } = await premiumPaidCtx();
+      await ctx.hoodgap.connect(ctx.alice).stake(USDC(50_000));
+      const [stakerBefore, aliceBefore] = await Promise.all([
+        ctx.hoodgap.stakerBalances(ctx.staker.address),
+        ctx.hoodgap.stakerBalances(ctx.alice.address),
+      ]);
+
+      await advanceToOpen(ctx, 4, PRICE_230); // 8% gap pays the $10k policy
+      await ctx.hoodgap.settlePolicy(0n);
+
+      const [stakerAfter, aliceAfter] = await Promise.all([
+        ctx.hoodgap.stakerBalances(ctx.staker.address),
+        ctx.hoodgap.stakerBalances(ctx.alice.address),
+      ]);
+      expect(stakerBefore - stakerAfter + aliceBefore - aliceAfter).to.be.within(COVERAGE_10K - 2n, COVERAGE_10K + 2n);
+      // Each absorbs the payout in proportion to their stake
+      const aliceShare = (COVERAGE_10K * aliceBefore) / (stakerBefore + aliceBefore);
+      expect(aliceBefore - aliceAfter).to.be.within(aliceShare - 2n, aliceShare + 2n);
+    });
+
+    it("queued shares are priced when the request is paid", async function () {
+      let ctx = await deploy();
+      await ctx.hoodgap.connect(ctx.staker).stake(COVERAGE_10K);
+      ctx = await passCooldown(ctx);
+      await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5);
+      await ctx.hoodgap.connect(ctx.staker).requestWithdrawal(COVERAGE_10K);
+
+      // The premium landed after the request was queued; the staker still earns it
+      const value = await ctx.hoodgap.convertToAssets(COVERAGE_10K);
+      expect(value).to.be.gt(COVERAGE_10K);
+
+      await advanceToOpen(ctx, 4, PRICE_252);
+      await expect(ctx.hoodgap.settlePolicy(0n))
+        .to.emit(ctx.hoodgap, "WithdrawalProcessed")
+        .withArgs(ctx.staker.address, value, COVERAGE_10K, 0n, (v) => typeof v === "bigint");
+    });
+  });
+
   // ─── getUserWithdrawals ───────────────────────────────────────────────────────
   describe("getUserWithdrawals()", function () {
     it("returns empty array when user has no requests", async function () {
@@ -221,6 +339,7 @@ describe("Integration: StakeWithdraw", function () {
       await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5);
       await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5);
       await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5);
+      await passCooldown(ctx);
 
       await ctx.hoodgap.connect(ctx.staker).requestWithdrawal(USDC(1_000));
       await ctx.hoodgap.connect(ctx.staker).requestWithdrawal(USDC(1_000));
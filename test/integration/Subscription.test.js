@@ -5,7 +5,8 @@
  *
  * Tests: buySubscription(), mintGapPolicy(), subscription lifecycle.
  * Updated for all-gap model: 5 gap NFTs per week, mintGapPolicy replaces
- * mintWeekPolicy, gapsMinted replaces weeksMinted, 4%/10% discounts.
+ * mintWeekPolicy, gapsMinted replaces weeksMinted, 4%/10% discounts;
+ * gaps on published exchange holidays are skipped (GapSkipped).
  */
 
 const { expect } = require("chai");
@@ -16,9 +17,10 @@ const {
   STAKE_100K, COVERAGE_10K, MAX_COVERAGE, BUYER_WALLET,
   PRICE_250, PRICE_230, PRICE_240,
   THRESHOLD_5, THRESHOLD_10,
-  USDC, WEEK_SECONDS,
-  getMarketClose,
+  USDC, WEEK_SECONDS, DAY_SECONDS,
+  getMarketClose, getMonday,
 } = require("../helpers/setup");
+const { decodeEvents, pricing } = require("@hoodgap/sdk");
 
 describe("Integration: Subscription", function () {
 
@@ -110,6 +112,7 @@ describe("Integration: Subscription", function () {
       const sub = await ctx.hoodgap.getSubscription(0);
       expect(sub.totalWeeks).to.equal(8n);
       expect(sub.gapsMinted).to.equal(1n);
+      expect(sub.premiumPerWeek).to.equal(pricing.subscriptionPremiumPerWeek(weeklyPremium, 8));
     });
   });
 
@@ -224,6 +227,38 @@ describe("Integration: Subscription", function () {
       const policyId = 1;
       expect(await ctx.hoodgap.ownerOf(policyId)).to.equal(ctx.buyer.address);
     });
+
+    it("skips a published holiday without minting or charging coverage", async function () {
+      const ctx = await deploy();
+      await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+      await ctx.hoodgap.connect(ctx.buyer).buySubscription(COVERAGE_10K, THRESHOLD_5, 4);
+
+      // Wednesday of next week is an exchange holiday
+      const holidayWeek = ctx.WEEK + 1n;
+      await ctx.hoodgap.publishMarketCalendar([holidayWeek], [1n << 2n]);
+
+      // Thursday's close has passed: days 1–4 this week, Mon–Tue next week,
+      // the Wednesday skip and Thursday's gap are all due
+      const thursdayClose = ctx.getCloseWeek(holidayWeek, 3);
+      await time.setNextBlockTimestamp(Number(thursdayClose) + 60);
+      await ctx.oracle.update(PRICE_250, thursdayClose + 60n);
+      const receipt = await (await ctx.hoodgap.mintAllAvailableGaps(0)).wait();
+
+      const skipped = decodeEvents(ctx.hoodgap, receipt, "GapSkipped");
+      expect(skipped).to.have.length(1);
+      expect(skipped[0].args.gapWeek).to.equal(holidayWeek);
+      expect(skipped[0].args.gapDay).to.equal(2n);
+      expect(decodeEvents(ctx.hoodgap, receipt, "GapPolicyMinted")).to.have.length(7);
+
+      const sub = await ctx.hoodgap.getSubscription(0);
+      expect(sub.gapsMinted).to.equal(9n);
+      expect(await ctx.hoodgap.totalCoverage()).to.equal(COVERAGE_10K * 8n);
+
+      // Tuesday's gap runs over the holiday to Thursday's open
+      const tuesday = await ctx.hoodgap.policies(6);
+      expect(tuesday.gapDay).to.equal(1n);
+      expect(await ctx.hoodgap.getNextMarketOpen(holidayWeek, 1)).to.equal(getMonday(holidayWeek) + 3n * DAY_SECONDS);
+    });
   });
 
   // ─── policySubscriptionId mapping ────────────────────────────────────────
@@ -6,7 +6,8 @@
  * Real-world scenario: Large gap payout drains pool,
  * many stakers try to withdraw simultaneously, FIFO queue handles it.
  * Validates: queue fairness, liquidity freeing as policies settle,
- *            queueHead advancing correctly.
+ *            queueHead advancing correctly, and the write-off of shares
+ *            left over a pool a payout emptied.
  *
  * Updated for all-gap model.
  */
@@ -17,6 +18,7 @@ const { time }   = require("@nomicfoundation/hardhat-network-helpers");
 const {
   deploy,
   advanceToOpen,
+  passCooldown,
   USDC,
   STAKE_100K,
   COVERAGE_10K,
@@ -28,8 +30,9 @@ const {
 describe("Scenario: BankRun", function () {
 
   async function bankRunSetup() {
-    const ctx = await deploy();
+    let ctx = await deploy();
     await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+    ctx = await passCooldown(ctx);
     const coverage = USDC(25_000);
     await ctx.hoodgap.connect(ctx.buyer).buyPolicy(coverage, THRESHOLD_5);
     await ctx.hoodgap.connect(ctx.buyer).buyPolicy(coverage, THRESHOLD_5);
@@ -37,38 +40,40 @@ describe("Scenario: BankRun", function () {
   }
 
   // ─── Post-gap bank run ────────────────────────────────────────────────────────
-  it("after gap payout: immediate withdrawal limited to free liquidity", async function () {
-    const { ctx, coverage } = await bankRunSetup();
+  it("after gap payout: share price falls and stakers redeem what is left", async function () {
+    const { ctx } = await bankRunSetup();
 
     await advanceToOpen(ctx, 4, PRICE_230); // 8% gap
     await ctx.hoodgap.settlePolicy(0n);
     await ctx.hoodgap.settlePolicy(1n);
 
-    const freeLiq = await ctx.hoodgap.totalStaked();
-    expect(freeLiq).to.be.lt(STAKE_100K);
+    const left = await ctx.hoodgap.totalStaked();
+    expect(left).to.be.lt(STAKE_100K);
+    const shares = await ctx.hoodgap.stakerShares(ctx.staker.address);
+    expect(await ctx.hoodgap.convertToAssets(shares)).to.be.within(left - 1n, left);
 
-    await ctx.hoodgap.connect(ctx.staker).requestWithdrawal(freeLiq);
-    expect(await ctx.usdc.balanceOf(ctx.staker.address)).to.be.gte(freeLiq);
+    await expect(() => ctx.hoodgap.connect(ctx.staker).requestWithdrawal(shares))
+      .to.changeTokenBalance(ctx.usdc, ctx.staker, await ctx.hoodgap.convertToAssets(shares));
   });
 
-  it("withdrawal is queued when free liquidity is exhausted", async function () {
+  it("withdrawal is queued while open coverage locks the liquidity", async function () {
     const { ctx } = await bankRunSetup();
 
     await advanceToOpen(ctx, 4, PRICE_230);
-    await ctx.hoodgap.settlePolicy(0n);
-    await ctx.hoodgap.settlePolicy(1n);
+    await ctx.hoodgap.settlePolicy(0n); // policy 1 still covers $25k
 
-    const freeLiq = await ctx.hoodgap.totalStaked();
-    await ctx.hoodgap.connect(ctx.staker).requestWithdrawal(freeLiq);
+    const shares = await ctx.hoodgap.stakerShares(ctx.staker.address);
+    await expect(ctx.hoodgap.connect(ctx.staker).requestWithdrawal(shares))
+      .to.emit(ctx.hoodgap, "WithdrawalQueued");
+    expect(await ctx.hoodgap.stakerShares(ctx.staker.address)).to.equal(0n); // escrowed in the request
 
-    const remainingBal = await ctx.hoodgap.stakerBalances(ctx.staker.address);
-    if (remainingBal > 0n) {
-      await expect(ctx.hoodgap.connect(ctx.staker).requestWithdrawal(remainingBal))
-        .to.emit(ctx.hoodgap, "WithdrawalQueued");
+    const [, , pending] = await ctx.hoodgap.getQueueStats();
+    expect(pending).to.equal(1n);
 
-      const [, , pending] = await ctx.hoodgap.getQueueStats();
-      expect(pending).to.equal(1n);
-    }
+    // Settling the last policy frees the pool and pays the queued shares
+    await ctx.hoodgap.settlePolicy(1n);
+    expect((await ctx.hoodgap.withdrawalQueue(0)).processed).to.equal(true);
+    expect(await ctx.hoodgap.totalShares()).to.equal(0n);
   });
 
   // ─── Multiple stakers queuing (FIFO) ─────────────────────────────────────────
@@ -81,6 +86,7 @@ describe("Scenario: BankRun", function () {
 
     await ctx.hoodgap.connect(ctx.staker).stake(COVERAGE_10K);
     await ctx.hoodgap.connect(staker2).stake(COVERAGE_10K);
+    await passCooldown(ctx);
 
     await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5);
     await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5);
@@ -98,9 +104,10 @@ describe("Scenario: BankRun", function () {
 
   // ─── queueHead advances ──────────────────────────────────────────────────────
   it("queueHead advances past processed requests — does not restart from 0", async function () {
-    const ctx = await deploy();
+    let ctx = await deploy();
 
     await ctx.hoodgap.connect(ctx.staker).stake(COVERAGE_10K * 2n);
+    ctx = await passCooldown(ctx);
     await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5);
     await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5);
 
@@ -122,6 +129,7 @@ describe("Scenario: BankRun", function () {
     const ctx = await deploy();
 
     await ctx.hoodgap.connect(ctx.staker).stake(COVERAGE_10K);
+    await passCooldown(ctx);
     await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5);
 
     await ctx.hoodgap.connect(ctx.staker).requestWithdrawal(COVERAGE_10K);
@@ -133,8 +141,9 @@ describe("Scenario: BankRun", function () {
 
   // ─── Pool survives bank run via liquidity trickling back ──────────────────────
   it("pool survives: queued withdrawals eventually process as policies settle", async function () {
-    const ctx = await deploy();
+    let ctx = await deploy();
     await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+    ctx = await passCooldown(ctx);
 
     await ctx.hoodgap.connect(ctx.buyer).buyPolicy(USDC(50_000), THRESHOLD_5);
     await ctx.hoodgap.connect(ctx.alice).buyPolicy(USDC(50_000), THRESHOLD_5);
@@ -150,4 +159,46 @@ describe("Scenario: BankRun", function () {
     ;[, , pending] = await ctx.hoodgap.getQueueStats();
     expect(pending).to.equal(0n);
   });
+
+  // ─── Wiped-out pool ──────────────────────────────────────────────────────────
+  it("a payout that empties the pool writes off its shares before the next deposit", async function () {
+    let ctx = await deploy();
+    await ctx.hoodgap.connect(ctx.staker).stake(COVERAGE_10K);
+    ctx = await passCooldown(ctx);
+    await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5);
+
+    // Redeem exactly the free liquidity (the premium yield), so the pool equals the coverage
+    const free = (await ctx.hoodgap.totalStaked()) - COVERAGE_10K;
+    let redeem = await ctx.hoodgap.convertToShares(free);
+    while ((await ctx.hoodgap.convertToAssets(redeem)) < free) redeem++;
+    expect(await ctx.hoodgap.convertToAssets(redeem)).to.equal(free);
+    await ctx.hoodgap.connect(ctx.staker).requestWithdrawal(redeem);
+    expect(await ctx.hoodgap.totalStaked()).to.equal(COVERAGE_10K);
+
+    // The rest waits in the queue behind the open coverage
+    const held = await ctx.hoodgap.stakerShares(ctx.staker.address);
+    await expect(ctx.hoodgap.connect(ctx.staker).requestWithdrawal(held)).to.emit(ctx.hoodgap, "WithdrawalQueued");
+
+    await advanceToOpen(ctx, 4, PRICE_230); // 8% gap pays the whole pool out
+    await ctx.hoodgap.settlePolicy(0n);
+    expect(await ctx.hoodgap.totalStaked()).to.equal(0n);
+    expect(await ctx.hoodgap.totalShares()).to.equal(held);
+
+    const deposit = USDC(20_000);
+    const before = await ctx.usdc.balanceOf(ctx.staker.address);
+    await expect(ctx.hoodgap.connect(ctx.alice).stake(deposit))
+      .to.emit(ctx.hoodgap, "SharesWrittenOff").withArgs(0n, held);
+    expect(await ctx.usdc.balanceOf(ctx.staker.address)).to.equal(before); // the queued request redeems nothing
+
+    expect(await ctx.hoodgap.shareEpoch()).to.equal(1n);
+    expect((await ctx.hoodgap.withdrawalQueue(0)).processed).to.equal(true);
+    expect(await ctx.hoodgap.stakerShares(ctx.alice.address)).to.equal(deposit); // 1:1, as in a fresh pool
+    expect(await ctx.hoodgap.totalShares()).to.equal(deposit);
+    expect(await ctx.hoodgap.stakerBalances(ctx.alice.address)).to.equal(deposit);
+    expect(await ctx.hoodgap.stakerShares(ctx.staker.address)).to.equal(0n);
+
+    // The old staker's next deposit starts from nothing too
+    await ctx.hoodgap.connect(ctx.staker).stake(USDC(1_000));
+    expect(await ctx.hoodgap.stakerShares(ctx.staker.address)).to.equal(USDC(1_000));
+  });
 });
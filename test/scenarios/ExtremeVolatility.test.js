@@ -16,6 +16,7 @@ const {
   deploy,
   stakeThenBuy,
   advanceToOpen,
+  passCooldown,
   USDC,
   STAKE_100K,
   COVERAGE_10K,
@@ -98,6 +99,7 @@ describe("Scenario: ExtremeVolatility", function () {
   it("users see pending vol change and can withdraw before it executes", async function () {
     const ctx = await deploy();
     await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+    await passCooldown(ctx);
 
     await ctx.hoodgap.connect(ctx.owner).queueVolatilityChange(15_000n, "emergency spike");
 
@@ -0,0 +1,286 @@
+"use strict";
+
+/**
+ * test/scenarios/InvariantFuzz.test.js
+ *
+ * Stateful fuzzing: fast-check drives random sequences of stake,
+ * requestWithdrawal, cancel, processWithdrawalQueue, buyPolicy (both
+ * overloads), buySubscription, mintGapPolicy, policy transfers, oracle price
+ * updates, time jumps and settlePolicy against a fresh deployment, and checks
+ * the pool accounting after every step:
+ *
+ *   1. USDC.balanceOf(hoodgap) ≥ totalStaked + reserveBalance + blackSwanReserve
+ *   2. totalCoverage == Σ coverage of unsettled policies
+ *   3. every withdrawal request below queueHead is processed
+ *   4. Σ stakerShares + shares escrowed in pending requests == totalShares
+ *   5. totalShares are never worth more than totalStaked
+ *   6. no step panics (unchecked underflow/overflow)
+ *
+ * Premium yield and payouts move totalStaked, and with it the share price,
+ * without touching anyone's share count. Steps may revert; a revert must
+ * leave the invariants intact like any other step.
+ *
+ * On failure fast-check shrinks the sequence and prints the minimal list of
+ * steps with the seed/path to replay it. Deeper local runs (FUZZ_STATS=1
+ * also prints how many steps applied, reverted and why, payouts, queued):
+ *   FUZZ_RUNS=500 npx hardhat test test/scenarios/InvariantFuzz.test.js
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time }   = require("@nomicfoundation/hardhat-network-helpers");
+const fc         = require("fast-check");
+const { revertReason, decodeEvents } = require("@hoodgap/sdk");
+const {
+  deploy,
+  USDC,
+  STAKE_COOLDOWN,
+  THRESHOLD_5,
+  THRESHOLD_10,
+  getWeekNumber,
+  getMarketClose,
+  getNextMarketOpen,
+} = require("../helpers/setup");
+
+const RUNS      = Number(process.env.FUZZ_RUNS || 30);
+const MAX_STEPS = 40;
+const ACTORS    = ["staker", "buyer", "alice"];
+const WALLET    = USDC(5_000_000);
+
+// ─── Invariants ───────────────────────────────────────────────────────────────
+async function checkInvariants(ctx) {
+  const { hoodgap, usdc } = ctx;
+  const [totalStaked, totalCoverage, reserve, blackSwan, balance] = await Promise.all([
+    hoodgap.totalStaked(),
+    hoodgap.totalCoverage(),
+    hoodgap.reserveBalance(),
+    hoodgap.blackSwanReserve(),
+    usdc.balanceOf(await hoodgap.getAddress()),
+  ]);
+
+  expect(balance, "USDC balance covers totalStaked + reserves").to.be.gte(totalStaked + reserve + blackSwan);
+
+  const count    = await hoodgap.nextPolicyId();
+  const policies = count > 0n ? await hoodgap.getPolicies([...Array(Number(count)).keys()]) : [];
+  const open     = policies.reduce((sum, p) => (p.settled ? sum : sum + p.coverage), 0n);
+  expect(totalCoverage, "totalCoverage equals unsettled coverage").to.equal(open);
+
+  const head = await hoodgap.queueHead();
+  const [, queueLength] = await hoodgap.getQueueStats(); // (head, length, …)
+  expect(head, "queueHead within the queue").to.be.lte(queueLength);
+  let escrowed = 0n;
+  for (let i = 0n; i < queueLength; i++) {
+    const request = await hoodgap.withdrawalQueue(i);
+    if (i < head) expect(request.processed, `request ${i} below queueHead is processed`).to.equal(true);
+    if (!request.processed) escrowed += request.shares;
+  }
+
+  const [totalShares, ...shares] = await Promise.all([
+    hoodgap.totalShares(),
+    ...ACTORS.map((name) => hoodgap.stakerShares(ctx[name].address)),
+  ]);
+  const held = shares.reduce((sum, s) => sum + s, 0n);
+  expect(held + escrowed, "Σ stakerShares + escrowed shares equals totalShares").to.equal(totalShares);
+  expect(await hoodgap.convertToAssets(totalShares), "shares never worth more than the pool").to.be.lte(totalStaked);
+}
+
+// ─── Steps ────────────────────────────────────────────────────────────────────
+/** Run a contract call; reverts are allowed, panics and harness errors are not. */
+async function attempt(model, action) {
+  try {
+    const tx = await action();
+    model.stats.applied++;
+    return tx.wait();
+  } catch (err) {
+    const reason = revertReason(err);
+    const reverted = Boolean(err?.revert) || /revert/i.test(err?.message ?? "");
+    if (!reverted || /panic code/i.test(reason)) throw err;
+    model.stats.reverted++;
+    model.stats.reasons[reason] = (model.stats.reasons[reason] ?? 0) + 1;
+    return null;
+  }
+}
+
+function step(label, action) {
+  return {
+    check: () => true,
+    async run(model, ctx) {
+      await action(model, ctx);
+      await checkInvariants(ctx);
+    },
+    toString: () => label,
+  };
+}
+
+/** Pick the `index`-th existing id out of `count`, or null when there are none. */
+function pick(index, count) {
+  return count > 0n ? BigInt(index) % count : null;
+}
+
+async function unsettledIds(ctx) {
+  const count = await ctx.hoodgap.nextPolicyId();
+  if (count === 0n) return [];
+  const ids = [...Array(Number(count)).keys()];
+  return (await ctx.hoodgap.getPolicies(ids)).flatMap((p, id) => (p.settled ? [] : [id]));
+}
+
+const actor   = fc.constantFrom(...ACTORS);
+const amount  = (max) => fc.integer({ min: 1, max }).map((dollars) => USDC(dollars));
+const index   = fc.nat(50);
+
+const stake = fc.tuple(actor, amount(100_000)).map(([who, amt]) =>
+  step(`stake(${who}, ${ethers.formatUnits(amt, 6)})`, (model, ctx) =>
+    attempt(model, () => ctx.hoodgap.connect(ctx[who]).stake(amt))));
+
+// Redeem part of the staker's shares (often all of them, which queues
+// behind open coverage) so most requests are valid
+const withdraw = fc.tuple(actor, fc.oneof(fc.constant(100), fc.integer({ min: 1, max: 100 }))).map(([who, pct]) =>
+  step(`requestWithdrawal(${who}, ${pct}%)`, async (model, ctx) => {
+    const shares = await ctx.hoodgap.stakerShares(ctx[who].address);
+    const receipt = await attempt(model, () => ctx.hoodgap.connect(ctx[who]).requestWithdrawal((shares * BigInt(pct)) / 100n || 1n));
+    if (decodeEvents(ctx.hoodgap, receipt).some((e) => e.name === "WithdrawalQueued")) model.stats.queued++;
+  }));
+
+// The request's own staker cancels one of the pending requests
+const cancel = index.map((i) =>
+  step(`cancelWithdrawalRequest(pending #${i})`, async (model, ctx) => {
+    const [, queueLength] = await ctx.hoodgap.getQueueStats();
+    const pending = [];
+    for (let id = 0n; id < queueLength; id++) {
+      const request = await ctx.hoodgap.withdrawalQueue(id);
+      if (!request.processed) pending.push({ id, staker: request.staker });
+    }
+    if (pending.length === 0) return;
+    const { id, staker } = pending[i % pending.length];
+    const who = ACTORS.find((name) => ctx[name].address === staker);
+    await attempt(model, () => ctx.hoodgap.connect(ctx[who]).cancelWithdrawalRequest(id));
+  }));
+
+const processQueue = fc.integer({ min: 1, max: 50 }).map((max) =>
+  step(`processWithdrawalQueue(${max})`, (model, ctx) =>
+    attempt(model, () => ctx.hoodgap.processWithdrawalQueue(max))));
+
+const threshold = fc.constantFrom(THRESHOLD_5, THRESHOLD_10);
+
+const buy = fc.tuple(actor, amount(60_000), threshold, fc.integer({ min: -1, max: 1 }), fc.integer({ min: 0, max: 4 }))
+  .map(([who, cov, thr, weekOffset, day]) =>
+    step(`buyPolicy(${who}, ${ethers.formatUnits(cov, 6)}, ${thr}, week${weekOffset >= 0 ? "+" : ""}${weekOffset}, day ${day})`,
+      async (model, ctx) => {
+        const week = getWeekNumber(await time.latest()) + BigInt(weekOffset);
+        await attempt(model, () =>
+          ctx.hoodgap.connect(ctx[who])["buyPolicy(uint256,uint256,uint256,uint256)"](cov, thr, week, day));
+      }));
+
+const buyLegacy = fc.tuple(actor, amount(60_000), threshold).map(([who, cov, thr]) =>
+  step(`buyPolicy(${who}, ${ethers.formatUnits(cov, 6)}, ${thr})`, (model, ctx) =>
+    attempt(model, () => ctx.hoodgap.connect(ctx[who])["buyPolicy(uint256,uint256)"](cov, thr))));
+
+const subscribe = fc.tuple(actor, amount(20_000), threshold, fc.constantFrom(1, 4, 8)).map(([who, cov, thr, weeks]) =>
+  step(`buySubscription(${who}, ${ethers.formatUnits(cov, 6)}, ${thr}, ${weeks}w)`, (model, ctx) =>
+    attempt(model, () => ctx.hoodgap.connect(ctx[who]).buySubscription(cov, thr, weeks))));
+
+const mint = index.map((i) =>
+  step(`mintGapPolicy(sub #${i})`, async (model, ctx) => {
+    const id = pick(i, await ctx.hoodgap.nextSubscriptionId());
+    if (id !== null) await attempt(model, () => ctx.hoodgap.mintGapPolicy(id));
+  }));
+
+// The current owner transfers the NFT (and pays the 5% premium fee)
+const transfer = fc.tuple(index, actor).map(([i, to]) =>
+  step(`transferFrom(policy #${i} → ${to})`, async (model, ctx) => {
+    const id = pick(i, await ctx.hoodgap.nextPolicyId());
+    if (id === null) return;
+    const owner = await ctx.hoodgap.ownerOf(id);
+    const from  = ACTORS.find((name) => ctx[name].address === owner);
+    if (from) await attempt(model, () => ctx.hoodgap.connect(ctx[from]).transferFrom(owner, ctx[to].address, id));
+  }));
+
+// Moves of -15% … +10% from the current price, so gaps cross both thresholds
+const move = fc.integer({ min: -1_500, max: 1_000 });
+const label = (bps) => `${bps >= 0 ? "+" : ""}${bps / 100}%`;
+
+async function movePrice(ctx, bps, at) {
+  const answer = ((await ctx.oracle.price()) * BigInt(10_000 + bps)) / 10_000n;
+  await ctx.oracle.update(answer, at ?? (await time.latest()));
+}
+
+const price = move.map((bps) =>
+  step(`price(${label(bps)})`, (model, ctx) => movePrice(ctx, bps)));
+
+/** First calendar close/open after now (`at` is getMarketClose or getNextMarketOpen). */
+async function nextEdge(at) {
+  const now  = BigInt(await time.latest());
+  const week = getWeekNumber(now);
+  return [week - 1n, week, week + 1n]
+    .flatMap((w) => [0n, 1n, 2n, 3n, 4n].map((d) => at(w, d)))
+    .filter((ts) => ts > now)
+    .sort((a, b) => (a < b ? -1 : 1))[0];
+}
+
+// Time jumps. The oracle relay re-stamps the price on arrival, as it does live;
+// jumping to the next open lands on the overnight gap itself.
+const warp = fc.oneof(
+  fc.constant(step("warp(next close)", async (model, ctx) => {
+    const ts = (await nextEdge(getMarketClose)) + 60n;
+    await time.increaseTo(ts);
+    await movePrice(ctx, 0, ts);
+  })),
+  move.map((bps) =>
+    step(`warp(next open, gap ${label(bps)})`, async (model, ctx) => {
+      const ts = (await nextEdge(getNextMarketOpen)) + 60n;
+      await time.increaseTo(ts);
+      await movePrice(ctx, bps, ts);
+    })),
+  fc.integer({ min: 1, max: 72 }).map((hours) =>
+    step(`warp(+${hours}h)`, async (model, ctx) => {
+      const ts = BigInt(await time.latest()) + BigInt(hours * 3_600);
+      await time.increaseTo(ts);
+      await movePrice(ctx, 0, ts);
+    })),
+  // Far enough that every stake so far can be withdrawn
+  fc.constant(step("warp(stake cooldown)", async (model, ctx) => {
+    const ts = BigInt(await time.latest()) + STAKE_COOLDOWN;
+    await time.increaseTo(ts);
+    await movePrice(ctx, 0, ts);
+  })),
+);
+
+const settle = index.map((i) =>
+  step(`settlePolicy(open #${i})`, async (model, ctx) => {
+    const open = await unsettledIds(ctx);
+    if (open.length === 0) return;
+    const id = open[i % open.length];
+    const receipt = await attempt(model, () => ctx.hoodgap.settlePolicy(id));
+    if (decodeEvents(ctx.hoodgap, receipt).some((e) => e.name === "PolicyPaidOut")) model.stats.payouts++;
+  }));
+
+const steps = fc.commands(
+  [stake, stake, withdraw, cancel, processQueue, buy, buyLegacy, subscribe, mint, transfer, price, warp, warp, settle, settle],
+  { maxCommands: MAX_STEPS, size: "max" },
+);
+
+// ─── Property ─────────────────────────────────────────────────────────────────
+describe("Scenario: InvariantFuzz (stateful)", function () {
+  this.timeout(600_000);
+
+  it("pool accounting holds across random stake / buy / warp / settle sequences", async function () {
+    const stats = { applied: 0, reverted: 0, payouts: 0, queued: 0, reasons: {} };
+
+    await fc.assert(
+      fc.asyncProperty(steps, async (cmds) => {
+        // loadFixture rewinds to the same deployment for every run
+        const ctx = await deploy();
+        for (const name of ACTORS) await ctx.usdc.mint(ctx[name].address, WALLET);
+
+        const model = { stats };
+        await checkInvariants(ctx);
+        await fc.asyncModelRun(() => ({ model, real: ctx }), cmds);
+      }),
+      { numRuns: RUNS, interruptAfterTimeLimit: 300_000, markInterruptAsFailure: true },
+    );
+
+    if (process.env.FUZZ_STATS) console.log(stats);
+    // Guard against a harness where nearly every step reverts and nothing is exercised
+    expect(stats.applied).to.be.gt(stats.reverted);
+  });
+});
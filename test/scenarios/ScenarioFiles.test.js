@@ -0,0 +1,34 @@
+"use strict";
+
+/**
+ * test/scenarios/ScenarioFiles.test.js
+ *
+ * Runs every declarative scenario in scenarios/ (see scripts/lib/scenario.js)
+ * so cases written by product and QA are part of the suite.
+ */
+
+const { expect } = require("chai");
+const hre        = require("hardhat");
+const path       = require("path");
+const { loadScenario, scenarioFiles, runScenario } = require("../../scripts/lib/scenario");
+
+const SCENARIO_DIR = path.join(__dirname, "..", "..", "scenarios");
+
+describe("Scenario files", function () {
+  for (const file of scenarioFiles([SCENARIO_DIR])) {
+    const scenario = loadScenario(file);
+
+    it(`${path.basename(file)}: ${scenario.name}`, async function () {
+      const report = await runScenario(hre, scenario);
+
+      const failures = report.steps
+        .filter((step) => !step.ok)
+        .flatMap((step) =>
+          step.error
+            ? [`step ${step.index} (${step.type}): ${step.error}`]
+            : step.checks.filter((c) => !c.ok).map((c) => `step ${step.index}: ${c.label} = ${c.actual}, expected ${c.expected}`)
+        );
+      expect(failures).to.deep.equal([]);
+    });
+  }
+});
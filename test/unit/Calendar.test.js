@@ -0,0 +1,278 @@
+"use strict";
+
+/**
+ * test/unit/Calendar.test.js
+ *
+ * Tests: the @hoodgap/sdk market calendar against the contract's views —
+ *        getWeekNumber, getMonday, getFriday, getMarketClose,
+ *        getNextMarketOpen, getApprovalWeek and getFailsafeDeadline — for
+ *        every week from the reference week through SWEEP_WEEKS (~57 years),
+ *        with the bundled NYSE holidays and EDT weeks and every valid packed
+ *        schedule published; the March and November daylight-saving
+ *        transitions; publishMarketCalendar's guards; the NYSE data itself;
+ *        the canSettle failsafe flip, the current week in the hour an EDT
+ *        week opens before its nominal boundary and the countdown's upcomingGap.
+ *
+ * HoodGapHarness.calendarWeeks returns a batch of weeks per eth_call so the
+ * sweep stays fast. Only weeks that have not started can be published, so the
+ * NYSE weeks are those still ahead of the chain clock and the exhaustive
+ * schedules sit at the far end of the sweep.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time }   = require("@nomicfoundation/hardhat-network-helpers");
+const { calendar, nyse } = require("@hoodgap/sdk");
+const { createCalendar, packSchedule, isValidSchedule } = calendar;
+const {
+  deploy, PRICE_250, REFERENCE_WEEK, STAKE_100K, COVERAGE_500, THRESHOLD_5,
+} = require("../helpers/setup");
+
+const SWEEP_WEEKS = 3_000;
+// Hardhat holds each eth_call's execution data until GC; small batches keep it bounded
+const BATCH = 50;
+// Weeks 2500… get one each of the 484 valid schedules (open / closed / early
+// for five days, never all closed; EST and EDT)
+const EXHAUSTIVE_FROM = 2_500;
+
+/** Every valid packed schedule, Monday varying fastest, EST before EDT. */
+function allSchedules() {
+  const schedules = [];
+  for (const dst of [false, true]) {
+    for (let n = 0; n < 3 ** 5; n++) {
+      const closed = [];
+      const early = [];
+      for (let day = 0, rest = n; day < 5; day++, rest = Math.floor(rest / 3)) {
+        if (rest % 3 === 1) closed.push(day);
+        if (rest % 3 === 2) early.push(day);
+      }
+      if (closed.length < 5) schedules.push(packSchedule({ closed, early, dst }));
+    }
+  }
+  return schedules;
+}
+
+const utc = (iso) => Date.parse(iso) / 1000;
+
+describe("Unit: Calendar (SDK calendar vs contract views)", function () {
+  this.timeout(120_000);
+
+  let harness;
+  let published;
+
+  before(async function () {
+    const usdcToken = await (await ethers.getContractFactory("MockUSDC")).deploy();
+    const oracle    = await (await ethers.getContractFactory("MockChainlinkOracle")).deploy(PRICE_250, REFERENCE_WEEK);
+    harness = await (await ethers.getContractFactory("HoodGapHarness")).deploy(
+      await usdcToken.getAddress(),
+      await oracle.getAddress(),
+    );
+  });
+
+  // ─── Sweep ───────────────────────────────────────────────────────────────────
+  it(`matches every calendar view for weeks 0–${SWEEP_WEEKS - 1}`, async function () {
+    await sweep(calendar);
+  });
+
+  it("matches with NYSE holidays, EDT weeks and every valid schedule published", async function () {
+    const currentWeek = calendar.getWeekNumber(await time.latest());
+    published = new Map();
+    for (let year = nyse.FIRST_YEAR; year <= nyse.LAST_YEAR; year++) {
+      for (const { week, schedule } of nyse.weekSchedules(year)) {
+        if (week > currentWeek) published.set(week, schedule);
+      }
+    }
+    allSchedules().forEach((schedule, i) => published.set(EXHAUSTIVE_FROM + i, schedule));
+
+    const weeks = [...published.keys()];
+    for (let i = 0; i < weeks.length; i += BATCH) {
+      const batch = weeks.slice(i, i + BATCH);
+      await harness.publishMarketCalendar(batch, batch.map((week) => published.get(week)));
+    }
+
+    await sweep(createCalendar(published));
+  });
+
+  async function sweep(expected) {
+    for (let from = 0; from < SWEEP_WEEKS; from += BATCH) {
+      const weeks = await harness.calendarWeeks(from, BATCH);
+
+      weeks.forEach((onChain, i) => {
+        const week = from + i;
+        const at = `week ${week}`;
+        expect(onChain.monday, at).to.equal(BigInt(expected.getMonday(week)));
+        expect(onChain.friday, at).to.equal(BigInt(expected.getFriday(week)));
+        expect(onChain.failsafeDeadline, at).to.equal(BigInt(expected.failsafeAt(week)));
+        expect(onChain.weekOfMonday, at).to.equal(BigInt(expected.getWeekNumber(expected.getMonday(week))));
+        expect(onChain.weekOfLastSecond, at).to.equal(BigInt(expected.getWeekNumber(expected.getMonday(week + 1) - 1)));
+        for (let day = 0; day < 5; day++) {
+          expect(onChain.closes[day], `${at} day ${day} close`).to.equal(BigInt(expected.getMarketClose(week, day)));
+          expect(onChain.opens[day], `${at} day ${day} open`).to.equal(BigInt(expected.getNextMarketOpen(week, day)));
+          expect(onChain.approvalWeeks[day], `${at} day ${day} approval`).to.equal(BigInt(expected.approvalWeek(week, day)));
+        }
+      });
+    }
+  }
+
+  it("rejects what the contract rejects", async function () {
+    await expect(harness.getWeekNumber(REFERENCE_WEEK - 1n)).to.be.revertedWith("Before reference date");
+    expect(() => calendar.getWeekNumber(Number(REFERENCE_WEEK) - 1)).to.throw(/before the HoodGap reference week/);
+
+    await expect(harness.getApprovalWeek(10, 5)).to.be.revertedWith("dayIndex must be 0-4");
+    expect(() => calendar.approvalWeek(10, 5)).to.throw("dayIndex must be 0-4");
+  });
+
+  // ─── Publishing ──────────────────────────────────────────────────────────────
+  it("publishMarketCalendar only takes valid schedules for weeks not yet started", async function () {
+    const [, stranger] = await ethers.getSigners();
+    const future = calendar.getWeekNumber(await time.latest()) + 10;
+    const current = future - 10;
+
+    await expect(harness.connect(stranger).publishMarketCalendar([future], [1]))
+      .to.be.revertedWithCustomError(harness, "OwnableUnauthorizedAccount");
+    await expect(harness.publishMarketCalendar([future], [])).to.be.revertedWith("Length mismatch");
+    await expect(harness.publishMarketCalendar([current], [1])).to.be.revertedWith("Week already started");
+
+    // all five closed · day 0 both closed and early · unknown bit
+    for (const schedule of [0x1f, 0x21, 1 << 11]) {
+      expect(isValidSchedule(schedule), `schedule ${schedule}`).to.equal(false);
+      await expect(harness.publishMarketCalendar([future], [schedule])).to.be.revertedWith("Invalid market schedule");
+    }
+
+    const schedule = packSchedule({ closed: [0], early: [3] });
+    await expect(harness.publishMarketCalendar([future], [schedule]))
+      .to.emit(harness, "MarketCalendarPublished").withArgs(future, schedule);
+    expect(await harness.marketCalendar(future)).to.equal(BigInt(schedule));
+
+    // Re-publishing an upcoming week replaces it
+    await harness.publishMarketCalendar([future], [0]);
+    expect(await harness.marketCalendar(future)).to.equal(0n);
+    if (published?.has(future)) await harness.publishMarketCalendar([future], [published.get(future)]);
+  });
+
+  // ─── Daylight saving ─────────────────────────────────────────────────────────
+  it("follows New York into EDT in March and back to EST in November", async function () {
+    // 2027: clocks go forward Sun 14-Mar, back Sun 7-Nov
+    const spring = nyse.sessionOf("2027-03-15").week;
+    const fall = nyse.sessionOf("2027-11-08").week;
+    const weeks = [spring - 1, spring, fall - 1, fall];
+    expect(weeks.map(nyse.isDaylightSaving)).to.deep.equal([false, true, true, false]);
+    await harness.publishMarketCalendar(weeks, weeks.map(nyse.scheduleOf));
+
+    const views = (week, day) => Promise.all([harness.getMarketClose(week, day), harness.getNextMarketOpen(week, day)]);
+    const expectGap = async (week, day, close, open) => {
+      expect(await views(week, day)).to.deep.equal([BigInt(utc(close)), BigInt(utc(open))]);
+      expect([nyse.calendar.getMarketClose(week, day), nyse.calendar.getNextMarketOpen(week, day)]).to.deep.equal([utc(close), utc(open)]);
+    };
+
+    // Friday 4:00pm EST → Monday 9:30am EDT, then EDT sessions
+    await expectGap(spring - 1, 4, "2027-03-12T21:00:00Z", "2027-03-15T13:30:00Z");
+    await expectGap(spring, 0, "2027-03-15T20:00:00Z", "2027-03-16T13:30:00Z");
+    // Friday 4:00pm EDT → Monday 9:30am EST, then EST sessions
+    await expectGap(fall - 1, 4, "2027-11-05T20:00:00Z", "2027-11-08T14:30:00Z");
+    await expectGap(fall, 0, "2027-11-08T21:00:00Z", "2027-11-09T14:30:00Z");
+
+    // The EDT Monday open falls before the nominal 14:30 UTC week boundary
+    expect(nyse.calendar.getWeekNumber(utc("2027-03-15T13:45:00Z"))).to.equal(spring - 1);
+    expect(nyse.calendar.gapContaining(utc("2027-03-15T13:45:00Z"))).to.equal(null);
+    const gap = nyse.calendar.upcomingGap(utc("2027-03-15T13:45:00Z"));
+    expect([gap.week, gap.day, gap.active]).to.deep.equal([spring, 0, false]);
+  });
+
+  it("publishing stops an hour before the nominal Monday open", async function () {
+    const week = calendar.getWeekNumber(await time.latest()) + 2;
+    await time.increaseTo(calendar.getMonday(week) - 3_600);
+    await expect(harness.publishMarketCalendar([week], [packSchedule({ dst: true })])).to.be.revertedWith("Week already started");
+  });
+
+  // ─── NYSE data ───────────────────────────────────────────────────────────────
+  it("bundled NYSE data lands on weekdays and packs into valid schedules", function () {
+    for (let year = nyse.FIRST_YEAR; year <= nyse.LAST_YEAR; year++) {
+      const weeks = nyse.weekSchedules(year);
+      expect(weeks.filter((w) => w.dst).length, `${year} EDT weeks`).to.be.within(33, 35);
+      expect(weeks.filter((w) => w.closed.length + w.early.length > 0).length, `${year} holiday weeks`).to.be.within(8, 14);
+      for (const { week, schedule } of weeks) expect(isValidSchedule(schedule), `week ${week}`).to.equal(true);
+    }
+    expect(() => nyse.weekSchedules(nyse.LAST_YEAR + 1)).to.throw(/No NYSE calendar/);
+    expect(() => nyse.sessionOf("2026-11-28")).to.throw(/weekend/);
+  });
+
+  it("NYSE calendar stretches gaps over Thanksgiving and Good Friday", function () {
+    const nyc = nyse.calendar;
+
+    // Thanksgiving 2026: Thu 26-Nov closed, Fri 27-Nov closes at 1:00pm
+    const thanksgiving = nyse.sessionOf("2026-11-26");
+    expect(thanksgiving.day).to.equal(3);
+    expect(nyc.isTradingDay(thanksgiving.week, 3)).to.equal(false);
+    expect(nyc.getNextMarketOpen(thanksgiving.week, 2)).to.equal(Date.parse("2026-11-27T14:30:00Z") / 1000);
+    expect(nyc.getMarketClose(thanksgiving.week, 4)).to.equal(Date.parse("2026-11-27T18:00:00Z") / 1000);
+    expect(nyse.weekHolidays(thanksgiving.week).closed[0].name).to.match(/Thanksgiving/);
+
+    // Good Friday 2026 (3-Apr, EDT): Thursday's gap runs to Monday and is approved the next week
+    const goodFriday = nyse.sessionOf("2026-04-03");
+    expect(nyc.getNextMarketOpen(goodFriday.week, 3)).to.equal(Date.parse("2026-04-06T13:30:00Z") / 1000);
+    expect(nyc.approvalWeek(goodFriday.week, 3)).to.equal(goodFriday.week + 1);
+    expect(nyc.gapsApprovedBy(goodFriday.week + 1).map((g) => g.day)).to.deep.equal([3, 0, 1, 2, 3]);
+  });
+
+  // ─── Failsafe ────────────────────────────────────────────────────────────────
+  it("canSettle flips to the failsafe exactly at calendar.failsafeAt", async function () {
+    const ctx = await deploy();
+    const week = ctx.WEEK + 2n; // the fixture approves WEEK and WEEK + 1
+    const deadline = calendar.failsafeAt(Number(week));
+
+    await time.increaseTo(deadline - 1);
+    expect((await ctx.hoodgap.canSettle(week)).allowed).to.equal(false);
+
+    await time.increaseTo(deadline);
+    const [allowed, ratio, reason] = await ctx.hoodgap.canSettle(week);
+    expect(allowed).to.equal(true);
+    expect(ratio).to.equal(10_000n);
+    expect(reason).to.match(/Failsafe/);
+  });
+
+  // ─── Current week ──────────────────────────────────────────────────────────────
+  it("the hour between an EDT Monday open and the 14:30 UTC boundary belongs to the new week", async function () {
+    const ctx = await deploy();
+    const week = Number(ctx.WEEK) + 2;
+    const edt = packSchedule({ dst: true });
+    await ctx.hoodgap.publishMarketCalendar([week], [edt]);
+    await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+
+    const open = createCalendar({ [week]: edt }).getMarketOpen(week, 0);
+    expect(open).to.equal(calendar.getMonday(week) - 3_600);
+    expect(calendar.getWeekNumber(open + 600)).to.equal(week - 1);
+    expect(createCalendar({ [week]: edt }).tradingWeek(open + 600)).to.equal(week);
+
+    await time.setNextBlockTimestamp(open + 540);
+    await ctx.oracle.update(PRICE_250, open + 540);
+    await time.setNextBlockTimestamp(open + 600);
+    await ctx.hoodgap.connect(ctx.buyer)["buyPolicy(uint256,uint256)"](COVERAGE_500, THRESHOLD_5);
+
+    // Last week's Fri→Mon gap opened ten minutes ago; the purchase covers this week's
+    const policy = await ctx.hoodgap.policies(0);
+    expect([policy.gapWeek, policy.gapDay]).to.deep.equal([BigInt(week), 4n]);
+    expect(await ctx.hoodgap.getCurrentSettlementWeek()).to.equal(BigInt(week));
+    await expect(ctx.hoodgap.settlePolicy(0)).to.be.revertedWith("Too early to settle");
+  });
+
+  // ─── Countdown ───────────────────────────────────────────────────────────────
+  it("upcomingGap walks every gap of a week in order", function () {
+    const week = 200;
+    let timestamp = calendar.getMonday(week);
+    const seen = [];
+
+    while (calendar.getWeekNumber(timestamp) === week) {
+      const gap = calendar.upcomingGap(timestamp);
+      expect(gap.week).to.equal(week);
+      expect(gap.open).to.be.greaterThan(timestamp);
+      expect(gap.active).to.equal(timestamp >= gap.close);
+      expect(gap.approvalWeek).to.equal(calendar.approvalWeek(gap.week, gap.day));
+      expect(gap.failsafeAt).to.equal(calendar.failsafeAt(gap.approvalWeek));
+      if (seen[seen.length - 1] !== gap.day) seen.push(gap.day);
+      timestamp += 3_600;
+    }
+
+    expect(seen).to.deep.equal([0, 1, 2, 3, 4]);
+  });
+});
@@ -0,0 +1,207 @@
+"use strict";
+
+/**
+ * test/unit/MathProperties.test.js
+ *
+ * Property-based cross-check of the shared JS math (@hoodgap/sdk pricing and
+ * calendar) against HoodGap / HoodGapMath on the hardhat
+ * network: random coverage, thresholds, pool states, volatility, prices and
+ * (week, day) pairs must give identical results — or revert/throw alike.
+ *
+ * Pool states are written through HoodGapHarness.setPoolState so the real
+ * calculatePremium / getUtilizationMultiplier code paths are exercised.
+ * A failing run prints the fast-check seed and counterexample to replay.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fc         = require("fast-check");
+const { pricing, calendar, revertReason } = require("@hoodgap/sdk");
+const { PRICE_250, REFERENCE_WEEK } = require("../helpers/setup");
+
+const RUNS = 150;
+// Shrinking sends a transaction per step; cap it well inside the mocha timeout so
+// a failing property cannot keep writing pool state while the next one runs
+const LIMITS = { interruptAfterTimeLimit: 30_000, markInterruptAsFailure: true };
+
+// ─── Arbitraries ──────────────────────────────────────────────────────────────
+const usdc       = (dollars) => fc.bigInt({ min: 0n, max: BigInt(dollars) * 1_000_000n });
+const coverage   = fc.oneof(
+  { weight: 9, arbitrary: fc.bigInt({ min: 1n, max: pricing.MAX_POLICY_COVERAGE }) },
+  { weight: 1, arbitrary: fc.constantFrom(0n, pricing.MAX_POLICY_COVERAGE + 1n) },
+);
+const threshold  = fc.oneof(
+  { weight: 9, arbitrary: fc.constantFrom(500n, 1_000n) },
+  { weight: 1, arbitrary: fc.constantFrom(0n, 750n, 1_500n) },
+);
+const volatility = fc.bigInt({ min: pricing.MIN_VOLATILITY, max: pricing.MAX_VOLATILITY });
+// Utilization drawn from 0–110% so the uncapped curve, the 95% cap and the
+// 95%-of-coverage ceiling all get hit; an empty pool now and then
+const pool       = fc
+  .tuple(
+    fc.oneof(
+      { weight: 9, arbitrary: fc.bigInt({ min: 1n, max: 10_000_000n * 1_000_000n }) },
+      { weight: 1, arbitrary: fc.constant(0n) },
+    ),
+    fc.integer({ min: 0, max: 11_000 }),
+    volatility,
+  )
+  .map(([totalStaked, utilizationBps, vol]) => ({
+    totalStaked,
+    totalCoverage: (totalStaked * BigInt(utilizationBps)) / 10_000n,
+    volatility: vol,
+  }));
+const price      = fc.oneof(
+  { weight: 19, arbitrary: fc.bigInt({ min: 1n, max: 1_000_000n * 10n ** 8n }) },
+  { weight: 1, arbitrary: fc.constant(0n) },
+);
+const week       = fc.integer({ min: 0, max: 20_000 });
+const day        = fc.oneof({ weight: 9, arbitrary: fc.integer({ min: 0, max: 4 }) }, { weight: 1, arbitrary: fc.integer({ min: 5, max: 9 }) });
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+/** { value } or { error } from a JS function, so both sides compare alike. */
+function js(fn) {
+  try {
+    const value = fn();
+    return value === null ? { error: "Pool liquidity exhausted" } : { value: BigInt(value) };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+async function chain(call) {
+  try {
+    return { value: await call() };
+  } catch (err) {
+    return { error: revertReason(err) };
+  }
+}
+
+describe("Unit: MathProperties (JS mirrors vs HoodGapMath)", function () {
+  this.timeout(120_000);
+
+  let harness;
+
+  before(async function () {
+    const usdcToken = await (await ethers.getContractFactory("MockUSDC")).deploy();
+    const oracle    = await (await ethers.getContractFactory("MockChainlinkOracle")).deploy(PRICE_250, REFERENCE_WEEK);
+    harness = await (await ethers.getContractFactory("HoodGapHarness")).deploy(
+      await usdcToken.getAddress(),
+      await oracle.getAddress(),
+    );
+  });
+
+  // ─── Pricing ──────────────────────────────────────────────────────────────────
+  it("calculatePremium(coverage, threshold) matches pricing.calculatePremium", async function () {
+    await fc.assert(
+      fc.asyncProperty(coverage, threshold, pool, async (cov, thr, state) => {
+        await harness.setPoolState(state.totalStaked, state.totalCoverage, state.volatility);
+        const expected = js(() => pricing.calculatePremium(cov, thr, state));
+        const actual   = await chain(() => harness["calculatePremium(uint256,uint256)"](cov, thr));
+        expect(actual).to.deep.equal(expected);
+      }),
+      { numRuns: RUNS, ...LIMITS },
+    );
+  });
+
+  it("getUtilizationMultiplier(newCoverage) matches pricing.utilizationMultiplier", async function () {
+    await fc.assert(
+      fc.asyncProperty(usdc(100_000), pool, async (newCoverage, state) => {
+        await harness.setPoolState(state.totalStaked, state.totalCoverage, state.volatility);
+        const expected = pricing.utilizationMultiplier(state.totalCoverage, newCoverage, state.totalStaked);
+        expect(await harness.getUtilizationMultiplier(newCoverage)).to.equal(expected);
+      }),
+      { numRuns: RUNS, ...LIMITS },
+    );
+  });
+
+  it("getVolatilityMultiplier() matches pricing.volatilityMultiplier", async function () {
+    await fc.assert(
+      fc.asyncProperty(volatility, async (vol) => {
+        await harness.setPoolState(0n, 0n, vol);
+        expect(await harness.getVolatilityMultiplier()).to.equal(pricing.volatilityMultiplier(vol));
+      }),
+      { numRuns: 50, ...LIMITS },
+    );
+  });
+
+  // ─── Gap & payout ─────────────────────────────────────────────────────────────
+  it("calculateGap(priceA, priceB) matches pricing.calculateGap", async function () {
+    await fc.assert(
+      fc.asyncProperty(price, price, async (a, b) => {
+        expect(await chain(() => harness.calculateGap(a, b))).to.deep.equal(js(() => pricing.calculateGap(a, b)));
+      }),
+      { numRuns: RUNS, ...LIMITS },
+    );
+  });
+
+  it("calculatePayout(coverage, gap, threshold) matches pricing.calculatePayout", async function () {
+    await fc.assert(
+      fc.asyncProperty(usdc(50_000), fc.bigInt({ min: 0n, max: 20_000n }), threshold, async (cov, gap, thr) => {
+        expect(await harness.calculatePayout(cov, gap, thr)).to.equal(pricing.calculatePayout(cov, gap, thr));
+      }),
+      { numRuns: 50, ...LIMITS },
+    );
+  });
+
+  it("pricing.triggerPrices are the first opens calculateGap pays on", async function () {
+    const ratio = fc.oneof(fc.constant(10_000n), fc.bigInt({ min: 1n, max: 50_000n }));
+    await fc.assert(
+      fc.asyncProperty(fc.bigInt({ min: 1n, max: 1_000_000n * 10n ** 8n }), fc.constantFrom(500n, 1_000n), ratio, async (close, thr, split) => {
+        const { adjustedClose, below, above } = pricing.triggerPrices(close, thr, split);
+        fc.pre(adjustedClose > 0n && below > 0n);
+        const gap = (open) => harness.calculateGap(open, adjustedClose);
+        expect(await gap(below)).to.be.gte(thr);
+        expect(await gap(below + 1n)).to.be.lt(thr);
+        expect(await gap(above)).to.be.gte(thr);
+        expect(await gap(above - 1n)).to.be.lt(thr);
+      }),
+      { numRuns: 50, ...LIMITS },
+    );
+  });
+
+  // ─── Calendar ─────────────────────────────────────────────────────────────────
+  it("getMarketClose(week, day) matches calendar.getMarketClose", async function () {
+    await fc.assert(
+      fc.asyncProperty(week, day, async (w, d) => {
+        const expected = js(() => calendar.getMarketClose(w, d));
+        expect(await chain(() => harness.getMarketClose(w, d))).to.deep.equal(expected);
+      }),
+      { numRuns: RUNS, ...LIMITS },
+    );
+  });
+
+  it("getNextMarketOpen(week, day) matches calendar.getNextMarketOpen", async function () {
+    await fc.assert(
+      fc.asyncProperty(week, day, async (w, d) => {
+        const expected = js(() => calendar.getNextMarketOpen(w, d));
+        expect(await chain(() => harness.getNextMarketOpen(w, d))).to.deep.equal(expected);
+      }),
+      { numRuns: RUNS, ...LIMITS },
+    );
+  });
+
+  it("getWeekNumber(timestamp) and getMonday(week) match the calendar", async function () {
+    const start = Number(REFERENCE_WEEK);
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: start, max: start + 20_000 * 604_800 }), week, async (ts, w) => {
+        expect(await harness.getWeekNumber(ts)).to.equal(BigInt(calendar.getWeekNumber(ts)));
+        expect(await harness.getMonday(w)).to.equal(BigInt(calendar.getMonday(w)));
+      }),
+      { numRuns: RUNS, ...LIMITS },
+    );
+  });
+
+  it("every gap closes before it opens, and opens before the next gap closes", function () {
+    fc.assert(
+      fc.property(week, fc.integer({ min: 0, max: 4 }), (w, d) => {
+        const close = calendar.getMarketClose(w, d);
+        const open  = calendar.getNextMarketOpen(w, d);
+        const next  = d === 4 ? calendar.getMarketClose(w + 1, 0) : calendar.getMarketClose(w, d + 1);
+        expect(close).to.be.lt(open);
+        expect(open).to.be.lt(next);
+        expect(calendar.gapContaining(close + 1)).to.deep.equal({ week: w, day: d });
+      }),
+    );
+  });
+});
@@ -0,0 +1,136 @@
+"use strict";
+
+/**
+ * test/unit/Multicall.test.js
+ *
+ * Tests: @hoodgap/sdk createMulticallRunner — concurrent reads merged into one
+ *        aggregate3 call, identical reads deduped, per-block cache, revert
+ *        decoding for failed reads, historical blockTags and the fallback
+ *        when no Multicall3 is deployed.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  createMulticallRunner,
+  connectHoodGap,
+  connectUsdc,
+  revertReason,
+  MULTICALL3_ABI,
+} = require("@hoodgap/sdk");
+const { deploy, STAKE_100K } = require("../helpers/setup");
+
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+/** ethers.provider with every eth_call recorded. */
+function recordingProvider() {
+  const provider = Object.create(ethers.provider);
+  provider.calls = [];
+  provider.call = (tx) => {
+    provider.calls.push(tx);
+    return ethers.provider.call(tx);
+  };
+  return provider;
+}
+
+/** Reads packed into a recorded aggregate3 call. */
+function aggregated(tx) {
+  return multicallInterface.decodeFunctionData("aggregate3", tx.data)[0].length;
+}
+
+describe("Unit: Multicall", function () {
+
+  async function multicallFixture(options = {}) {
+    const ctx = await deploy();
+    await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+    const multicall = await (await ethers.getContractFactory("Multicall3")).deploy();
+
+    const provider = recordingProvider();
+    const runner = createMulticallRunner(provider, { multicall: await multicall.getAddress(), ...options });
+    return {
+      ...ctx,
+      provider,
+      runner,
+      reader: connectHoodGap(await ctx.hoodgap.getAddress(), runner),
+      usdcReader: connectUsdc(await ctx.usdc.getAddress(), runner),
+    };
+  }
+
+  it("merges concurrent reads across contracts into one aggregate3 call", async function () {
+    const ctx = await multicallFixture();
+    const [staked, stats, balance, queueHead] = await Promise.all([
+      ctx.reader.totalStaked(),
+      ctx.reader.getPoolStats(),
+      ctx.usdcReader.balanceOf(ctx.buyer.address),
+      ctx.reader.queueHead(),
+    ]);
+
+    expect(staked).to.equal(STAKE_100K);
+    expect(stats._totalStaked).to.equal(STAKE_100K);
+    expect(balance).to.equal(await ctx.usdc.balanceOf(ctx.buyer.address));
+    expect(queueHead).to.equal(0n);
+
+    expect(ctx.provider.calls).to.have.length(1);
+    expect(aggregated(ctx.provider.calls[0])).to.equal(4);
+    expect(ctx.runner.stats).to.deep.equal({ reads: 4, batches: 1, calls: 1 });
+  });
+
+  it("sends identical reads once", async function () {
+    const ctx = await multicallFixture();
+    const results = await Promise.all([
+      ctx.reader.stakerBalances(ctx.staker.address),
+      ctx.reader.stakerBalances(ctx.staker.address),
+      ctx.reader.totalStaked(),
+    ]);
+
+    expect(results).to.deep.equal([STAKE_100K, STAKE_100K, STAKE_100K]);
+    expect(aggregated(ctx.provider.calls[0])).to.equal(2);
+  });
+
+  it("caches results until the next block", async function () {
+    const ctx = await multicallFixture();
+    await Promise.all([ctx.reader.totalStaked(), ctx.reader.queueHead()]);
+    expect(await ctx.reader.totalStaked()).to.equal(STAKE_100K);
+    expect(ctx.provider.calls).to.have.length(1);
+
+    await ctx.usdc.mint(ctx.staker.address, STAKE_100K);
+    await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+
+    expect(await ctx.reader.totalStaked()).to.equal(2n * STAKE_100K);
+    expect(ctx.provider.calls).to.have.length(2);
+  });
+
+  it("rejects a failed read with its decoded revert and resolves the rest", async function () {
+    const ctx = await multicallFixture();
+    const [owner, staked] = await Promise.allSettled([ctx.reader.ownerOf(999), ctx.reader.totalStaked()]);
+
+    expect(ctx.provider.calls).to.have.length(1);
+    expect(owner.status).to.equal("rejected");
+    expect(owner.reason.code).to.equal("CALL_EXCEPTION");
+    expect(revertReason(owner.reason)).to.equal("ERC721NonexistentToken(999)");
+    expect(staked.value).to.equal(STAKE_100K);
+  });
+
+  it("reads at a historical blockTag", async function () {
+    const ctx = await multicallFixture();
+    const before = await ethers.provider.getBlockNumber();
+    await ctx.usdc.mint(ctx.staker.address, STAKE_100K);
+    await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+
+    const [then, now] = await Promise.all([
+      ctx.reader.totalStaked({ blockTag: before }),
+      ctx.reader.totalStaked(),
+    ]);
+    expect(then).to.equal(STAKE_100K);
+    expect(now).to.equal(2n * STAKE_100K);
+  });
+
+  it("falls back to one eth_call per read without a Multicall3", async function () {
+    const ctx = await multicallFixture({ multicall: ethers.Wallet.createRandom().address });
+    const [staked, queueHead] = await Promise.all([ctx.reader.totalStaked(), ctx.reader.queueHead()]);
+
+    expect(staked).to.equal(STAKE_100K);
+    expect(queueHead).to.equal(0n);
+    expect(ctx.runner.stats.calls).to.equal(3); // the failed aggregate plus both reads
+  });
+});
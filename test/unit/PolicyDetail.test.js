@@ -0,0 +1,145 @@
+"use strict";
+
+/**
+ * test/unit/PolicyDetail.test.js
+ *
+ * Tests: @hoodgap/sdk loadPolicyDetail / createPolicyDetail / policyPhase — the gap window and
+ *        approval state against the contract, trigger prices, transfer
+ *        history with fees, the source subscription, settlement with its
+ *        payout tx, unknown IDs (no log scans) and incremental syncs.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createPolicyDetail, loadPolicyDetail, policyPhase, connectHoodGap, findEvent, pricing } = require("@hoodgap/sdk");
+const {
+  deploy, advanceToOpen,
+  STAKE_100K, COVERAGE_10K, COVERAGE_500,
+  PRICE_250, PRICE_230,
+  THRESHOLD_5,
+  getMarketClose, getNextMarketOpen,
+} = require("../helpers/setup");
+
+/** ethers.provider, recording the block range of every getLogs call */
+function countingProvider() {
+  const provider = Object.create(ethers.provider);
+  provider.ranges = [];
+  provider.getLogs = async (filter) => {
+    provider.ranges.push([filter.fromBlock, filter.toBlock]);
+    return ethers.provider.getLogs(filter);
+  };
+  return provider;
+}
+
+describe("Unit: PolicyDetail", function () {
+
+  async function detailFixture() {
+    const ctx = await deploy();
+    await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+    const receipt = await (await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5)).wait(); // policy 0
+    await ctx.hoodgap.connect(ctx.buyer).buySubscription(COVERAGE_500, THRESHOLD_5, 4);                       // sub 0 → policy 1
+
+    // Read-only, the way a visitor without a wallet sees it
+    const provider = countingProvider();
+    const reader = connectHoodGap(await ctx.hoodgap.getAddress(), provider);
+    return { ...ctx, provider, reader, purchaseTx: receipt.hash };
+  }
+
+  it("reads the gap window, approval and trigger prices of an open policy", async function () {
+    const ctx = await detailFixture();
+    const detail = await loadPolicyDetail(ctx.reader, 0);
+    const { gapWeek, gapDay, closePrice } = detail.policy;
+
+    expect(detail.holder).to.equal(ctx.buyer.address);
+    expect(detail.purchase).to.include({ buyer: ctx.buyer.address, txHash: ctx.purchaseTx });
+    expect(detail.window.close).to.equal(Number(getMarketClose(gapWeek, gapDay)));
+    expect(detail.window.open).to.equal(Number(getNextMarketOpen(gapWeek, gapDay)));
+    expect(detail.window.failsafeAt).to.equal(Number(await ctx.hoodgap.getFailsafeDeadline(detail.window.approvalWeek)));
+    expect(detail.approval).to.deep.include({ allowed: true, approved: true, splitRatio: 10000n }); // approved in setup
+
+    expect(detail.oracle.price).to.equal(PRICE_250);
+    expect(detail.trigger).to.deep.equal(pricing.triggerPrices(closePrice, THRESHOLD_5));
+    expect(detail.settlement).to.equal(null);
+    expect(policyPhase(detail, detail.window.open - 1)).to.equal("gap");
+    expect(policyPhase(detail, detail.window.open)).to.equal("awaiting-oracle"); // no price since the open yet
+
+    const unapproved = { ...detail, approval: { ...detail.approval, allowed: false } };
+    expect(policyPhase(unapproved, detail.window.open)).to.equal("awaiting-approval");
+    expect(policyPhase(unapproved, detail.window.failsafeAt)).to.equal("awaiting-oracle");
+  });
+
+  it("uses the approved split ratio for the trigger prices", async function () {
+    const ctx = await detailFixture();
+    const before = await loadPolicyDetail(ctx.reader, 0);
+    await ctx.hoodgap.approveSettlement(before.window.approvalWeek, 5000, "2-for-1 split");
+
+    const detail = await loadPolicyDetail(ctx.reader, 0);
+    expect(detail.approval).to.deep.include({ allowed: true, approved: true, splitRatio: 5000n, reason: "Guardian approved" });
+    expect(detail.trigger.adjustedClose).to.equal(detail.policy.closePrice / 2n);
+    expect(detail.trigger.below).to.be.lessThan(before.trigger.below);
+  });
+
+  it("lists transfers with their fees and the source subscription", async function () {
+    const ctx = await detailFixture();
+    await ctx.hoodgap.connect(ctx.buyer).transferFrom(ctx.buyer.address, ctx.alice.address, 1);
+
+    const detail = await loadPolicyDetail(ctx.reader, 1);
+    expect(detail.holder).to.equal(ctx.alice.address);
+    expect(detail.policy.holder).to.equal(ctx.buyer.address); // the original buyer
+    expect(detail.purchase.buyer).to.equal(ctx.buyer.address); // the gap mint's PolicyPurchased
+    expect(detail.subscriptionId).to.equal(0);
+    expect(detail.subscription.totalWeeks).to.equal(4n);
+
+    const [mint, transfer] = detail.transfers;
+    expect(mint).to.include({ from: ethers.ZeroAddress, to: ctx.buyer.address, fee: 0n });
+    expect(transfer).to.include({ from: ctx.buyer.address, to: ctx.alice.address });
+    expect(transfer.fee).to.be.greaterThan(0n);
+    expect(transfer.timestamp).to.be.greaterThan(mint.timestamp);
+
+    // Policy 0 is not part of subscription 0, whatever policySubscriptionId() says
+    expect((await loadPolicyDetail(ctx.reader, 0)).subscriptionId).to.equal(null);
+  });
+
+  it("shows the settlement and its payout transaction", async function () {
+    const ctx = await detailFixture();
+    await advanceToOpen(ctx, 4, PRICE_230); // 8% gap
+    const receipt = await (await ctx.hoodgap.settlePolicy(0n)).wait();
+    const settled = findEvent(ctx.hoodgap, receipt, "PolicySettled");
+
+    const detail = await loadPolicyDetail(ctx.reader, 0);
+    expect(policyPhase(detail, Number.MAX_SAFE_INTEGER)).to.equal("settled");
+    expect(detail.settlement).to.include({
+      openPrice: PRICE_230,
+      adjustedClose: settled.adjustedClose,
+      gap: settled.gap,
+      paidOut: true,
+      payout: COVERAGE_10K,
+      payoutTxHash: receipt.hash,
+      txHash: receipt.hash,
+    });
+    expect(PRICE_230).to.be.at.most(detail.trigger.below);
+  });
+
+  it("returns null for a policy that was never minted", async function () {
+    const ctx = await detailFixture();
+    expect(await loadPolicyDetail(ctx.reader, 2)).to.equal(null);
+    expect(ctx.provider.ranges).to.deep.equal([]); // nextPolicyId is checked before any log scan
+  });
+
+  it("caches per block and scans only new blocks", async function () {
+    const ctx = await detailFixture();
+    const loader = createPolicyDetail(ctx.reader, 0);
+    const first = await loader.sync();
+    expect(await loader.sync()).to.equal(first);
+    const scanned = ctx.provider.ranges.length;
+
+    await ctx.hoodgap.connect(ctx.buyer).transferFrom(ctx.buyer.address, ctx.alice.address, 0);
+    const head = await ethers.provider.getBlockNumber();
+    const next = await loader.sync();
+
+    expect(loader.blockNumber).to.equal(head);
+    expect(ctx.provider.ranges.slice(scanned)).to.deep.equal([[head, head], [head, head], [head, head]]); // the new block only
+    expect(next.holder).to.equal(ctx.alice.address);
+    expect(next.transfers.map((t) => t.to)).to.deep.equal([ctx.buyer.address, ctx.alice.address]);
+  });
+});
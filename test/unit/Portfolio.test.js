@@ -0,0 +1,155 @@
+"use strict";
+
+/**
+ * test/unit/Portfolio.test.js
+ *
+ * Tests: @hoodgap/sdk createPortfolio — holdings from Transfer logs,
+ *        subscription membership from GapPolicyMinted (policy 0 vs
+ *        subscription 0) looked up by the holder's policy IDs, transfers out
+ *        and in, incremental sync, the per-block cache and getLogs chunking
+ *        against an RPC range limit.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createPortfolio, connectHoodGap } = require("@hoodgap/sdk");
+const {
+  deploy, advanceToOpen,
+  STAKE_100K, COVERAGE_10K, COVERAGE_500,
+  PRICE_250,
+  THRESHOLD_5,
+} = require("../helpers/setup");
+
+/** ethers.provider with getLogs calls counted and recorded; ranges wider than `maxRange` are rejected. */
+function countingProvider(maxRange = Infinity) {
+  const provider = Object.create(ethers.provider);
+  provider.getLogCalls = 0;
+  provider.filters = [];
+  provider.getLogs = async (filter) => {
+    provider.getLogCalls++;
+    provider.filters.push(filter);
+    if (filter.toBlock - filter.fromBlock + 1 > maxRange) throw new Error(`block range exceeds ${maxRange}`);
+    return ethers.provider.getLogs(filter);
+  };
+  return provider;
+}
+
+describe("Unit: Portfolio", function () {
+
+  async function portfolioFixture() {
+    const ctx = await deploy();
+    await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+    await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5);              // policy 0
+    await ctx.hoodgap.connect(ctx.buyer).buySubscription(COVERAGE_500, THRESHOLD_5, 4);     // sub 0 → policy 1
+    await ctx.hoodgap.connect(ctx.alice).buyPolicy(COVERAGE_500, THRESHOLD_5);              // policy 2
+
+    const provider = countingProvider();
+    const hoodgap = connectHoodGap(await ctx.hoodgap.getAddress(), provider);
+    return { ...ctx, provider, reader: hoodgap };
+  }
+
+  it("lists a holder's policies with their subscriptions", async function () {
+    const ctx = await portfolioFixture();
+    const { blockNumber, policies } = await createPortfolio(ctx.reader, ctx.buyer.address).sync();
+
+    expect(blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    expect(policies.map((p) => p.id)).to.deep.equal([0, 1]);
+
+    // policySubscriptionId() is 0 for both; only policy 1 was minted by subscription 0
+    expect(policies[0].subscriptionId).to.equal(null);
+    expect(policies[0].subscription).to.equal(null);
+    expect(policies[0].policy.coverage).to.equal(COVERAGE_10K);
+    expect(policies[1].subscriptionId).to.equal(0);
+    expect(policies[1].subscription.totalWeeks).to.equal(4n);
+    expect(policies[1].policy.coverage).to.equal(COVERAGE_500);
+  });
+
+  it("caches per block and only scans new blocks", async function () {
+    const ctx = await portfolioFixture();
+    const portfolio = createPortfolio(ctx.reader, ctx.buyer.address, { blockRange: 4, batchSize: 1 });
+
+    const first = await portfolio.sync();
+    const scanned = ctx.provider.getLogCalls;
+    expect(scanned).to.be.greaterThan(3); // three queries, several ranges each
+
+    expect(await portfolio.sync()).to.equal(first);
+    expect(ctx.provider.getLogCalls).to.equal(scanned);
+
+    // Concurrent syncs share one round-trip
+    await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_500, THRESHOLD_5); // policy 3
+    const [a, b] = await Promise.all([portfolio.sync(), portfolio.sync()]);
+    expect(a).to.equal(b);
+    expect(ctx.provider.getLogCalls - scanned).to.equal(3);
+    expect(a.policies.map((p) => p.id)).to.deep.equal([0, 1, 3]);
+  });
+
+  it("looks up GapPolicyMinted by the holder's policy IDs only", async function () {
+    const ctx = await portfolioFixture();
+    await ctx.hoodgap.connect(ctx.alice).buySubscription(COVERAGE_500, THRESHOLD_5, 4); // sub 1 → policy 3
+    await createPortfolio(ctx.reader, ctx.buyer.address).sync();
+
+    const mintedTopic = ctx.reader.interface.getEvent("GapPolicyMinted").topicHash;
+    const lookups = ctx.provider.filters.filter((filter) => filter.topics[0] === mintedTopic);
+    expect(lookups).to.have.length.greaterThan(0);
+    for (const { topics } of lookups) {
+      expect(topics[2].map(Number)).to.deep.equal([0, 1]);
+    }
+  });
+
+  it("halves rejected getLogs ranges down to minBlockRange, then rethrows", async function () {
+    const ctx = await portfolioFixture();
+    const limited = countingProvider(3);
+    const reader = connectHoodGap(await ctx.hoodgap.getAddress(), limited);
+
+    const { policies } = await createPortfolio(reader, ctx.buyer.address, { blockRange: 16, minBlockRange: 1 }).sync();
+    expect(policies.map((p) => p.id)).to.deep.equal([0, 1]);
+    expect(limited.filters.some((f) => f.toBlock - f.fromBlock + 1 === 2)).to.equal(true);
+
+    const tooSmall = createPortfolio(reader, ctx.buyer.address, { blockRange: 16, minBlockRange: 8 });
+    await expect(tooSmall.sync()).to.be.rejectedWith("block range exceeds 3");
+  });
+
+  it("follows transfers out and in", async function () {
+    const ctx = await portfolioFixture();
+    const buyer = createPortfolio(ctx.reader, ctx.buyer.address);
+    const alice = createPortfolio(ctx.reader, ctx.alice.address);
+    await Promise.all([buyer.sync(), alice.sync()]);
+
+    await ctx.hoodgap.connect(ctx.buyer).transferFrom(ctx.buyer.address, ctx.alice.address, 1);
+    expect((await buyer.sync()).policies.map((p) => p.id)).to.deep.equal([0]);
+
+    const received = (await alice.sync()).policies;
+    expect(received.map((p) => p.id)).to.deep.equal([1, 2]);
+    expect(received[0].subscriptionId).to.equal(0);
+
+    await ctx.hoodgap.connect(ctx.alice).transferFrom(ctx.alice.address, ctx.buyer.address, 1);
+    expect((await buyer.sync()).policies.map((p) => p.id)).to.deep.equal([0, 1]);
+    expect((await alice.sync()).policies.map((p) => p.id)).to.deep.equal([2]);
+  });
+
+  it("re-reads unsettled policies once they settle", async function () {
+    const ctx = await portfolioFixture();
+    const portfolio = createPortfolio(ctx.reader, ctx.buyer.address);
+    const [{ policy }] = (await portfolio.sync()).policies;
+    expect(policy.settled).to.equal(false);
+
+    await advanceToOpen(ctx, policy.gapDay, PRICE_250, policy.gapWeek);
+    await ctx.hoodgap.settlePolicy(0);
+
+    const [settled] = (await portfolio.sync()).policies;
+    expect(settled.policy.settled).to.equal(true);
+    expect(settled.policy.paidOut).to.equal(false);
+  });
+
+  it("reset() rescans from fromBlock", async function () {
+    const ctx = await portfolioFixture();
+    const portfolio = createPortfolio(ctx.reader, ctx.buyer.address);
+    const before = await portfolio.sync();
+
+    portfolio.reset();
+    expect(portfolio.blockNumber).to.equal(-1);
+    const after = await portfolio.sync();
+    expect(after).to.not.equal(before);
+    expect(after.policies.map((p) => p.id)).to.deep.equal([0, 1]);
+  });
+});
@@ -0,0 +1,119 @@
+"use strict";
+
+/**
+ * test/unit/Sdk.test.js
+ *
+ * Tests: @hoodgap/sdk — bundled ABI matches the compiled contract, USDC unit
+ *        conversion, revert-reason mapping, receipt decoding (USDC Transfer
+ *        topic collision) and the frontend/.env.local round trip.
+ */
+
+const { expect } = require("chai");
+const { artifacts } = require("hardhat");
+const {
+  HOODGAP_ABI,
+  connectHoodGap,
+  toUSDC,
+  fromUSDC,
+  formatUSDC,
+  revertReason,
+  friendlyError,
+  decodeEvents,
+  findEvent,
+  parseEnv,
+  addressesFromEnv,
+  formatEnv,
+} = require("@hoodgap/sdk");
+const {
+  deploy,
+  STAKE_100K,
+  COVERAGE_10K,
+  THRESHOLD_5,
+} = require("../helpers/setup");
+
+describe("Unit: Sdk", function () {
+  // ─── ABI ─────────────────────────────────────────────────────────────────────
+  it("bundled HoodGap ABI matches the compiled artifact (run `npm run sdk:abi`)", async function () {
+    const { abi } = await artifacts.readArtifact("HoodGap");
+    expect(HOODGAP_ABI).to.deep.equal(abi);
+  });
+
+  it("connectHoodGap reads the deployed contract", async function () {
+    const ctx = await deploy();
+    await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+
+    const hoodgap = connectHoodGap(await ctx.hoodgap.getAddress(), ctx.buyer);
+    expect(await hoodgap.totalStaked()).to.equal(STAKE_100K);
+  });
+
+  // ─── Units ───────────────────────────────────────────────────────────────────
+  it("toUSDC converts dollars without float noise", function () {
+    expect(toUSDC(1234.5)).to.equal(1_234_500_000n);
+    expect(toUSDC("10000.3")).to.equal(10_000_300_000n);
+    expect(toUSDC(0.1 + 0.2)).to.equal(300_000n);
+    expect(toUSDC("-2")).to.equal(-2_000_000n);
+    expect(() => toUSDC("1.0000001")).to.throw(/more than 6 decimals/);
+    expect(() => toUSDC("abc")).to.throw(/Invalid USDC amount/);
+  });
+
+  it("fromUSDC / formatUSDC render base units", function () {
+    expect(fromUSDC(2_500_000n)).to.equal(2.5);
+    expect(formatUSDC(1_234_500_000n)).to.equal("$1,234.50");
+    expect(formatUSDC(-5_000_000n)).to.equal("-$5.00");
+    expect(formatUSDC(1_234_567n, 6)).to.equal("$1.234567");
+  });
+
+  // ─── Errors ──────────────────────────────────────────────────────────────────
+  it("revertReason and friendlyError map a real revert", async function () {
+    const ctx = await deploy();
+    let error;
+    try {
+      await ctx.hoodgap.connect(ctx.staker).stake(0n);
+    } catch (err) {
+      error = err;
+    }
+    expect(revertReason(error)).to.equal("Amount must be > 0");
+    expect(friendlyError(error)).to.equal("Enter an amount greater than zero");
+  });
+
+  it("friendlyError recognises wallet rejections and truncates unknown errors", function () {
+    expect(friendlyError({ code: "ACTION_REJECTED" })).to.equal("Transaction cancelled by user");
+    expect(friendlyError(new Error("x".repeat(300))).length).to.be.at.most(120);
+  });
+
+  // ─── Events ──────────────────────────────────────────────────────────────────
+  it("decodeEvents skips USDC logs that share the ERC-721 Transfer topic", async function () {
+    const ctx = await deploy();
+    await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+    const tx = await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5);
+    const receipt = await tx.wait();
+
+    // The purchase moves USDC (Transfer) and mints the NFT (Transfer)
+    const transfers = decodeEvents(ctx.hoodgap, receipt, "Transfer");
+    expect(transfers).to.have.length(1);
+    expect(transfers[0].args.to).to.equal(ctx.buyer.address);
+
+    const purchased = findEvent(ctx.hoodgap, receipt, "PolicyPurchased");
+    expect(purchased.coverage).to.equal(COVERAGE_10K);
+    expect(findEvent(ctx.hoodgap, receipt, "PolicySettled")).to.equal(null);
+  });
+
+  // ─── Addresses ───────────────────────────────────────────────────────────────
+  it("formatEnv and addressesFromEnv round-trip frontend/.env.local", function () {
+    const addresses = {
+      hoodgap: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+      usdc: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512",
+      oracle: "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0",
+      multicall: "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9",
+      rpcUrl: "http://127.0.0.1:8545",
+      chainId: 31337,
+      deployBlock: 1,
+    };
+    const text = formatEnv(addresses, ["generated"]);
+
+    expect(text.startsWith("# generated\n")).to.equal(true);
+    expect(addressesFromEnv(parseEnv(text))).to.deep.equal(addresses);
+    expect(addressesFromEnv({}).hoodgap).to.equal(null);
+    expect(addressesFromEnv(parseEnv(formatEnv({ ...addresses, multicall: null }))).multicall).to.equal(null);
+  });
+});
@@ -0,0 +1,165 @@
+"use strict";
+
+/**
+ * test/unit/StakerHistory.test.js
+ *
+ * Tests: @hoodgap/sdk staker history — pool replay against on-chain state,
+ *        pro-rata premium yield and payout losses (subscription gap mints
+ *        not counted twice), realized APY (money-weighted staker vs
+ *        time-weighted pool), CSV export, the per-block cache and shares
+ *        written off after a payout empties the pool.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  createStakerHistory,
+  replayStakerHistory,
+  realizedApy,
+  historyCsv,
+  connectHoodGap,
+  pricing,
+} = require("@hoodgap/sdk");
+const {
+  deploy, advanceToOpen, passCooldown,
+  USDC, STAKE_100K, COVERAGE_10K, COVERAGE_500,
+  PRICE_230,
+  THRESHOLD_5,
+} = require("../helpers/setup");
+
+const WEEK = 7 * 24 * 3600;
+const STAKER = "0x00000000000000000000000000000000000000a1";
+const OTHER = "0x00000000000000000000000000000000000000b2";
+
+/** A synthetic event at `week` weeks. */
+function at(week, name, args) {
+  return { name, args, blockNumber: week, timestamp: week * WEEK, txHash: `0x${week}` };
+}
+
+describe("Unit: StakerHistory", function () {
+
+  async function historyFixture() {
+    let ctx = await deploy();
+    await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+    ctx = await passCooldown(ctx);
+    const premiums = [];
+    const buy = await (await ctx.hoodgap.connect(ctx.buyer).buyPolicy(COVERAGE_10K, THRESHOLD_5)).wait();
+    premiums.push((await ctx.hoodgap.policies(0)).premium);
+    await ctx.hoodgap.connect(ctx.buyer).buySubscription(COVERAGE_500, THRESHOLD_5, 4); // sub 0 → policy 1
+    premiums.push((await ctx.hoodgap.getSubscription(0)).premiumPerWeek * 4n);
+    await ctx.hoodgap.connect(ctx.alice).stake(USDC(50_000));
+
+    await advanceToOpen(ctx, 4, PRICE_230); // 8% gap pays policy 0
+    await ctx.hoodgap.settlePolicy(0n);
+    const shares = await ctx.hoodgap.stakerShares(ctx.staker.address);
+    await ctx.hoodgap.connect(ctx.staker).requestWithdrawal(shares / 2n);
+
+    const reader = connectHoodGap(await ctx.hoodgap.getAddress(), ethers.provider);
+    return { ...ctx, reader, premiums, fromBlock: buy.blockNumber - 1 };
+  }
+
+  it("replays the pool to the contract's totalStaked and totalShares", async function () {
+    const ctx = await historyFixture();
+    const history = await createStakerHistory(ctx.reader, ctx.staker.address).sync();
+
+    expect(history.pool.totalStaked).to.equal(await ctx.hoodgap.totalStaked());
+    expect(history.pool.totalShares).to.equal(await ctx.hoodgap.totalShares());
+    expect(history.totals.shares).to.equal(await ctx.hoodgap.stakerShares(ctx.staker.address));
+    expect(history.totals.value).to.equal(await ctx.hoodgap.stakerBalances(ctx.staker.address));
+    expect(history.timeline.map((e) => e.kind)).to.deep.equal(["deposit", "premium", "premium", "payout", "withdrawal"]);
+  });
+
+  it("credits premium yield and payout losses pro rata", async function () {
+    const ctx = await historyFixture();
+    const [staker, alice] = await Promise.all([
+      createStakerHistory(ctx.reader, ctx.staker.address).sync(),
+      createStakerHistory(ctx.reader, ctx.alice.address).sync(),
+    ]);
+
+    // The staker held every share when both premiums came in; the subscription's gap mint paid nothing new
+    const yields = ctx.premiums.map((p) => pricing.allocatePremium(p).stakerYield);
+    expect(staker.totals.premiums).to.equal(yields[0] + yields[1]);
+    expect(alice.totals.premiums).to.equal(0n);
+
+    expect(staker.totals.payouts + alice.totals.payouts).to.be.within(COVERAGE_10K - 2n, COVERAGE_10K);
+    expect(alice.totals.payouts * 3n).to.be.closeTo(COVERAGE_10K, COVERAGE_10K / 100n); // about a third of the pool
+
+    // P&L is what was earned less what was absorbed, up to rounding
+    expect(staker.totals.pnl).to.be.closeTo(staker.totals.premiums - staker.totals.payouts, 3n);
+    expect(alice.totals.pnl).to.be.closeTo(-alice.totals.payouts, 3n);
+  });
+
+  it("caches per block and scans only new blocks", async function () {
+    const ctx = await historyFixture();
+    const loader = createStakerHistory(ctx.reader, ctx.staker.address, { fromBlock: ctx.fromBlock, blockRange: 3 });
+    const first = await loader.sync();
+    expect(await loader.sync()).to.equal(first);
+
+    await ctx.hoodgap.connect(ctx.staker).stake(USDC(1_000));
+    const next = await loader.sync();
+    expect(next.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    expect(next.timeline.at(-1).kind).to.equal("deposit");
+    expect(next.totals.deposited).to.equal(first.totals.deposited + USDC(1_000));
+  });
+
+  it("drops shares written off after a payout empties the pool", function () {
+    const history = replayStakerHistory([
+      at(0, "Staked", { staker: STAKER, amount: USDC(10_000), shares: USDC(10_000) }),
+      at(1, "PolicyPaidOut", { policyId: 0n, amount: USDC(10_000) }),
+      at(2, "SharesWrittenOff", { epoch: 0n, shares: USDC(10_000) }),
+      at(2, "Staked", { staker: OTHER, amount: USDC(20_000), shares: USDC(20_000) }),
+    ], STAKER);
+
+    expect(history.pool).to.deep.equal({ totalStaked: USDC(20_000), totalShares: USDC(20_000) });
+    expect(history.totals).to.include({ shares: 0n, value: 0n, payouts: USDC(10_000), pnl: -USDC(10_000) });
+  });
+
+  describe("realizedApy", function () {
+    const premium = USDC(1_000); // 18% → $180 of staker yield
+    const { stakerYield } = pricing.allocatePremium(premium);
+
+    it("matches the pool for a staker holding through the window", function () {
+      const history = replayStakerHistory([
+        at(0, "Staked", { staker: STAKER, amount: USDC(10_000), shares: USDC(10_000) }),
+        at(2, "PolicyPurchased", { policyId: 0n, premium }),
+      ], STAKER);
+
+      const { staker, pool } = realizedApy(history, 4, 4 * WEEK);
+      const growth = 1 + Number(stakerYield) / Number(USDC(10_000));
+      expect(pool).to.be.closeTo(Math.pow(growth, 13) - 1, 1e-6);
+      expect(staker).to.be.closeTo(pool, 1e-6);
+    });
+
+    it("weights a deposit by the time it was in the pool", function () {
+      const history = replayStakerHistory([
+        at(0, "Staked", { staker: OTHER, amount: USDC(10_000), shares: USDC(10_000) }),
+        at(2, "Staked", { staker: STAKER, amount: USDC(10_000), shares: USDC(10_000) }),
+        at(3, "PolicyPurchased", { policyId: 0n, premium }),
+      ], STAKER);
+
+      // Half the premium on half the window's capital: twice the pool's 4-week return
+      const { staker, pool } = realizedApy(history, 4, 4 * WEEK);
+      const poolReturn = Math.pow(1 + pool, 4 / 52) - 1;
+      const stakerReturn = Math.pow(1 + staker, 4 / 52) - 1;
+      expect(stakerReturn).to.be.closeTo(2 * poolReturn, 1e-6);
+    });
+
+    it("is null for a staker with nothing in the pool", function () {
+      const history = replayStakerHistory([
+        at(0, "Staked", { staker: OTHER, amount: USDC(10_000), shares: USDC(10_000) }),
+        at(1, "PolicyPurchased", { policyId: 0n, premium }),
+      ], STAKER);
+      expect(realizedApy(history, 4, 4 * WEEK).staker).to.equal(null);
+    });
+  });
+
+  it("exports the timeline as CSV", async function () {
+    const ctx = await historyFixture();
+    const history = await createStakerHistory(ctx.reader, ctx.staker.address).sync();
+    const [header, ...rows] = historyCsv(history).trim().split("\n");
+
+    expect(header).to.equal("date,block,tx,kind,amount,deposited,withdrawn,premiums,payouts,shares,value,sharePrice");
+    expect(rows).to.have.length(history.timeline.length);
+    expect(rows[0].split(",").slice(3, 6)).to.deep.equal(["deposit", "100000.0", "100000.0"]);
+  });
+});
@@ -5,9 +5,12 @@
  *
  * Tests: getUtilizationMultiplier() — 0%, 25%, 50%, 70%, 95%+ utilisation,
  *        getCurrentUtilization(), getPoolStats() utilization field.
+ *        The staker yield of each premium joins totalStaked, so utilization
+ *        after a purchase is measured against stake + yield.
  */
 
 const { expect } = require("chai");
+const { pricing } = require("@hoodgap/sdk");
 const {
   deploy,
   USDC,
@@ -77,18 +80,28 @@ describe("Unit: UtilizationMultiplier", function () {
     expect(await ctx.hoodgap.getCurrentUtilization()).to.equal(0n);
   });
 
-  it("getCurrentUtilization returns 1000 (10%) after buying 10% of pool", async function () {
+  /** Utilization after staking $100k and buying `coverage`: coverage over stake + the premium's staker yield. */
+  async function utilizationAfterBuying(ctx, coverage) {
+    await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
+    await ctx.hoodgap.connect(ctx.buyer).buyPolicy(coverage, THRESHOLD_5);
+    const { premium } = await ctx.hoodgap.policies(0);
+    const staked = STAKE_100K + pricing.allocatePremium(premium).stakerYield;
+    expect(await ctx.hoodgap.totalStaked()).to.equal(staked);
+    return { actual: await ctx.hoodgap.getCurrentUtilization(), expected: (coverage * 10_000n) / staked };
+  }
+
+  it("getCurrentUtilization returns just under 1000 (10%) after buying 10% of the stake", async function () {
     const ctx = await deploy();
-    await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);       // $100k
-    await ctx.hoodgap.connect(ctx.buyer).buyPolicy(USDC(10_000), THRESHOLD_5); // $10k
-    expect(await ctx.hoodgap.getCurrentUtilization()).to.equal(1_000n);
+    const { actual, expected } = await utilizationAfterBuying(ctx, USDC(10_000));
+    expect(actual).to.equal(expected);
+    expect(actual).to.be.within(990n, 999n);
   });
 
-  it("getCurrentUtilization returns 5000 (50%) at half capacity", async function () {
+  it("getCurrentUtilization returns just under 5000 (50%) when half the stake is covered", async function () {
     const ctx = await deploy();
-    await ctx.hoodgap.connect(ctx.staker).stake(STAKE_100K);
-    await ctx.hoodgap.connect(ctx.buyer).buyPolicy(USDC(50_000), THRESHOLD_5);
-    expect(await ctx.hoodgap.getCurrentUtilization()).to.equal(5_000n);
+    const { actual, expected } = await utilizationAfterBuying(ctx, USDC(50_000));
+    expect(actual).to.equal(expected);
+    expect(actual).to.be.within(4_900n, 4_999n);
   });
 
   // ─── getPoolStats utilization field ──────────────────────────────────────────